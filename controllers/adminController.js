@@ -1,11 +1,14 @@
 const bcrypt = require("bcryptjs");
+const Account = require("../models/Account"); // Any user, patient or admin
 const Patient = require("../models/Patient");
 const Admin = require("../models/Admin"); // For admin operations
 const Dose = require("../models/Dose"); // Needed for deleting associated doses
+const GlucoseReading = require("../models/GlucoseReading");
 const CustomMessage = require("../models/CustomMessage");
 const { sendCustomReminderEmail } = require("../utils/emailService");
 const { checkSubscriptionStatus } = require("../jobs/subscriptionJob");
 const { formatPatientDates } = require("../utils/dateUtils");
+const { revokeUserSessions } = require("../utils/sessionUtils");
 
 // Cache for dashboard stats (1 minute cache) - cleared for structure fix
 let dashboardCache = null;
@@ -50,7 +53,7 @@ exports.getDashboardStats = async (req, res) => {
             { $limit: 8 },
             {
               $project: {
-                name: 1,
+                name: "$profile.name",
                 email: 1,
                 verified: 1,
                 active: 1,
@@ -84,7 +87,7 @@ exports.getDashboardStats = async (req, res) => {
             { $limit: 8 },
             {
               $lookup: {
-                from: "patients",
+                from: "accounts", // Patients are stored as accounts
                 localField: "patient", // Use 'patient' field, not 'patientId'
                 foreignField: "_id",
                 as: "patientData",
@@ -96,8 +99,51 @@ exports.getDashboardStats = async (req, res) => {
                 type: 1, // Use existing 'type' field
                 timestamp: 1,
                 notes: 1,
-                patientName: "$patientData.name",
-                units: { $literal: "N/A" }, // Placeholder since Dose model doesn't have units
+                patientName: "$patientData.profile.name",
+                units: { $ifNull: ["$units", "N/A"] }, // Older doses were logged without units
+                insulinProduct: 1,
+                injectionSite: 1,
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    // Get today's glucose readings
+    const glucoseStats = await GlucoseReading.aggregate([
+      {
+        $match: {
+          timestamp: {
+            $gte: new Date(new Date().setHours(0, 0, 0, 0)),
+            $lt: new Date(new Date().setHours(23, 59, 59, 999)),
+          },
+        },
+      },
+      {
+        $facet: {
+          todayReadings: [{ $count: "count" }],
+          recentReadings: [
+            { $sort: { timestamp: -1 } },
+            { $limit: 8 },
+            {
+              $lookup: {
+                from: "accounts", // Patients are stored as accounts
+                localField: "patient",
+                foreignField: "_id",
+                as: "patientData",
+              },
+            },
+            { $unwind: "$patientData" },
+            {
+              $project: {
+                value: 1,
+                unit: 1,
+                valueMgdl: 1,
+                valueMmol: 1,
+                context: 1,
+                timestamp: 1,
+                patientName: "$patientData.profile.name",
               },
             },
           ],
@@ -111,6 +157,7 @@ exports.getDashboardStats = async (req, res) => {
     // Process aggregation results
     const [patientData] = patientStats;
     const [doseData] = doseStats;
+    const [glucoseData] = glucoseStats;
 
     const stats = {
       totalPatients: patientData.totalPatients[0]?.count || 0,
@@ -125,8 +172,10 @@ exports.getDashboardStats = async (req, res) => {
       totalDoses: doseData.totalDoses[0]?.count || 0,
       totalDosesToday: doseData.todayDoses[0]?.count || 0, // Frontend expects this
       todayDoses: doseData.todayDoses[0]?.count || 0,
+      totalReadingsToday: glucoseData.todayReadings[0]?.count || 0,
       recentPatients: patientData.recentPatients || [],
       recentDoses: doseData.recentDoses || [],
+      recentReadings: glucoseData.recentReadings || [],
     };
 
     // Structure data to match frontend expectations
@@ -135,6 +184,7 @@ exports.getDashboardStats = async (req, res) => {
       recentData: {
         patients: stats.recentPatients,
         doses: stats.recentDoses,
+        glucoseReadings: stats.recentReadings,
       },
       queryTime: Date.now() - startTime,
     };
@@ -178,7 +228,7 @@ exports.getPatientsList = async (req, res) => {
     // Add search filter
     if (search) {
       filter.$or = [
-        { name: { $regex: search, $options: "i" } },
+        { "profile.name": { $regex: search, $options: "i" } },
         { email: { $regex: search, $options: "i" } },
       ];
     }
@@ -199,7 +249,9 @@ exports.getPatientsList = async (req, res) => {
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+    // Name, phone and gender are kept in the account's profile
+    const sortField = ["name", "phone", "gender"].includes(sortBy) ? `profile.${sortBy}` : sortBy;
+    sortOptions[sortField] = sortOrder === "desc" ? -1 : 1;
 
     // Always filter out soft-deleted patients unless specifically requested
     if (!req.query.includeDeleted) {
@@ -270,6 +322,7 @@ exports.bulkPatientAction = async (req, res) => {
           { _id: { $in: patientIds }, role: "patient" },
           { active: false }
         );
+        await revokeUserSessions(patientIds, "account deactivated");
         break;
       case "delete":
         // Soft delete patients instead of hard delete
@@ -278,6 +331,7 @@ exports.bulkPatientAction = async (req, res) => {
           { _id: { $in: patientIds }, role: "patient" },
           { isActive: false, deletedAt: new Date() }
         );
+        await revokeUserSessions(patientIds, "account deleted");
         break;
       default:
         return res.status(400).json({ msg: "Invalid action." });
@@ -323,8 +377,8 @@ exports.createAdmin = async (req, res) => {
   const { name, email, phone, gender, password } = req.body;
 
   try {
-    // Check if user already exists
-    let user = await Admin.findOne({ email });
+    // Check if user already exists (emails are unique across patients and admins)
+    let user = await Account.findOne({ email });
     if (user) {
       return res
         .status(400)
@@ -337,10 +391,8 @@ exports.createAdmin = async (req, res) => {
 
     // Create new Admin user
     const newAdmin = new Admin({
-      name,
+      profile: { name, phone, gender },
       email,
-      phone,
-      gender,
       password: hashedPassword,
       role: "admin", // Explicitly set role to admin
       active: true, // Admins are active by default
@@ -353,7 +405,7 @@ exports.createAdmin = async (req, res) => {
       msg: "Admin user created successfully.",
       user: {
         id: newAdmin._id,
-        name: newAdmin.name,
+        name: newAdmin.profile.name,
         email: newAdmin.email,
         role: newAdmin.role,
       },
@@ -374,7 +426,7 @@ exports.sendManualReminder = async (req, res) => {
   const { email, message } = req.body;
 
   try {
-    const user = await Admin.findOne({ email });
+    const user = await Account.findOne({ email });
     if (!user) {
       return res.status(404).json({ msg: "User not found." });
     }
@@ -382,13 +434,13 @@ exports.sendManualReminder = async (req, res) => {
     // In a real application, you would integrate with an SMS or email service here.
     // For now, we'll just log the reminder.
     console.log(`--- MANUAL REMINDER SENT ---`);
-    console.log(`To: ${user.name} (${user.email})`);
+    console.log(`To: ${user.profile.name} (${user.email})`);
     console.log(`Message: "${message}"`);
     console.log(`----------------------------`);
 
     res
       .status(200)
-      .json({ msg: `Manual reminder sent to ${user.name} (${user.email}).` });
+      .json({ msg: `Manual reminder sent to ${user.profile.name} (${user.email}).` });
   } catch (err) {
     console.error("Error sending manual reminder:", err.message);
     res.status(500).send("Server Error sending manual reminder.");
@@ -415,11 +467,11 @@ exports.searchPatients = async (req, res) => {
     const patients = await Patient.find({
       $or: [
         { email: { $regex: q, $options: "i" } },
-        { name: { $regex: q, $options: "i" } },
+        { "profile.name": { $regex: q, $options: "i" } },
       ],
       verified: true, // Only show verified patients
     })
-      .select("_id name email")
+      .select("_id profile.name email")
       .limit(10);
 
     res.json(patients);
@@ -465,17 +517,17 @@ exports.sendCustomMessage = async (req, res) => {
     // Create custom message record
     const customMessage = new CustomMessage({
       adminId: admin._id,
-      adminName: admin.name,
+      adminName: admin.profile.name,
       patientId: patient._id,
       patientEmail: patient.email,
-      patientName: patient.name,
+      patientName: patient.profile.name,
       message,
       messageExcerpt,
     });
 
     // Send email
     try {
-      await sendCustomReminderEmail(patient.email, patient.name, message);
+      await sendCustomReminderEmail(patient.email, patient.profile.name, message);
       customMessage.emailSent = true;
     } catch (emailError) {
       console.error("Email sending failed:", emailError);
@@ -486,7 +538,7 @@ exports.sendCustomMessage = async (req, res) => {
     await customMessage.save();
 
     res.status(200).json({
-      msg: `Custom reminder sent to ${patient.name} (${patient.email})`,
+      msg: `Custom reminder sent to ${patient.profile.name} (${patient.email})`,
       messageId: customMessage._id,
       emailSent: customMessage.emailSent,
     });
@@ -525,8 +577,8 @@ exports.getSentMessages = async (req, res) => {
       .sort({ sentAt: -1 }) // Most recent first
       .skip(parseInt(skip))
       .limit(parseInt(limit))
-      .populate("patientId", "name email")
-      .populate("adminId", "name");
+      .populate("patientId", "profile.name email")
+      .populate("adminId", "profile.name");
 
     // Get total count for pagination
     const totalMessages = await CustomMessage.countDocuments(searchQuery);
@@ -557,8 +609,8 @@ exports.getMessageDetails = async (req, res) => {
     const { id } = req.params;
 
     const message = await CustomMessage.findById(id)
-      .populate("patientId", "name email")
-      .populate("adminId", "name email");
+      .populate("patientId", "profile.name email")
+      .populate("adminId", "profile.name email");
 
     if (!message) {
       return res.status(404).json({ msg: "Message not found" });
@@ -603,6 +655,7 @@ exports.deleteAdmin = async (req, res) => {
 
     // Delete the admin
     await Admin.findByIdAndDelete(id);
+    await revokeUserSessions(adminToDelete._id, "account deleted");
 
     console.log(
       `Admin deleted: ${adminToDelete.name} (${adminToDelete.email}) by ${req.user.id}`
@@ -680,7 +733,7 @@ exports.resendMessage = async (req, res) => {
     try {
       await sendCustomReminderEmail(
         message.patient.email,
-        message.patient.name,
+        message.patient.profile.name,
         message.message
       );
 
@@ -0,0 +1,209 @@
+// backend/controllers/analyticsController.js
+
+const Patient = require("../models/Patient");
+const Dose = require("../models/Dose");
+const { getPatientRegimen, getPatientRegimens } = require("../utils/regimenUtils");
+const { parseAdherenceRange, computeAdherence } = require("../utils/adherenceUtils");
+
+// Doses are loaded from this long before the range so the first dose's lateness can be measured
+const LOOKBACK_MS = 2 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function getPatientAdherence
+ * @description Daily adherence, missed-day streaks, lateness and reminder follow-up for one patient
+ * @route GET /api/patients/:id/adherence?startDate=&endDate=
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.getPatientAdherence = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const range = parseAdherenceRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ msg: range.error });
+    }
+
+    const patient = await Patient.findById(req.params.id)
+      .select(
+        "profile.name email date lastDoseTime nextReminderTime reminderAttempts lastReminderSent smsReminderCycle"
+      )
+      .lean();
+    if (!patient) {
+      return res.status(404).json({ msg: "Patient not found" });
+    }
+
+    const [regimen, doses] = await Promise.all([
+      getPatientRegimen(patient._id),
+      Dose.find({
+        patient: patient._id,
+        timestamp: {
+          $gte: new Date(range.start.getTime() - LOOKBACK_MS),
+          $lt: new Date(range.end.getTime() + DAY_MS),
+        },
+      })
+        .select("type timestamp")
+        .sort({ timestamp: 1 })
+        .lean(),
+    ]);
+
+    const adherence = computeAdherence({
+      doses,
+      regimen,
+      start: range.start,
+      end: range.end,
+      since: patient.date,
+    });
+
+    res.json({
+      patient: {
+        id: patient._id,
+        name: patient.profile.name,
+        email: patient.email,
+      },
+      reminderStatus: {
+        lastDoseTime: patient.lastDoseTime,
+        nextReminderTime: patient.nextReminderTime,
+        reminderAttempts: patient.reminderAttempts,
+        lastReminderSent: patient.lastReminderSent,
+        smsReminderCycle: patient.smsReminderCycle,
+      },
+      adherence,
+    });
+  } catch (err) {
+    console.error("Error computing patient adherence:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).send("Server Error computing adherence.");
+  }
+};
+
+/**
+ * @function getCohortAdherence
+ * @description Adherence summary across all verified patients, lowest adherence first
+ * @route GET /api/admin/analytics/adherence?startDate=&endDate=&threshold=80&page=1&limit=20
+ * @access Private (Admin, Super Admin)
+ */
+exports.getCohortAdherence = async (req, res) => {
+  try {
+    const { threshold = 80, page = 1, limit = 20 } = req.query;
+
+    const range = parseAdherenceRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ msg: range.error });
+    }
+
+    const startTime = Date.now();
+
+    const patients = await Patient.find({
+      role: "patient",
+      verified: true,
+      isActive: { $ne: false }, // Exclude soft-deleted patients
+    })
+      .select("profile email active date reminderAttempts smsReminderCycle")
+      .lean();
+
+    const patientIds = patients.map((patient) => patient._id);
+
+    const [regimens, doses] = await Promise.all([
+      getPatientRegimens(patientIds),
+      Dose.find({
+        patient: { $in: patientIds },
+        timestamp: {
+          $gte: new Date(range.start.getTime() - LOOKBACK_MS),
+          $lt: new Date(range.end.getTime() + DAY_MS),
+        },
+      })
+        .select("patient type timestamp")
+        .sort({ timestamp: 1 })
+        .lean(),
+    ]);
+
+    // Group doses by patient (already in timestamp order)
+    const dosesByPatient = new Map();
+    for (const dose of doses) {
+      const key = dose.patient.toString();
+      if (!dosesByPatient.has(key)) dosesByPatient.set(key, []);
+      dosesByPatient.get(key).push(dose);
+    }
+
+    const results = patients.map((patient) => {
+      const key = patient._id.toString();
+      const { daily, ...summary } = computeAdherence({
+        doses: dosesByPatient.get(key) || [],
+        regimen: regimens.get(key),
+        start: range.start,
+        end: range.end,
+        since: patient.date,
+      });
+
+      return {
+        patientId: patient._id,
+        name: patient.profile.name,
+        email: patient.email,
+        phone: patient.profile.phone,
+        active: patient.active,
+        reminderAttempts: patient.reminderAttempts,
+        smsReminderCycle: patient.smsReminderCycle,
+        ...summary,
+      };
+    });
+
+    // Lowest adherence first; patients with nothing measurable go last
+    results.sort((a, b) => {
+      if (a.adherencePercent === null) return 1;
+      if (b.adherencePercent === null) return -1;
+      return a.adherencePercent - b.adherencePercent;
+    });
+
+    const measured = results.filter((r) => r.adherencePercent !== null);
+    const cohort = {
+      totalPatients: results.length,
+      measuredPatients: measured.length,
+      averageAdherencePercent:
+        measured.length > 0
+          ? Math.round(
+              (measured.reduce((sum, r) => sum + r.adherencePercent, 0) /
+                measured.length) *
+                10
+            ) / 10
+          : null,
+      patientsBelowThreshold: measured.filter(
+        (r) => r.adherencePercent < parseFloat(threshold)
+      ).length,
+      patientsOnMissedStreak: results.filter((r) => r.currentMissedStreak > 0)
+        .length,
+      dosesAfterReminder: results.reduce((sum, r) => sum + r.dosesAfterReminder, 0),
+      totalDoses: results.reduce((sum, r) => sum + r.totalDoses, 0),
+      threshold: parseFloat(threshold),
+    };
+
+    // Paginate the per-patient rows
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const totalPages = Math.ceil(results.length / parseInt(limit));
+
+    res.json({
+      range: {
+        startDate: range.start,
+        endDate: range.end,
+      },
+      cohort,
+      patients: results.slice(skip, skip + parseInt(limit)),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount: results.length,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+      queryTime: Date.now() - startTime,
+    });
+  } catch (err) {
+    console.error("Error computing cohort adherence:", err.message);
+    res.status(500).json({ msg: "Server Error computing cohort adherence." });
+  }
+};
@@ -1,9 +1,9 @@
 // backend/controllers/authController.js
 
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto"); // Node.js built-in module for cryptographic functionality
 
+const Account = require("../models/Account"); // Any user, patient or admin
 const Patient = require("../models/Patient");
 const Admin = require("../models/Admin"); // For admin users
 const Token = require("../models/Token"); // Import the new Token model
@@ -13,20 +13,109 @@ const {
   sendNewRegistrationNotificationToAdmins,
 } = require("../utils/emailService"); // We'll create this next
 const { sendWelcomeSMS } = require("../utils/smsService");
+const {
+  findSelectablePlan,
+  startSubscription,
+} = require("../utils/subscriptionUtils");
+const {
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+} = require("../utils/sessionUtils");
+const Session = require("../models/Session");
+const LoginChallenge = require("../models/LoginChallenge");
+const {
+  getOtpSettings,
+  findPatientByVerifiedPhone,
+  issueOtp,
+  verifyOtp,
+} = require("../utils/otpUtils");
+const {
+  TWO_FACTOR_FIELDS,
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  verifyTotpCode,
+  useRecoveryCode,
+  enableTwoFactor,
+  createLoginChallenge,
+  findLoginChallenge,
+} = require("../utils/twoFactorUtils");
+const {
+  getAccountLock,
+  sendAccountLockedResponse,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require("../middleware/security");
+
+/**
+ * @function getSignInBlock
+ * @description Why a user may not sign in (or keep a session going), if anything
+ * @param {object} user - Account document
+ * @returns {string|null} Message for the user, or null if they may sign in
+ */
+const getSignInBlock = (user) => {
+  if (user.kind !== "Admin" && !user.verified) return "Please verify your email to log in.";
+  if (!user.active) return "Your account is pending activation by an administrator.";
+  if (user.isActive === false) {
+    return "This account has been deactivated. Please contact support for assistance.";
+  }
+  return null;
+};
 
 /**
- * @function generateToken
- * @description Generates a JWT for a user.
- * @param {object} user - The user object.
- * @returns {string} The generated JWT.
+ * @function buildLoginResponse
+ * @description Start a session for a user who has proved who they are: a short-lived access
+ * token and a refresh token to renew it
+ * @param {object} user - Account document
+ * @param {object} req - Express request
+ * @returns {Promise<object>} Login response body
  */
-const generateToken = (user) => {
-  // Sign the JWT with user ID and role, and a secret from environment variables
-  return jwt.sign(
-    { id: user._id, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_LIFETIME || "1d" } // Token expires in 1 day by default
-  );
+const buildLoginResponse = async (user, req) => {
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  return {
+    msg: "Login successful.",
+    token: accessToken,
+    refreshToken,
+    patient: {
+      id: user._id,
+      name: user.profile.name,
+      email: user.email,
+      role: user.role,
+      active: user.active,
+      verified: user.verified,
+      phoneVerified: user.phoneVerified,
+      subscriptionType: user.subscriptionType,
+      subscriptionExpiry: user.subscriptionExpiry,
+      subscriptionStatus: user.subscriptionStatus,
+    },
+  };
+};
+
+/**
+ * @function sendOtpResponse
+ * @description Turn an issueOtp result into a response: 429 while codes can't be resent,
+ * 503 if the code could not be sent
+ * @param {object} res - Express response
+ * @param {object} result - issueOtp result
+ * @param {string} msg - Message when the code was sent
+ */
+const sendOtpResponse = (res, result, msg) => {
+  if (result.error === "send_failed") {
+    return res.status(503).json({ msg: "The code could not be sent. Please try again shortly." });
+  }
+  if (result.error) {
+    return res.status(429).json({
+      msg:
+        result.error === "cooldown"
+          ? "Please wait before requesting another code."
+          : "Too many codes requested. Please try again later.",
+      retryAfterSeconds: result.retryAfterSeconds,
+    });
+  }
+  res.json({ msg, expiresInMinutes: getOtpSettings().ttlMinutes });
 };
 
 /**
@@ -36,59 +125,35 @@ const generateToken = (user) => {
  * @access Public
  */
 exports.registerUser = async (req, res) => {
-  const { name, email, phone, gender, password, subscriptionType } = req.body;
+  const { name, email, phone, gender, password, subscriptionType, planId } = req.body;
 
   try {
-    // 1. Check if user already exists
-    let patient = await Patient.findOne({ email });
+    // 1. Check if user already exists (emails are unique across patients and admins)
+    let patient = await Account.findOne({ email });
     if (patient) {
       return res
         .status(400)
         .json({ msg: "patient with this email already exists." });
     }
 
-    // Validate subscription type
-    if (
-      !subscriptionType ||
-      !["Monthly", "Yearly"].includes(subscriptionType)
-    ) {
+    // 2. Find the chosen plan (by ID, or by name as older clients send subscriptionType)
+    const plan = await findSelectablePlan({ planId, name: subscriptionType });
+    if (!plan) {
       return res.status(400).json({
-        msg: "Invalid subscription type. Must be either 'Monthly' or 'Yearly'.",
+        msg: "Invalid subscription plan. Please choose one of the available plans.",
       });
     }
 
-    // 2. Calculate subscription expiry based on subscription type
-    let subscriptionExpiry;
-    const now = new Date();
-
-    if (subscriptionType === "Monthly") {
-      // Add 1 month
-      subscriptionExpiry = new Date(
-        now.getFullYear(),
-        now.getMonth() + 1,
-        now.getDate()
-      );
-    } else if (subscriptionType === "Yearly") {
-      // Add 1 year
-      subscriptionExpiry = new Date(
-        now.getFullYear() + 1,
-        now.getMonth(),
-        now.getDate()
-      );
-    }
-
     // 3. Create new patient instance
     patient = new Patient({
-      name,
+      profile: { name, phone, gender },
       email,
-      phone,
-      gender,
       password,
-      subscriptionType,
-      subscriptionExpiry,
       active: false, // Inactive by default
       verified: false, // Unverified by default
     });
+    // Subscription runs one plan period from sign-up
+    startSubscription(patient, plan);
 
     // 4. Hash password
     const salt = await bcrypt.genSalt(10);
@@ -110,7 +175,15 @@ exports.registerUser = async (req, res) => {
     // 7. Send verification email with request context
     await sendVerificationEmail(patient.email, verificationToken, req);
 
-    // 8. Send notification to all admins about the new registration
+    // 8. Text a code to confirm the phone number
+    try {
+      await issueOtp(patient, "phoneVerification");
+    } catch (smsError) {
+      console.error("Failed to send phone verification code:", smsError.message);
+      // Don't fail the registration; the patient can ask for another code
+    }
+
+    // 9. Send notification to all admins about the new registration
     try {
       // Get all admin email addresses
       const admins = await Admin.find({ active: true }).select("email");
@@ -118,10 +191,10 @@ exports.registerUser = async (req, res) => {
 
       if (adminEmails.length > 0) {
         await sendNewRegistrationNotificationToAdmins(
-          patient.name,
+          patient.profile.name,
           patient.email,
-          patient.phone,
-          patient.gender,
+          patient.profile.phone,
+          patient.profile.gender,
           patient.subscriptionType,
           adminEmails
         );
@@ -140,14 +213,15 @@ exports.registerUser = async (req, res) => {
     }
 
     res.status(201).json({
-      msg: "patient registered successfully. Please check your email for a verification link.",
+      msg: "patient registered successfully. Please check your email for a verification link and your phone for a verification code.",
       patient: {
         id: patient._id,
-        name: patient.name,
+        name: patient.profile.name,
         email: patient.email,
         role: patient.role,
         active: patient.active,
         verified: patient.verified,
+        phoneVerified: patient.phoneVerified,
       },
     });
   } catch (err) {
@@ -166,68 +240,56 @@ exports.loginUser = async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    // 1. Check if user exists in Patient collection first
-    let user = await Patient.findOne({ email });
-
-    let isAdmin = false;
-
-    // If not found in Patient collection, check Admin collection for admin users
+    // 1. Find the account, patient or admin
+    const user = await Account.findOne({ email });
     if (!user) {
-      user = await Admin.findOne({ email });
-      if (user && (user.role === "admin" || user.role === "superadmin")) {
-        isAdmin = true;
-      }
+      return res.status(400).json({ msg: "Invalid credentials." });
     }
 
-    if (!user) {
-      return res.status(400).json({ msg: "Invalid credentials." });
+    // 2. Refuse accounts locked after too many failed logins, even with the right password
+    const lock = getAccountLock(user);
+    if (lock) {
+      return sendAccountLockedResponse(res, lock);
     }
 
-    // 2. Compare passwords
+    // 3. Compare passwords
     const isMatch = await bcrypt.compare(password, user.password);
 
     if (!isMatch) {
+      const newLock = await recordFailedLogin(user);
+      if (newLock) {
+        return sendAccountLockedResponse(res, newLock);
+      }
       return res.status(400).json({ msg: "Invalid credentials." });
     }
 
-    // 3. Check if user is verified (skip for admin users as they might not need email verification)
-    if (!isAdmin && !user.verified) {
-      return res
-        .status(403)
-        .json({ msg: "Please verify your email to log in." });
+    // 4. Check the user is verified (not needed for admins), activated and not soft deleted
+    const signInBlock = getSignInBlock(user);
+    if (signInBlock) {
+      return res.status(403).json({ msg: signInBlock });
     }
 
-    // 4. Check if user is active (admin approval)
-    if (!user.active) {
-      return res.status(403).json({
-        msg: "Your account is pending activation by an administrator.",
-      });
-    }
-
-    // 5. Check if user has been soft deleted
-    if (user.isActive === false) {
-      return res.status(403).json({
-        msg: "This account has been deactivated. Please contact support for assistance.",
+    // 5. Admins with 2FA (and superadmins, who must set it up) need a code before a session
+    if (user.kind === "Admin" && (user.twoFactor.enabled || isTwoFactorRequired(user))) {
+      const setupRequired = !user.twoFactor.enabled;
+      const { challengeToken, expiresAt } = await createLoginChallenge(
+        user,
+        setupRequired ? "setup" : "verify"
+      );
+      return res.json({
+        msg: setupRequired
+          ? "Two-factor authentication is required for this account. Please set it up to continue."
+          : "Enter the code from your authenticator app.",
+        twoFactorRequired: true,
+        setupRequired,
+        challengeToken,
+        expiresAt,
       });
     }
 
-    // 5. Generate JWT
-    const token = generateToken(user);
-
-    res.json({
-      msg: "Login successful.",
-      token,
-      patient: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        active: user.active,
-        verified: user.verified,
-        subscriptionType: user.subscriptionType,
-        subscriptionExpiry: user.subscriptionExpiry,
-      },
-    });
+    // 6. Start a session
+    await clearFailedLogins(user);
+    res.json(await buildLoginResponse(user, req));
   } catch (err) {
     console.error("Login error:", err.message);
 
@@ -245,6 +307,103 @@ exports.loginUser = async (req, res) => {
   }
 };
 
+/**
+ * @function startChallengeTwoFactorSetup
+ * @description Second sign-in step for a superadmin without 2FA: get a secret for their
+ * authenticator app, then confirm it with a code through completeTwoFactorLogin
+ * @route POST /api/auth/2fa/challenge/setup
+ * @access Public (challenge token)
+ */
+exports.startChallengeTwoFactorSetup = async (req, res) => {
+  try {
+    const challenge = await findLoginChallenge(req.body.challengeToken);
+    if (!challenge || challenge.purpose !== "setup") {
+      return res.status(401).json({ msg: "Sign-in expired. Please log in again." });
+    }
+
+    const admin = await Admin.findById(challenge.admin);
+    if (!admin || getSignInBlock(admin)) {
+      return res.status(401).json({ msg: "Sign-in expired. Please log in again." });
+    }
+
+    res.json(await startTwoFactorSetup(admin));
+  } catch (err) {
+    console.error("Two-factor setup error:", err.message);
+    res.status(500).json({ msg: "Server Error setting up two-factor authentication." });
+  }
+};
+
+/**
+ * @function completeTwoFactorLogin
+ * @description Second sign-in step for admins: exchange the challenge and an authenticator
+ * code (or a recovery code) for a session. For a setup challenge the code switches 2FA on
+ * and the response carries the recovery codes.
+ * @route POST /api/auth/2fa/challenge
+ * @access Public (challenge token)
+ */
+exports.completeTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    const challenge = await findLoginChallenge(challengeToken, { countAttempt: true });
+    if (!challenge) {
+      return res.status(401).json({ msg: "Sign-in expired. Please log in again." });
+    }
+
+    const admin = await Admin.findById(challenge.admin).select(TWO_FACTOR_FIELDS);
+    const signInBlock = admin ? getSignInBlock(admin) : "User not found.";
+    if (signInBlock) {
+      return res.status(403).json({ msg: signInBlock });
+    }
+    const lock = getAccountLock(admin);
+    if (lock) {
+      return sendAccountLockedResponse(res, lock);
+    }
+
+    // Wrong codes count towards the lockout like wrong passwords
+    const rejectCode = async () => {
+      const newLock = await recordFailedLogin(admin);
+      if (newLock) return sendAccountLockedResponse(res, newLock);
+      res.status(400).json({ msg: "Invalid code." });
+    };
+
+    let recoveryCodes;
+    if (challenge.purpose === "setup") {
+      if (!(await verifyTotpCode(admin, code, { pending: true }))) {
+        return await rejectCode();
+      }
+      recoveryCodes = await enableTwoFactor(admin);
+      if (!recoveryCodes) {
+        return res.status(409).json({ msg: "Two-factor setup changed. Please start again." });
+      }
+      console.log(`Two-factor authentication enabled for ${admin.role} (${admin._id}) at sign-in`);
+    } else {
+      const passed = recoveryCode
+        ? await useRecoveryCode(admin, recoveryCode)
+        : await verifyTotpCode(admin, code);
+      if (!passed) {
+        return await rejectCode();
+      }
+      if (recoveryCode) {
+        console.warn(`Recovery code used to sign in ${admin.role} (${admin._id})`);
+      }
+    }
+
+    await LoginChallenge.deleteOne({ _id: challenge._id });
+    await clearFailedLogins(admin);
+
+    const response = await buildLoginResponse(admin, req);
+    if (recoveryCodes) {
+      response.recoveryCodes = recoveryCodes;
+      response.msg = "Two-factor authentication enabled. Store these recovery codes somewhere safe.";
+    }
+    res.json(response);
+  } catch (err) {
+    console.error("Two-factor login error:", err.message);
+    res.status(500).json({ msg: "Server Error during login." });
+  }
+};
+
 /**
  * @function verifyEmail
  * @description Verifies a user's email using a token.
@@ -268,30 +427,37 @@ exports.verifyEmail = async (req, res) => {
         .json({ msg: "Invalid or expired verification link." });
     }
 
-    // 2. Find the patient associated with the token
-    const patient = await Patient.findById(verificationToken.userId);
+    // 2. Find the account, patient or admin, associated with the token
+    const patient = await Account.findById(verificationToken.userId);
     if (!patient) {
-      return res.status(404).json({ msg: "Patient not found." });
+      return res.status(404).json({ msg: "User not found." });
     }
 
-    // 3. Mark patient as verified and active
+    // 3. Mark the account as verified and active
     patient.verified = true;
     patient.active = true; // Activate the account
     await patient.save();
 
-    // 4. Send welcome SMS now that account is active
+    // 4. Send welcome SMS now that a patient account is active
+    if (patient.role !== "patient") {
+      await verificationToken.deleteOne();
+      return res.status(200).json({
+        msg: "Email verified successfully. You can now log in.",
+      });
+    }
+
     try {
-      const smsResult = await sendWelcomeSMS(patient.phone, patient.name);
+      const smsResult = await sendWelcomeSMS(patient.profile.phone, patient.profile.name);
       if (smsResult.success) {
         // Update patient record to mark welcome SMS as sent
         patient.welcomeSmsSent = true;
         patient.welcomeSmsSentAt = new Date();
         patient.lastActivationDate = new Date();
         await patient.save();
-        console.log(`Welcome SMS sent successfully to ${patient.phone}`);
+        console.log(`Welcome SMS sent successfully to ${patient.profile.phone}`);
       } else {
         console.error(
-          `Failed to send welcome SMS to ${patient.phone}:`,
+          `Failed to send welcome SMS to ${patient.profile.phone}:`,
           smsResult.error
         );
       }
@@ -322,8 +488,8 @@ exports.forgotPassword = async (req, res) => {
   const { email } = req.body;
 
   try {
-    // 1. Find the patient by email
-    const patient = await Patient.findOne({ email });
+    // 1. Find the account, patient or admin, by email
+    const patient = await Account.findOne({ email });
     if (!patient) {
       // Send a generic success message to prevent email enumeration
       return res.status(200).json({
@@ -364,7 +530,7 @@ exports.forgotPassword = async (req, res) => {
  */
 exports.resetPassword = async (req, res) => {
   const { token } = req.params;
-  const { newPassword } = req.body;
+  const { password: newPassword } = req.body; // Checked by validateNewPassword
 
   try {
     // 1. Find the token
@@ -380,10 +546,10 @@ exports.resetPassword = async (req, res) => {
         .json({ msg: "Invalid or expired password reset link." });
     }
 
-    // 2. Find the patient associated with the token
-    const patient = await Patient.findById(resetToken.userId);
+    // 2. Find the account, patient or admin, associated with the token
+    const patient = await Account.findById(resetToken.userId);
     if (!patient) {
-      return res.status(404).json({ msg: "Patient not found." });
+      return res.status(404).json({ msg: "User not found." });
     }
 
     // 3. Hash the new password
@@ -394,6 +560,10 @@ exports.resetPassword = async (req, res) => {
     // 4. Delete the used token
     await resetToken.deleteOne();
 
+    // 5. Sign out every device that used the old password, and lift any lockout
+    await revokeUserSessions(patient._id, "password reset");
+    await clearFailedLogins(patient);
+
     res.status(200).json({ msg: "Password has been reset successfully." });
   } catch (err) {
     console.error("Reset password error:", err.message);
@@ -411,8 +581,8 @@ exports.resendVerificationEmail = async (req, res) => {
   const { email } = req.body;
 
   try {
-    // 1. Find the patient by email
-    const patient = await Patient.findOne({ email });
+    // 1. Find the account, patient or admin, by email
+    const patient = await Account.findOne({ email });
     if (!patient) {
       return res.status(404).json({ msg: "User not found." });
     }
@@ -463,6 +633,146 @@ exports.resendVerificationEmail = async (req, res) => {
   }
 };
 
+/**
+ * @function requestLoginOtp
+ * @description Text a sign-in code to a verified phone number
+ * @route POST /api/auth/otp/request
+ * @access Public
+ */
+exports.requestLoginOtp = async (req, res) => {
+  const sentMsg = "If an account uses that phone number, a sign-in code has been sent.";
+
+  try {
+    const patient = await findPatientByVerifiedPhone(req.body.phone);
+    if (!patient) {
+      // Same answer as a real send, so phone numbers can't be tested for accounts
+      return res.json({ msg: sentMsg, expiresInMinutes: getOtpSettings().ttlMinutes });
+    }
+
+    sendOtpResponse(res, await issueOtp(patient, "login"), sentMsg);
+  } catch (err) {
+    console.error("Login code request error:", err.message);
+    res.status(500).json({ msg: "Server Error sending sign-in code." });
+  }
+};
+
+/**
+ * @function loginWithOtp
+ * @description Sign in with a phone number and the code texted to it. Wrong codes count towards
+ * the account lockout.
+ * @route POST /api/auth/otp/login
+ * @access Public
+ */
+exports.loginWithOtp = async (req, res) => {
+  const { phone, code } = req.body;
+
+  try {
+    const patient = await findPatientByVerifiedPhone(phone);
+    if (!patient) {
+      return res.status(400).json({ msg: "Invalid or expired code." });
+    }
+
+    const lock = getAccountLock(patient);
+    if (lock) {
+      return sendAccountLockedResponse(res, lock);
+    }
+
+    const check = await verifyOtp(patient, "login", code);
+    if (!check.valid) {
+      // Wrong codes count towards the lockout like wrong passwords
+      const newLock = await recordFailedLogin(patient);
+      if (newLock) {
+        return sendAccountLockedResponse(res, newLock);
+      }
+      return res.status(400).json({
+        msg: "Invalid or expired code.",
+        attemptsLeft: check.attemptsLeft,
+      });
+    }
+
+    const signInBlock = getSignInBlock(patient);
+    if (signInBlock) {
+      return res.status(403).json({ msg: signInBlock });
+    }
+
+    console.log(`Patient ${patient._id} signed in with an SMS code`);
+    await clearFailedLogins(patient);
+    res.json(await buildLoginResponse(patient, req));
+  } catch (err) {
+    console.error("Code login error:", err.message);
+    res.status(500).json({ msg: "Server Error during login." });
+  }
+};
+
+/**
+ * @function requestPhoneVerification
+ * @description Text a new phone verification code, e.g. when the first one expired or the
+ * phone number changed
+ * @route POST /api/auth/verify-phone/resend
+ * @access Public
+ */
+exports.requestPhoneVerification = async (req, res) => {
+  const sentMsg = "If that account has a phone number to verify, a code has been sent.";
+
+  try {
+    const patient = await Patient.findOne({ email: req.body.email, isActive: { $ne: false } });
+    if (!patient || patient.phoneVerified) {
+      return res.json({ msg: sentMsg, expiresInMinutes: getOtpSettings().ttlMinutes });
+    }
+
+    sendOtpResponse(res, await issueOtp(patient, "phoneVerification"), sentMsg);
+  } catch (err) {
+    console.error("Phone verification request error:", err.message);
+    res.status(500).json({ msg: "Server Error sending verification code." });
+  }
+};
+
+/**
+ * @function verifyPhone
+ * @description Confirm a patient's phone number with the code texted to it. A number can
+ * only be verified on one account, since it is then used to sign in.
+ * @route POST /api/auth/verify-phone
+ * @access Public
+ */
+exports.verifyPhone = async (req, res) => {
+  const { email, code } = req.body;
+
+  try {
+    const patient = await Patient.findOne({ email, isActive: { $ne: false } });
+    if (!patient) {
+      return res.status(400).json({ msg: "Invalid or expired code." });
+    }
+    if (patient.phoneVerified) {
+      return res.status(400).json({ msg: "Phone number is already verified." });
+    }
+
+    const check = await verifyOtp(patient, "phoneVerification", code);
+    if (!check.valid) {
+      return res.status(400).json({
+        msg: "Invalid or expired code.",
+        attemptsLeft: check.attemptsLeft,
+      });
+    }
+
+    const otherAccount = await findPatientByVerifiedPhone(patient.profile.phone);
+    if (otherAccount && !otherAccount._id.equals(patient._id)) {
+      return res.status(409).json({
+        msg: "This phone number is already verified on another account. Please contact support.",
+      });
+    }
+
+    patient.phoneVerified = true;
+    patient.phoneVerifiedAt = new Date();
+    await patient.save();
+
+    console.log(`Phone number verified for patient ${patient._id}`);
+    res.json({ msg: "Phone number verified. You can now sign in with a code sent by SMS." });
+  } catch (err) {
+    console.error("Phone verification error:", err.message);
+    res.status(500).json({ msg: "Server Error during phone verification." });
+  }
+};
+
 /**
  * @function getMe
  * @description Gets the currently authenticated user's profile.
@@ -472,14 +782,7 @@ exports.resendVerificationEmail = async (req, res) => {
 exports.getMe = async (req, res) => {
   try {
     // req.user is populated by the authMiddleware
-    // First check Patient collection
-    let user = await Patient.findById(req.user.id).select("-password");
-
-    // If not found in Patient collection, check Admin collection for admin users
-    if (!user) {
-      user = await Admin.findById(req.user.id).select("-password");
-    }
-
+    const user = await Account.findById(req.user.id).select("-password");
     if (!user) {
       return res.status(404).json({ msg: "User not found." });
     }
@@ -490,3 +793,134 @@ exports.getMe = async (req, res) => {
     res.status(500).send("Server Error fetching user data.");
   }
 };
+
+/**
+ * @function refreshAccessToken
+ * @description Exchange a refresh token for a new access token and refresh token.
+ * Each refresh token works once; reusing one signs that session out.
+ * @route POST /api/auth/refresh
+ * @access Public (refresh token)
+ */
+exports.refreshAccessToken = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return res.status(400).json({ msg: "Refresh token is required." });
+  }
+
+  try {
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (rotated.error) {
+      return res.status(401).json({ msg: "Session expired. Please log in again." });
+    }
+
+    const { session } = rotated;
+    const user = await Account.findById(session.user);
+
+    // The account may have changed since the session started
+    let signInBlock = user ? getSignInBlock(user) : "User not found.";
+    if (!signInBlock && isTwoFactorRequired(user) && !user.twoFactor.enabled) {
+      signInBlock = "Two-factor authentication is now required. Please log in again to set it up.";
+    }
+    if (signInBlock) {
+      await revokeSession(session._id, "account no longer allowed to sign in");
+      return res.status(401).json({ msg: signInBlock });
+    }
+
+    res.json({
+      token: generateAccessToken(user, session),
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (err) {
+    console.error("Token refresh error:", err.message);
+    res.status(500).json({ msg: "Server Error refreshing session." });
+  }
+};
+
+/**
+ * @function logoutUser
+ * @description Sign out the current device by revoking its session
+ * @route POST /api/auth/logout
+ * @access Private (Requires JWT)
+ */
+exports.logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, "logout", { user: req.user.id });
+    res.json({ msg: "Logged out successfully." });
+  } catch (err) {
+    console.error("Logout error:", err.message);
+    res.status(500).json({ msg: "Server Error during logout." });
+  }
+};
+
+/**
+ * @function getSessions
+ * @description List the current user's signed-in devices, most recently used first
+ * @route GET /api/auth/sessions
+ * @access Private (Requires JWT)
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.user.sessionId,
+      })),
+    });
+  } catch (err) {
+    console.error("Error fetching sessions:", err.message);
+    res.status(500).json({ msg: "Server Error fetching sessions." });
+  }
+};
+
+/**
+ * @function revokeSessionById
+ * @description Sign out one of the current user's devices
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @access Private (Requires JWT)
+ */
+exports.revokeSessionById = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, "revoked by user", {
+      user: req.user.id,
+    });
+    if (!revoked) {
+      return res.status(404).json({ msg: "Session not found" });
+    }
+
+    console.log(`Session ${req.params.sessionId} revoked by ${req.user.role} (${req.user.id})`);
+    res.json({ msg: "Session revoked." });
+  } catch (err) {
+    console.error("Error revoking session:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid session ID format." });
+    }
+    res.status(500).json({ msg: "Server Error revoking session." });
+  }
+};
+
+/**
+ * @function revokeOtherSessions
+ * @description Sign out every device except this one
+ * @route DELETE /api/auth/sessions
+ * @access Private (Requires JWT)
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user.id, "revoked by user", {
+      exceptSessionId: req.user.sessionId,
+    });
+    res.json({ msg: "Signed out of all other devices.", revokedCount });
+  } catch (err) {
+    console.error("Error revoking sessions:", err.message);
+    res.status(500).json({ msg: "Server Error revoking sessions." });
+  }
+};
@@ -1,10 +1,118 @@
 // backend/controllers/doseController.js
 
 const Dose = require("../models/Dose");
+const GlucoseReading = require("../models/GlucoseReading");
 const Patient = require("../models/Patient"); // Import Patient model for populate to work
 const { updatePatientReminderData } = require("../jobs/comprehensiveReminderJob");
 const { sendSMS } = require("../utils/smsService"); // Add SMS service for logging notification
-const { formatDoseDates } = require("../utils/dateUtils");
+const {
+  formatDoseDates,
+  formatDateTime,
+  getPatientTimeZone,
+} = require("../utils/dateUtils");
+const { getPatientRegimen, getDoseRules } = require("../utils/regimenUtils");
+
+/**
+ * @function recordDose
+ * @description Applies the patient's regimen rules, saves the dose and updates reminder tracking.
+ * Shared by the dose API and the SMS reply webhook so both follow the same path.
+ * @param {string} patientId - Patient ID
+ * @param {Object} doseData - { type, timestamp, units, insulinProduct, injectionSite, notes }
+ * @returns {Promise<Object>} { success: true, dose } or { success: false, status, msg, restriction }
+ */
+const recordDose = async (patientId, doseData) => {
+  const { type, timestamp, units, insulinProduct, injectionSite, notes } =
+    doseData;
+
+  console.log(`Logging new dose for patient ID: ${patientId}`);
+  console.log(
+    `Dose details: ${type} ${units}u (${insulinProduct}, ${injectionSite}) at ${timestamp}`
+  );
+
+  // Enforce the patient's prescribed regimen for this dose type
+  const regimen = await getPatientRegimen(patientId);
+  const doseRules = getDoseRules(regimen, type);
+
+  if (!doseRules || !doseRules.enabled) {
+    return {
+      success: false,
+      status: 400,
+      msg: `${type} doses are not part of your prescribed regimen. Please contact your care team.`,
+    };
+  }
+
+  // Check minimum spacing since the last dose of the same type
+  const minSpacingHours = doseRules.minSpacingHours || 0;
+  const lastDoseOfType = await Dose.findOne({
+    patient: patientId,
+    type,
+  }).sort({ timestamp: -1 });
+
+  if (lastDoseOfType && minSpacingHours > 0) {
+    const lastDoseTime = new Date(lastDoseOfType.timestamp);
+    const currentTime = new Date(timestamp);
+    const hoursDifference = (currentTime - lastDoseTime) / (1000 * 60 * 60);
+
+    if (hoursDifference < minSpacingHours) {
+      const remaining = minSpacingHours - hoursDifference;
+      const hoursRemaining = Math.floor(remaining);
+      const minutesRemaining = Math.ceil((remaining - hoursRemaining) * 60);
+
+      return {
+        success: false,
+        status: 400,
+        msg: `You cannot log a new dose yet. Please wait ${hoursRemaining} hours and ${minutesRemaining} minutes after your last ${type.toLowerCase()} dose.`,
+        restriction: {
+          doseType: type,
+          lastDose: lastDoseTime,
+          minSpacingHours,
+          canLogNextAt: new Date(
+            lastDoseTime.getTime() + minSpacingHours * 60 * 60 * 1000
+          ),
+          hoursRemaining: hoursRemaining,
+          minutesRemaining: minutesRemaining,
+        },
+      };
+    }
+  }
+
+  const newDose = new Dose({
+    patient: patientId,
+    type,
+    timestamp,
+    units,
+    insulinProduct,
+    injectionSite,
+    notes,
+  });
+
+  await newDose.save();
+
+  // Update patient's reminder tracking data
+  try {
+    await updatePatientReminderData(patientId, newDose.timestamp, newDose.type);
+  } catch (reminderError) {
+    console.error("Error updating reminder data:", reminderError);
+    // Don't fail dose logging if reminder update fails
+  }
+
+  const formattedDate = new Date(newDose.timestamp).toLocaleDateString(
+    "en-GB",
+    {
+      day: "2-digit",
+      month: "2-digit",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }
+  );
+  console.log(`Dose logged successfully: ${newDose.type} on ${formattedDate}`);
+
+  return { success: true, dose: newDose };
+};
+
+exports.recordDose = recordDose;
 
 /**
  * @function logDose
@@ -13,75 +121,19 @@ const { formatDoseDates } = require("../utils/dateUtils");
  * @access Private (Patient)
  */
 exports.logDose = async (req, res) => {
-  const { type, timestamp, notes } = req.body;
   const patientId = req.user.id; // Patient ID from the authenticated token
 
   try {
-    console.log(`Logging new dose for patient ID: ${patientId}`);
-    console.log(`Dose details: ${type} at ${timestamp}`);
-
-    // Check for 20-hour restriction after basal dose
-    const lastBasalDose = await Dose.findOne({
-      patient: patientId,
-      type: "Basal",
-    }).sort({ timestamp: -1 });
-
-    if (lastBasalDose) {
-      const lastBasalTime = new Date(lastBasalDose.timestamp);
-      const currentTime = new Date(timestamp);
-      const hoursDifference = (currentTime - lastBasalTime) / (1000 * 60 * 60);
-
-      if (hoursDifference < 20) {
-        const hoursRemaining = Math.ceil(20 - hoursDifference);
-        const minutesRemaining = Math.ceil((20 - hoursDifference) * 60) % 60;
-
-        return res.status(400).json({
-          msg: `You cannot log a new dose yet. Please wait ${hoursRemaining} hours and ${minutesRemaining} minutes after your last basal dose.`,
-          restriction: {
-            lastBasalDose: lastBasalTime,
-            canLogNextAt: new Date(
-              lastBasalTime.getTime() + 20 * 60 * 60 * 1000
-            ),
-            hoursRemaining: hoursRemaining,
-            minutesRemaining: minutesRemaining,
-          },
-        });
-      }
-    }
-
-    const newDose = new Dose({
-      patient: patientId,
-      type,
-      timestamp,
-      notes,
-    });
+    const result = await recordDose(patientId, req.body);
 
-    await newDose.save();
-
-    // Update patient's reminder tracking data
-    try {
-      await updatePatientReminderData(patientId, newDose.timestamp);
-    } catch (reminderError) {
-      console.error("Error updating reminder data:", reminderError);
-      // Don't fail dose logging if reminder update fails
+    if (!result.success) {
+      return res.status(result.status).json({
+        msg: result.msg,
+        ...(result.restriction && { restriction: result.restriction }),
+      });
     }
 
-    const formattedDate = new Date(newDose.timestamp).toLocaleDateString(
-      "en-GB",
-      {
-        day: "2-digit",
-        month: "2-digit",
-        year: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-      }
-    );
-    console.log(
-      `Dose logged successfully: ${newDose.type} on ${formattedDate}`
-    );
-
-    res.status(201).json({ msg: "Dose logged successfully.", dose: newDose });
+    res.status(201).json({ msg: "Dose logged successfully.", dose: result.dose });
   } catch (err) {
     console.error("Error logging dose:", err.message);
     res.status(500).send("Server Error logging dose.");
@@ -102,15 +154,19 @@ exports.getMyDoses = async (req, res) => {
     // Calculate skip for pagination (even for patients, useful for large histories)
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const doses = await Dose.find({ patient: patientId })
-      .select("type timestamp notes") // Only select needed fields
-      .sort({ timestamp: -1 }) // Sort by most recent
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean(); // Use lean for better performance
-
-    // Format dose dates
-    const formattedDoses = doses.map(dose => formatDoseDates(dose));
+    const [doses, patient] = await Promise.all([
+      Dose.find({ patient: patientId })
+        .select("type timestamp units insulinProduct injectionSite notes") // Only select needed fields
+        .sort({ timestamp: -1 }) // Sort by most recent
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(), // Use lean for better performance
+      Patient.findById(patientId).select("timeZone").lean(),
+    ]);
+
+    // Format dose dates in the patient's time zone
+    const timeZone = getPatientTimeZone(patient);
+    const formattedDoses = doses.map(dose => formatDoseDates(dose, timeZone));
     res.json(formattedDoses);
   } catch (err) {
     console.error("Error fetching patient doses:", err.message);
@@ -118,6 +174,61 @@ exports.getMyDoses = async (req, res) => {
   }
 };
 
+/**
+ * @function toCsvField
+ * @description Quote a value for a CSV file
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @function exportMyDoses
+ * @description Download the authenticated patient's full dose history as a CSV file,
+ * with times in their time zone. Available while the account is read-only.
+ * @route GET /api/doses/me/export
+ * @access Private (Patient)
+ */
+exports.exportMyDoses = async (req, res) => {
+  const patientId = req.user.id;
+
+  try {
+    const [doses, patient] = await Promise.all([
+      Dose.find({ patient: patientId })
+        .select("type timestamp units insulinProduct injectionSite notes")
+        .sort({ timestamp: -1 })
+        .lean(),
+      Patient.findById(patientId).select("timeZone").lean(),
+    ]);
+
+    const timeZone = getPatientTimeZone(patient);
+    const rows = [
+      ["Date/time", "Type", "Units", "Insulin product", "Injection site", "Notes"],
+      ...doses.map((dose) => [
+        formatDateTime(dose.timestamp, timeZone),
+        dose.type,
+        dose.units,
+        dose.insulinProduct,
+        dose.injectionSite,
+        dose.notes,
+      ]),
+    ];
+    const csv = rows.map((row) => row.map(toCsvField).join(",")).join("\r\n");
+
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": 'attachment; filename="insulinlog-doses.csv"',
+    });
+    res.send(csv);
+  } catch (err) {
+    console.error("Error exporting patient doses:", err.message);
+    res.status(500).send("Server Error exporting doses.");
+  }
+};
+
 /**
  * @function getAllDoses
  * @description Retrieves all insulin doses for all patients with pagination and filters.
@@ -186,7 +297,7 @@ exports.getAllDoses = async (req, res) => {
         {
           // More efficient join that can be filtered
           $lookup: {
-            from: "patients", // The collection to join with
+            from: "accounts", // The collection to join with (patients are accounts)
             localField: "patient", // Field from doses
             foreignField: "_id", // Field from patients
             as: "patientData", // Result array field
@@ -200,6 +311,9 @@ exports.getAllDoses = async (req, res) => {
             _id: 1,
             type: 1,
             timestamp: 1,
+            units: 1,
+            insulinProduct: 1,
+            injectionSite: 1,
             notes: 1,
             date: 1,
             patient: "$patientData", // Replace patient field with detailed data
@@ -211,9 +325,9 @@ exports.getAllDoses = async (req, res) => {
                   $cond: {
                     if: { $eq: ["$patientData.isActive", false] },
                     then: {
-                      $concat: ["$patientData.name", " (Deleted Account)"],
+                      $concat: ["$patientData.profile.name", " (Deleted Account)"],
                     },
-                    else: "$patientData.name",
+                    else: "$patientData.profile.name",
                   },
                 },
               },
@@ -307,11 +421,12 @@ exports.getPatientDoses = async (req, res) => {
 
   try {
     const doses = await Dose.find({ patient: patientId })
-      .populate("patient", "name email")
+      .populate("patient", "profile.name email timeZone")
       .sort({ timestamp: -1 });
 
-    // Format dose dates
-    const formattedDoses = doses.map(dose => formatDoseDates(dose));
+    // Format dose dates in the patient's time zone
+    const timeZone = getPatientTimeZone(doses[0]?.patient);
+    const formattedDoses = doses.map(dose => formatDoseDates(dose, timeZone));
     res.json(formattedDoses);
   } catch (err) {
     console.error("Error fetching patient doses:", err.message);
@@ -326,7 +441,8 @@ exports.getPatientDoses = async (req, res) => {
  * @access Private (Patient - own dose, Admin/Super Admin - any dose)
  */
 exports.updateDose = async (req, res) => {
-  const { type, timestamp, notes } = req.body;
+  const { type, timestamp, units, insulinProduct, injectionSite, notes } =
+    req.body;
   const doseId = req.params.id;
   const patientId = req.user.id;
   const userRole = req.user.role;
@@ -348,6 +464,9 @@ exports.updateDose = async (req, res) => {
     // Update fields
     dose.type = type || dose.type;
     dose.timestamp = timestamp || dose.timestamp;
+    dose.units = units !== undefined ? units : dose.units;
+    dose.insulinProduct = insulinProduct || dose.insulinProduct;
+    dose.injectionSite = injectionSite || dose.injectionSite;
     dose.notes = notes !== undefined ? notes : dose.notes; // Allow notes to be cleared
 
     await dose.save();
@@ -387,6 +506,9 @@ exports.deleteDose = async (req, res) => {
     }
 
     await dose.deleteOne(); // Use deleteOne() for Mongoose 6+
+
+    // Unlink any glucose readings that referenced this dose
+    await GlucoseReading.updateMany({ dose: dose._id }, { dose: null });
     res.json({ msg: "Dose removed successfully." });
   } catch (err) {
     console.error("Error deleting dose:", err.message);
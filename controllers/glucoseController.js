@@ -0,0 +1,312 @@
+// backend/controllers/glucoseController.js
+
+const mongoose = require("mongoose");
+const GlucoseReading = require("../models/GlucoseReading");
+const Dose = require("../models/Dose");
+const Patient = require("../models/Patient");
+const { formatReadingDates, getPatientTimeZone } = require("../utils/dateUtils");
+const { getGlucoseRangeError } = require("../utils/glucoseUtils");
+
+/**
+ * @function findLinkableDose
+ * @description Find a dose that a reading may be linked to (must belong to the same patient)
+ * @param {string} doseId - Dose ID
+ * @param {string} patientId - Patient ID that owns the reading
+ * @returns {Promise<Object|null>} The dose, or null if not found or owned by another patient
+ */
+const findLinkableDose = async (doseId, patientId) => {
+  const dose = await Dose.findById(doseId).select("patient");
+  if (!dose || dose.patient.toString() !== patientId.toString()) {
+    return null;
+  }
+  return dose;
+};
+
+/**
+ * @function logReading
+ * @description Logs a new blood glucose reading for the authenticated patient.
+ * @route POST /api/glucose
+ * @access Private (Patient)
+ */
+exports.logReading = async (req, res) => {
+  const { value, unit, context, doseId, timestamp, notes } = req.body;
+  const patientId = req.user.id; // Patient ID from the authenticated token
+
+  try {
+    console.log(`Logging glucose reading for patient ID: ${patientId}`);
+
+    // Only allow linking to one of the patient's own doses
+    if (doseId) {
+      const dose = await findLinkableDose(doseId, patientId);
+      if (!dose) {
+        return res.status(400).json({ msg: "Linked dose not found." });
+      }
+    }
+
+    const reading = new GlucoseReading({
+      patient: patientId,
+      value,
+      unit,
+      context,
+      dose: doseId || null,
+      timestamp,
+      notes,
+    });
+
+    await reading.save();
+
+    console.log(
+      `Glucose reading logged successfully: ${reading.value} ${reading.unit}`
+    );
+
+    res
+      .status(201)
+      .json({ msg: "Glucose reading logged successfully.", reading });
+  } catch (err) {
+    console.error("Error logging glucose reading:", err.message);
+    res.status(500).send("Server Error logging glucose reading.");
+  }
+};
+
+/**
+ * @function getMyReadings
+ * @description Retrieves glucose readings for the authenticated patient.
+ * @route GET /api/glucose/me
+ * @access Private (Patient)
+ */
+exports.getMyReadings = async (req, res) => {
+  const patientId = req.user.id; // Patient ID from the authenticated token
+  const { limit = 20, page = 1 } = req.query;
+
+  try {
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [readings, patient] = await Promise.all([
+      GlucoseReading.find({ patient: patientId })
+        .select("value unit valueMgdl valueMmol context dose timestamp notes")
+        .populate("dose", "type timestamp units")
+        .sort({ timestamp: -1 }) // Sort by most recent
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Patient.findById(patientId).select("timeZone").lean(),
+    ]);
+
+    const timeZone = getPatientTimeZone(patient);
+    res.json(readings.map((reading) => formatReadingDates(reading, timeZone)));
+  } catch (err) {
+    console.error("Error fetching patient glucose readings:", err.message);
+    res.status(500).send("Server Error fetching glucose readings.");
+  }
+};
+
+/**
+ * @function getAllReadings
+ * @description Retrieves glucose readings for all patients with pagination and filters.
+ * Allows filtering by patientId, startDate, endDate.
+ * @route GET /api/glucose/all
+ * @access Private (Admin, Super Admin)
+ */
+exports.getAllReadings = async (req, res) => {
+  const { patientId, startDate, endDate, page = 1, limit = 50 } = req.query;
+  let filter = {};
+
+  // Build filter object based on query parameters
+  if (patientId && patientId !== "all") {
+    if (!mongoose.isValidObjectId(patientId)) {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    // Aggregation pipelines don't cast strings, so convert explicitly
+    filter.patient = new mongoose.Types.ObjectId(patientId);
+  }
+  if (startDate || endDate) {
+    filter.timestamp = {};
+    if (startDate) {
+      filter.timestamp.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999); // Set to end of the day
+      filter.timestamp.$lte = end;
+    }
+  }
+
+  try {
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const actualLimit = Math.min(parseInt(limit), 100); // Cap at 100 for safety
+
+    const [totalReadings, readings] = await Promise.all([
+      GlucoseReading.countDocuments(filter),
+      GlucoseReading.aggregate([
+        { $match: filter },
+        { $sort: { timestamp: -1 } },
+        { $skip: skip },
+        { $limit: actualLimit },
+        {
+          $lookup: {
+            from: "accounts", // Patients are stored as accounts
+            localField: "patient",
+            foreignField: "_id",
+            as: "patientData",
+          },
+        },
+        { $unwind: { path: "$patientData", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 1,
+            value: 1,
+            unit: 1,
+            valueMgdl: 1,
+            valueMmol: 1,
+            context: 1,
+            dose: 1,
+            timestamp: 1,
+            notes: 1,
+            date: 1,
+            patientName: { $ifNull: ["$patientData.profile.name", "Unknown Patient"] },
+            patientId: { $ifNull: ["$patientData._id", null] },
+          },
+        },
+      ]),
+    ]);
+
+    const totalPages = Math.ceil(totalReadings / parseInt(limit));
+
+    res.json({
+      readings: readings.map((reading) => formatReadingDates(reading)),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalReadings,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching all glucose readings:", err.message);
+    res.status(500).json({
+      error: "Server Error fetching all glucose readings.",
+      message: err.message,
+    });
+  }
+};
+
+/**
+ * @function getPatientReadings
+ * @description Retrieves all glucose readings for a specific patient (for Admin/Super Admin)
+ * @route GET /api/glucose/patient/:patientId
+ * @access Private (Admin, Super Admin)
+ */
+exports.getPatientReadings = async (req, res) => {
+  const { patientId } = req.params;
+
+  try {
+    const readings = await GlucoseReading.find({ patient: patientId })
+      .populate("patient", "profile.name email timeZone")
+      .populate("dose", "type timestamp units")
+      .sort({ timestamp: -1 });
+
+    const timeZone = getPatientTimeZone(readings[0]?.patient);
+    res.json(readings.map((reading) => formatReadingDates(reading, timeZone)));
+  } catch (err) {
+    console.error("Error fetching patient glucose readings:", err.message);
+    res.status(500).send("Server Error fetching patient glucose readings.");
+  }
+};
+
+/**
+ * @function updateReading
+ * @description Updates an existing glucose reading.
+ * @route PUT /api/glucose/:id
+ * @access Private (Patient - own reading, Admin/Super Admin - any reading)
+ */
+exports.updateReading = async (req, res) => {
+  const { value, unit, context, doseId, timestamp, notes } = req.body;
+  const readingId = req.params.id;
+  const patientId = req.user.id;
+  const userRole = req.user.role;
+
+  try {
+    const reading = await GlucoseReading.findById(readingId);
+
+    if (!reading) {
+      return res.status(404).json({ msg: "Glucose reading not found." });
+    }
+
+    // Authorization check: Patient can only update their own readings
+    if (userRole === "patient" && reading.patient.toString() !== patientId) {
+      return res
+        .status(403)
+        .json({ msg: "Not authorized to update this reading." });
+    }
+
+    if (doseId) {
+      const dose = await findLinkableDose(doseId, reading.patient);
+      if (!dose) {
+        return res.status(400).json({ msg: "Linked dose not found." });
+      }
+    }
+
+    // A value sent without a unit is in the reading's stored unit
+    if (value !== undefined && !unit) {
+      const rangeError = getGlucoseRangeError(value, reading.unit);
+      if (rangeError) {
+        return res.status(400).json({ msg: rangeError });
+      }
+    }
+
+    // Update fields
+    reading.value = value !== undefined ? value : reading.value;
+    reading.unit = unit || reading.unit;
+    reading.context = context || reading.context;
+    reading.dose = doseId !== undefined ? doseId : reading.dose; // Allow link to be cleared with null
+    reading.timestamp = timestamp || reading.timestamp;
+    reading.notes = notes !== undefined ? notes : reading.notes;
+
+    await reading.save();
+    res.json({ msg: "Glucose reading updated successfully.", reading });
+  } catch (err) {
+    console.error("Error updating glucose reading:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid reading ID format." });
+    }
+    res.status(500).send("Server Error updating glucose reading.");
+  }
+};
+
+/**
+ * @function deleteReading
+ * @description Deletes a glucose reading.
+ * @route DELETE /api/glucose/:id
+ * @access Private (Patient - own reading, Admin/Super Admin - any reading)
+ */
+exports.deleteReading = async (req, res) => {
+  const readingId = req.params.id;
+  const patientId = req.user.id;
+  const userRole = req.user.role;
+
+  try {
+    const reading = await GlucoseReading.findById(readingId);
+
+    if (!reading) {
+      return res.status(404).json({ msg: "Glucose reading not found." });
+    }
+
+    // Authorization check: Patient can only delete their own readings
+    if (userRole === "patient" && reading.patient.toString() !== patientId) {
+      return res
+        .status(403)
+        .json({ msg: "Not authorized to delete this reading." });
+    }
+
+    await reading.deleteOne();
+    res.json({ msg: "Glucose reading removed successfully." });
+  } catch (err) {
+    console.error("Error deleting glucose reading:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid reading ID format." });
+    }
+    res.status(500).send("Server Error deleting glucose reading.");
+  }
+};
@@ -0,0 +1,124 @@
+// backend/controllers/invoiceController.js
+
+const Invoice = require("../models/Invoice");
+const Patient = require("../models/Patient");
+const { getPatientTimeZone } = require("../utils/dateUtils");
+const { generateReceiptPdf } = require("../utils/invoiceUtils");
+
+/**
+ * @function getPatientInvoices
+ * @description List a patient's subscription invoices, newest first
+ * @route GET /api/patients/:id/invoices?page=&limit=
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.getPatientInvoices = async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const filter = { patient: req.params.id };
+
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const actualLimit = Math.min(parseInt(limit) || 20, 100); // Cap at 100 for safety
+
+    const [totalInvoices, invoices] = await Promise.all([
+      Invoice.countDocuments(filter),
+      Invoice.find(filter)
+        .sort({ issuedAt: -1 })
+        .skip((currentPage - 1) * actualLimit)
+        .limit(actualLimit)
+        .lean(),
+    ]);
+
+    const totalPages = Math.ceil(totalInvoices / actualLimit);
+
+    res.json({
+      invoices,
+      pagination: {
+        currentPage,
+        totalPages,
+        totalInvoices,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1,
+        limit: actualLimit,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching invoices:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).json({ msg: "Server Error fetching invoices." });
+  }
+};
+
+/**
+ * @function getInvoice
+ * @description Get one invoice
+ * @route GET /api/patients/:id/invoices/:invoiceId
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.getInvoice = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.invoiceId,
+      patient: req.params.id,
+    }).lean();
+    if (!invoice) {
+      return res.status(404).json({ msg: "Invoice not found" });
+    }
+
+    res.json({ invoice });
+  } catch (err) {
+    console.error("Error fetching invoice:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid ID format." });
+    }
+    res.status(500).json({ msg: "Server Error fetching invoice." });
+  }
+};
+
+/**
+ * @function downloadInvoicePdf
+ * @description Download an invoice as a PDF receipt, with dates in the patient's time zone
+ * @route GET /api/patients/:id/invoices/:invoiceId.pdf
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.downloadInvoicePdf = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.invoiceId,
+      patient: req.params.id,
+    }).lean();
+    if (!invoice) {
+      return res.status(404).json({ msg: "Invoice not found" });
+    }
+
+    const patient = await Patient.findById(req.params.id).select("timeZone").lean();
+    const pdf = await generateReceiptPdf(invoice, { timeZone: getPatientTimeZone(patient) });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoice.number}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error("Error generating invoice PDF:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid ID format." });
+    }
+    res.status(500).json({ msg: "Server Error generating invoice PDF." });
+  }
+};
@@ -0,0 +1,222 @@
+// backend/controllers/jobController.js
+
+const JobRun = require("../models/JobRun");
+const ScheduledJob = require("../models/ScheduledJob");
+const { JOBS, getJob } = require("../jobs");
+const { isJobRunning, getJobControl, startTrackedJob } = require("../utils/jobRunner");
+const { formatDateTime } = require("../utils/dateUtils");
+
+/**
+ * @function formatJobRun
+ * @description Add formatted dates to a JobRun
+ * @param {Object} jobRun - JobRun (lean or document)
+ * @returns {Object} JobRun with formatted dates
+ */
+const formatJobRun = (jobRun) => {
+  const run = jobRun.toObject ? jobRun.toObject() : jobRun;
+  return {
+    ...run,
+    startedAtFormatted: formatDateTime(run.startedAt),
+    finishedAtFormatted: formatDateTime(run.finishedAt),
+  };
+};
+
+/**
+ * @function getJobs
+ * @description List the scheduled jobs with their pause state and latest run
+ * @route GET /api/admin/jobs
+ * @access Private (Admin, Super Admin)
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const names = Object.keys(JOBS);
+
+    const [controls, lastRuns] = await Promise.all([
+      ScheduledJob.find({ name: { $in: names } }).lean(),
+      JobRun.aggregate([
+        { $match: { job: { $in: names } } },
+        { $sort: { startedAt: -1 } },
+        { $group: { _id: "$job", lastRun: { $first: "$$ROOT" } } },
+      ]),
+    ]);
+
+    const controlByName = new Map(controls.map((control) => [control.name, control]));
+    const lastRunByName = new Map(lastRuns.map(({ _id, lastRun }) => [_id, lastRun]));
+
+    res.json({
+      jobs: Object.values(JOBS).map(({ name, description, schedule }) => {
+        const control = controlByName.get(name) || {};
+        const lastRun = lastRunByName.get(name);
+        return {
+          name,
+          description,
+          schedule,
+          paused: control.paused || false,
+          pausedAt: control.pausedAt,
+          pausedBy: control.pausedBy,
+          pauseReason: control.pauseReason,
+          runningHere: isJobRunning(name), // Running in the instance that answered this request
+          // Instance holding the job's lease, while its lease is live
+          runningOn:
+            control.lockOwner && new Date(control.lockExpiresAt) > new Date()
+              ? control.lockOwner
+              : null,
+          lastTickAt: control.lastTickAt,
+          lastRun: lastRun ? formatJobRun(lastRun) : null,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error("Error fetching jobs:", err.message);
+    res.status(500).json({ msg: "Server Error fetching jobs." });
+  }
+};
+
+/**
+ * @function getJobRuns
+ * @description List job run history, newest first
+ * @route GET /api/admin/jobs/runs?job=&status=&trigger=&page=&limit=
+ * @access Private (Admin, Super Admin)
+ */
+exports.getJobRuns = async (req, res) => {
+  const { job, status, trigger, page = 1, limit = 50 } = req.query;
+  const filter = {};
+
+  if (job && job !== "all") filter.job = job;
+  if (status && status !== "all") filter.status = status;
+  if (trigger && trigger !== "all") filter.trigger = trigger;
+
+  try {
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const actualLimit = Math.min(parseInt(limit) || 50, 100); // Cap at 100 for safety
+
+    const [totalRuns, runs] = await Promise.all([
+      JobRun.countDocuments(filter),
+      JobRun.find(filter)
+        .populate("triggeredBy", "profile.name email")
+        .sort({ startedAt: -1 })
+        .skip((currentPage - 1) * actualLimit)
+        .limit(actualLimit)
+        .lean(),
+    ]);
+
+    const totalPages = Math.ceil(totalRuns / actualLimit);
+
+    res.json({
+      runs: runs.map(formatJobRun),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalRuns,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1,
+        limit: actualLimit,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching job runs:", err.message);
+    res.status(500).json({ msg: "Server Error fetching job runs." });
+  }
+};
+
+/**
+ * @function triggerJob
+ * @description Start a job now. Runs even if the job is paused; answers once the run has started.
+ * @route POST /api/admin/jobs/:name/run
+ * @access Private (Super Admin)
+ */
+exports.triggerJob = async (req, res) => {
+  const job = getJob(req.params.name);
+  if (!job) {
+    return res.status(404).json({ msg: "Job not found" });
+  }
+
+  try {
+    const started = await startTrackedJob(job.name, job.run, {
+      trigger: "manual",
+      triggeredBy: req.user.id,
+    });
+    if (!started) {
+      return res.status(409).json({ msg: `Job ${job.name} is already running.` });
+    }
+
+    console.log(`Job ${job.name} triggered by ${req.user.role} (${req.user.id})`);
+
+    res.status(202).json({
+      msg: `Job ${job.name} started.`,
+      jobRun: formatJobRun(started.jobRun),
+    });
+  } catch (err) {
+    console.error("Error triggering job:", err.message);
+    res.status(500).json({ msg: "Server Error triggering job." });
+  }
+};
+
+/**
+ * @function pauseJob
+ * @description Pause a job's scheduled runs on every server instance
+ * @route POST /api/admin/jobs/:name/pause
+ * @access Private (Super Admin)
+ */
+exports.pauseJob = async (req, res) => {
+  const job = getJob(req.params.name);
+  if (!job) {
+    return res.status(404).json({ msg: "Job not found" });
+  }
+
+  try {
+    const control = await getJobControl(job.name);
+    if (control.paused) {
+      return res.status(400).json({ msg: `Job ${job.name} is already paused.` });
+    }
+
+    control.paused = true;
+    control.pausedAt = new Date();
+    control.pausedBy = req.user.id;
+    control.pauseReason = req.body.reason;
+    await control.save();
+
+    console.log(`Job ${job.name} paused by ${req.user.role} (${req.user.id})`);
+
+    res.json({ msg: `Job ${job.name} paused.`, job: control });
+  } catch (err) {
+    console.error("Error pausing job:", err.message);
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).json({ msg: "Server Error pausing job." });
+  }
+};
+
+/**
+ * @function resumeJob
+ * @description Resume a paused job's scheduled runs
+ * @route POST /api/admin/jobs/:name/resume
+ * @access Private (Super Admin)
+ */
+exports.resumeJob = async (req, res) => {
+  const job = getJob(req.params.name);
+  if (!job) {
+    return res.status(404).json({ msg: "Job not found" });
+  }
+
+  try {
+    const control = await getJobControl(job.name);
+    if (!control.paused) {
+      return res.status(400).json({ msg: `Job ${job.name} is not paused.` });
+    }
+
+    control.paused = false;
+    control.pausedAt = null;
+    control.pausedBy = null;
+    control.pauseReason = null;
+    await control.save();
+
+    console.log(`Job ${job.name} resumed by ${req.user.role} (${req.user.id})`);
+
+    res.json({ msg: `Job ${job.name} resumed.`, job: control });
+  } catch (err) {
+    console.error("Error resuming job:", err.message);
+    res.status(500).json({ msg: "Server Error resuming job." });
+  }
+};
@@ -0,0 +1,156 @@
+// backend/controllers/notificationController.js
+
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const Patient = require("../models/Patient");
+const { formatDateTime, getPatientTimeZone } = require("../utils/dateUtils");
+
+/**
+ * @function buildNotificationFilter
+ * @description Builds a Notification query from request filters
+ * @param {Object} query - { channel, template, status, recipient, startDate, endDate }
+ * @returns {Object} Mongo filter
+ */
+const buildNotificationFilter = ({ channel, template, status, recipient, startDate, endDate }) => {
+  const filter = {};
+
+  if (channel && channel !== "all") filter.channel = channel;
+  if (template && template !== "all") filter.template = template;
+  if (status && status !== "all") filter.status = status;
+  if (recipient) {
+    // Partial match on phone number or email address
+    const escaped = String(recipient).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.recipient = { $regex: escaped, $options: "i" };
+  }
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) {
+      filter.date.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999); // Set to end of the day
+      filter.date.$lte = end;
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * @function findNotifications
+ * @description Runs a paginated notification query and formats the response
+ * @param {Object} filter - Mongo filter
+ * @param {Object} query - { page, limit }
+ * @param {string} [timeZone] - Time zone for formatted dates (server local time if omitted)
+ * @returns {Promise<Object>} { notifications, pagination }
+ */
+const findNotifications = async (filter, { page = 1, limit = 50 }, timeZone) => {
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+  const actualLimit = Math.min(parseInt(limit) || 50, 100); // Cap at 100 for safety
+  const skip = (currentPage - 1) * actualLimit;
+
+  const [totalNotifications, notifications] = await Promise.all([
+    Notification.countDocuments(filter),
+    Notification.find(filter)
+      .populate("patient", "profile.name profile.phone email")
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(actualLimit)
+      .lean(),
+  ]);
+
+  const totalPages = Math.ceil(totalNotifications / actualLimit);
+
+  return {
+    notifications: notifications.map((notification) => ({
+      ...notification,
+      dateFormatted: formatDateTime(notification.date, timeZone),
+    })),
+    pagination: {
+      currentPage,
+      totalPages,
+      totalNotifications,
+      hasNextPage: currentPage < totalPages,
+      hasPrevPage: currentPage > 1,
+      limit: actualLimit,
+    },
+  };
+};
+
+/**
+ * @function getAllNotifications
+ * @description Search the log of every SMS and email sent
+ * @route GET /api/admin/notifications?channel=&template=&status=&recipient=&patientId=&startDate=&endDate=&page=&limit=
+ * @access Private (Admin, Super Admin)
+ */
+exports.getAllNotifications = async (req, res) => {
+  const filter = buildNotificationFilter(req.query);
+
+  const { patientId } = req.query;
+  if (patientId && patientId !== "all") {
+    if (!mongoose.isValidObjectId(patientId)) {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    // Aggregation pipelines don't cast strings, so convert explicitly
+    filter.patient = new mongoose.Types.ObjectId(patientId);
+  }
+
+  try {
+    const startTime = Date.now();
+
+    const [result, totals] = await Promise.all([
+      findNotifications(filter, req.query),
+      Notification.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: { channel: "$channel", status: "$status" },
+            count: { $sum: 1 },
+            cost: { $sum: "$cost" },
+          },
+        },
+      ]),
+    ]);
+
+    // Summarise counts and cost per channel for the current filters
+    const summary = { sms: {}, email: {}, totalCost: 0 };
+    for (const { _id, count, cost } of totals) {
+      summary[_id.channel][_id.status] = count;
+      summary.totalCost += cost;
+    }
+    summary.totalCost = Math.round(summary.totalCost * 100) / 100;
+
+    res.json({ ...result, summary, queryTime: Date.now() - startTime });
+  } catch (err) {
+    console.error("Error fetching notifications:", err.message);
+    res.status(500).json({ msg: "Server Error fetching notifications." });
+  }
+};
+
+/**
+ * @function getPatientNotifications
+ * @description A patient's SMS and email history
+ * @route GET /api/patients/:id/notifications?channel=&template=&status=&startDate=&endDate=&page=&limit=
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.getPatientNotifications = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const filter = buildNotificationFilter({ ...req.query, recipient: undefined });
+    filter.patient = req.params.id;
+
+    const patient = await Patient.findById(req.params.id).select("timeZone").lean();
+
+    res.json(await findNotifications(filter, req.query, getPatientTimeZone(patient)));
+  } catch (err) {
+    console.error("Error fetching patient notifications:", err.message);
+    if (err.kind === "ObjectId" || err.name === "CastError") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).json({ msg: "Server Error fetching notifications." });
+  }
+};
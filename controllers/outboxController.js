@@ -0,0 +1,108 @@
+// backend/controllers/outboxController.js
+
+const OutboxMessage = require("../models/OutboxMessage");
+const Notification = require("../models/Notification");
+const { formatDateTime } = require("../utils/dateUtils");
+
+/**
+ * @function getOutboxMessages
+ * @description List queued, sent and dead-lettered outbound messages
+ * @route GET /api/admin/outbox?status=&channel=&page=&limit=
+ * @access Private (Admin, Super Admin)
+ */
+exports.getOutboxMessages = async (req, res) => {
+  const { status, channel, page = 1, limit = 50 } = req.query;
+  const filter = {};
+
+  if (status && status !== "all") filter.status = status;
+  if (channel && channel !== "all") filter.channel = channel;
+
+  try {
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const actualLimit = Math.min(parseInt(limit) || 50, 100); // Cap at 100 for safety
+
+    const [totalMessages, messages, statusCounts] = await Promise.all([
+      OutboxMessage.countDocuments(filter),
+      OutboxMessage.find(filter)
+        .select("-html -maskedMessage") // Email bodies are large; the notification log has the subject
+        .sort({ date: -1 })
+        .skip((currentPage - 1) * actualLimit)
+        .limit(actualLimit)
+        .lean(),
+      OutboxMessage.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const totalPages = Math.ceil(totalMessages / actualLimit);
+
+    res.json({
+      messages: messages.map(({ message: text, ...message }) => ({
+        ...message,
+        // One-time codes are never shown, even while the message is still queued
+        ...(!message.template?.startsWith("otp_") && { message: text }),
+        dateFormatted: formatDateTime(message.date),
+        nextAttemptAtFormatted: formatDateTime(message.nextAttemptAt),
+      })),
+      counts: statusCounts.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {}),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalMessages,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1,
+        limit: actualLimit,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching outbox messages:", err.message);
+    res.status(500).json({ msg: "Server Error fetching outbox messages." });
+  }
+};
+
+/**
+ * @function retryOutboxMessage
+ * @description Put a dead-lettered message back in the queue for a fresh set of attempts
+ * @route POST /api/admin/outbox/:id/retry
+ * @access Private (Admin, Super Admin)
+ */
+exports.retryOutboxMessage = async (req, res) => {
+  try {
+    const outboxMessage = await OutboxMessage.findById(req.params.id);
+    if (!outboxMessage) {
+      return res.status(404).json({ msg: "Outbox message not found." });
+    }
+    if (outboxMessage.status !== "dead") {
+      return res
+        .status(400)
+        .json({ msg: "Only dead-lettered messages can be retried." });
+    }
+    if (outboxMessage.maskedMessage) {
+      return res
+        .status(400)
+        .json({ msg: "This message held a one-time code, which is no longer kept. Ask the patient to request a new code." });
+    }
+
+    outboxMessage.status = "pending";
+    outboxMessage.attempts = 0;
+    outboxMessage.nextAttemptAt = new Date();
+    outboxMessage.deadAt = null;
+    outboxMessage.lockedAt = null;
+    await outboxMessage.save();
+
+    if (outboxMessage.notification) {
+      await Notification.findByIdAndUpdate(outboxMessage.notification, {
+        status: "queued",
+        statusUpdatedAt: new Date(),
+      });
+    }
+
+    console.log(`Outbox message ${outboxMessage._id} requeued by ${req.user.id}`);
+
+    res.json({ msg: "Message requeued.", message: outboxMessage });
+  } catch (err) {
+    console.error("Error retrying outbox message:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid outbox message ID format." });
+    }
+    res.status(500).json({ msg: "Server Error retrying outbox message." });
+  }
+};
@@ -0,0 +1,381 @@
+// backend/controllers/paymentController.js
+
+const crypto = require("crypto");
+const Payment = require("../models/Payment");
+const Patient = require("../models/Patient");
+const {
+  SIGNATURE_HEADER,
+  getPaymentGateway,
+  verifyWebhookSignature,
+  parseWebhookPayload,
+} = require("../utils/paymentGateways");
+const Plan = require("../models/Plan");
+const {
+  getPatientPlan,
+  findSelectablePlan,
+  extendSubscription,
+} = require("../utils/subscriptionUtils");
+const {
+  normalizePhoneNumber,
+  sendPaymentConfirmationSMS,
+} = require("../utils/smsService");
+const { recordRenewalInvoice } = require("../utils/invoiceUtils");
+
+/**
+ * @function generatePaymentReference
+ * @description Unique reference for a payment, shown to the patient and sent to the gateway
+ * @returns {string} e.g. "PAY-LZ3K9Q-8F2A1C9D"
+ */
+const generatePaymentReference = () =>
+  `PAY-${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`.toUpperCase();
+
+/**
+ * @function formatPayment
+ * @description Payment fields returned by the API (the raw webhook payload stays internal)
+ * @param {Object} payment - Payment document or lean object
+ * @returns {Object}
+ */
+const formatPayment = (payment) => {
+  const { lastWebhookPayload, __v, ...fields } =
+    typeof payment.toObject === "function" ? payment.toObject() : payment;
+  return fields;
+};
+
+/**
+ * @function applyConfirmedPayment
+ * @description Renew the patient's subscription for a confirmed payment and reactivate them.
+ * Accounts an admin deactivated by hand are renewed but stay inactive until an admin reactivates them.
+ * The reminder job sends the reactivation SMS and restarts reminders for reactivated accounts.
+ * An invoice is issued for the renewal and its receipt emailed to the patient.
+ * @param {Object} payment - Confirmed payment
+ * @returns {Promise<Object>} The updated patient
+ */
+const applyConfirmedPayment = async (payment) => {
+  const patient = await Patient.findById(payment.patient);
+  if (!patient) {
+    throw new Error(`Patient ${payment.patient} for payment ${payment.reference} not found`);
+  }
+
+  // The plan paid for, even if it has since been withdrawn from sale
+  const plan = await Plan.findById(payment.plan).lean();
+  if (!plan) {
+    throw new Error(`Plan ${payment.plan} for payment ${payment.reference} not found`);
+  }
+
+  const now = new Date();
+  const { previousExpiry, newExpiry, renewal } = extendSubscription(patient, {
+    renewedBy: "system",
+    plan,
+    now,
+  });
+
+  const manuallyDeactivated = patient.deactivationReason?.startsWith("Manual deactivation");
+  if (!patient.active && !manuallyDeactivated) {
+    patient.active = true;
+    patient.previousActiveState = false;
+    patient.lastActivationDate = now;
+    patient.deactivatedAt = null;
+    patient.deactivationReason = null;
+    console.log(`Patient ${patient.profile.name} reactivated by payment ${payment.reference}`);
+  } else if (!patient.active) {
+    console.log(
+      `Payment ${payment.reference} renewed ${patient.profile.name}'s subscription; account left inactive (${patient.deactivationReason})`
+    );
+  }
+
+  await patient.save();
+
+  payment.previousExpiry = previousExpiry;
+  payment.newExpiry = newExpiry;
+  await payment.save();
+
+  try {
+    await recordRenewalInvoice(patient, renewal, { plan, payment });
+  } catch (invoiceError) {
+    console.error(`Failed to issue invoice for payment ${payment.reference}:`, invoiceError.message);
+  }
+
+  console.log(
+    `Subscription renewed for ${patient.profile.name} by payment ${payment.reference}: expiry ${newExpiry.toISOString()}`
+  );
+  return patient;
+};
+
+/**
+ * @function createPaymentIntent
+ * @description Start a mobile-money payment for a subscription. The gateway sends the patient an
+ * approval prompt; the subscription is renewed when the gateway's webhook confirms the payment.
+ * @route POST /api/patients/:id/payments
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.createPaymentIntent = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const patient = await Patient.findById(req.params.id);
+    if (!patient || patient.role !== "patient" || patient.isActive === false) {
+      return res.status(404).json({ msg: "Patient not found" });
+    }
+
+    // Pay for the chosen plan, or renew the patient's current one
+    const plan = req.body.planId
+      ? await findSelectablePlan({ planId: req.body.planId })
+      : await getPatientPlan(patient);
+    if (!plan) {
+      return res.status(400).json({ msg: "Please choose a subscription plan." });
+    }
+    if (!plan._id || !(plan.price > 0)) {
+      return res
+        .status(503)
+        .json({ msg: `The ${plan.name} plan can't be paid for online yet.` });
+    }
+
+    const rawPhone = req.body.phone || patient.profile.phone;
+    if (!rawPhone) {
+      return res.status(400).json({ msg: "A mobile-money phone number is required." });
+    }
+    const phone = normalizePhoneNumber(rawPhone);
+
+    const gateway = getPaymentGateway();
+    if (!gateway.isConfigured()) {
+      console.error(`Payment gateway ${gateway.name} is not configured`);
+      return res.status(503).json({ msg: "Payments are not available at the moment." });
+    }
+
+    const payment = await Payment.create({
+      patient: patient._id,
+      reference: generatePaymentReference(),
+      gateway: gateway.key,
+      plan: plan._id,
+      subscriptionType: plan.name,
+      amount: plan.price,
+      currency: plan.currency,
+      phone,
+      network: req.body.network,
+      initiatedBy: req.user.id,
+      initiatedByRole: req.user.role,
+    });
+
+    const baseUrl = process.env.BASE_URL || `http://127.0.0.1:${process.env.PORT || 5000}`;
+    const result = await gateway.initiate({
+      reference: payment.reference,
+      amount: payment.amount,
+      currency: payment.currency,
+      phone,
+      network: payment.network,
+      description: `InsulinLog ${plan.name} subscription`,
+      callbackUrl: `${baseUrl}/api/payments/webhook`,
+    });
+
+    if (!result.success) {
+      payment.status = "failed";
+      payment.failureReason = result.error;
+      payment.failedAt = new Date();
+      await payment.save();
+      return res.status(502).json({
+        msg: "The payment could not be started. Please try again.",
+        payment: formatPayment(payment),
+      });
+    }
+
+    payment.gatewayReference = result.gatewayReference;
+    await payment.save();
+
+    console.log(
+      `${req.user.role} (${req.user.id}) started payment ${payment.reference} for ${patient.profile.name}: ${payment.currency} ${payment.amount} via ${gateway.name}`
+    );
+
+    res.status(201).json({
+      msg: result.message || "Payment started. Approve the prompt on your phone.",
+      payment: formatPayment(payment),
+    });
+  } catch (err) {
+    console.error("Error starting payment:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).json({ msg: "Server Error starting payment." });
+  }
+};
+
+/**
+ * @function getPatientPayments
+ * @description List a patient's payments, newest first
+ * @route GET /api/patients/:id/payments?status=&page=&limit=
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.getPatientPayments = async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const filter = { patient: req.params.id };
+    if (status && status !== "all") filter.status = status;
+
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const actualLimit = Math.min(parseInt(limit) || 20, 100); // Cap at 100 for safety
+
+    const [totalPayments, payments] = await Promise.all([
+      Payment.countDocuments(filter),
+      Payment.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * actualLimit)
+        .limit(actualLimit)
+        .lean(),
+    ]);
+
+    const totalPages = Math.ceil(totalPayments / actualLimit);
+
+    res.json({
+      payments: payments.map(formatPayment),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalPayments,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1,
+        limit: actualLimit,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching payments:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).json({ msg: "Server Error fetching payments." });
+  }
+};
+
+/**
+ * @function getPayment
+ * @description Get one payment, e.g. to poll whether it has been confirmed
+ * @route GET /api/patients/:id/payments/:paymentId
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.getPayment = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      patient: req.params.id,
+    }).lean();
+    if (!payment) {
+      return res.status(404).json({ msg: "Payment not found" });
+    }
+
+    res.json({ payment: formatPayment(payment) });
+  } catch (err) {
+    console.error("Error fetching payment:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid ID format." });
+    }
+    res.status(500).json({ msg: "Server Error fetching payment." });
+  }
+};
+
+/**
+ * @function handlePaymentWebhook
+ * @description Receives payment outcomes from the gateway. The body must be signed with
+ * PAYMENT_WEBHOOK_SECRET (x-payment-signature: sha256=<HMAC of the raw body>).
+ * A successful payment renews the subscription exactly once, however often the gateway repeats the webhook.
+ * @route POST /api/payments/webhook
+ * @access Public (payment gateway webhook, signed)
+ */
+exports.handlePaymentWebhook = async (req, res) => {
+  if (!verifyWebhookSignature(req.rawBody, req.headers[SIGNATURE_HEADER])) {
+    console.warn("Payment webhook rejected: invalid signature");
+    return res.status(401).json({ msg: "Invalid webhook signature." });
+  }
+
+  const event = parseWebhookPayload(req.body);
+  if (!event.reference) {
+    return res.status(400).json({ msg: "Payment webhook must include a reference." });
+  }
+
+  try {
+    const payment = await Payment.findOne({ reference: event.reference });
+    if (!payment) {
+      console.warn(`Payment webhook for unknown reference ${event.reference}`);
+      return res.status(404).json({ msg: "Payment not found" });
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { lastWebhookPayload: req.body });
+
+    if (payment.status !== "pending") {
+      return res.json({ msg: `Payment already ${payment.status}.`, duplicate: true });
+    }
+
+    if (event.status === "pending") {
+      return res.json({ msg: "Payment still pending." });
+    }
+
+    let failureReason = event.reason || "Payment failed at the gateway";
+    // A success without an amount is not trusted: it would renew the full plan for an unknown payment
+    if (
+      event.status === "succeeded" &&
+      (event.amount === null ||
+        event.amount < payment.amount ||
+        (event.currency && event.currency !== payment.currency))
+    ) {
+      failureReason =
+        event.amount === null
+          ? `Amount mismatch: no amount reported, expected ${payment.currency} ${payment.amount}`
+          : `Amount mismatch: paid ${event.currency || payment.currency} ${event.amount}, expected ${payment.currency} ${payment.amount}`;
+      event.status = "failed";
+    }
+
+    if (event.status === "failed") {
+      await Payment.updateOne(
+        { _id: payment._id, status: "pending" },
+        { status: "failed", failureReason, failedAt: new Date() }
+      );
+      console.log(`Payment ${payment.reference} failed: ${failureReason}`);
+      return res.json({ msg: "Payment marked as failed." });
+    }
+
+    // Claim the confirmation so a repeated webhook can't renew twice
+    const confirmed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "pending" },
+      {
+        status: "succeeded",
+        confirmedAt: new Date(),
+        ...(event.gatewayReference && { gatewayReference: event.gatewayReference }),
+      },
+      { new: true }
+    );
+    if (!confirmed) {
+      return res.json({ msg: "Payment already processed.", duplicate: true });
+    }
+
+    let patient;
+    try {
+      patient = await applyConfirmedPayment(confirmed);
+    } catch (error) {
+      // Release the claim so the gateway's retry can apply it
+      await Payment.updateOne(
+        { _id: confirmed._id },
+        { status: "pending", $unset: { confirmedAt: 1 } }
+      );
+      throw error;
+    }
+
+    try {
+      await sendPaymentConfirmationSMS(patient, confirmed);
+    } catch (smsError) {
+      console.error(`Failed to send payment confirmation SMS for ${confirmed.reference}:`, smsError.message);
+    }
+
+    res.json({ msg: "Payment confirmed and subscription renewed." });
+  } catch (err) {
+    console.error("Error handling payment webhook:", err.message);
+    res.status(500).json({ msg: "Server Error handling payment webhook." });
+  }
+};
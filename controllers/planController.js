@@ -0,0 +1,233 @@
+// backend/controllers/planController.js
+
+const Plan = require("../models/Plan");
+const Patient = require("../models/Patient");
+const Payment = require("../models/Payment");
+
+/**
+ * @function pickPlanFields
+ * @description Extract the editable plan fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Plan fields
+ */
+const pickPlanFields = ({
+  name,
+  description,
+  duration,
+  price,
+  currency,
+  gracePeriodDays,
+  features,
+  active,
+  sortOrder,
+}) => {
+  const fields = {};
+  if (name !== undefined) fields.name = name;
+  if (description !== undefined) fields.description = description;
+  if (duration !== undefined) fields.duration = duration;
+  if (price !== undefined) fields.price = price;
+  if (currency !== undefined) fields.currency = currency;
+  if (gracePeriodDays !== undefined) fields.gracePeriodDays = gracePeriodDays;
+  if (features !== undefined) fields.features = features;
+  if (active !== undefined) fields.active = active;
+  if (sortOrder !== undefined) fields.sortOrder = sortOrder;
+  return fields;
+};
+
+/**
+ * @function getAvailablePlans
+ * @description List the plans patients can sign up to or pay for
+ * @route GET /api/plans
+ * @access Public
+ */
+exports.getAvailablePlans = async (req, res) => {
+  try {
+    const plans = await Plan.find({ active: true })
+      .select("name description duration price currency gracePeriodDays features")
+      .sort({ sortOrder: 1, price: 1 })
+      .lean();
+
+    res.json({ plans });
+  } catch (err) {
+    console.error("Error fetching available plans:", err.message);
+    res.status(500).json({ msg: "Server Error fetching plans." });
+  }
+};
+
+/**
+ * @function getPlans
+ * @description List all plans, including withdrawn ones, with how many patients are on each
+ * @route GET /api/admin/plans
+ * @access Private (Super Admin)
+ */
+exports.getPlans = async (req, res) => {
+  try {
+    const [plans, subscriberCounts] = await Promise.all([
+      Plan.find().sort({ sortOrder: 1, name: 1 }).lean(),
+      Patient.aggregate([
+        { $match: { role: "patient", isActive: { $ne: false }, plan: { $ne: null } } },
+        { $group: { _id: "$plan", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const counts = new Map(subscriberCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json({
+      plans: plans.map((plan) => ({
+        ...plan,
+        subscribers: counts.get(plan._id.toString()) || 0,
+      })),
+    });
+  } catch (err) {
+    console.error("Error fetching plans:", err.message);
+    res.status(500).json({ msg: "Server Error fetching plans." });
+  }
+};
+
+/**
+ * @function getPlan
+ * @description Get one plan
+ * @route GET /api/admin/plans/:id
+ * @access Private (Super Admin)
+ */
+exports.getPlan = async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id).lean();
+    if (!plan) {
+      return res.status(404).json({ msg: "Plan not found" });
+    }
+
+    const subscribers = await Patient.countDocuments({
+      plan: plan._id,
+      isActive: { $ne: false },
+    });
+
+    res.json({ plan: { ...plan, subscribers } });
+  } catch (err) {
+    console.error("Error fetching plan:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid plan ID format." });
+    }
+    res.status(500).json({ msg: "Server Error fetching plan." });
+  }
+};
+
+/**
+ * @function createPlan
+ * @description Create a subscription plan
+ * @route POST /api/admin/plans
+ * @access Private (Super Admin)
+ */
+exports.createPlan = async (req, res) => {
+  try {
+    const fields = pickPlanFields(req.body);
+
+    const existing = await Plan.findOne({ name: fields.name });
+    if (existing) {
+      return res.status(400).json({ msg: "A plan with this name already exists." });
+    }
+
+    const plan = new Plan({
+      ...fields,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+    await plan.save();
+
+    console.log(`Plan "${plan.name}" created by ${req.user.role} (${req.user.id})`);
+
+    res.status(201).json({ msg: "Plan created successfully.", plan });
+  } catch (err) {
+    console.error("Error creating plan:", err.message);
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).json({ msg: "Server Error creating plan." });
+  }
+};
+
+/**
+ * @function updatePlan
+ * @description Update a plan. Duration and price changes apply from each patient's next renewal;
+ * a new name is copied onto the plan's patients.
+ * @route PUT /api/admin/plans/:id
+ * @access Private (Super Admin)
+ */
+exports.updatePlan = async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ msg: "Plan not found" });
+    }
+
+    const fields = pickPlanFields(req.body);
+    const previousName = plan.name;
+
+    if (fields.name && fields.name !== plan.name) {
+      const existing = await Plan.findOne({ name: fields.name });
+      if (existing) {
+        return res.status(400).json({ msg: "A plan with this name already exists." });
+      }
+    }
+
+    Object.assign(plan, fields, { updatedBy: req.user.id });
+    await plan.save();
+
+    if (plan.name !== previousName) {
+      await Patient.updateMany({ plan: plan._id }, { subscriptionType: plan.name });
+    }
+
+    console.log(`Plan "${plan.name}" updated by ${req.user.role} (${req.user.id})`);
+
+    res.json({ msg: "Plan updated successfully.", plan });
+  } catch (err) {
+    console.error("Error updating plan:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid plan ID format." });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).json({ msg: "Server Error updating plan." });
+  }
+};
+
+/**
+ * @function deletePlan
+ * @description Delete a plan nobody is on and no pending payment is for.
+ * Plans still in use can be withdrawn instead (active: false).
+ * @route DELETE /api/admin/plans/:id
+ * @access Private (Super Admin)
+ */
+exports.deletePlan = async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ msg: "Plan not found" });
+    }
+
+    const [subscribers, pendingPayments] = await Promise.all([
+      Patient.countDocuments({ plan: plan._id }),
+      Payment.countDocuments({ plan: plan._id, status: "pending" }),
+    ]);
+    if (subscribers > 0 || pendingPayments > 0) {
+      return res.status(409).json({
+        msg: "This plan is in use. Set it to inactive to stop offering it instead.",
+        subscribers,
+        pendingPayments,
+      });
+    }
+
+    await plan.deleteOne();
+
+    console.log(`Plan "${plan.name}" deleted by ${req.user.role} (${req.user.id})`);
+
+    res.json({ msg: "Plan deleted successfully." });
+  } catch (err) {
+    console.error("Error deleting plan:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid plan ID format." });
+    }
+    res.status(500).json({ msg: "Server Error deleting plan." });
+  }
+};
@@ -0,0 +1,210 @@
+// backend/controllers/regimenController.js
+
+const Regimen = require("../models/Regimen");
+const Patient = require("../models/Patient");
+const {
+  getReminderCycleStart,
+  getNextReminderTime,
+} = require("../jobs/comprehensiveReminderJob");
+const { DEFAULT_REGIMEN } = require("../utils/regimenUtils");
+const { getPatientReminderPolicy } = require("../utils/reminderPolicyUtils");
+
+/**
+ * @function refreshNextReminderTime
+ * @description Recalculate a patient's next reminder after their regimen changes
+ * @param {Object} patient - Patient document
+ * @param {Object} regimen - The regimen now in effect
+ */
+const refreshNextReminderTime = async (patient, regimen) => {
+  if (!patient.lastDoseTime) return;
+
+  try {
+    const policy = await getPatientReminderPolicy(patient);
+    await Patient.findByIdAndUpdate(patient._id, {
+      nextReminderTime: getNextReminderTime(
+        patient,
+        policy,
+        getReminderCycleStart(patient),
+        regimen
+      ),
+    });
+  } catch (error) {
+    console.error("Error refreshing next reminder time:", error);
+    // Don't fail the regimen change if the reminder refresh fails
+  }
+};
+
+/**
+ * @function pickRegimenFields
+ * @description Extract the editable regimen fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Regimen fields
+ */
+const pickRegimenFields = ({ basal, bolus, notes }) => {
+  const fields = {};
+  if (basal !== undefined) fields.basal = basal;
+  if (bolus !== undefined) fields.bolus = bolus;
+  if (notes !== undefined) fields.notes = notes;
+  return fields;
+};
+
+/**
+ * @function getRegimen
+ * @description Get a patient's insulin regimen. Returns the default regimen if none is prescribed.
+ * @route GET /api/patients/:id/regimen
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.getRegimen = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const patient = await Patient.findById(req.params.id).select("_id");
+    if (!patient) {
+      return res.status(404).json({ msg: "Patient not found" });
+    }
+
+    const regimen = await Regimen.findOne({ patient: patient._id })
+      .populate("prescribedBy", "profile.name email")
+      .lean();
+
+    res.json({
+      regimen: regimen || { ...DEFAULT_REGIMEN, patient: patient._id },
+      isDefault: !regimen,
+    });
+  } catch (err) {
+    console.error("Error fetching regimen:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).send("Server Error fetching regimen.");
+  }
+};
+
+/**
+ * @function createRegimen
+ * @description Prescribe an insulin regimen for a patient
+ * @route POST /api/patients/:id/regimen
+ * @access Private (Admin, Super Admin)
+ */
+exports.createRegimen = async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ msg: "Patient not found" });
+    }
+
+    const existing = await Regimen.findOne({ patient: patient._id });
+    if (existing) {
+      return res.status(400).json({
+        msg: "Patient already has a regimen. Use PUT to update it.",
+      });
+    }
+
+    const regimen = new Regimen({
+      ...pickRegimenFields(req.body),
+      patient: patient._id,
+      prescribedBy: req.user.id,
+    });
+    await regimen.save();
+
+    await refreshNextReminderTime(patient, regimen);
+
+    console.log(
+      `Regimen created for ${patient.profile.name} by ${req.user.role} (${req.user.id})`
+    );
+
+    res.status(201).json({ msg: "Regimen created successfully.", regimen });
+  } catch (err) {
+    console.error("Error creating regimen:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send("Server Error creating regimen.");
+  }
+};
+
+/**
+ * @function updateRegimen
+ * @description Update a patient's insulin regimen
+ * @route PUT /api/patients/:id/regimen
+ * @access Private (Admin, Super Admin)
+ */
+exports.updateRegimen = async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ msg: "Patient not found" });
+    }
+
+    const regimen = await Regimen.findOne({ patient: patient._id });
+    if (!regimen) {
+      return res.status(404).json({ msg: "Regimen not found" });
+    }
+
+    const { basal, bolus, notes } = pickRegimenFields(req.body);
+    const current = regimen.toObject();
+    if (basal) {
+      const merged = { ...current.basal, ...basal };
+      // A new frequency without a prescribed spacing takes that frequency's default spacing
+      if (basal.frequency && basal.frequency !== current.basal?.frequency && basal.minSpacingHours === undefined) {
+        merged.minSpacingHours = Regimen.getDefaultBasalSpacingHours(basal.frequency);
+      }
+      regimen.set("basal", merged);
+    }
+    if (bolus) regimen.set("bolus", { ...current.bolus, ...bolus });
+    if (notes !== undefined) regimen.notes = notes;
+    regimen.prescribedBy = req.user.id;
+
+    await regimen.save();
+
+    await refreshNextReminderTime(patient, regimen);
+
+    res.json({ msg: "Regimen updated successfully.", regimen });
+  } catch (err) {
+    console.error("Error updating regimen:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send("Server Error updating regimen.");
+  }
+};
+
+/**
+ * @function deleteRegimen
+ * @description Remove a patient's regimen. The patient falls back to the default regimen.
+ * @route DELETE /api/patients/:id/regimen
+ * @access Private (Admin, Super Admin)
+ */
+exports.deleteRegimen = async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ msg: "Patient not found" });
+    }
+
+    const regimen = await Regimen.findOne({ patient: patient._id });
+    if (!regimen) {
+      return res.status(404).json({ msg: "Regimen not found" });
+    }
+
+    await regimen.deleteOne();
+
+    await refreshNextReminderTime(patient, DEFAULT_REGIMEN);
+
+    res.json({ msg: "Regimen removed. The default regimen now applies." });
+  } catch (err) {
+    console.error("Error deleting regimen:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).send("Server Error deleting regimen.");
+  }
+};
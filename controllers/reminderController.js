@@ -0,0 +1,63 @@
+// backend/controllers/reminderController.js
+
+const mongoose = require("mongoose");
+const {
+  planReminderActions,
+  describeReminderAction,
+} = require("../jobs/comprehensiveReminderJob");
+const { formatDateTime } = require("../utils/dateUtils");
+
+/**
+ * @function summariseReminderPlan
+ * @description Count planned actions by type
+ * @param {Array<Object>} actions - Described actions
+ * @returns {Object} Counts per action type, plus the total
+ */
+const summariseReminderPlan = (actions) => {
+  const summary = { total: actions.length };
+  for (const { type } of actions) {
+    summary[type] = (summary[type] || 0) + 1;
+  }
+  return summary;
+};
+
+/**
+ * @function getReminderDryRun
+ * @description Show what the reminder job would send at a given time, without sending
+ * anything or updating any patient
+ * @route GET /api/admin/reminders/dry-run?now=&patientId=
+ * @access Private (Admin, Super Admin)
+ */
+exports.getReminderDryRun = async (req, res) => {
+  const now = req.query.now ? new Date(req.query.now) : new Date();
+  if (isNaN(now.getTime())) {
+    return res.status(400).json({ msg: "now must be a valid date, e.g. 2026-01-31T08:00:00Z." });
+  }
+
+  const { patientId } = req.query;
+  if (patientId && !mongoose.isValidObjectId(patientId)) {
+    return res.status(400).json({ msg: "Invalid patient ID format." });
+  }
+
+  try {
+    const plan = await planReminderActions(now, { patientId });
+    const actions = plan.actions.map(describeReminderAction);
+    const deferred = plan.deferred.map(describeReminderAction);
+
+    console.log(
+      `Reminder dry-run for ${now.toISOString()} by ${req.user.role} (${req.user.id}): ${actions.length} action(s)`
+    );
+
+    res.json({
+      dryRun: true,
+      now,
+      nowFormatted: formatDateTime(now),
+      summary: { ...summariseReminderPlan(actions), deferred: deferred.length },
+      actions,
+      deferred,
+    });
+  } catch (err) {
+    console.error("Error running reminder dry-run:", err.message);
+    res.status(500).json({ msg: "Server Error running reminder dry-run." });
+  }
+};
@@ -0,0 +1,282 @@
+// backend/controllers/reminderPolicyController.js
+
+const ReminderPolicy = require("../models/ReminderPolicy");
+const Patient = require("../models/Patient");
+const {
+  REMINDER_TEMPLATES,
+  DEFAULT_REMINDER_POLICY,
+  validatePolicySteps,
+} = require("../utils/reminderPolicyUtils");
+
+/**
+ * @function pickPolicyFields
+ * @description Extract the editable policy fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Policy fields
+ */
+const pickPolicyFields = ({ name, description, isDefault, newUserSteps, activeUserSteps }) => {
+  const fields = {};
+  if (name !== undefined) fields.name = name;
+  if (description !== undefined) fields.description = description;
+  if (isDefault !== undefined) fields.isDefault = isDefault;
+  if (newUserSteps !== undefined) fields.newUserSteps = newUserSteps;
+  if (activeUserSteps !== undefined) fields.activeUserSteps = activeUserSteps;
+  return fields;
+};
+
+/**
+ * @function checkPolicySteps
+ * @description Validate step templates, channels and order
+ * @param {Object} fields - Policy fields
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkPolicySteps = ({ newUserSteps, activeUserSteps }) =>
+  (newUserSteps && validatePolicySteps(newUserSteps, false)) ||
+  (activeUserSteps && validatePolicySteps(activeUserSteps, true)) ||
+  null;
+
+/**
+ * @function clearOtherDefaults
+ * @description Make sure only one policy is the default
+ * @param {string} policyId - The new default policy
+ */
+const clearOtherDefaults = async (policyId) => {
+  await ReminderPolicy.updateMany(
+    { _id: { $ne: policyId }, isDefault: true },
+    { isDefault: false }
+  );
+};
+
+/**
+ * @function getReminderPolicies
+ * @description List reminder policies with how many patients use each, and the templates steps can use
+ * @route GET /api/admin/reminder-policies
+ * @access Private (Super Admin)
+ */
+exports.getReminderPolicies = async (req, res) => {
+  try {
+    const [policies, assignmentCounts] = await Promise.all([
+      ReminderPolicy.find().sort({ name: 1 }).lean(),
+      Patient.aggregate([
+        { $match: { role: "patient", isActive: { $ne: false }, reminderPolicy: { $ne: null } } },
+        { $group: { _id: "$reminderPolicy", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const counts = new Map(assignmentCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json({
+      policies: policies.map((policy) => ({
+        ...policy,
+        assignedPatients: counts.get(policy._id.toString()) || 0,
+      })),
+      // Applies when no stored policy is marked as the default
+      builtInDefault: DEFAULT_REMINDER_POLICY,
+      usingBuiltInDefault: !policies.some((policy) => policy.isDefault),
+      templates: Object.entries(REMINDER_TEMPLATES).map(([key, template]) => ({
+        key,
+        description: template.description,
+        channels: ["sms", "email"].filter((channel) => template[channel]),
+      })),
+    });
+  } catch (err) {
+    console.error("Error fetching reminder policies:", err.message);
+    res.status(500).json({ msg: "Server Error fetching reminder policies." });
+  }
+};
+
+/**
+ * @function getReminderPolicy
+ * @description Get one reminder policy
+ * @route GET /api/admin/reminder-policies/:id
+ * @access Private (Super Admin)
+ */
+exports.getReminderPolicy = async (req, res) => {
+  try {
+    const policy = await ReminderPolicy.findById(req.params.id).lean();
+    if (!policy) {
+      return res.status(404).json({ msg: "Reminder policy not found" });
+    }
+
+    const assignedPatients = await Patient.countDocuments({
+      reminderPolicy: policy._id,
+      isActive: { $ne: false },
+    });
+
+    res.json({ policy: { ...policy, assignedPatients } });
+  } catch (err) {
+    console.error("Error fetching reminder policy:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid reminder policy ID format." });
+    }
+    res.status(500).json({ msg: "Server Error fetching reminder policy." });
+  }
+};
+
+/**
+ * @function createReminderPolicy
+ * @description Create a reminder policy
+ * @route POST /api/admin/reminder-policies
+ * @access Private (Super Admin)
+ */
+exports.createReminderPolicy = async (req, res) => {
+  try {
+    const fields = pickPolicyFields(req.body);
+
+    const stepError = checkPolicySteps(fields);
+    if (stepError) {
+      return res.status(400).json({ msg: stepError });
+    }
+
+    const existing = await ReminderPolicy.findOne({ name: fields.name });
+    if (existing) {
+      return res.status(400).json({ msg: "A reminder policy with this name already exists." });
+    }
+
+    const policy = new ReminderPolicy({
+      ...fields,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+    await policy.save();
+
+    if (policy.isDefault) {
+      await clearOtherDefaults(policy._id);
+    }
+
+    console.log(`Reminder policy "${policy.name}" created by ${req.user.id}`);
+
+    res.status(201).json({ msg: "Reminder policy created successfully.", policy });
+  } catch (err) {
+    console.error("Error creating reminder policy:", err.message);
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).json({ msg: "Server Error creating reminder policy." });
+  }
+};
+
+/**
+ * @function updateReminderPolicy
+ * @description Update a reminder policy. Changes apply from the reminder job's next run.
+ * @route PUT /api/admin/reminder-policies/:id
+ * @access Private (Super Admin)
+ */
+exports.updateReminderPolicy = async (req, res) => {
+  try {
+    const policy = await ReminderPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ msg: "Reminder policy not found" });
+    }
+
+    const fields = pickPolicyFields(req.body);
+
+    const stepError = checkPolicySteps(fields);
+    if (stepError) {
+      return res.status(400).json({ msg: stepError });
+    }
+
+    if (fields.name && fields.name !== policy.name) {
+      const existing = await ReminderPolicy.findOne({ name: fields.name });
+      if (existing) {
+        return res.status(400).json({ msg: "A reminder policy with this name already exists." });
+      }
+    }
+
+    Object.assign(policy, fields, { updatedBy: req.user.id });
+    await policy.save();
+
+    if (policy.isDefault) {
+      await clearOtherDefaults(policy._id);
+    }
+
+    console.log(`Reminder policy "${policy.name}" updated by ${req.user.id}`);
+
+    res.json({ msg: "Reminder policy updated successfully.", policy });
+  } catch (err) {
+    console.error("Error updating reminder policy:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid reminder policy ID format." });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).json({ msg: "Server Error updating reminder policy." });
+  }
+};
+
+/**
+ * @function deleteReminderPolicy
+ * @description Delete a reminder policy. Patients assigned to it fall back to the default policy.
+ * @route DELETE /api/admin/reminder-policies/:id
+ * @access Private (Super Admin)
+ */
+exports.deleteReminderPolicy = async (req, res) => {
+  try {
+    const policy = await ReminderPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ msg: "Reminder policy not found" });
+    }
+
+    const { modifiedCount } = await Patient.updateMany(
+      { reminderPolicy: policy._id },
+      { reminderPolicy: null }
+    );
+    await policy.deleteOne();
+
+    console.log(
+      `Reminder policy "${policy.name}" deleted by ${req.user.id}; ${modifiedCount} patient(s) moved to the default policy`
+    );
+
+    res.json({
+      msg: "Reminder policy deleted successfully.",
+      patientsMovedToDefault: modifiedCount,
+      wasDefault: policy.isDefault,
+    });
+  } catch (err) {
+    console.error("Error deleting reminder policy:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid reminder policy ID format." });
+    }
+    res.status(500).json({ msg: "Server Error deleting reminder policy." });
+  }
+};
+
+/**
+ * @function assignReminderPolicy
+ * @description Assign a reminder policy to patients, or move them back to the default (policyId null)
+ * @route PUT /api/admin/reminder-policies/assignments
+ * @access Private (Super Admin)
+ */
+exports.assignReminderPolicy = async (req, res) => {
+  try {
+    const { patientIds, policyId = null } = req.body;
+
+    if (policyId) {
+      const policy = await ReminderPolicy.findById(policyId).select("_id");
+      if (!policy) {
+        return res.status(404).json({ msg: "Reminder policy not found" });
+      }
+    }
+
+    const { matchedCount, modifiedCount } = await Patient.updateMany(
+      { _id: { $in: patientIds }, role: "patient" },
+      { reminderPolicy: policyId }
+    );
+
+    console.log(
+      `Reminder policy ${policyId || "default"} assigned to ${modifiedCount} patient(s) by ${req.user.id}`
+    );
+
+    res.json({
+      msg: policyId
+        ? "Reminder policy assigned successfully."
+        : "Patients moved to the default reminder policy.",
+      matchedCount,
+      modifiedCount,
+    });
+  } catch (err) {
+    console.error("Error assigning reminder policy:", err.message);
+    res.status(500).json({ msg: "Server Error assigning reminder policy." });
+  }
+};
@@ -0,0 +1,251 @@
+// backend/controllers/smsController.js
+
+const crypto = require("crypto");
+const Patient = require("../models/Patient");
+const Dose = require("../models/Dose");
+const { recordDose } = require("./doseController");
+const { recordSkippedDose } = require("../jobs/comprehensiveReminderJob");
+const { getPatientRegimen, getDoseRules } = require("../utils/regimenUtils");
+const {
+  parseDoseReply,
+  resolveReplyTimestamp,
+} = require("../utils/smsCommandParser");
+const { getPatientTimeZone } = require("../utils/dateUtils");
+const {
+  normalizeDeliveryStatus,
+  updateDeliveryStatus,
+} = require("../utils/notificationLog");
+const {
+  getPhoneNumberVariants,
+  sendDoseConfirmationSMS,
+  sendDoseSkippedConfirmationSMS,
+  sendReplyErrorSMS,
+} = require("../utils/smsService");
+
+/**
+ * @function isValidWebhookSecret
+ * @description Checks the shared secret the SMS provider sends in the x-webhook-secret header.
+ * Requests are always rejected when SMS_WEBHOOK_SECRET is not configured, since an accepted
+ * webhook can log doses for a patient.
+ * @param {Object} req - Express request
+ * @returns {boolean} Whether the request is authorised
+ */
+const isValidWebhookSecret = (req) => {
+  const expected = process.env.SMS_WEBHOOK_SECRET;
+  const provided = req.headers["x-webhook-secret"];
+  if (!expected || !provided) return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(String(provided));
+
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+};
+
+/**
+ * @function parseInboundPayload
+ * @description Normalises an inbound SMS webhook payload.
+ * Accepts the provider's field names as well as the local stand-in
+ * format `{ from, message, reference }` used by scripts/simulateInboundSms.js.
+ * @param {Object} body - Webhook request body
+ * @returns {Object} { from, text, reference }
+ */
+const parseInboundPayload = (body = {}) => ({
+  from: body.from || body.sender || body.msisdn || body.phone || null,
+  text: body.message || body.text || body.body || body.content || "",
+  reference: body.reference || body.message_id || body.id || null,
+});
+
+/**
+ * @function handleInboundSms
+ * @description Handles a patient's reply to a reminder SMS. "TAKEN [BASAL|BOLUS] [time]"
+ * logs a dose through the same path as the dose API; "SKIP" stops reminders for the current dose.
+ * Always answers 200 once authorised so the provider does not retry.
+ * @route POST /api/sms/inbound
+ * @access Public (SMS provider webhook, shared secret)
+ */
+exports.handleInboundSms = async (req, res) => {
+  if (!isValidWebhookSecret(req)) {
+    console.warn("Inbound SMS rejected: invalid webhook secret");
+    return res.status(401).json({ msg: "Invalid webhook secret." });
+  }
+
+  const { from, text, reference } = parseInboundPayload(req.body);
+  if (!from || !text) {
+    return res
+      .status(400)
+      .json({ msg: "Inbound SMS must include a sender and a message." });
+  }
+
+  console.log(`Inbound SMS from ${from} (ref: ${reference}): ${text}`);
+
+  try {
+    // 1. Match the sender to a patient
+    const patient = await Patient.findOne({
+      "profile.phone": { $in: getPhoneNumberVariants(from) },
+      role: "patient",
+      isActive: { $ne: false }, // Exclude soft-deleted patients
+    });
+
+    if (!patient) {
+      console.log(`Inbound SMS from unknown number ${from} ignored`);
+      return res.json({ received: true, action: "ignored", reason: "unknown_sender" });
+    }
+
+    // 2. The same account checks as the dose API
+    if (patient.subscriptionStatus === "read_only") {
+      await sendReplyErrorSMS(
+        patient.profile.phone,
+        `Hi ${patient.profile.name}, we couldn't log your reply because your subscription has expired. Please renew to log doses again.`
+      );
+      return res.json({ received: true, action: "rejected", reason: "subscription_read_only" });
+    }
+    if (!patient.active || !patient.verified) {
+      await sendReplyErrorSMS(
+        patient.profile.phone,
+        `Hi ${patient.profile.name}, we couldn't log your reply because your account is not active. Please contact support.`
+      );
+      return res.json({ received: true, action: "rejected", reason: "account_inactive" });
+    }
+
+    // 3. Work out what the patient meant
+    const reply = parseDoseReply(text);
+
+    if (reply.action === "unknown") {
+      await sendReplyErrorSMS(
+        patient.profile.phone,
+        `Hi ${patient.profile.name}, sorry, we didn't understand your reply.`
+      );
+      return res.json({ received: true, action: "unknown" });
+    }
+
+    if (reply.action === "skip") {
+      const skip = await recordSkippedDose(patient._id);
+      if (!skip.success) {
+        await sendReplyErrorSMS(patient.profile.phone, "We couldn't record your reply.");
+        return res.json({ received: true, action: "rejected", reason: "skip_failed" });
+      }
+      await sendDoseSkippedConfirmationSMS(patient.profile.phone, patient.profile.name);
+      console.log(`Dose skip recorded by SMS for ${patient.profile.name}`);
+      return res.json({ received: true, action: "skip" });
+    }
+
+    // 4. TAKEN: fill in the dose from the patient's regimen
+    const regimen = await getPatientRegimen(patient._id);
+    const type = reply.type || (regimen.basal?.enabled !== false ? "Basal" : "Bolus");
+    const doseRules = getDoseRules(regimen, type) || {};
+    const timestamp = resolveReplyTimestamp(reply.time, new Date(), getPatientTimeZone(patient));
+
+    // Same 15-minute duplicate window as the dose API
+    const timeWindow = 15 * 60 * 1000;
+    const existingDose = await Dose.findOne({
+      patient: patient._id,
+      type,
+      timestamp: {
+        $gte: new Date(timestamp.getTime() - timeWindow),
+        $lte: new Date(timestamp.getTime() + timeWindow),
+      },
+    });
+    if (existingDose) {
+      await sendReplyErrorSMS(
+        patient.profile.phone,
+        `Hi ${patient.profile.name}, this ${type.toLowerCase()} dose has already been logged.`
+      );
+      return res.json({ received: true, action: "duplicate", doseId: existingDose._id });
+    }
+
+    const result = await recordDose(patient._id.toString(), {
+      type,
+      timestamp,
+      units: doseRules.units,
+      insulinProduct: doseRules.insulinProduct,
+      notes: "Logged by SMS reply",
+    });
+
+    if (!result.success) {
+      await sendReplyErrorSMS(patient.profile.phone, result.msg);
+      return res.json({ received: true, action: "rejected", reason: result.msg });
+    }
+
+    await sendDoseConfirmationSMS(
+      patient.profile.phone,
+      patient.profile.name,
+      result.dose,
+      getPatientTimeZone(patient)
+    );
+
+    res.json({ received: true, action: "taken", doseId: result.dose._id });
+  } catch (err) {
+    console.error("Error handling inbound SMS:", err.message);
+    res.status(500).json({ msg: "Server Error handling inbound SMS." });
+  }
+};
+
+/**
+ * @function parseDeliveryReports
+ * @description Normalises a delivery report webhook payload, which may hold one report
+ * or a batch (an array, or an array under `data`)
+ * @param {Object|Array} body - Webhook request body
+ * @returns {Array<Object>} [{ reference, status, error }]
+ */
+const parseDeliveryReports = (body = {}) => {
+  const reports = Array.isArray(body) ? body : Array.isArray(body.data) ? body.data : [body];
+
+  return reports.map((report = {}) => ({
+    reference: report.reference || report.message_id || report.messageId || report.id || null,
+    status: report.status || report.delivery_status || report.state || null,
+    error: report.reason || report.error || report.description || undefined,
+  }));
+};
+
+/**
+ * @function handleDeliveryReport
+ * @description Updates the delivery status (queued/sent/delivered/failed/expired) of sent SMS
+ * from the provider's delivery reports, matched by provider reference
+ * @route POST /api/sms/delivery-report
+ * @access Public (SMS provider webhook, shared secret)
+ */
+exports.handleDeliveryReport = async (req, res) => {
+  if (!isValidWebhookSecret(req)) {
+    console.warn("SMS delivery report rejected: invalid webhook secret");
+    return res.status(401).json({ msg: "Invalid webhook secret." });
+  }
+
+  const reports = parseDeliveryReports(req.body);
+  if (reports.some((report) => !report.reference || !report.status)) {
+    return res
+      .status(400)
+      .json({ msg: "Each delivery report must include a reference and a status." });
+  }
+
+  try {
+    const results = [];
+
+    for (const report of reports) {
+      const status = normalizeDeliveryStatus(report.status);
+      if (!status) {
+        console.warn(`Unknown SMS delivery status "${report.status}" for ${report.reference}`);
+        results.push({ reference: report.reference, updated: false, reason: "unknown_status" });
+        continue;
+      }
+
+      const notification = await updateDeliveryStatus(report.reference, status, report.error);
+      if (!notification) {
+        console.warn(`SMS delivery report for unknown reference ${report.reference}`);
+        results.push({ reference: report.reference, updated: false, reason: "unknown_reference" });
+        continue;
+      }
+
+      console.log(`SMS ${report.reference} delivery status: ${notification.status}`);
+      results.push({ reference: report.reference, updated: true, status: notification.status });
+    }
+
+    // Always 200 so the provider does not keep retrying reports we cannot match
+    res.json({ received: true, results });
+  } catch (err) {
+    console.error("Error handling SMS delivery report:", err.message);
+    res.status(500).json({ msg: "Server Error handling delivery report." });
+  }
+};
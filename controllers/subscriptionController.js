@@ -0,0 +1,174 @@
+// backend/controllers/subscriptionController.js
+
+const Patient = require("../models/Patient");
+const { endSubscriptionPause, getPausedDaysInPeriod } = require("../utils/subscriptionUtils");
+
+// Longest a subscription can be frozen in one go
+const MAX_PAUSE_DAYS = 90;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * @function getPatientPauseAllowanceDays
+ * @description Days a patient may pause their own subscription per subscription period
+ * (SUBSCRIPTION_PAUSE_ALLOWANCE_DAYS). Longer pauses need an admin.
+ * @returns {number}
+ */
+const getPatientPauseAllowanceDays = () => {
+  const days = parseInt(process.env.SUBSCRIPTION_PAUSE_ALLOWANCE_DAYS);
+  return isNaN(days) ? 30 : days;
+};
+
+/**
+ * @function pauseSubscription
+ * @description Freeze a patient's subscription for a date range (hospital stay, travel).
+ * Reminders and expiry notices stop while it runs; when it ends, the subscription job
+ * moves the expiry out by the paused time. A start date in the past starts the pause now.
+ * Patients can pause for a limited number of days per subscription period; admins can go beyond it.
+ * @route POST /api/patients/:id/subscription-pause
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.pauseSubscription = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const patient = await Patient.findById(req.params.id);
+    if (!patient || patient.role !== "patient" || patient.isActive === false) {
+      return res.status(404).json({ msg: "Patient not found" });
+    }
+
+    if (!patient.subscriptionExpiry || patient.subscriptionStatus !== "active") {
+      return res
+        .status(400)
+        .json({ msg: "Only an active subscription can be paused. Please renew first." });
+    }
+    if (patient.subscriptionPause?.startsAt) {
+      return res.status(409).json({
+        msg: "This subscription already has a pause. End it before setting a new one.",
+        subscriptionPause: patient.subscriptionPause,
+      });
+    }
+
+    const now = new Date();
+    const requestedStart = req.body.startDate ? new Date(req.body.startDate) : now;
+    const startsAt = requestedStart > now ? requestedStart : now;
+    const endsAt = new Date(req.body.endDate);
+
+    if (endsAt <= startsAt) {
+      return res.status(400).json({ msg: "End date must be after the start date." });
+    }
+    if (endsAt.getTime() - startsAt.getTime() > MAX_PAUSE_DAYS * DAY_MS) {
+      return res
+        .status(400)
+        .json({ msg: `A subscription can be paused for at most ${MAX_PAUSE_DAYS} days at a time.` });
+    }
+    if (startsAt >= patient.subscriptionExpiry) {
+      return res
+        .status(400)
+        .json({ msg: "The pause must start before the subscription expires." });
+    }
+
+    // Paused time moves the expiry out for free, so patients only get a small allowance
+    if (req.user.role === "patient") {
+      const allowanceDays = getPatientPauseAllowanceDays();
+      const usedDays = getPausedDaysInPeriod(patient);
+      const requestedDays = (endsAt.getTime() - startsAt.getTime()) / DAY_MS;
+      if (usedDays + requestedDays > allowanceDays) {
+        const remainingDays = Math.max(0, Math.floor(allowanceDays - usedDays));
+        return res.status(403).json({
+          msg: `You can pause your subscription for up to ${allowanceDays} days per subscription period (${remainingDays} left). Please contact your care team for a longer pause.`,
+          allowanceDays,
+          remainingDays,
+        });
+      }
+    }
+
+    const subscriptionPause = {
+      startsAt,
+      endsAt,
+      reason: req.body.reason || null,
+      requestedBy: req.user.id,
+      requestedByRole: req.user.role,
+      requestedAt: now,
+    };
+
+    // Only set it if no other request set a pause meanwhile
+    const updated = await Patient.findOneAndUpdate(
+      { _id: patient._id, "subscriptionPause.startsAt": { $exists: false } },
+      { subscriptionPause },
+      { new: true }
+    ).select("subscriptionExpiry subscriptionPause");
+    if (!updated) {
+      return res
+        .status(409)
+        .json({ msg: "This subscription already has a pause. End it before setting a new one." });
+    }
+
+    console.log(
+      `Subscription for ${patient.profile.name} paused from ${startsAt.toISOString()} to ${endsAt.toISOString()} by ${req.user.role} (${req.user.id})`
+    );
+
+    res.status(201).json({
+      msg: "Subscription paused. Reminders stop during the pause and your expiry date moves out when it ends.",
+      subscriptionExpiry: updated.subscriptionExpiry,
+      subscriptionPause: updated.subscriptionPause,
+    });
+  } catch (err) {
+    console.error("Error pausing subscription:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).json({ msg: "Server Error pausing subscription." });
+  }
+};
+
+/**
+ * @function resumeSubscription
+ * @description End a patient's subscription pause now. A running pause extends the expiry by
+ * the time paused so far; a pause that hasn't started is cancelled.
+ * @route DELETE /api/patients/:id/subscription-pause
+ * @access Private (Patient (own), Admin, Super Admin)
+ */
+exports.resumeSubscription = async (req, res) => {
+  try {
+    if (req.user.role === "patient" && req.user.id !== req.params.id) {
+      return res.status(403).json({ msg: "Access denied" });
+    }
+
+    const patient = await Patient.findById(req.params.id);
+    if (!patient || patient.role !== "patient") {
+      return res.status(404).json({ msg: "Patient not found" });
+    }
+
+    const result = await endSubscriptionPause(patient, { endedBy: req.user.role });
+    if (!result) {
+      return res.status(404).json({ msg: "This subscription is not paused." });
+    }
+
+    if (result.cancelled) {
+      console.log(`Upcoming subscription pause for ${patient.profile.name} cancelled by ${req.user.role} (${req.user.id})`);
+      return res.json({
+        msg: "Upcoming pause cancelled.",
+        subscriptionExpiry: patient.subscriptionExpiry,
+      });
+    }
+
+    console.log(
+      `Subscription for ${patient.profile.name} resumed by ${req.user.role} (${req.user.id}): expiry ${result.previousExpiry.toISOString()} -> ${result.newExpiry.toISOString()}`
+    );
+
+    res.json({
+      msg: "Subscription resumed. Your expiry date has moved out by the time it was paused.",
+      subscriptionExpiry: result.newExpiry,
+      pausedFrom: result.pausedFrom,
+      pausedUntil: result.pausedUntil,
+    });
+  } catch (err) {
+    console.error("Error resuming subscription:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(400).json({ msg: "Invalid patient ID format." });
+    }
+    res.status(500).json({ msg: "Server Error resuming subscription." });
+  }
+};
@@ -0,0 +1,174 @@
+// backend/controllers/twoFactorController.js
+
+const Admin = require("../models/Admin");
+const {
+  TWO_FACTOR_FIELDS,
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  verifyTotpCode,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../utils/twoFactorUtils");
+
+/**
+ * @function getTwoFactorStatus
+ * @description Whether the signed-in admin has 2FA on, must have it, and how many recovery codes are left
+ * @route GET /api/auth/2fa
+ * @access Private (Admin, Super Admin)
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!admin) {
+      return res.status(404).json({ msg: "Admin not found" });
+    }
+
+    res.json({
+      enabled: admin.twoFactor.enabled,
+      enabledAt: admin.twoFactor.enabledAt,
+      required: isTwoFactorRequired(admin),
+      recoveryCodesLeft: admin.twoFactor.enabled ? admin.twoFactor.recoveryCodeHashes.length : 0,
+    });
+  } catch (err) {
+    console.error("Error fetching two-factor status:", err.message);
+    res.status(500).json({ msg: "Server Error fetching two-factor status." });
+  }
+};
+
+/**
+ * @function setupTwoFactor
+ * @description Get a new secret for an authenticator app. It takes effect once confirmed
+ * with a code through confirmTwoFactor.
+ * @route POST /api/auth/2fa/setup
+ * @access Private (Admin, Super Admin)
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id);
+    if (!admin) {
+      return res.status(404).json({ msg: "Admin not found" });
+    }
+    if (admin.twoFactor.enabled) {
+      return res.status(409).json({ msg: "Two-factor authentication is already enabled." });
+    }
+
+    res.json(await startTwoFactorSetup(admin));
+  } catch (err) {
+    console.error("Error setting up two-factor authentication:", err.message);
+    res.status(500).json({ msg: "Server Error setting up two-factor authentication." });
+  }
+};
+
+/**
+ * @function confirmTwoFactor
+ * @description Switch 2FA on with a code from the secret being set up. The recovery codes
+ * are only shown in this response.
+ * @route POST /api/auth/2fa/enable
+ * @access Private (Admin, Super Admin)
+ */
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!admin) {
+      return res.status(404).json({ msg: "Admin not found" });
+    }
+    if (admin.twoFactor.enabled) {
+      return res.status(409).json({ msg: "Two-factor authentication is already enabled." });
+    }
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({ msg: "Start two-factor setup first." });
+    }
+
+    if (!(await verifyTotpCode(admin, req.body.code, { pending: true }))) {
+      return res.status(400).json({ msg: "Invalid code." });
+    }
+
+    const recoveryCodes = await enableTwoFactor(admin);
+    if (!recoveryCodes) {
+      return res.status(409).json({ msg: "Two-factor setup changed. Please start again." });
+    }
+
+    console.log(`Two-factor authentication enabled by ${req.user.role} (${req.user.id})`);
+    res.json({
+      msg: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error("Error enabling two-factor authentication:", err.message);
+    res.status(500).json({ msg: "Server Error enabling two-factor authentication." });
+  }
+};
+
+/**
+ * @function replaceRecoveryCodes
+ * @description Replace the recovery codes (the old ones stop working). Needs a current code.
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private (Admin, Super Admin)
+ */
+exports.replaceRecoveryCodes = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!admin) {
+      return res.status(404).json({ msg: "Admin not found" });
+    }
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({ msg: "Two-factor authentication is not enabled." });
+    }
+
+    if (!(await verifyTotpCode(admin, req.body.code))) {
+      return res.status(400).json({ msg: "Invalid code." });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(admin);
+    console.log(`Recovery codes replaced by ${req.user.role} (${req.user.id})`);
+    res.json({ msg: "New recovery codes created. The old ones no longer work.", recoveryCodes });
+  } catch (err) {
+    console.error("Error replacing recovery codes:", err.message);
+    res.status(500).json({ msg: "Server Error replacing recovery codes." });
+  }
+};
+
+/**
+ * @function disableTwoFactor
+ * @description Switch 2FA off. Needs a current code; superadmins can't switch it off.
+ * @route DELETE /api/auth/2fa
+ * @access Private (Admin, Super Admin)
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!admin) {
+      return res.status(404).json({ msg: "Admin not found" });
+    }
+    if (isTwoFactorRequired(admin)) {
+      return res
+        .status(403)
+        .json({ msg: "Two-factor authentication is required for superadmin accounts." });
+    }
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({ msg: "Two-factor authentication is not enabled." });
+    }
+
+    if (!(await verifyTotpCode(admin, req.body.code))) {
+      return res.status(400).json({ msg: "Invalid code." });
+    }
+
+    await Admin.updateOne(
+      { _id: admin._id },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.secret": "",
+          "twoFactor.enabledAt": "",
+          "twoFactor.recoveryCodeHashes": "",
+        },
+      }
+    );
+
+    console.log(`Two-factor authentication disabled by ${req.user.role} (${req.user.id})`);
+    res.json({ msg: "Two-factor authentication disabled." });
+  } catch (err) {
+    console.error("Error disabling two-factor authentication:", err.message);
+    res.status(500).json({ msg: "Server Error disabling two-factor authentication." });
+  }
+};
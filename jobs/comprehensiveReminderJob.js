@@ -1,71 +1,126 @@
 // backend/jobs/comprehensiveReminderJob.js
 
-const cron = require("node-cron");
+const { scheduleTrackedJob } = require("../utils/jobRunner");
 const Patient = require("../models/Patient");
 const Dose = require("../models/Dose");
 const Admin = require("../models/Admin");
+const Notification = require("../models/Notification");
 const {
-  sendNewUserReminderSMS,
-  sendDoseReminderSMS,
-  sendThirdReminderSMS,
   sendReactivationSMS,
   sendSmartReactivationSMS,
 } = require("../utils/smsService");
-const { sendInactiveUserNotificationToAdmins } = require("../utils/emailService");
+const {
+  sendInactiveUserNotificationToAdmins,
+  sendDoseReminderEmail,
+} = require("../utils/emailService");
+const {
+  DEFAULT_REGIMEN,
+  getPatientRegimen,
+  getPatientRegimens,
+  getDosingIntervalHours,
+  getReminderDoseTypes,
+  calculateExpectedDoseTime,
+} = require("../utils/regimenUtils");
+const {
+  REMINDER_TEMPLATES,
+  getPatientReminderPolicies,
+  getPatientReminderPolicy,
+  getNewUserStepTime,
+  getActiveUserStepTime,
+  getFirstActiveReminderTime,
+} = require("../utils/reminderPolicyUtils");
+const {
+  getPatientTimeZone,
+  isInQuietHours,
+  getNextAllowedTime,
+} = require("../utils/dateUtils");
+const {
+  getSentNotices,
+  hasNotice,
+  recordNotices,
+} = require("../utils/noticeLedger");
+const { isSubscriptionPaused } = require("../utils/subscriptionUtils");
 
 /**
  * @function calculateNextReminderTime
  * @description Calculate when to send the next reminder based on last dose time
  * @param {Date} lastDoseTime - Time of last logged dose
- * @returns {Date} Next reminder time (23.5 hours after last dose)
+ * @param {Object} regimen - Patient regimen (defaults to once-daily basal)
+ * @param {string} [timeZone] - Patient's time zone for prescribed target times
+ * @returns {Date} Next reminder time (30 minutes before the expected dose, 23.5 hours by default)
  */
-const calculateNextReminderTime = (lastDoseTime) => {
-  const reminderTime = new Date(lastDoseTime);
-  // Add 23.5 hours (23 hours and 30 minutes)
-  reminderTime.setHours(reminderTime.getHours() + 23);
-  reminderTime.setMinutes(reminderTime.getMinutes() + 30);
-  return reminderTime;
+const calculateNextReminderTime = (lastDoseTime, regimen = DEFAULT_REGIMEN, timeZone) => {
+  const expectedDoseTime = calculateExpectedDoseTime(lastDoseTime, regimen, timeZone);
+  return new Date(expectedDoseTime.getTime() - 30 * 60 * 1000);
 };
 
 /**
  * @function calculateSecondReminderTime
- * @description Calculate when to send second reminder (24hr + 30min after last dose)
+ * @description Calculate when to send second reminder (30min after the expected dose, 24.5 hours by default)
  * @param {Date} lastDoseTime - Time of last logged dose
+ * @param {Object} regimen - Patient regimen (defaults to once-daily basal)
+ * @param {string} [timeZone] - Patient's time zone for prescribed target times
  * @returns {Date} Second reminder time
  */
-const calculateSecondReminderTime = (lastDoseTime) => {
-  const reminderTime = new Date(lastDoseTime);
-  // Add 24 hours and 30 minutes
-  reminderTime.setHours(reminderTime.getHours() + 24);
-  reminderTime.setMinutes(reminderTime.getMinutes() + 30);
-  return reminderTime;
+const calculateSecondReminderTime = (lastDoseTime, regimen = DEFAULT_REGIMEN, timeZone) => {
+  const expectedDoseTime = calculateExpectedDoseTime(lastDoseTime, regimen, timeZone);
+  return new Date(expectedDoseTime.getTime() + 30 * 60 * 1000);
 };
 
 /**
  * @function calculateThirdReminderTime
- * @description Calculate when to send third reminder (24hr after second reminder)
+ * @description Calculate when to send third reminder (one dosing interval after second reminder, 24hr by default)
  * @param {Date} secondReminderTime - Time of second reminder
+ * @param {Object} regimen - Patient regimen (defaults to once-daily basal)
  * @returns {Date} Third reminder time
  */
-const calculateThirdReminderTime = (secondReminderTime) => {
+const calculateThirdReminderTime = (secondReminderTime, regimen = DEFAULT_REGIMEN) => {
   const reminderTime = new Date(secondReminderTime);
-  // Add 24 hours
-  reminderTime.setHours(reminderTime.getHours() + 24);
+  reminderTime.setHours(reminderTime.getHours() + getDosingIntervalHours(regimen));
   return reminderTime;
 };
 
+/**
+ * @function getNextReminderTime
+ * @description When a patient's first reminder of a dose cycle goes out: the policy's first
+ * active-user step in the patient's time zone, moved out of their quiet hours
+ * @param {Object} patient - Patient object
+ * @param {Object} policy - Patient's reminder policy
+ * @param {Date} cycleStart - Last dose (or skipped dose) the cycle counts from
+ * @param {Object} regimen - Patient regimen
+ * @returns {Date|null} Next reminder time, or null if the policy has no active-user steps
+ */
+const getNextReminderTime = (patient, policy, cycleStart, regimen) => {
+  const reminderTime = getFirstActiveReminderTime(
+    policy,
+    cycleStart,
+    regimen,
+    getPatientTimeZone(patient)
+  );
+  return reminderTime && getNextAllowedTime(reminderTime, patient);
+};
+
 /**
  * @function updatePatientReminderData
- * @description Update patient's reminder tracking data when dose is logged
+ * @description Update patient's reminder tracking data when dose is logged. Only doses that
+ * follow the reminder schedule (see getReminderDoseTypes) start a new cycle.
  * @param {string} patientId - Patient ID
  * @param {Date} doseTime - Time when dose was logged
+ * @param {string} doseType - "Basal" or "Bolus"
  */
-const updatePatientReminderData = async (patientId, doseTime) => {
+const updatePatientReminderData = async (patientId, doseTime, doseType) => {
   try {
     const patient = await Patient.findById(patientId);
     if (!patient) return;
 
-    const nextReminderTime = calculateNextReminderTime(doseTime);
+    const [regimen, policy] = await Promise.all([
+      getPatientRegimen(patientId),
+      getPatientReminderPolicy(patient),
+    ]);
+    // e.g. a meal bolus must not silence a missed basal dose reminder
+    if (!getReminderDoseTypes(regimen).includes(doseType)) return;
+
+    const nextReminderTime = getNextReminderTime(patient, policy, doseTime, regimen);
 
     // Update patient data
     await Patient.findByIdAndUpdate(patientId, {
@@ -75,6 +130,8 @@ const updatePatientReminderData = async (patientId, doseTime) => {
       lastReminderSent: null,
       hasLoggedFirstDose: true,
       smsReminderCycle: 'active_user', // Switch to active user cycle
+      skippedDoseTime: null,
+      lastReminderNotification: null,
     });
 
     console.log(
@@ -85,10 +142,76 @@ const updatePatientReminderData = async (patientId, doseTime) => {
   }
 };
 
+/**
+ * @function getReminderCycleStart
+ * @description The time the current reminder cycle counts from: the last dose,
+ * or the expected time of a later dose the patient skipped by SMS reply
+ * @param {Object} patient - Patient document
+ * @returns {Date} Cycle start time
+ */
+const getReminderCycleStart = (patient) => {
+  const lastDoseTime = new Date(patient.lastDoseTime);
+  if (patient.skippedDoseTime && new Date(patient.skippedDoseTime) > lastDoseTime) {
+    return new Date(patient.skippedDoseTime);
+  }
+  return lastDoseTime;
+};
+
+/**
+ * @function recordSkippedDose
+ * @description Stop reminders for the current dose after the patient replies SKIP.
+ * The next cycle counts from the skipped dose's expected time.
+ * @param {string} patientId - Patient ID
+ * @returns {Object} { success, skippedDoseTime, nextReminderTime }
+ */
+const recordSkippedDose = async (patientId) => {
+  try {
+    const patient = await Patient.findById(patientId);
+    if (!patient) return { success: false };
+
+    const policy = await getPatientReminderPolicy(patient);
+
+    // New users have no dose schedule yet; just end their first-dose nudges
+    if (!patient.hasLoggedFirstDose || !patient.lastDoseTime) {
+      await Patient.findByIdAndUpdate(patientId, {
+        reminderAttempts: policy.newUserSteps.length,
+      });
+      console.log(`New user reminders stopped after SKIP reply for patient ${patientId}`);
+      return { success: true, skippedDoseTime: null, nextReminderTime: null };
+    }
+
+    const regimen = await getPatientRegimen(patientId);
+    const skippedDoseTime = calculateExpectedDoseTime(
+      getReminderCycleStart(patient),
+      regimen,
+      getPatientTimeZone(patient)
+    );
+    const nextReminderTime = getNextReminderTime(patient, policy, skippedDoseTime, regimen);
+
+    await Patient.findByIdAndUpdate(patientId, {
+      skippedDoseTime,
+      nextReminderTime,
+      reminderAttempts: 0,
+      lastReminderSent: null,
+      lastReminderNotification: null,
+      smsReminderCycle: 'active_user',
+    });
+
+    console.log(
+      `Dose due ${skippedDoseTime} skipped by patient ${patientId}. Next reminder: ${nextReminderTime}`
+    );
+    return { success: true, skippedDoseTime, nextReminderTime };
+  } catch (error) {
+    console.error("Error recording skipped dose:", error);
+    return { success: false };
+  }
+};
+
 /**
  * @function handleReactivation
  * @description Handle reactivation logic when user becomes active
  * @param {Object} patient - Patient object
+ * @returns {Promise<boolean>} Whether the reactivation SMS was queued
  */
 const handleReactivation = async (patient) => {
   try {
@@ -98,17 +221,17 @@ const handleReactivation = async (patient) => {
     
     // Send smart reactivation SMS based on subscription status
     const smsResult = await sendSmartReactivationSMS(
-      patient.phone, 
-      patient.name, 
+      patient.profile.phone, 
+      patient.profile.name, 
       subscriptionExpired, 
       patient.deactivationReason,
       patient
     );
     
     if (smsResult.success) {
-      console.log(`Smart reactivation SMS sent to ${patient.name} (${patient.phone}) - Subscription expired: ${subscriptionExpired}`);
+      console.log(`Smart reactivation SMS sent to ${patient.profile.name} (${patient.profile.phone}) - Subscription expired: ${subscriptionExpired}`);
     } else {
-      console.error(`Failed to send reactivation SMS to ${patient.phone}:`, smsResult.error);
+      console.error(`Failed to send reactivation SMS to ${patient.profile.phone}:`, smsResult.error);
     }
 
     // Reset SMS cycle to new_user to encourage first dose logging
@@ -117,13 +240,16 @@ const handleReactivation = async (patient) => {
       hasLoggedFirstDose: false,
       reminderAttempts: 0,
       lastReminderSent: null,
+      lastReminderNotification: null,
       nextReminderTime: null,
       welcomeSmsSentAt: new Date(), // Mark that we've sent the reactivation SMS
     });
 
-    console.log(`Smart reactivation handled for ${patient.name}`);
+    console.log(`Smart reactivation handled for ${patient.profile.name}`);
+    return smsResult.success;
   } catch (error) {
     console.error("Error handling reactivation:", error);
+    return false;
   }
 };
 
@@ -131,6 +257,7 @@ const handleReactivation = async (patient) => {
  * @function sendAdminNotification
  * @description Send admin notification for inactive user
  * @param {Object} patient - Patient object
+ * @returns {Promise<boolean>} Whether the admins were emailed
  */
 const sendAdminNotification = async (patient) => {
   try {
@@ -138,7 +265,7 @@ const sendAdminNotification = async (patient) => {
     const lastDoses = await Dose.find({ patient: patient._id })
       .sort({ timestamp: -1 })
       .limit(5)
-      .select('type timestamp');
+      .select('type timestamp units');
 
     // Get last 3 reminder timestamps (we'll track this in the patient record)
     const lastReminders = [];
@@ -156,9 +283,9 @@ const sendAdminNotification = async (patient) => {
 
     if (adminEmails.length > 0) {
       await sendInactiveUserNotificationToAdmins(
-        patient.name,
+        patient.profile.name,
         patient.email,
-        patient.phone,
+        patient.profile.phone,
         lastDoses,
         lastReminders,
         adminEmails
@@ -170,251 +297,583 @@ const sendAdminNotification = async (patient) => {
         smsReminderCycle: 'admin_notified'
       });
       
-      console.log(`Admin notification sent for inactive user: ${patient.name}`);
-    } else {
-      console.log("No admin emails found for inactive user notification");
+      console.log(`Admin notification sent for inactive user: ${patient.profile.name}`);
+      return true;
     }
+
+    console.log("No admin emails found for inactive user notification");
+    return false;
   } catch (error) {
     console.error("Error sending admin notification:", error);
+    return false;
   }
 };
 
 /**
- * @function scheduleComprehensiveReminderJob
- * @description Schedules a comprehensive cron job to handle all SMS reminder logic
- * Runs every 30 minutes to check for various reminder scenarios
+ * @function escalateReminderByEmail
+ * @description Send the dose reminder by email after the SMS could not be delivered
+ * @param {Object} patient - Patient object
+ * @returns {Promise<boolean>} Whether the email was queued
  */
-const scheduleComprehensiveReminderJob = () => {
-  // Run every 30 minutes to check for reminders
-  cron.schedule("*/30 * * * *", async () => {
-    console.log("Running comprehensive SMS reminder check...");
-
-    try {
-      const now = new Date();
+const escalateReminderByEmail = async (patient) => {
+  if (!patient.email) return false;
 
-      // 1. Check for reactivations (active changed from false to true)
-      // Only check patients who were recently reactivated (within last 2 hours)
-      const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
-      
-      const reactivatedPatients = await Patient.find({
-        active: true,
-        verified: true,
-        previousActiveState: false, // Only patients who were previously inactive
-        lastActivationDate: { 
-          $exists: true,
-          $gte: twoHoursAgo // Only recently reactivated (within last 2 hours)
-        },
-        $expr: {
-          $gt: ["$lastActivationDate", "$date"] // lastActivationDate > date (account creation)
-        }
-      });
+  try {
+    await sendDoseReminderEmail(patient.email, patient.profile.name, patient._id, { smsUndelivered: true });
+    await Patient.findByIdAndUpdate(patient._id, { lastReminderNotification: null });
+    console.log(`Undelivered reminder escalated by email for ${patient.profile.name}`);
+    return true;
+  } catch (error) {
+    console.error(`Error escalating reminder by email for ${patient.profile.name}:`, error);
+    return false;
+  }
+};
 
-      for (const patient of reactivatedPatients) {
-        // Check if we haven't already handled this reactivation
-        const lastActivation = patient.lastActivationDate;
-        const lastHandled = patient.welcomeSmsSentAt;
-        
-        // Only send reactivation SMS if:
-        // 1. No welcome SMS was sent yet, OR
-        // 2. The last activation was after the last welcome SMS sent
-        if (!lastHandled || lastActivation > lastHandled) {
-          console.log(`Processing reactivation for ${patient.name} - Last activation: ${lastActivation}, Last handled: ${lastHandled}`);
-          await handleReactivation(patient);
-        } else {
-          console.log(`Skipping reactivation for ${patient.name} - Already handled`);
-        }
-      }
+/**
+ * @function handleUndeliveredReminders
+ * @description Act on reminder SMS that delivery reports marked failed or expired.
+ * The first non-delivery is resent by SMS; if the resend is not delivered either, the
+ * reminder goes out by email. A reminder that cannot be resent or emailed is taken back off the
+ * patient's reminderAttempts count, so it does not count as a reminder they received.
+ * @param {Object} stats - Job run counts ({ messagesSent, errors })
+ */
+const handleUndeliveredReminders = async (stats) => {
+  const undelivered = await Notification.find({
+    channel: "sms",
+    template: { $in: Object.keys(REMINDER_TEMPLATES) },
+    status: { $in: ["failed", "expired"] },
+    deliveryHandled: { $ne: true },
+  });
 
-      // 2. Check new users (6 hours and 24 hours after welcome SMS)
-      const newUsers = await Patient.find({
-        role: "patient",
+  for (const notification of undelivered) {
+    try {
+      // Only act if this is still the patient's current reminder (no dose logged since)
+      const patient = await Patient.findOne({
+        lastReminderNotification: notification._id,
         active: true,
         verified: true,
-        smsReminderCycle: 'new_user',
-        welcomeSmsSent: true,
-        welcomeSmsSentAt: { $exists: true },
-        hasLoggedFirstDose: false,
         isActive: { $ne: false },
+        subscriptionStatus: { $ne: "read_only" },
       });
 
-      for (const patient of newUsers) {
-        if (!patient.phone) continue;
-
-        const welcomeSmsTime = new Date(patient.welcomeSmsSentAt);
-        const sixHoursLater = new Date(welcomeSmsTime.getTime() + 6 * 60 * 60 * 1000);
-        const twentyFourHoursLater = new Date(welcomeSmsTime.getTime() + 24 * 60 * 60 * 1000);
+      // Leave it for a later run while the patient is in their quiet hours
+      if (patient && isInQuietHours(new Date(), patient)) continue;
 
-        // Check if it's time for 6-hour reminder
-        if (now >= sixHoursLater && patient.reminderAttempts === 0) {
-          // Check if user logged a dose since welcome SMS
-          const doseAfterWelcome = await Dose.findOne({
+      // Reminders that went undelivered before a subscription pause are dropped, not resent
+      let redelivered = false;
+      if (patient && patient.profile.phone && !isSubscriptionPaused(patient)) {
+        if (!notification.retryOf) {
+          const smsResult = await REMINDER_TEMPLATES[notification.template].sms(patient, {
+            retryOf: notification._id,
             patient: patient._id,
-            timestamp: { $gte: welcomeSmsTime },
+            idempotencyKey: `${notification.template}:retry:${notification._id}`,
           });
 
-          if (!doseAfterWelcome) {
-            try {
-              const smsResult = await sendNewUserReminderSMS(patient.phone, patient.name, 1);
-              
-              if (smsResult.success) {
-                await Patient.findByIdAndUpdate(patient._id, {
-                  reminderAttempts: 1,
-                  lastReminderSent: now,
-                });
-                console.log(`6-hour reminder sent to new user: ${patient.name}`);
-              }
-            } catch (error) {
-              console.error(`Error sending 6-hour reminder to ${patient.name}:`, error);
-            }
+          if (smsResult.success) {
+            await Patient.findByIdAndUpdate(patient._id, {
+              lastReminderNotification: smsResult.notificationId,
+            });
+            console.log(`Undelivered ${notification.template} resent to ${patient.profile.name}`);
+            redelivered = true;
+          } else {
+            redelivered = await escalateReminderByEmail(patient);
           }
+        } else {
+          redelivered = await escalateReminderByEmail(patient);
         }
+      }
 
-        // Check if it's time for 24-hour reminder
-        if (now >= twentyFourHoursLater && patient.reminderAttempts === 1) {
-          // Check if user logged a dose since 6-hour reminder
-          const doseAfterSixHour = await Dose.findOne({
-            patient: patient._id,
-            timestamp: { $gte: sixHoursLater },
-          });
+      if (redelivered) {
+        stats.messagesSent++;
+      } else if (patient) {
+        await Patient.updateOne(
+          { _id: patient._id, reminderAttempts: { $gt: 0 } },
+          { $inc: { reminderAttempts: -1 }, lastReminderNotification: null }
+        );
+        console.log(`Undelivered ${notification.template} for ${patient.profile.name} not counted as a reminder`);
+      }
 
-          if (!doseAfterSixHour) {
-            try {
-              const smsResult = await sendNewUserReminderSMS(patient.phone, patient.name, 2);
-              
-              if (smsResult.success) {
-                await Patient.findByIdAndUpdate(patient._id, {
-                  reminderAttempts: 2,
-                  lastReminderSent: now,
-                  smsReminderCycle: 'inactive_user', // End new user cycle
-                });
-                console.log(`24-hour reminder sent to new user: ${patient.name}`);
-              }
-            } catch (error) {
-              console.error(`Error sending 24-hour reminder to ${patient.name}:`, error);
-            }
-          }
-        }
+      notification.deliveryHandled = true;
+      await notification.save();
+    } catch (error) {
+      console.error(`Error handling undelivered reminder ${notification._id}:`, error);
+      stats.errors.push(`Undelivered reminder ${notification._id}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * @function getStepChannel
+ * @description Channel a reminder step goes out on. Email-only steps go by SMS to patients
+ * without an email, so their reminders still move on to the next step.
+ * @param {Object} step - Policy step
+ * @param {Object} patient - Patient document
+ * @returns {string} "sms" or "email"
+ */
+const getStepChannel = (step, patient) =>
+  step.channel === "email" && patient.email ? "email" : "sms";
+
+/**
+ * @function runReminderStep
+ * @description Send one reminder policy step to a patient and add it to their reminder count
+ * @param {Object} patient - Patient document
+ * @param {Object} step - Policy step ({ channel, template, escalation })
+ * @param {Object} context - { stepNumber, idempotencyKey, now }
+ * @returns {Promise<boolean>} Whether the reminder was queued
+ */
+const runReminderStep = async (patient, step, { stepNumber, idempotencyKey, now }) => {
+  const channel = getStepChannel(step, patient);
+  const send = REMINDER_TEMPLATES[step.template]?.[channel];
+  if (!send) {
+    console.error(`Reminder template ${step.template} cannot be sent by ${channel}; skipping step for ${patient.profile.name}`);
+    return false;
+  }
+
+  try {
+    const result = await send(patient, { patient: patient._id, idempotencyKey });
+    if (!result.success) return false;
+
+    // Counted now; undelivered SMS are taken off again by handleUndeliveredReminders
+    const update = {
+      $inc: { reminderAttempts: 1 },
+      lastReminderSent: now,
+      // Only SMS reminders are tracked for delivery reports
+      lastReminderNotification: channel === "sms" ? result.notificationId : null,
+    };
+    if (step.escalation === "mark_inactive" || step.escalation === "notify_admins") {
+      update.smsReminderCycle = 'inactive_user';
+    }
+    await Patient.findByIdAndUpdate(patient._id, update);
+
+    console.log(`Reminder step ${stepNumber} (${step.template} by ${channel}) sent to ${patient.profile.name}`);
+    return true;
+  } catch (error) {
+    console.error(`Error sending reminder step ${stepNumber} to ${patient.profile.name}:`, error);
+    return false;
+  }
+};
+
+// Strongest escalation wins when overdue steps are folded into one
+const ESCALATION_RANK = { none: 0, mark_inactive: 1, notify_admins: 2 };
+
+/**
+ * @function findDueReminderStep
+ * @description Pick the reminder step to send now. Normally this is the patient's next step;
+ * after downtime, when several steps are overdue, only the latest is sent and the earlier ones
+ * are superseded (their escalation still applies). Steps already in the SentNotice ledger are never picked again.
+ * @param {Object} patient - Patient document
+ * @param {Array} steps - Policy steps for the patient's cycle
+ * @param {Object} options - { prefix, anchorTime, getStepTime, ledger, now }
+ * @returns {Object|null} { step, index, dueAt, anchorTime, milestone, superseded } or null if nothing is due
+ */
+const findDueReminderStep = (patient, steps, { prefix, anchorTime, getStepTime, ledger, now }) => {
+  const cycleKey = anchorTime.toISOString();
+  const due = [];
+
+  for (let index = patient.reminderAttempts; index < steps.length; index++) {
+    const milestone = `${prefix}_${index + 1}`;
+    if (hasNotice(ledger, patient._id, milestone, cycleKey)) continue;
+    const dueAt = getStepTime(steps[index]);
+    if (now < dueAt) break;
+    due.push({ index, dueAt, milestone });
+  }
+  if (due.length === 0) return null;
+
+  const latest = due[due.length - 1];
+  const superseded = due.slice(0, -1);
+  const escalation = due
+    .map(({ index }) => steps[index].escalation || "none")
+    .reduce((a, b) => (ESCALATION_RANK[b] > ESCALATION_RANK[a] ? b : a));
+
+  return {
+    step: { ...steps[latest.index], escalation },
+    index: latest.index,
+    dueAt: latest.dueAt,
+    anchorTime,
+    milestone: latest.milestone,
+    superseded: superseded.map(({ index, milestone }) => ({ stepNumber: index + 1, milestone })),
+  };
+};
+
+/**
+ * @function findAdminEscalationNotice
+ * @description Find the ledger entry of a sent (or superseded) reminder step that escalates to
+ * admins in the patient's current new-user or active-user cycle
+ * @param {Object} patient - Patient document
+ * @param {Object} policy - The patient's reminder policy
+ * @param {Map} ledger - Result of getSentNotices for the patient
+ * @returns {Object|null} { milestone, cycleKey } or null if no such step went out
+ */
+const findAdminEscalationNotice = (patient, policy, ledger) => {
+  const cycles = [
+    { prefix: "new_user_step", steps: policy.newUserSteps, anchorTime: patient.welcomeSmsSentAt },
+    {
+      prefix: "active_step",
+      steps: policy.activeUserSteps,
+      anchorTime: patient.lastDoseTime && getReminderCycleStart(patient),
+    },
+  ];
+
+  for (const { prefix, steps, anchorTime } of cycles) {
+    if (!anchorTime) continue;
+    const cycleKey = new Date(anchorTime).toISOString();
+    for (const [index, step] of (steps || []).entries()) {
+      const milestone = `${prefix}_${index + 1}`;
+      if (step.escalation === "notify_admins" && hasNotice(ledger, patient._id, milestone, cycleKey)) {
+        return { milestone, cycleKey };
       }
+    }
+  }
+  return null;
+};
 
-      // 3. Check active users (23.5hr, 24.5hr, and 24hr after second reminder)
-      const activeUsers = await Patient.find({
-        role: "patient",
-        active: true,
-        verified: true,
-        smsReminderCycle: 'active_user',
-        hasLoggedFirstDose: true,
-        isActive: { $ne: false },
+/**
+ * @function planReminderActions
+ * @description Decide which reactivation SMS, reminder steps and admin notifications are due
+ * at a given time. Only reads data, so it backs both the scheduled job and the dry-run.
+ * @param {Date} now - Time to plan for
+ * @param {Object} [options] - { patientId } to plan for a single patient
+ * @returns {Promise<Object>} { now, actions, deferred, patientsScanned }. Each action holds the patient document,
+ * its type (reactivation_sms, new_user_reminder, active_reminder, admin_notification) and step details.
+ */
+const planReminderActions = async (now = new Date(), { patientId } = {}) => {
+  const actions = [];
+  const deferred = [];
+  const patientFilter = patientId ? { _id: patientId } : {};
+  const reactivatedIds = new Set();
+
+  // 1. Check for reactivations (active changed from false to true)
+  // Only check patients who were recently reactivated (within last 2 hours)
+  const twoHoursAgo = new Date(now.getTime() - 2 * 60 * 60 * 1000);
+
+  const reactivatedPatients = await Patient.find({
+    ...patientFilter,
+    active: true,
+    verified: true,
+    previousActiveState: false, // Only patients who were previously inactive
+    lastActivationDate: {
+      $exists: true,
+      $gte: twoHoursAgo, // Only recently reactivated (within last 2 hours)
+      $lte: now,
+    },
+    $expr: {
+      $gt: ["$lastActivationDate", "$date"] // lastActivationDate > date (account creation)
+    }
+  });
+
+  for (const patient of reactivatedPatients) {
+    // Only send reactivation SMS if:
+    // 1. No welcome SMS was sent yet, OR
+    // 2. The last activation was after the last welcome SMS sent
+    const lastHandled = patient.welcomeSmsSentAt;
+    if (!lastHandled || patient.lastActivationDate > lastHandled) {
+      actions.push({ type: "reactivation_sms", patient, template: "smart_reactivation", channel: "sms" });
+      // Reactivation restarts the patient's reminder cycle, so nothing else is due this run
+      reactivatedIds.add(patient._id.toString());
+    }
+  }
+
+  // Reminder steps that fall in the patient's quiet hours wait until the window ends
+  const planStep = (type, patient, candidate) => {
+    const { step, index, dueAt, anchorTime, milestone, superseded } = candidate;
+    const stepNumber = index + 1;
+    const entry = {
+      type,
+      patient,
+      step,
+      stepNumber,
+      template: step.template,
+      channel: getStepChannel(step, patient),
+      dueAt,
+      idempotencyKey: `${step.template}:${patient._id}:${anchorTime.toISOString()}:${index}`,
+      milestone,
+      cycleKey: anchorTime.toISOString(),
+      supersededSteps: superseded,
+    };
+
+    if (isInQuietHours(now, patient)) {
+      deferred.push({ ...entry, reason: "quiet_hours", deferredUntil: getNextAllowedTime(now, patient) });
+      return;
+    }
+
+    actions.push(entry);
+    if (step.escalation === "notify_admins" && !patient.adminNotifiedDate) {
+      actions.push({
+        type: "admin_notification",
+        patient,
+        stepNumber,
+        template: "admin_inactive_user",
+        channel: "email",
+        milestone,
+        cycleKey: entry.cycleKey,
+        lastReminderSent: now,
       });
+    }
+  };
+
+  // 2. New users: first-dose nudges from their reminder policy, counted from the welcome SMS
+  const newUsers = await Patient.find({
+    ...patientFilter,
+    role: "patient",
+    active: true,
+    verified: true,
+    smsReminderCycle: 'new_user',
+    welcomeSmsSent: true,
+    welcomeSmsSentAt: { $exists: true },
+    hasLoggedFirstDose: false,
+    isActive: { $ne: false },
+    subscriptionStatus: { $ne: "read_only" }, // Reminders continue through the grace period only
+  });
 
-      for (const patient of activeUsers) {
-        if (!patient.phone || !patient.lastDoseTime) continue;
+  const [newUserPolicies, newUserNotices] = await Promise.all([
+    getPatientReminderPolicies(newUsers),
+    getSentNotices(newUsers.map((p) => p._id), "reminder"),
+  ]);
+
+  for (const patient of newUsers) {
+    if (!patient.profile.phone || reactivatedIds.has(patient._id.toString())) continue;
+    // No reminders while the subscription is paused
+    if (isSubscriptionPaused(patient, now)) continue;
+
+    const policy = newUserPolicies.get(patient._id.toString());
+    const welcomeSmsTime = new Date(patient.welcomeSmsSentAt);
+    const candidate = findDueReminderStep(patient, policy.newUserSteps, {
+      prefix: "new_user_step",
+      anchorTime: welcomeSmsTime,
+      getStepTime: (step) => getNewUserStepTime(step, welcomeSmsTime),
+      ledger: newUserNotices,
+      now,
+    });
+    if (!candidate) continue;
 
-        const lastDoseTime = new Date(patient.lastDoseTime);
-        const firstReminderTime = calculateNextReminderTime(lastDoseTime);
-        const secondReminderTime = calculateSecondReminderTime(lastDoseTime);
-        const thirdReminderTime = calculateThirdReminderTime(secondReminderTime);
+    // Check if user logged a dose since welcome SMS
+    const doseAfterWelcome = await Dose.findOne({
+      patient: patient._id,
+      timestamp: { $gte: welcomeSmsTime, $lte: now },
+    });
+    if (doseAfterWelcome) continue;
 
-        // First reminder (23.5 hours)
-        if (now >= firstReminderTime && patient.reminderAttempts === 0) {
-          const doseAfterFirstReminder = await Dose.findOne({
-            patient: patient._id,
-            timestamp: { $gte: firstReminderTime },
-          });
+    planStep("new_user_reminder", patient, candidate);
+  }
 
-          if (!doseAfterFirstReminder) {
-            try {
-              const smsResult = await sendDoseReminderSMS(patient.phone, patient.name, 1);
-              
-              if (smsResult.success) {
-                await Patient.findByIdAndUpdate(patient._id, {
-                  reminderAttempts: 1,
-                  lastReminderSent: now,
-                });
-                console.log(`First reminder sent to active user: ${patient.name}`);
-              }
-            } catch (error) {
-              console.error(`Error sending first reminder to ${patient.name}:`, error);
-            }
-          }
-        }
+  // 3. Active users: dose reminders from their reminder policy, around the expected dose time from their regimen
+  const activeUsers = await Patient.find({
+    ...patientFilter,
+    role: "patient",
+    active: true,
+    verified: true,
+    smsReminderCycle: 'active_user',
+    hasLoggedFirstDose: true,
+    isActive: { $ne: false },
+    subscriptionStatus: { $ne: "read_only" }, // Reminders continue through the grace period only
+  });
 
-        // Second reminder (24.5 hours)
-        if (now >= secondReminderTime && patient.reminderAttempts === 1) {
-          const doseAfterSecondReminder = await Dose.findOne({
-            patient: patient._id,
-            timestamp: { $gte: secondReminderTime },
-          });
+  // Load every active user's prescribed regimen and reminder policy in two queries
+  const [regimens, activeUserPolicies, activeUserNotices] = await Promise.all([
+    getPatientRegimens(activeUsers.map((p) => p._id)),
+    getPatientReminderPolicies(activeUsers),
+    getSentNotices(activeUsers.map((p) => p._id), "reminder"),
+  ]);
+
+  for (const patient of activeUsers) {
+    if (!patient.profile.phone || !patient.lastDoseTime || reactivatedIds.has(patient._id.toString())) continue;
+    if (isSubscriptionPaused(patient, now)) continue;
+
+    const regimen = regimens.get(patient._id.toString());
+    const policy = activeUserPolicies.get(patient._id.toString());
+    const cycleStart = getReminderCycleStart(patient);
+    const timeZone = getPatientTimeZone(patient);
+    const candidate = findDueReminderStep(patient, policy.activeUserSteps, {
+      prefix: "active_step",
+      anchorTime: cycleStart,
+      getStepTime: (step) => getActiveUserStepTime(step, cycleStart, regimen, timeZone),
+      ledger: activeUserNotices,
+      now,
+    });
+    if (!candidate) continue;
 
-          if (!doseAfterSecondReminder) {
-            try {
-              const smsResult = await sendDoseReminderSMS(patient.phone, patient.name, 2);
-              
-              if (smsResult.success) {
-                await Patient.findByIdAndUpdate(patient._id, {
-                  reminderAttempts: 2,
-                  lastReminderSent: now,
-                });
-                console.log(`Second reminder sent to active user: ${patient.name}`);
-              }
-            } catch (error) {
-              console.error(`Error sending second reminder to ${patient.name}:`, error);
-            }
-          }
-        }
+    // Check if user logged a dose since the cycle started
+    const doseInCycle = await Dose.findOne({
+      patient: patient._id,
+      type: { $in: getReminderDoseTypes(regimen) },
+      timestamp: { $gt: cycleStart, $lte: now },
+    });
+    if (doseInCycle) continue;
 
-        // Third reminder (24 hours after second reminder)
-        if (now >= thirdReminderTime && patient.reminderAttempts === 2) {
-          const doseAfterThirdReminder = await Dose.findOne({
-            patient: patient._id,
-            timestamp: { $gte: thirdReminderTime },
-          });
+    planStep("active_reminder", patient, candidate);
+  }
 
-          if (!doseAfterThirdReminder) {
-            try {
-              const smsResult = await sendThirdReminderSMS(patient.phone, patient.name);
-              
-              if (smsResult.success) {
-                await Patient.findByIdAndUpdate(patient._id, {
-                  reminderAttempts: 3,
-                  lastReminderSent: now,
-                  smsReminderCycle: 'inactive_user',
-                });
-                console.log(`Third reminder sent to active user: ${patient.name}`);
-              }
-            } catch (error) {
-              console.error(`Error sending third reminder to ${patient.name}:`, error);
-            }
-          }
-        }
-      }
+  // 4. Inactive users whose escalation step went out but whose admins were not notified yet,
+  // e.g. because the admin email failed or there was no admin to send it to
+  const inactiveUsers = await Patient.find({
+    ...patientFilter,
+    role: "patient",
+    active: true,
+    verified: true,
+    smsReminderCycle: 'inactive_user',
+    adminNotifiedDate: null, // Not yet notified
+    isActive: { $ne: false },
+  });
 
-      // 4. Check inactive users for admin notification
-      const inactiveUsers = await Patient.find({
-        role: "patient",
-        active: true,
-        verified: true,
-        smsReminderCycle: 'inactive_user',
-        reminderAttempts: 3,
-        adminNotifiedDate: { $exists: false }, // Not yet notified
-        isActive: { $ne: false },
-      });
+  const [inactiveUserPolicies, inactiveUserNotices] = await Promise.all([
+    getPatientReminderPolicies(inactiveUsers),
+    getSentNotices(inactiveUsers.map((p) => p._id), "reminder"),
+  ]);
+
+  for (const patient of inactiveUsers) {
+    if (reactivatedIds.has(patient._id.toString())) continue;
+
+    const policy = inactiveUserPolicies.get(patient._id.toString());
+    const notice = findAdminEscalationNotice(patient, policy, inactiveUserNotices);
+    if (!notice) continue;
+
+    actions.push({
+      type: "admin_notification",
+      patient,
+      template: "admin_inactive_user",
+      channel: "email",
+      ...notice,
+      lastReminderSent: patient.lastReminderSent,
+    });
+  }
 
-      for (const patient of inactiveUsers) {
-        await sendAdminNotification(patient);
-      }
+  return {
+    now,
+    actions,
+    deferred,
+    patientsScanned:
+      reactivatedPatients.length + newUsers.length + activeUsers.length + inactiveUsers.length,
+  };
+};
 
-      console.log("Comprehensive SMS reminder check completed.");
-    } catch (error) {
-      console.error("Error in comprehensive SMS reminder job:", error);
+/**
+ * @function recordReminderNotices
+ * @description Add a sent reminder step, and any overdue steps it superseded, to the SentNotice ledger
+ * @param {Object} action - Reminder action from planReminderActions
+ */
+const recordReminderNotices = async ({ patient, milestone, cycleKey, supersededSteps = [] }) => {
+  try {
+    await recordNotices([
+      { patient: patient._id, kind: "reminder", milestone, cycleKey, status: "sent" },
+      ...supersededSteps.map((s) => ({
+        patient: patient._id,
+        kind: "reminder",
+        milestone: s.milestone,
+        cycleKey,
+        status: "superseded",
+      })),
+    ]);
+  } catch (error) {
+    // The step went out; a later run picking it again reuses its idempotency key, so it is not resent
+    console.error(`Error recording reminder notices for ${patient.profile.name}:`, error);
+  }
+};
+
+/**
+ * @function executeReminderPlan
+ * @description Carry out the actions from planReminderActions. An admin notification
+ * only goes out once the reminder step that escalated is in the SentNotice ledger, i.e. was sent.
+ * @param {Object} plan - Result of planReminderActions
+ * @param {Object} stats - Job run counts ({ messagesSent, errors })
+ */
+const executeReminderPlan = async ({ now, actions }, stats) => {
+  for (const action of actions) {
+    const { patient } = action;
+    let sent = false;
+
+    if (action.type === "reactivation_sms") {
+      console.log(`Processing reactivation for ${patient.profile.name} - Last activation: ${patient.lastActivationDate}, Last handled: ${patient.welcomeSmsSentAt}`);
+      sent = await handleReactivation(patient);
+    } else if (action.type === "new_user_reminder" || action.type === "active_reminder") {
+      sent = await runReminderStep(patient, action.step, {
+        stepNumber: action.stepNumber,
+        idempotencyKey: action.idempotencyKey,
+        now,
+      });
+      if (sent) await recordReminderNotices(action);
+    } else if (action.type === "admin_notification") {
+      const ledger = await getSentNotices([patient._id], "reminder");
+      if (!hasNotice(ledger, patient._id, action.milestone, action.cycleKey)) continue;
+      sent = await sendAdminNotification({ ...patient.toObject(), lastReminderSent: action.lastReminderSent });
     }
-  });
+
+    if (sent) {
+      stats.messagesSent++;
+    } else {
+      stats.errors.push(`${action.type} (${action.template}) not sent for patient ${patient._id}`);
+    }
+  }
+};
+
+/**
+ * @function describeReminderAction
+ * @description Summarise a planned action for API responses and the dry-run script
+ * @param {Object} action - Planned or deferred action
+ * @returns {Object} Action without the patient document
+ */
+const describeReminderAction = ({ patient, step, ...action }) => ({
+  ...action,
+  patientId: patient._id,
+  patientName: patient.profile.name,
+  phone: patient.profile.phone,
+  email: patient.email,
+  smsReminderCycle: patient.smsReminderCycle,
+  escalation: step?.escalation,
+});
+
+/**
+ * @function runComprehensiveReminderCheck
+ * @description One pass of the reminder job: reactivations, new-user and active-user
+ * reminders, then undelivered reminders
+ * @param {Object} stats - Job run counts ({ patientsScanned, messagesSent, errors })
+ */
+const runComprehensiveReminderCheck = async (stats) => {
+  console.log("Running comprehensive SMS reminder check...");
+
+  // 1-3. Reactivations, new-user and active-user reminders
+  const plan = await planReminderActions(new Date());
+  stats.patientsScanned += plan.patientsScanned;
+  if (plan.deferred.length > 0) {
+    console.log(`${plan.deferred.length} reminder(s) held back for quiet hours`);
+  }
+  await executeReminderPlan(plan, stats);
+
+  // 4. Resend or escalate reminders that delivery reports say never arrived
+  await handleUndeliveredReminders(stats);
+
+  console.log("Comprehensive SMS reminder check completed.");
+};
+
+// Name, schedule and entry point used by the job runner and /api/admin/jobs
+const REMINDER_JOB = {
+  name: "comprehensive_reminders",
+  description: "Reactivation SMS, new-user and dose reminders, and undelivered reminder follow-up",
+  schedule: "*/30 * * * *",
+  run: runComprehensiveReminderCheck,
+};
+
+/**
+ * @function scheduleComprehensiveReminderJob
+ * @description Schedules a comprehensive cron job to handle all SMS reminder logic
+ * Runs every 30 minutes to check for various reminder scenarios; each run is recorded as a JobRun.
+ * With several server instances, the job lease makes sure each tick runs on only one of them.
+ */
+const scheduleComprehensiveReminderJob = () => {
+  // Run every 30 minutes to check for reminders
+  scheduleTrackedJob(REMINDER_JOB);
 
   console.log("Comprehensive SMS reminder job scheduled to run every 30 minutes");
 };
 
 module.exports = {
+  REMINDER_JOB,
   scheduleComprehensiveReminderJob,
+  planReminderActions,
+  describeReminderAction,
   updatePatientReminderData,
+  recordSkippedDose,
+  getReminderCycleStart,
+  getNextReminderTime,
   calculateNextReminderTime,
   calculateSecondReminderTime,
   calculateThirdReminderTime,
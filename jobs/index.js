@@ -0,0 +1,22 @@
+// backend/jobs/index.js
+
+const { REMINDER_JOB } = require("./comprehensiveReminderJob");
+const { SUBSCRIPTION_JOB } = require("./subscriptionJob");
+
+// Scheduled jobs that record JobRun history and can be triggered, paused and resumed by admins
+const JOBS = {
+  [REMINDER_JOB.name]: REMINDER_JOB,
+  [SUBSCRIPTION_JOB.name]: SUBSCRIPTION_JOB,
+};
+
+/**
+ * Look up a scheduled job by name
+ * @param {string} name - Job name
+ * @returns {object|undefined} - { name, description, schedule, run }
+ */
+const getJob = (name) => JOBS[name];
+
+module.exports = {
+  JOBS,
+  getJob,
+};
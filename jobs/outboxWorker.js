@@ -0,0 +1,216 @@
+// backend/jobs/outboxWorker.js
+
+const cron = require("node-cron");
+const OutboxMessage = require("../models/OutboxMessage");
+const { deliverSMS } = require("../utils/smsService");
+const sendEmailFixed = require("../utils/sendEmailFixed");
+const { recordSendResult } = require("../utils/notificationLog");
+const { tryAcquire } = require("../utils/providerRateLimiter");
+
+// A message claimed longer ago than this is assumed abandoned by a crashed worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// Retry delays double from the base up to the cap: 30s, 1m, 2m, 4m, ...
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// Messages sent per worker pass
+const BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE) || 20;
+
+let isRunning = false;
+
+/**
+ * @function getRetryDelayMs
+ * @description Exponential backoff delay before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelayMs = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+/**
+ * @function claimNextMessage
+ * @description Atomically claim the next due message, so several server instances can run the worker
+ * @returns {Promise<Object|null>} Claimed outbox message
+ */
+const claimNextMessage = async () => {
+  const now = new Date();
+
+  return await OutboxMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "processing", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * @function sendOutboxMessage
+ * @description Send one message through its channel
+ * @param {Object} outboxMessage - Outbox message
+ * @returns {Promise<Object>} { success, skipped, provider, providerMessageId, error, rateLimited, retryAfterMs }
+ */
+const sendOutboxMessage = async (outboxMessage) => {
+  if (outboxMessage.channel === "sms") {
+    const result = await deliverSMS(
+      outboxMessage.to,
+      outboxMessage.message,
+      outboxMessage.maskedMessage || outboxMessage.message
+    );
+    return {
+      success: result.success,
+      skipped: result.skipped,
+      provider: result.provider,
+      providerMessageId: result.messageId,
+      error: result.error,
+      rateLimited: result.rateLimited,
+      retryAfterMs: result.retryAfterMs,
+    };
+  }
+
+  const slot = await tryAcquire("email");
+  if (!slot.acquired) {
+    return { success: false, rateLimited: true, retryAfterMs: slot.retryAfterMs };
+  }
+
+  try {
+    const result = await sendEmailFixed({
+      to: outboxMessage.to,
+      subject: outboxMessage.subject,
+      html: outboxMessage.html,
+      attachments: outboxMessage.attachments,
+    });
+    return { success: true, provider: "Gmail", providerMessageId: result.messageId };
+  } catch (error) {
+    return { success: false, provider: "Gmail", error: error.message };
+  }
+};
+
+/**
+ * @function processOutboxMessage
+ * @description Send a claimed message and record the outcome: sent, retry later, or dead-letter
+ * @param {Object} outboxMessage - Claimed outbox message
+ */
+const processOutboxMessage = async (outboxMessage) => {
+  const result = await sendOutboxMessage(outboxMessage);
+  const now = new Date();
+
+  // Once the message can't be sent again, keep no one-time code in the outbox
+  const forgetSecret = () => {
+    if (outboxMessage.maskedMessage) outboxMessage.message = outboxMessage.maskedMessage;
+  };
+
+  if (result.success) {
+    forgetSecret();
+    outboxMessage.status = "sent";
+    outboxMessage.sentAt = now;
+    outboxMessage.attempts += 1;
+    outboxMessage.lockedAt = null;
+    await outboxMessage.save();
+
+    await recordSendResult(outboxMessage.notification, {
+      status: result.skipped ? "skipped" : "sent",
+      provider: result.provider,
+      providerMessageId: result.providerMessageId,
+      error: result.skipped ? "SMS disabled in environment" : undefined,
+    });
+    return;
+  }
+
+  // Rate limited: wait for a free slot without using up an attempt
+  if (result.rateLimited) {
+    outboxMessage.status = "pending";
+    outboxMessage.nextAttemptAt = new Date(now.getTime() + Math.max(result.retryAfterMs, 1000));
+    outboxMessage.lockedAt = null;
+    await outboxMessage.save();
+    return;
+  }
+
+  outboxMessage.attempts += 1;
+  outboxMessage.lastError = result.error;
+  outboxMessage.lockedAt = null;
+
+  if (outboxMessage.attempts >= outboxMessage.maxAttempts) {
+    forgetSecret();
+    outboxMessage.status = "dead";
+    outboxMessage.deadAt = now;
+    await outboxMessage.save();
+
+    console.error(
+      `Outbox ${outboxMessage.channel} ${outboxMessage._id} to ${outboxMessage.to} dead-lettered after ${outboxMessage.attempts} attempts: ${result.error}`
+    );
+    await recordSendResult(outboxMessage.notification, {
+      status: "failed",
+      provider: result.provider,
+      error: result.error,
+    });
+    return;
+  }
+
+  const delay = getRetryDelayMs(outboxMessage.attempts);
+  outboxMessage.status = "pending";
+  outboxMessage.nextAttemptAt = new Date(now.getTime() + delay);
+  await outboxMessage.save();
+
+  console.warn(
+    `Outbox ${outboxMessage.channel} ${outboxMessage._id} attempt ${outboxMessage.attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${result.error}`
+  );
+};
+
+/**
+ * @function processOutbox
+ * @description Send up to one batch of due messages
+ * @param {number} batchSize - Maximum messages to send
+ * @returns {Promise<number>} Messages processed
+ */
+const processOutbox = async (batchSize = BATCH_SIZE) => {
+  let processed = 0;
+
+  while (processed < batchSize) {
+    const outboxMessage = await claimNextMessage();
+    if (!outboxMessage) break;
+
+    try {
+      await processOutboxMessage(outboxMessage);
+    } catch (error) {
+      // Leave the message locked; it is reclaimed after LOCK_TIMEOUT_MS
+      console.error(`Error processing outbox message ${outboxMessage._id}:`, error);
+    }
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * @function scheduleOutboxWorker
+ * @description Schedules the outbox worker to send queued SMS and emails every 10 seconds
+ */
+const scheduleOutboxWorker = () => {
+  cron.schedule("*/10 * * * * *", async () => {
+    // Skip this tick if the previous pass is still sending
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const processed = await processOutbox();
+      if (processed > 0) {
+        console.log(`Outbox worker processed ${processed} message(s)`);
+      }
+    } catch (error) {
+      console.error("Error in outbox worker:", error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  console.log("Outbox worker scheduled to run every 10 seconds");
+};
+
+module.exports = {
+  scheduleOutboxWorker,
+  processOutbox,
+  getRetryDelayMs,
+};
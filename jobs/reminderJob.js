@@ -82,7 +82,7 @@ const scheduleReminderJob = () => {
 
       for (const patient of patients) {
         // Skip if patient doesn't have a phone number
-        if (!patient.phone) {
+        if (!patient.profile.phone) {
           continue;
         }
 
@@ -112,8 +112,8 @@ const scheduleReminderJob = () => {
             // Send first reminder
             try {
               const smsResult = await sendDoseReminderSMS(
-                patient.phone,
-                patient.name,
+                patient.profile.phone,
+                patient.profile.name,
                 1
               );
 
@@ -123,17 +123,17 @@ const scheduleReminderJob = () => {
                   lastReminderSent: now,
                 });
                 console.log(
-                  `First reminder SMS sent to ${patient.name} (${patient.phone})`
+                  `First reminder SMS sent to ${patient.profile.name} (${patient.profile.phone})`
                 );
               } else {
                 console.error(
-                  `Failed to send first reminder to ${patient.phone}:`,
+                  `Failed to send first reminder to ${patient.profile.phone}:`,
                   smsResult.error
                 );
               }
             } catch (error) {
               console.error(
-                `Error sending first reminder to ${patient.name}:`,
+                `Error sending first reminder to ${patient.profile.name}:`,
                 error
               );
             }
@@ -152,8 +152,8 @@ const scheduleReminderJob = () => {
             // Send second reminder
             try {
               const smsResult = await sendDoseReminderSMS(
-                patient.phone,
-                patient.name,
+                patient.profile.phone,
+                patient.profile.name,
                 2
               );
 
@@ -163,17 +163,17 @@ const scheduleReminderJob = () => {
                   lastReminderSent: now,
                 });
                 console.log(
-                  `Second reminder SMS sent to ${patient.name} (${patient.phone})`
+                  `Second reminder SMS sent to ${patient.profile.name} (${patient.profile.phone})`
                 );
               } else {
                 console.error(
-                  `Failed to send second reminder to ${patient.phone}:`,
+                  `Failed to send second reminder to ${patient.profile.phone}:`,
                   smsResult.error
                 );
               }
             } catch (error) {
               console.error(
-                `Error sending second reminder to ${patient.name}:`,
+                `Error sending second reminder to ${patient.profile.name}:`,
                 error
               );
             }
@@ -197,7 +197,7 @@ const scheduleReminderJob = () => {
           });
 
           console.log(
-            `Reset reminder cycle for ${patient.name}. Next expected reminder: ${nextReminderTime}`
+            `Reset reminder cycle for ${patient.profile.name}. Next expected reminder: ${nextReminderTime}`
           );
         }
       }
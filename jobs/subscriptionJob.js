@@ -1,116 +1,346 @@
 // backend/jobs/subscriptionJob.js
 
-const cron = require("node-cron");
 const Patient = require("../models/Patient");
+const { scheduleTrackedJob } = require("../utils/jobRunner");
 const {
   sendSubscriptionExpiryWarning,
   sendSubscriptionExpiryUrgent,
   sendSubscriptionExpiredNotification,
 } = require("../utils/emailService");
+const {
+  getPatientTimeZone,
+  getZonedParts,
+  getNextAllowedTime,
+} = require("../utils/dateUtils");
+const {
+  getSentNotices,
+  hasNotice,
+  claimNotice,
+  releaseNotice,
+  recordNotices,
+} = require("../utils/noticeLedger");
+const {
+  getPatientPlans,
+  getGracePeriodEnd,
+  getSubscriptionStatus,
+  isSubscriptionPaused,
+  endSubscriptionPause,
+} = require("../utils/subscriptionUtils");
 
 /**
- * @function scheduleSubscriptionJob
- * @description Schedules a cron job to check for subscription expiry and send notifications
- * Runs daily at 9:00 AM to check subscription status
+ * @function getNoticeHour
+ * @description Hour of the patient's day (0-23) from which expiry warnings go out
+ * @returns {number} Notice hour (SUBSCRIPTION_NOTICE_HOUR, 9 by default)
  */
-const scheduleSubscriptionJob = () => {
-  // Schedule to run every day at 9:00 AM
-  cron.schedule("0 9 * * *", async () => {
-    console.log("Running subscription check job...");
+const getNoticeHour = () => {
+  const hour = parseInt(process.env.SUBSCRIPTION_NOTICE_HOUR);
+  return hour >= 0 && hour <= 23 ? hour : 9;
+};
 
-    try {
-      const now = new Date();
-      const sevenDaysFromNow = new Date(
-        now.getTime() + 7 * 24 * 60 * 60 * 1000
+/**
+ * @function getNoticeOptions
+ * @description Email options for a patient's subscription notice: dates in their time zone,
+ * held until their quiet hours end
+ * @param {Object} patient - Patient document
+ * @param {Date} now - Current time
+ * @returns {Object} { timeZone, sendAt }
+ */
+const getNoticeOptions = (patient, now) => ({
+  timeZone: getPatientTimeZone(patient),
+  sendAt: getNextAllowedTime(now, patient),
+});
+
+/**
+ * @function countSent
+ * @description Count a queued notice in the job run stats (repeats of an already queued notice don't count)
+ * @param {Object} stats - Job run counts
+ * @param {Object} result - Queue result from emailService
+ */
+const countSent = (stats, result) => {
+  if (result?.success && !result.duplicate) stats.messagesSent++;
+};
+
+// Subscription notices, in the order they fall due. A milestone is due once the
+// subscription is within daysBefore days of expiry, and is recorded in the
+// SentNotice ledger per expiry date, so a renewal starts a fresh set.
+const SUBSCRIPTION_MILESTONES = [
+  {
+    milestone: "expiry_warning_7d",
+    daysBefore: 7,
+    waitForNoticeHour: true,
+    send: sendSubscriptionExpiryWarning,
+    label: "7-day warning",
+  },
+  {
+    milestone: "expiry_urgent_1d",
+    daysBefore: 1,
+    waitForNoticeHour: true,
+    send: sendSubscriptionExpiryUrgent,
+    label: "1-day urgent warning",
+  },
+  {
+    milestone: "expired",
+    daysBefore: 0,
+    waitForNoticeHour: false,
+    send: sendSubscriptionExpiredNotification,
+    label: "expiry notification",
+  },
+];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * @function getDueMilestoneIndex
+ * @description Latest subscription milestone that has fallen due
+ * @param {Date} expiryDate - Subscription expiry
+ * @param {Date} now - Current time
+ * @returns {number} Index into SUBSCRIPTION_MILESTONES, or -1 if none is due yet
+ */
+const getDueMilestoneIndex = (expiryDate, now) => {
+  let dueIndex = -1;
+  SUBSCRIPTION_MILESTONES.forEach((m, index) => {
+    if (now.getTime() >= expiryDate.getTime() - m.daysBefore * DAY_MS) dueIndex = index;
+  });
+  return dueIndex;
+};
+
+/**
+ * @function updateSubscriptionStatus
+ * @description Move the patient into their grace period once the subscription expires, and
+ * make the account read-only once the plan's grace period is over. A patient whose expiry
+ * was moved into the future by hand gets full access back.
+ * @param {Object} patient - Patient document
+ * @param {Date} now - Current time
+ * @param {Object} plan - The patient's plan
+ * @returns {Promise<string|null>} The new status, or null if it didn't change
+ */
+const updateSubscriptionStatus = async (patient, now, plan) => {
+  const status = getSubscriptionStatus(patient.subscriptionExpiry, plan, now);
+  if (status === (patient.subscriptionStatus || "active")) return null;
+
+  await Patient.findByIdAndUpdate(patient._id, {
+    subscriptionStatus: status,
+    readOnlySince: status === "read_only" ? now : null,
+  });
+  patient.subscriptionStatus = status;
+
+  if (status === "read_only") {
+    console.log(`Account for ${patient.email} is now read-only: subscription expired and grace period over`);
+  } else {
+    console.log(`Subscription status for ${patient.email} is now ${status}`);
+  }
+  return status;
+};
+
+/**
+ * @function processPatientSubscription
+ * @description Send the patient's due subscription notice if the ledger doesn't have it yet,
+ * and update their subscription status (grace period, then read-only).
+ * A paused subscription gets neither; a pause that has run its course is ended first,
+ * moving the expiry out by the paused time.
+ * After downtime only the latest overdue notice is sent; earlier ones it replaces
+ * (e.g. the 7-day warning once the last day has started) are recorded as superseded.
+ * @param {Object} patient - Patient document
+ * @param {Date} now - Current time
+ * @param {Map} ledger - Subscription notices already sent (from getSentNotices)
+ * @param {Object} options - { plan: the patient's plan, respectNoticeHour: hold warnings until the patient's notice hour }
+ * @returns {Object} { milestone: milestone sent or null, result: queue result, status: new subscription status or null,
+ *   resumed: whether a pause ended }
+ */
+const processPatientSubscription = async (
+  patient,
+  now,
+  ledger,
+  { plan = null, respectNoticeHour = true } = {}
+) => {
+  const outcome = { milestone: null, result: null, status: null, resumed: false };
+
+  if (patient.subscriptionPause?.endsAt && now >= patient.subscriptionPause.endsAt) {
+    const resumed = await endSubscriptionPause(patient, { endedBy: "system", now });
+    if (resumed && !resumed.cancelled) {
+      patient.subscriptionExpiry = resumed.newExpiry;
+      outcome.resumed = true;
+      console.log(
+        `Subscription pause ended for ${patient.email}: expiry moved to ${resumed.newExpiry.toISOString()}`
       );
-      const oneDayFromNow = new Date(now.getTime() + 1 * 24 * 60 * 60 * 1000);
-
-      // Find all active patients with subscription expiry dates (excluding soft-deleted)
-      const patients = await Patient.find({
-        active: true,
-        verified: true,
-        isActive: { $ne: false }, // Exclude soft-deleted patients
-        subscriptionExpiry: { $exists: true },
-      });
+    }
+  } else if (isSubscriptionPaused(patient, now)) {
+    return outcome;
+  }
 
-      console.log(`Found ${patients.length} active patients to check`);
+  const expiryDate = new Date(patient.subscriptionExpiry);
+  const dueIndex = getDueMilestoneIndex(expiryDate, now);
+  if (dueIndex === -1) {
+    outcome.status = await updateSubscriptionStatus(patient, now, plan);
+    return outcome;
+  }
 
-      for (const patient of patients) {
-        const expiryDate = new Date(patient.subscriptionExpiry);
-        const timeDiff = expiryDate.getTime() - now.getTime();
-        const daysUntilExpiry = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
+  const cycleKey = expiryDate.toISOString();
+  const due = SUBSCRIPTION_MILESTONES[dueIndex];
+  const noticeOptions = {
+    ...getNoticeOptions(patient, now),
+    graceEndsAt: getGracePeriodEnd(expiryDate, plan),
+  };
+  // Warnings wait for the notice hour in the patient's own time zone
+  const noticeHourReached =
+    !respectNoticeHour ||
+    getZonedParts(now, noticeOptions.timeZone).hours >= getNoticeHour();
 
-        console.log(
-          `Patient ${patient.email}: ${daysUntilExpiry} days until expiry`
+  if (
+    !hasNotice(ledger, patient._id, due.milestone, cycleKey) &&
+    (!due.waitForNoticeHour || noticeHourReached)
+  ) {
+    const notice = await claimNotice({
+      patient: patient._id,
+      kind: "subscription",
+      milestone: due.milestone,
+      cycleKey,
+    });
+
+    if (notice) {
+      console.log(`Sending ${due.label} to ${patient.email}`);
+      try {
+        outcome.result = await due.send(
+          patient.email,
+          patient.profile.name,
+          plan?.name || patient.subscriptionType,
+          patient.subscriptionExpiry,
+          noticeOptions
         );
+      } catch (error) {
+        // Leave the milestone for the next run to retry
+        await releaseNotice(notice);
+        throw error;
+      }
+      outcome.milestone = due.milestone;
+      console.log(`${due.label} sent to ${patient.email}`);
+
+      if (outcome.result?.notificationId) {
+        notice.notification = outcome.result.notificationId;
+        await notice.save();
+      }
 
-        try {
-          // Check if subscription expires in exactly 7 days
-          if (daysUntilExpiry === 7) {
-            console.log(`Sending 7-day warning to ${patient.email}`);
-            await sendSubscriptionExpiryWarning(
-              patient.email,
-              patient.name,
-              patient.subscriptionType,
-              patient.subscriptionExpiry
-            );
-            console.log(`7-day warning sent to ${patient.email}`);
-          }
-
-          // Check if subscription expires in exactly 1 day
-          else if (daysUntilExpiry === 1) {
-            console.log(`Sending 1-day urgent warning to ${patient.email}`);
-            await sendSubscriptionExpiryUrgent(
-              patient.email,
-              patient.name,
-              patient.subscriptionType,
-              patient.subscriptionExpiry
-            );
-            console.log(`1-day urgent warning sent to ${patient.email}`);
-          }
-
-          // Check if subscription has expired (0 days or negative)
-          else if (daysUntilExpiry <= 0) {
-            console.log(`Processing expired subscription for ${patient.email}`);
-
-            // Only send expired notification once (when it just expired)
-            if (daysUntilExpiry === 0) {
-              await sendSubscriptionExpiredNotification(
-                patient.email,
-                patient.name,
-                patient.subscriptionType,
-                patient.subscriptionExpiry
-              );
-              console.log(`Expiry notification sent to ${patient.email}`);
-            }
-
-            // Deactivate the patient account if subscription is expired
-            if (patient.active) {
-              await Patient.findByIdAndUpdate(patient._id, {
-                active: false,
-                deactivatedAt: new Date(),
-                deactivationReason: "Subscription expired",
-              });
-              console.log(
-                `Account deactivated for ${patient.email} due to expired subscription`
-              );
-            }
-          }
-        } catch (emailError) {
-          console.error(
-            `Failed to send notification to ${patient.email}:`,
-            emailError.message
-          );
-        }
+      const superseded = SUBSCRIPTION_MILESTONES.slice(0, dueIndex).filter(
+        (m) => !hasNotice(ledger, patient._id, m.milestone, cycleKey)
+      );
+      if (superseded.length > 0) {
+        console.log(
+          `Skipping overdue ${superseded.map((m) => m.label).join(", ")} for ${patient.email}`
+        );
+        await recordNotices(
+          superseded.map((m) => ({
+            patient: patient._id,
+            kind: "subscription",
+            milestone: m.milestone,
+            cycleKey,
+            status: "superseded",
+          }))
+        );
       }
+    }
+  }
+
+  outcome.status = await updateSubscriptionStatus(patient, now, plan);
+  return outcome;
+};
+
+/**
+ * @function runSubscriptionCheck
+ * @description One pass of the subscription job: expiry warnings, expired notices, grace periods and read-only accounts.
+ * Notices are tracked in the SentNotice ledger, so each is sent once per expiry date and
+ * ones that fell due while the server was down go out on the next run.
+ * @param {Object} stats - Job run counts ({ patientsScanned, messagesSent, errors })
+ */
+const runSubscriptionCheck = async (stats) => {
+  console.log("Running subscription check job...");
+
+  const now = new Date();
+
+  // Pauses that are over end now even for patients skipped below (e.g. deactivated ones), so
+  // their expiry moves out by the paused time and not whenever they are next checked
+  const overduePauses = await Patient.find({
+    "subscriptionPause.endsAt": { $lte: now },
+    $nor: [{ active: true, verified: true, isActive: { $ne: false } }],
+  });
+  stats.patientsScanned += overduePauses.length;
 
-      console.log("Subscription check job completed");
+  for (const patient of overduePauses) {
+    try {
+      const resumed = await endSubscriptionPause(patient, { endedBy: "system", now });
+      if (resumed && !resumed.cancelled) {
+        console.log(
+          `Subscription pause ended for inactive patient ${patient.email}: expiry moved to ${resumed.newExpiry.toISOString()}`
+        );
+      }
     } catch (error) {
-      console.error("Error in subscription check job:", error.message);
+      console.error(`Failed to end subscription pause for ${patient.email}:`, error.message);
+      stats.errors.push(`${patient.email}: ${error.message}`);
     }
+  }
+
+  // Find all active patients with subscription expiry dates (excluding soft-deleted)
+  const patients = await Patient.find({
+    active: true,
+    verified: true,
+    isActive: { $ne: false }, // Exclude soft-deleted patients
+    subscriptionExpiry: { $exists: true },
   });
 
-  console.log("Subscription check job scheduled to run daily at 9:00 AM");
+  console.log(`Found ${patients.length} active patients to check`);
+  stats.patientsScanned += patients.length;
+
+  const [ledger, plans] = await Promise.all([
+    getSentNotices(patients.map((p) => p._id), "subscription"),
+    getPatientPlans(patients),
+  ]);
+
+  for (const patient of patients) {
+    const daysUntilExpiry = Math.ceil(
+      (new Date(patient.subscriptionExpiry).getTime() - now.getTime()) / DAY_MS
+    );
+    console.log(
+      `Patient ${patient.email}: ${daysUntilExpiry} days until expiry`
+    );
+
+    try {
+      const { result } = await processPatientSubscription(patient, now, ledger, {
+        plan: plans.get(patient._id.toString()),
+      });
+      countSent(stats, result);
+    } catch (emailError) {
+      console.error(
+        `Failed to send notification to ${patient.email}:`,
+        emailError.message
+      );
+      stats.errors.push(`${patient.email}: ${emailError.message}`);
+    }
+  }
+
+  console.log("Subscription check job completed");
+};
+
+// Name, schedule and entry point used by the job runner and /api/admin/jobs
+const SUBSCRIPTION_JOB = {
+  name: "subscription_check",
+  description: "Subscription expiry warnings, expired notices, and read-only mode once the grace period is over",
+  schedule: "0 * * * *",
+  run: runSubscriptionCheck,
+};
+
+/**
+ * @function scheduleSubscriptionJob
+ * @description Schedules a cron job to check for subscription expiry and send notifications
+ * Runs hourly so each patient's warnings go out from 9:00 AM in their own time zone;
+ * each run is recorded as a JobRun.
+ * With several server instances, the job lease makes sure each tick runs on only one of them.
+ */
+const scheduleSubscriptionJob = () => {
+  // Schedule to run at the start of every hour
+  scheduleTrackedJob(SUBSCRIPTION_JOB);
+
+  console.log(
+    `Subscription check job scheduled to run hourly (notices from ${getNoticeHour()}:00 patient time)`
+  );
 };
 
 /**
@@ -139,52 +369,35 @@ const checkSubscriptionStatus = async () => {
       sevenDayWarnings: 0,
       oneDayWarnings: 0,
       expired: 0,
-      deactivated: 0,
+      pausesEnded: 0,
+      gracePeriodStarted: 0,
+      madeReadOnly: 0,
       errors: [],
     };
 
-    for (const patient of patients) {
-      const expiryDate = new Date(patient.subscriptionExpiry);
-      const timeDiff = expiryDate.getTime() - now.getTime();
-      const daysUntilExpiry = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
+    const [ledger, plans] = await Promise.all([
+      getSentNotices(patients.map((p) => p._id), "subscription"),
+      getPatientPlans(patients),
+    ]);
+    const counters = {
+      expiry_warning_7d: "sevenDayWarnings",
+      expiry_urgent_1d: "oneDayWarnings",
+      expired: "expired",
+    };
 
+    for (const patient of patients) {
       try {
-        if (daysUntilExpiry === 7) {
-          await sendSubscriptionExpiryWarning(
-            patient.email,
-            patient.name,
-            patient.subscriptionType,
-            patient.subscriptionExpiry
-          );
-          results.sevenDayWarnings++;
-        } else if (daysUntilExpiry === 1) {
-          await sendSubscriptionExpiryUrgent(
-            patient.email,
-            patient.name,
-            patient.subscriptionType,
-            patient.subscriptionExpiry
-          );
-          results.oneDayWarnings++;
-        } else if (daysUntilExpiry <= 0) {
-          if (daysUntilExpiry === 0) {
-            await sendSubscriptionExpiredNotification(
-              patient.email,
-              patient.name,
-              patient.subscriptionType,
-              patient.subscriptionExpiry
-            );
-            results.expired++;
-          }
-
-          if (patient.active) {
-            await Patient.findByIdAndUpdate(patient._id, {
-              active: false,
-              deactivatedAt: new Date(),
-              deactivationReason: "Subscription expired",
-            });
-            results.deactivated++;
-          }
-        }
+        // Manual checks don't wait for the patient's notice hour
+        const { milestone, status, resumed } = await processPatientSubscription(
+          patient,
+          now,
+          ledger,
+          { plan: plans.get(patient._id.toString()), respectNoticeHour: false }
+        );
+        if (milestone) results[counters[milestone]]++;
+        if (resumed) results.pausesEnded++;
+        if (status === "grace") results.gracePeriodStarted++;
+        if (status === "read_only") results.madeReadOnly++;
       } catch (error) {
         results.errors.push({
           patientEmail: patient.email,
@@ -200,6 +413,7 @@ const checkSubscriptionStatus = async () => {
 };
 
 module.exports = {
+  SUBSCRIPTION_JOB,
   scheduleSubscriptionJob,
   checkSubscriptionStatus,
 };
@@ -1,13 +1,16 @@
 // backend/middleware/authMiddleware.js
 
 const jwt = require("jsonwebtoken");
-// No User model import needed - using Patient model now
+const Patient = require("../models/Patient");
+const { isSessionActive } = require("../utils/sessionUtils");
 
 /**
  * @function protect
  * @description Middleware to protect routes, ensuring only authenticated users can access.
- * Verifies the JWT from the Authorization header.
- * Attaches the decoded user payload (id, role) to req.user.
+ * Verifies the JWT from the Authorization header and checks its session hasn't been revoked
+ * (logout, deactivation, password reset), so a revoked device loses access at once.
+ * Attaches the decoded user payload (id, role, sessionId) to req.user, plus the subscriptionStatus
+ * of patients so authorizeRoles can keep read-only accounts from making changes.
  */
 const protect = async (req, res, next) => {
   let token;
@@ -27,17 +30,11 @@ const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Attach user information (excluding password) to the request object
-      // We are only attaching id and role from the token payload,
-      // as the token itself is the source of truth for authentication.
-      // Fetching the user from DB here is optional and depends on whether
-      // you need full user object on every protected request.
-      // For simplicity and performance, we'll just use the decoded payload for now.
       req.user = {
         id: decoded.id,
         role: decoded.role,
+        sessionId: decoded.sid,
       };
-
-      next(); // Proceed to the next middleware or route handler
     } catch (error) {
       console.error("Token verification failed:", error.message);
       return res.status(401).json({ msg: "Not authorized, token failed." });
@@ -47,6 +44,24 @@ const protect = async (req, res, next) => {
   if (!token) {
     return res.status(401).json({ msg: "Not authorized, no token." });
   }
+
+  try {
+    // Tokens from before sessions existed carry no session and must be replaced by logging in
+    if (!req.user.sessionId || !(await isSessionActive(req.user.sessionId))) {
+      return res.status(401).json({ msg: "Session expired. Please log in again." });
+    }
+
+    // A patient's subscription status changes while their token is valid, so read it fresh
+    if (req.user.role === "patient") {
+      const patient = await Patient.findById(req.user.id).select("subscriptionStatus").lean();
+      req.user.subscriptionStatus = patient?.subscriptionStatus || "active";
+    }
+  } catch (error) {
+    console.error("Failed to check session:", error.message);
+    return res.status(500).json({ msg: "Server Error checking account status." });
+  }
+
+  next(); // Proceed to the next middleware or route handler
 };
 
 module.exports = { protect };
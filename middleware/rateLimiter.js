@@ -0,0 +1,93 @@
+// backend/middleware/rateLimiter.js
+
+const { hitRateLimit } = require("../utils/rateLimitStore");
+const { normalizePhoneNumber } = require("../utils/smsService");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Build a rate limiting middleware. Requests over the limit get a 429 with Retry-After.
+ * If the store can't be reached the request is let through rather than locking everyone out.
+ * @param {object} options
+ * @param {string} options.name - Limit name, part of the store key
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per window
+ * @param {function} options.keyFor - (req) => client key (IP, email...), or null to skip the limit
+ * @param {string} options.message - Message for limited clients
+ * @returns {function} - Express middleware
+ */
+const createRateLimiter = ({ name, windowMs, max, keyFor, message }) => async (req, res, next) => {
+  const clientKey = keyFor(req);
+  if (!clientKey || max <= 0) return next();
+
+  try {
+    const { count, resetAt } = await hitRateLimit(`${name}:${clientKey}`, windowMs);
+    if (count > max) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      console.warn(`Rate limit ${name} reached for ${clientKey} on ${req.method} ${req.originalUrl}`);
+      res.set("Retry-After", String(retryAfterSeconds));
+      return res.status(429).json({ msg: message, retryAfterSeconds });
+    }
+  } catch (error) {
+    console.error(`Rate limiter ${name} failed, allowing request:`, error.message);
+  }
+
+  next();
+};
+
+/**
+ * Limit from the environment, or a default
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default limit
+ * @returns {number}
+ */
+const getLimit = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+/**
+ * The account a request is about: its email, else its phone number
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+const getAccountKey = (req) => {
+  if (req.body?.email) return `email:${String(req.body.email).trim().toLowerCase()}`;
+  if (req.body?.phone) return `phone:${normalizePhoneNumber(req.body.phone)}`;
+  return null;
+};
+
+// Password, SMS code and 2FA sign-in attempts from one IP (AUTH_LOGIN_RATE_LIMIT per 15 minutes)
+const loginLimiter = createRateLimiter({
+  name: "login",
+  windowMs: 15 * MINUTE_MS,
+  max: getLimit("AUTH_LOGIN_RATE_LIMIT", 20),
+  keyFor: (req) => `ip:${req.ip}`,
+  message: "Too many sign-in attempts. Please try again later.",
+});
+
+// Auth requests that send an email or SMS, from one IP (AUTH_MESSAGE_RATE_LIMIT per hour)
+const authMessageLimiter = createRateLimiter({
+  name: "auth-message",
+  windowMs: HOUR_MS,
+  max: getLimit("AUTH_MESSAGE_RATE_LIMIT", 10),
+  keyFor: (req) => `ip:${req.ip}`,
+  message: "Too many requests. Please try again later.",
+});
+
+// Auth emails or SMS for one account, from any IP (AUTH_ACCOUNT_MESSAGE_RATE_LIMIT per hour)
+const accountMessageLimiter = createRateLimiter({
+  name: "account-message",
+  windowMs: HOUR_MS,
+  max: getLimit("AUTH_ACCOUNT_MESSAGE_RATE_LIMIT", 3),
+  keyFor: getAccountKey,
+  message: "Too many requests for this account. Please try again later.",
+});
+
+module.exports = {
+  createRateLimiter,
+  loginLimiter,
+  authMessageLimiter,
+  accountMessageLimiter,
+};
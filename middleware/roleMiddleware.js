@@ -1,12 +1,18 @@
 // backend/middleware/roleMiddleware.js
 
+// Requests that only read data, allowed for read-only accounts
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
 /**
  * @function authorizeRoles
  * @description Middleware to authorize access based on user roles.
+ * Patients whose subscription is read-only (expired, grace period over) may only read,
+ * unless the route allows it (e.g. paying for a renewal).
  * @param {string[]} allowedRoles - An array of roles that are permitted to access the route.
+ * @param {Object} [options] - { allowReadOnly: let read-only patients make this change }
  * @returns {function} An Express middleware function.
  */
-const authorizeRoles = (allowedRoles) => {
+const authorizeRoles = (allowedRoles, { allowReadOnly = false } = {}) => {
   return (req, res, next) => {
     console.log(
       "Role middleware hit for:",
@@ -35,6 +41,18 @@ const authorizeRoles = (allowedRoles) => {
       });
     }
 
+    if (
+      req.user.subscriptionStatus === "read_only" &&
+      !allowReadOnly &&
+      !READ_METHODS.includes(req.method)
+    ) {
+      console.log("Role middleware: Access denied, account is read-only");
+      return res.status(403).json({
+        msg: "Your subscription has expired and your account is read-only. Renew your subscription to make changes.",
+        subscriptionStatus: "read_only",
+      });
+    }
+
     console.log("Role middleware: Authorization successful");
     next(); // User is authorized, proceed to the next middleware or route handler
   };
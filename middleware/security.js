@@ -0,0 +1,117 @@
+// backend/middleware/security.js
+
+const Account = require("../models/Account");
+const { sendAccountLockedEmail } = require("../utils/emailService");
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Lockout settings from the environment
+ * @returns {object} - { threshold: failed logins allowed, windowMinutes: over which they count, lockMinutes }
+ */
+const getLockoutSettings = () => ({
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  windowMinutes: parseInt(process.env.LOGIN_LOCKOUT_WINDOW_MINUTES) || 15,
+  lockMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+});
+
+/**
+ * Whether an account is locked after too many failed logins
+ * @param {object} user - Account document
+ * @returns {object|null} - { lockedUntil, retryAfterSeconds } while locked, else null
+ */
+const getAccountLock = (user) => {
+  if (!user.lockedUntil || user.lockedUntil <= new Date()) return null;
+  return {
+    lockedUntil: user.lockedUntil,
+    retryAfterSeconds: Math.ceil((user.lockedUntil - Date.now()) / 1000),
+  };
+};
+
+/**
+ * Send the response for a locked account. Any account, patient or admin, can be unlocked
+ * early with a password reset.
+ * @param {object} res - Express response
+ * @param {object} lock - From getAccountLock
+ */
+const sendAccountLockedResponse = (res, lock) => {
+  res.set("Retry-After", String(lock.retryAfterSeconds));
+  res.status(429).json({
+    msg: `Too many failed sign-in attempts. This account is locked for ${Math.ceil(
+      lock.retryAfterSeconds / 60
+    )} more minute(s). You can reset your password to unlock it now.`,
+    lockedUntil: lock.lockedUntil,
+    retryAfterSeconds: lock.retryAfterSeconds,
+  });
+};
+
+/**
+ * Count a failed login. Once too many fail close together the account is locked for a while
+ * and its owner emailed. The count is updated in one step so parallel guesses all count.
+ * @param {object} user - Account document
+ * @returns {Promise<object|null>} - Lock (see getAccountLock) if this failure locked the account
+ */
+const recordFailedLogin = async (user) => {
+  const { threshold, windowMinutes, lockMinutes } = getLockoutSettings();
+  const now = new Date();
+  const lockUntil = new Date(now.getTime() + lockMinutes * MINUTE_MS);
+  const recent = { $gt: ["$lastFailedLoginAt", new Date(now.getTime() - windowMinutes * MINUTE_MS)] };
+
+  const updated = await Account.findOneAndUpdate(
+    { _id: user._id },
+    [
+      {
+        $set: {
+          failedLoginAttempts: {
+            $cond: [recent, { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] }, 1],
+          },
+          lastFailedLoginAt: now,
+        },
+      },
+      {
+        $set: {
+          lockedUntil: {
+            $cond: [{ $gte: ["$failedLoginAttempts", threshold] }, lockUntil, "$lockedUntil"],
+          },
+          // The count starts again once the account is locked
+          failedLoginAttempts: {
+            $cond: [{ $gte: ["$failedLoginAttempts", threshold] }, 0, "$failedLoginAttempts"],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (!updated?.lockedUntil || updated.lockedUntil.getTime() !== lockUntil.getTime()) return null;
+
+  console.warn(`Account ${user.email} (${user.role}) locked until ${lockUntil.toISOString()} after ${threshold} failed logins`);
+  try {
+    await sendAccountLockedEmail(user.email, user.profile.name, lockUntil, {
+      patient: user.kind === "Patient" ? user._id : undefined,
+    });
+  } catch (emailError) {
+    console.error("Failed to send account locked email:", emailError.message);
+  }
+
+  return getAccountLock(updated);
+};
+
+/**
+ * Forget failed logins after a successful sign-in or password reset
+ * @param {object} user - Account document
+ */
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return;
+  await Account.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }
+  );
+};
+
+module.exports = {
+  getAccountLock,
+  sendAccountLockedResponse,
+  recordFailedLogin,
+  clearFailedLogins,
+};
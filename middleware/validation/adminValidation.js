@@ -0,0 +1,187 @@
+const { body } = require('express-validator');
+
+// Validation rules for one list of reminder policy steps
+const reminderStepRules = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage(`${field} must be a list of at most 10 steps`),
+
+  body(`${field}.*.offsetMinutes`)
+    .isInt({ min: -1440, max: 10080 })
+    .withMessage('Step offsetMinutes must be a whole number between -1440 and 10080'),
+
+  body(`${field}.*.offsetIntervals`)
+    .optional()
+    .isInt({ min: 0, max: 7 })
+    .withMessage('Step offsetIntervals must be a whole number between 0 and 7'),
+
+  body(`${field}.*.channel`)
+    .optional()
+    .isIn(['sms', 'email'])
+    .withMessage('Step channel must be sms or email'),
+
+  body(`${field}.*.template`)
+    .isString()
+    .notEmpty()
+    .withMessage('Each step needs a template'),
+
+  body(`${field}.*.escalation`)
+    .optional()
+    .isIn(['none', 'mark_inactive', 'notify_admins'])
+    .withMessage('Step escalation must be none, mark_inactive or notify_admins'),
+];
+
+// Validation rules for creating a reminder policy
+const validateReminderPolicy = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name is required')
+    .isLength({ max: 100 })
+    .withMessage('Policy name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be true or false'),
+
+  ...reminderStepRules('newUserSteps'),
+  ...reminderStepRules('activeUserSteps'),
+];
+
+// Validation rules for updating a reminder policy (all fields optional)
+const validateReminderPolicyUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Policy name cannot exceed 100 characters'),
+
+  ...validateReminderPolicy.slice(1),
+];
+
+// Validation rules for assigning a reminder policy to patients
+const validateReminderPolicyAssignment = [
+  body('patientIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('patientIds must be a list of 1 to 500 patient IDs'),
+
+  body('patientIds.*')
+    .isMongoId()
+    .withMessage('Each patient ID must be a valid ID'),
+
+  body('policyId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('policyId must be a valid ID, or null for the default policy'),
+];
+
+// Validation rules for creating a subscription plan
+const validatePlan = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Plan name is required')
+    .isLength({ max: 100 })
+    .withMessage('Plan name cannot exceed 100 characters'),
+
+  body('duration.value')
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Duration value must be a whole number between 1 and 3650'),
+
+  body('duration.unit')
+    .isIn(['day', 'week', 'month', 'year'])
+    .withMessage('Duration unit must be day, week, month or year'),
+
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a number of at least 0'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('currency')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code such as GHS'),
+
+  body('gracePeriodDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Grace period must be between 0 and 90 days'),
+
+  body('features')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Features must be a list of at most 20 items'),
+
+  body('features.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each feature must be 1 to 200 characters'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be true or false'),
+
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('sortOrder must be a whole number'),
+];
+
+// Validation rules for updating a subscription plan (all fields optional)
+const validatePlanUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Plan name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Plan name cannot exceed 100 characters'),
+
+  body('duration')
+    .optional()
+    .isObject()
+    .withMessage('Duration must include a value and a unit'),
+
+  body('duration.value')
+    .if(body('duration').exists())
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Duration value must be a whole number between 1 and 3650'),
+
+  body('duration.unit')
+    .if(body('duration').exists())
+    .isIn(['day', 'week', 'month', 'year'])
+    .withMessage('Duration unit must be day, week, month or year'),
+
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a number of at least 0'),
+
+  ...validatePlan.slice(4),
+];
+
+module.exports = {
+  validateReminderPolicy,
+  validateReminderPolicyUpdate,
+  validateReminderPolicyAssignment,
+  validatePlan,
+  validatePlanUpdate,
+};
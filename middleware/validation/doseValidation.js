@@ -2,15 +2,26 @@ const { body, validationResult } = require('express-validator');
 
 // Validation rules for dose logging
 const validateDoseLogging = [
-  body('doseType')
+  body('type')
     .notEmpty()
     .withMessage('Dose type is required')
-    .isIn(['Basal', 'Bolus', 'Correction'])
-    .withMessage('Dose type must be one of: Basal, Bolus, Correction'),
+    .isIn(['Basal', 'Bolus'])
+    .withMessage('Dose type must be one of: Basal, Bolus'),
   
-  body('doseAmount')
+  body('units')
     .isFloat({ min: 0.1, max: 100 })
-    .withMessage('Dose amount must be between 0.1 and 100 units'),
+    .withMessage('Dose units must be between 0.1 and 100'),
+  
+  body('insulinProduct')
+    .trim()
+    .notEmpty()
+    .withMessage('Insulin product is required')
+    .isLength({ max: 100 })
+    .withMessage('Insulin product cannot exceed 100 characters'),
+  
+  body('injectionSite')
+    .isIn(['Abdomen', 'Thigh', 'Upper arm', 'Buttock'])
+    .withMessage('Injection site must be one of: Abdomen, Thigh, Upper arm, Buttock'),
   
   body('timestamp')
     .isISO8601()
@@ -36,6 +47,42 @@ const validateDoseLogging = [
     .withMessage('Notes cannot exceed 500 characters')
 ];
 
+// Validation rules for dose updates (all fields optional)
+const validateDoseUpdate = [
+  body('type')
+    .optional()
+    .isIn(['Basal', 'Bolus'])
+    .withMessage('Dose type must be one of: Basal, Bolus'),
+  
+  body('units')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Dose units must be between 0.1 and 100'),
+  
+  body('insulinProduct')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Insulin product cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Insulin product cannot exceed 100 characters'),
+  
+  body('injectionSite')
+    .optional()
+    .isIn(['Abdomen', 'Thigh', 'Upper arm', 'Buttock'])
+    .withMessage('Injection site must be one of: Abdomen, Thigh, Upper arm, Buttock'),
+  
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Timestamp must be a valid ISO 8601 date'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
 // Validation rules for user registration
 const validateUserRegistration = [
   body('name')
@@ -64,9 +111,16 @@ const validateUserRegistration = [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
   
+  body('planId')
+    .optional()
+    .isMongoId()
+    .withMessage('Plan ID must be a valid ID'),
+
   body('subscriptionType')
-    .isIn(['Monthly', 'Yearly'])
-    .withMessage('Subscription type must be Monthly or Yearly')
+    .if(body('planId').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Please choose a subscription plan')
 ];
 
 // Validation rules for user login
@@ -81,6 +135,60 @@ const validateUserLogin = [
     .withMessage('Password is required')
 ];
 
+// Validation rules for requesting an SMS sign-in code
+const validateOtpRequest = [
+  body('phone')
+    .matches(/^(\+233|0)[0-9]{9}$/)
+    .withMessage('Please provide a valid Ghana phone number (e.g., 0553018172 or +233553018172)')
+];
+
+// Validation rules for signing in with an SMS code
+const validateOtpLogin = [
+  ...validateOtpRequest,
+
+  body('code')
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+// Validation rules for phone number verification
+const validatePhoneVerification = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('code')
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+// Validation rules for an authenticator app code
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+// Validation rules for the second step of an admin sign-in
+const validateTwoFactorChallenge = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ max: 20 })
+    .withMessage('Invalid recovery code')
+];
+
 // Validation rules for password reset
 const validatePasswordReset = [
   body('email')
@@ -154,7 +262,7 @@ const handleValidationErrors = (req, res, next) => {
 // Custom validation for duplicate dose checking
 const checkDuplicateDose = async (req, res, next) => {
   try {
-    const { timestamp, doseType } = req.body;
+    const { timestamp, type } = req.body;
     const userId = req.user.id;
     
     // Import Dose model
@@ -165,7 +273,7 @@ const checkDuplicateDose = async (req, res, next) => {
     
     const existingDose = await Dose.findOne({
       patient: userId,
-      doseType: doseType,
+      type: type,
       timestamp: {
         $gte: new Date(doseTime.getTime() - timeWindow),
         $lte: new Date(doseTime.getTime() + timeWindow)
@@ -204,11 +312,11 @@ const checkSubscriptionStatus = async (req, res, next) => {
       });
     }
     
-    // Check if subscription is expired
-    if (patient.subscriptionExpiry && new Date() > new Date(patient.subscriptionExpiry)) {
+    // Check if subscription is read-only (expired and past its grace period)
+    if (patient.subscriptionStatus === 'read_only') {
       return res.status(403).json({
         success: false,
-        message: 'Your subscription has expired. Please contact support to renew.',
+        message: 'Your subscription has expired and your account is read-only. Please renew to log doses.',
         error: 'SUBSCRIPTION_EXPIRED'
       });
     }
@@ -240,8 +348,14 @@ const checkSubscriptionStatus = async (req, res, next) => {
 
 module.exports = {
   validateDoseLogging,
+  validateDoseUpdate,
   validateUserRegistration,
   validateUserLogin,
+  validateOtpRequest,
+  validateOtpLogin,
+  validatePhoneVerification,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
   validatePasswordReset,
   validateNewPassword,
   validateAdminCreation,
@@ -0,0 +1,101 @@
+const { body } = require('express-validator');
+const { getGlucoseRangeError } = require('../../utils/glucoseUtils');
+
+// Shared check that a value is within the meter range for its unit. Updates without a unit
+// are checked against the reading's stored unit in the controller.
+const checkGlucoseRange = (value, { req }) => {
+  const error = getGlucoseRangeError(value, req.body.unit);
+  if (error) throw new Error(error);
+  return true;
+};
+
+// Validation rules for logging a glucose reading
+const validateGlucoseReading = [
+  body('unit')
+    .isIn(['mg/dL', 'mmol/L'])
+    .withMessage('Unit must be mg/dL or mmol/L'),
+  
+  body('value')
+    .isFloat()
+    .withMessage('Glucose value must be a number')
+    .custom(checkGlucoseRange),
+  
+  body('context')
+    .optional()
+    .isIn(['Fasting', 'Before meal', 'After meal', 'Bedtime', 'Random'])
+    .withMessage('Context must be one of: Fasting, Before meal, After meal, Bedtime, Random'),
+  
+  body('doseId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Dose ID must be a valid ID'),
+  
+  body('timestamp')
+    .isISO8601()
+    .withMessage('Timestamp must be a valid ISO 8601 date')
+    .custom((value) => {
+      const readingTime = new Date(value);
+      const now = new Date();
+      const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+      const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
+      
+      if (readingTime < oneDayAgo) {
+        throw new Error('Reading time cannot be more than 24 hours in the past');
+      }
+      if (readingTime > oneHourFromNow) {
+        throw new Error('Reading time cannot be more than 1 hour in the future');
+      }
+      return true;
+    }),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation rules for updating a glucose reading (all fields optional)
+const validateGlucoseUpdate = [
+  body('unit')
+    .optional()
+    .isIn(['mg/dL', 'mmol/L'])
+    .withMessage('Unit must be mg/dL or mmol/L')
+    .custom((unit, { req }) => {
+      // Changing only the unit would silently reinterpret the stored value
+      if (req.body.value === undefined) {
+        throw new Error('Send the value in the new unit when changing the unit');
+      }
+      return true;
+    }),
+  
+  body('value')
+    .optional()
+    .isFloat()
+    .withMessage('Glucose value must be a number')
+    .custom(checkGlucoseRange),
+  
+  body('context')
+    .optional()
+    .isIn(['Fasting', 'Before meal', 'After meal', 'Bedtime', 'Random'])
+    .withMessage('Context must be one of: Fasting, Before meal, After meal, Bedtime, Random'),
+  
+  body('doseId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Dose ID must be a valid ID'),
+  
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Timestamp must be a valid ISO 8601 date'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+module.exports = {
+  validateGlucoseReading,
+  validateGlucoseUpdate
+};
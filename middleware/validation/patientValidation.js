@@ -0,0 +1,186 @@
+const { body } = require('express-validator');
+const { isValidTimeZone } = require('../../utils/dateUtils');
+const { PAYMENT_NETWORKS } = require('../../utils/paymentGateways');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation rules for a patient's insulin regimen (prescription)
+const validateRegimen = [
+  body('basal.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Basal enabled must be true or false'),
+
+  body('basal.frequency')
+    .optional()
+    .isIn(['once_daily', 'twice_daily'])
+    .withMessage('Basal frequency must be once_daily or twice_daily'),
+
+  body('basal.units')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Basal units must be between 0.1 and 100'),
+
+  body('basal.insulinProduct')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Basal insulin product cannot exceed 100 characters'),
+
+  body('basal.targetTimes')
+    .optional()
+    .isArray({ max: 2 })
+    .withMessage('Basal target times must be a list of at most 2 times'),
+
+  body('basal.targetTimes.*')
+    .matches(TIME_OF_DAY)
+    .withMessage('Target times must use the 24-hour HH:MM format'),
+
+  body('basal.minSpacingHours')
+    .optional()
+    .isFloat({ min: 0, max: 24 })
+    .withMessage('Basal minimum spacing must be between 0 and 24 hours')
+    .custom((value, { req }) => {
+      // Twice-daily basal doses are 12 hours apart, so spacing must allow that
+      if (req.body.basal?.frequency === 'twice_daily' && Number(value) > 12) {
+        throw new Error('Basal minimum spacing cannot exceed 12 hours for a twice-daily regimen');
+      }
+      return true;
+    }),
+
+  body('bolus.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Bolus enabled must be true or false'),
+
+  body('bolus.withMeals')
+    .optional()
+    .isBoolean()
+    .withMessage('Bolus with meals must be true or false'),
+
+  body('bolus.mealsPerDay')
+    .optional()
+    .isInt({ min: 1, max: 6 })
+    .withMessage('Meals per day must be between 1 and 6'),
+
+  body('bolus.units')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Bolus units must be between 0.1 and 100'),
+
+  body('bolus.insulinProduct')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bolus insulin product cannot exceed 100 characters'),
+
+  body('bolus.targetTimes')
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('Bolus target times must be a list of at most 6 times'),
+
+  body('bolus.targetTimes.*')
+    .matches(TIME_OF_DAY)
+    .withMessage('Target times must use the 24-hour HH:MM format'),
+
+  body('bolus.minSpacingHours')
+    .optional()
+    .isFloat({ min: 0, max: 24 })
+    .withMessage('Bolus minimum spacing must be between 0 and 24 hours'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation rules for a patient's time zone and quiet hours
+const validatePatientPreferences = [
+  body('timeZone')
+    .optional({ values: 'null' })
+    .custom((value) => isValidTimeZone(value))
+    .withMessage('Time zone must be an IANA time zone name such as Africa/Accra'),
+
+  body('quietHours.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Quiet hours enabled must be true or false'),
+
+  body('quietHours.start')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('Quiet hours start must use the 24-hour HH:MM format'),
+
+  body('quietHours.end')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('Quiet hours end must use the 24-hour HH:MM format')
+    .custom((value, { req }) => {
+      if (req.body.quietHours?.start === value) {
+        throw new Error('Quiet hours start and end cannot be the same');
+      }
+      return true;
+    })
+];
+
+// Validation rules for starting a subscription payment
+const validatePaymentIntent = [
+  body('planId')
+    .optional()
+    .isMongoId()
+    .withMessage('Plan ID must be a valid ID'),
+
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^\+?[\d\s-]{9,16}$/)
+    .withMessage('Phone must be a valid mobile-money number'),
+
+  body('network')
+    .optional()
+    .toLowerCase()
+    .isIn(PAYMENT_NETWORKS)
+    .withMessage(`Network must be one of: ${PAYMENT_NETWORKS.join(', ')}`)
+];
+
+// Validation rules for a payment an admin took when renewing or reactivating a subscription
+const validateManualPayment = [
+  body('amountPaid')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount paid must be greater than 0'),
+
+  body('paymentReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Payment reference cannot exceed 100 characters')
+];
+
+// Validation rules for pausing a subscription
+const validateSubscriptionPause = [
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+module.exports = {
+  validateRegimen,
+  validatePatientPreferences,
+  validatePaymentIntent,
+  validateManualPayment,
+  validateSubscriptionPause
+};
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+// Every identity that can sign in lives in the accounts collection. Patient and Admin are
+// discriminators of Account ("kind"), so Patient.find() only sees patients while
+// Account.findOne({ email }) finds anyone. The person's details are in the profile
+// sub-document; each kind adds its own fields (a patient's subscription and reminders, an
+// admin's two-factor settings).
+const ProfileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    phone: {
+      type: String,
+      required: true,
+    },
+    gender: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const AccountSchema = new mongoose.Schema(
+  {
+    profile: {
+      type: ProfileSchema,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true, // Unique across patients and admins
+    },
+    password: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["patient", "admin", "superadmin"],
+      required: true,
+    },
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    failedLoginAttempts: {
+      type: Number, // Failed logins close together; reset on success or when the account locks
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date, // Set after too many failed logins; sign-in is refused until then
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { discriminatorKey: "kind", collection: "accounts" }
+);
+
+AccountSchema.index({ kind: 1, role: 1 }); // Accounts of a kind or role
+
+module.exports = mongoose.model("Account", AccountSchema);
@@ -1,27 +1,9 @@
 const mongoose = require("mongoose");
+const Account = require("./Account");
 
+// An admin account: the sign-in fields are on Account. Admins are active and verified from
+// the start.
 const AdminSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: true,
-  },
-  email: {
-    type: String,
-    required: true,
-    unique: true, // Each email must be unique
-  },
-  phone: {
-    type: String,
-    required: true,
-  },
-  gender: {
-    type: String,
-    required: true,
-  },
-  password: {
-    type: String,
-    required: true,
-  },
   role: {
     type: String,
     enum: ["admin", "superadmin"],
@@ -29,16 +11,37 @@ const AdminSchema = new mongoose.Schema({
   },
   active: {
     type: Boolean,
-    default: true, // Admins are active by default
+    default: true,
   },
   verified: {
     type: Boolean,
-    default: true, // Admins are verified by default
-  },
-  date: {
-    type: Date,
-    default: Date.now,
+    default: true,
+  },
+  // Authenticator app (TOTP) sign-in codes; required for superadmins. Secrets are stored
+  // encrypted and, like the recovery code hashes, only loaded when asked for.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String, // Secret being set up, until the admin enters a code from it
+      select: false,
+    },
+    enabledAt: Date,
+    lastUsedStep: {
+      type: Number, // Time step of the last accepted code, so a code can't be used twice
+      select: false,
+    },
+    recoveryCodeHashes: {
+      type: [String], // SHA-256 of each unused recovery code
+      select: false,
+    },
   },
 });
 
-module.exports = mongoose.model("Admin", AdminSchema);
+module.exports = Account.discriminator("Admin", AdminSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Named sequence for numbers that must increase without gaps or repeats (e.g. invoice numbers)
+const CounterSchema = new Schema({
+  _id: {
+    type: String, // Sequence name, e.g. "invoice"
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model("Counter", CounterSchema);
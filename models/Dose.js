@@ -16,6 +16,21 @@ const DoseSchema = new Schema({
     type: Date,
     required: true,
   },
+  units: {
+    type: Number, // Insulin units administered
+    min: 0.1,
+    max: 100,
+  },
+  insulinProduct: {
+    type: String, // Brand/product used, e.g. "Lantus", "NovoRapid"
+    trim: true,
+    maxlength: 100,
+  },
+  injectionSite: {
+    type: String,
+    enum: ["Abdomen", "Thigh", "Upper arm", "Buttock", null],
+    default: null,
+  },
   notes: {
     type: String,
   },
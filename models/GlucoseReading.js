@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { toMgdl, toMmol } = require("../utils/glucoseUtils");
+
+const GlucoseReadingSchema = new Schema({
+  patient: {
+    type: Schema.Types.ObjectId, // This links the reading to a patient document
+    ref: "Patient",
+    required: true,
+  },
+  value: {
+    type: Number, // Value as entered by the patient, in `unit`
+    required: true,
+    min: 0,
+  },
+  unit: {
+    type: String,
+    enum: ["mg/dL", "mmol/L"],
+    required: true,
+  },
+  // Normalised values so readings in either unit can be compared and aggregated
+  valueMgdl: {
+    type: Number,
+  },
+  valueMmol: {
+    type: Number,
+  },
+  context: {
+    type: String,
+    enum: ["Fasting", "Before meal", "After meal", "Bedtime", "Random"],
+    default: "Random",
+  },
+  dose: {
+    type: Schema.Types.ObjectId, // Optional link to the dose taken alongside this reading
+    ref: "Dose",
+    default: null,
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+  },
+  notes: {
+    type: String,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Keep the normalised values in sync with the entered value
+GlucoseReadingSchema.pre("validate", function (next) {
+  if (this.value != null && this.unit) {
+    this.valueMgdl = toMgdl(this.value, this.unit);
+    this.valueMmol = toMmol(this.value, this.unit);
+  }
+  next();
+});
+
+// Add database indexes for better query performance
+GlucoseReadingSchema.index({ patient: 1, timestamp: -1 }); // Compound index for patient queries sorted by time
+GlucoseReadingSchema.index({ timestamp: -1 }); // Index for sorting by timestamp
+GlucoseReadingSchema.index({ dose: 1 }); // Index for looking up readings linked to a dose
+
+module.exports = mongoose.model("GlucoseReading", GlucoseReadingSchema);
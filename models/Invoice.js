@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Invoice for one subscription renewal; the patient can download it as a PDF receipt
+const InvoiceSchema = new Schema(
+  {
+    number: {
+      type: String, // Sequential invoice number, e.g. "INV-000042"
+      required: true,
+      unique: true,
+    },
+    sequence: {
+      type: Number, // Numeric part of the invoice number
+      required: true,
+    },
+    patient: {
+      type: Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+    renewal: {
+      type: Schema.Types.ObjectId, // Entry in the patient's subscriptionRenewalHistory
+      required: true,
+    },
+    plan: {
+      type: Schema.Types.ObjectId,
+      ref: "Plan",
+    },
+    planName: {
+      type: String, // Plan name at the time of renewal
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    periodStart: {
+      type: Date, // Start of the period the renewal paid for
+      required: true,
+    },
+    periodEnd: {
+      type: Date, // New subscription expiry
+      required: true,
+    },
+    payer: {
+      name: String,
+      email: String,
+      phone: String,
+    },
+    paymentMethod: {
+      type: String,
+      // mobile_money: paid online through /api/patients/:id/payments; manual: recorded by an admin
+      enum: ["mobile_money", "manual"],
+      required: true,
+    },
+    payment: {
+      type: Schema.Types.ObjectId, // Online payment, for mobile-money renewals
+      ref: "Payment",
+    },
+    paymentReference: {
+      type: String,
+    },
+    recordedBy: {
+      type: String, // renewedBy of the renewal: patient, admin, superadmin or system
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    emailedAt: {
+      type: Date, // When the receipt email was queued
+    },
+  },
+  { timestamps: true }
+);
+
+// Add database indexes for better query performance
+InvoiceSchema.index({ patient: 1, issuedAt: -1 }); // Invoices per patient
+InvoiceSchema.index({ patient: 1, renewal: 1 }, { unique: true }); // One invoice per renewal
+
+module.exports = mongoose.model("Invoice", InvoiceSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const JobRunSchema = new Schema({
+  job: {
+    type: String, // Scheduled job name, e.g. "comprehensive_reminders"
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ["schedule", "manual"],
+    default: "schedule",
+  },
+  triggeredBy: {
+    type: Schema.Types.ObjectId, // Admin who started a manual run
+    ref: "Admin",
+    default: null,
+  },
+  scheduledFor: {
+    type: Date, // Scheduled tick this run belongs to (scheduled runs only)
+  },
+  instance: {
+    type: String, // Server instance that ran the job
+  },
+  status: {
+    type: String,
+    enum: ["running", "succeeded", "completed_with_errors", "failed", "skipped"],
+    default: "running",
+  },
+  skipReason: {
+    type: String, // Why a skipped run did not execute, e.g. "paused"
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  durationMs: {
+    type: Number,
+  },
+  patientsScanned: {
+    type: Number,
+    default: 0,
+  },
+  messagesSent: {
+    type: Number, // SMS and emails queued by the run
+    default: 0,
+  },
+  errorCount: {
+    type: Number,
+    default: 0,
+  },
+  errorMessages: {
+    type: [String], // First errors of the run, for troubleshooting
+    default: [],
+  },
+});
+
+// Add database indexes for better query performance
+JobRunSchema.index({ job: 1, startedAt: -1 }); // Run history per job
+JobRunSchema.index({ status: 1, startedAt: -1 }); // Finding failed runs
+JobRunSchema.index({ startedAt: -1 }); // Admin listing
+
+module.exports = mongoose.model("JobRun", JobRunSchema);
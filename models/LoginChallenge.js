@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// The second step of an admin sign-in: issued once the password is right, exchanged for a
+// session with an authenticator or recovery code. Only a hash of the challenge token is stored.
+const LoginChallengeSchema = new Schema({
+  admin: {
+    type: Schema.Types.ObjectId,
+    ref: "Admin",
+    required: true,
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the challenge token
+    required: true,
+    unique: true,
+  },
+  purpose: {
+    type: String,
+    enum: ["verify", "setup"], // "setup": a superadmin who must turn on 2FA before signing in
+    required: true,
+  },
+  attempts: {
+    type: Number, // Codes tried against this challenge
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+LoginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Remove challenges once they expire
+
+module.exports = mongoose.model("LoginChallenge", LoginChallengeSchema);
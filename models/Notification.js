@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const NotificationSchema = new Schema({
+  channel: {
+    type: String,
+    enum: ["sms", "email"],
+    required: true,
+  },
+  template: {
+    type: String, // Which message was sent, e.g. "dose_reminder_1", "subscription_expiry_warning"
+    required: true,
+    default: "custom",
+  },
+  recipient: {
+    type: String, // Phone number (normalised) or email address
+    required: true,
+  },
+  patient: {
+    type: Schema.Types.ObjectId, // Patient the message was sent to or about, if known
+    ref: "Patient",
+    default: null,
+  },
+  subject: {
+    type: String, // Email subject
+  },
+  message: {
+    type: String, // SMS text (email bodies are not stored)
+  },
+  status: {
+    type: String,
+    // queued/sent/delivered/expired come from provider delivery reports
+    enum: ["queued", "sent", "delivered", "failed", "expired", "skipped"],
+    required: true,
+  },
+  statusUpdatedAt: {
+    type: Date, // When a delivery report last changed the status
+  },
+  deliveredAt: {
+    type: Date,
+  },
+  retryOf: {
+    type: Schema.Types.ObjectId, // Original notification when this is a resend after non-delivery
+    ref: "Notification",
+    default: null,
+  },
+  deliveryHandled: {
+    type: Boolean, // Set once the reminder job has acted on a failed/expired delivery
+    default: false,
+  },
+  provider: {
+    type: String, // e.g. "Fish Africa", "Gmail"
+  },
+  providerMessageId: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  cost: {
+    type: Number, // Estimated cost of the send, in `currency`
+    default: 0,
+  },
+  currency: {
+    type: String,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Add database indexes for better query performance
+NotificationSchema.index({ patient: 1, date: -1 }); // Patient notification history
+NotificationSchema.index({ date: -1 }); // Sorting by send time
+NotificationSchema.index({ channel: 1, status: 1, date: -1 }); // Admin filters
+NotificationSchema.index({ template: 1, date: -1 }); // Filtering by message type
+NotificationSchema.index({ recipient: 1 }); // Searching by phone/email
+NotificationSchema.index({ providerMessageId: 1 }); // Delivery report lookups by provider reference
+NotificationSchema.index({ status: 1, deliveryHandled: 1 }); // Undelivered reminders for the reminder job
+
+module.exports = mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,58 @@
+// backend/models/OtpCode.js
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One-time codes sent by SMS, one per patient and purpose. Only a hash of the code is
+// stored. The document outlives the code so resend limits hold across several codes.
+const OtpCodeSchema = new Schema({
+  patient: {
+    type: Schema.Types.ObjectId,
+    ref: "Patient",
+    required: true,
+  },
+  phone: {
+    type: String, // Normalised phone number the code was sent to
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ["login", "phoneVerification"],
+    required: true,
+  },
+  codeHash: {
+    type: String, // HMAC of the current code; cleared once it is used
+    default: null,
+  },
+  codeExpiresAt: {
+    type: Date,
+  },
+  attempts: {
+    type: Number, // Wrong guesses at the current code
+    default: 0,
+  },
+  lastSentAt: {
+    type: Date,
+  },
+  sendCount: {
+    type: Number, // Codes sent since windowStartedAt
+    default: 0,
+  },
+  windowStartedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    // TTL index: the record (and its send limits) goes once its window is over
+    index: { expires: 0 },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+OtpCodeSchema.index({ patient: 1, purpose: 1 }, { unique: true });
+
+module.exports = mongoose.model("OtpCode", OtpCodeSchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const OutboxMessageSchema = new Schema({
+  channel: {
+    type: String,
+    enum: ["sms", "email"],
+    required: true,
+  },
+  to: {
+    type: String, // Phone number or email address
+    required: true,
+  },
+  message: {
+    type: String, // SMS text
+  },
+  maskedMessage: {
+    type: String, // SMS text with its secret (one-time code) masked; replaces `message` once sent or dead-lettered
+  },
+  subject: {
+    type: String, // Email subject
+  },
+  html: {
+    type: String, // Email body
+  },
+  attachments: [{
+    _id: false,
+    filename: String,
+    contentType: String,
+    content: Buffer, // Email attachment, e.g. a PDF receipt
+  }],
+  template: {
+    type: String,
+    default: "custom",
+  },
+  notification: {
+    type: Schema.Types.ObjectId, // Notification log entry tracking this message
+    ref: "Notification",
+  },
+  idempotencyKey: {
+    type: String, // Messages with the same key are only queued once
+  },
+  status: {
+    type: String,
+    enum: ["pending", "processing", "sent", "dead"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: {
+    type: Date, // When a worker claimed the message
+  },
+  lastError: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+  deadAt: {
+    type: Date, // When the message was dead-lettered after its last attempt
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Add database indexes for better query performance
+OutboxMessageSchema.index({ status: 1, nextAttemptAt: 1 }); // Worker polling for due messages
+OutboxMessageSchema.index({ status: 1, lockedAt: 1 }); // Reclaiming messages from a crashed worker
+OutboxMessageSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true }); // Duplicate suppression
+OutboxMessageSchema.index({ date: -1 }); // Admin listing
+
+module.exports = mongoose.model("OutboxMessage", OutboxMessageSchema);
@@ -1,27 +1,12 @@
 const mongoose = require("mongoose");
+const Account = require("./Account");
+const { isValidTimeZone } = require("../utils/dateUtils");
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A patient account: the sign-in fields and profile are on Account, these are the patient's
+// subscription, reminders and preferences
 const PatientSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: true,
-  },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  phone: {
-    type: String,
-    required: true,
-  },
-  gender: {
-    type: String,
-    required: true,
-  },
-  password: {
-    type: String,
-    required: true,
-  },
   isActive: {
     type: Boolean,
     default: true,
@@ -32,17 +17,32 @@ const PatientSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["patient", "admin", "superadmin"],
+    enum: ["patient"],
     default: "patient",
   },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId, // Subscription plan; subscriptionType holds its name
+    ref: "Plan",
+    default: null,
+  },
   subscriptionType: {
     type: String,
-    enum: ["Monthly", "Yearly", null],
     default: null,
   },
   subscriptionExpiry: {
     type: Date,
   },
+  // active until expiry, grace while the plan's grace period runs (reminders continue),
+  // read_only after it: the patient can log in, view and export data and pay, but not log doses
+  subscriptionStatus: {
+    type: String,
+    enum: ["active", "grace", "read_only"],
+    default: "active",
+  },
+  readOnlySince: {
+    type: Date,
+    default: null,
+  },
   subscriptionRenewalCount: {
     type: Number,
     default: 0,
@@ -51,25 +51,46 @@ const PatientSchema = new mongoose.Schema({
     type: Date,
   },
   subscriptionRenewalHistory: [{
+    type: {
+      type: String,
+      enum: ['renewal', 'pause'], // pause: expiry extended by the time the subscription was frozen
+      default: 'renewal',
+    },
     renewedAt: {
       type: Date,
       default: Date.now,
     },
     renewedBy: {
       type: String,
-      enum: ['admin', 'superadmin', 'system'],
+      enum: ['patient', 'admin', 'superadmin', 'system'],
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Plan",
     },
     previousExpiry: Date,
     newExpiry: Date,
     subscriptionType: String,
+    pausedFrom: Date,
+    pausedUntil: Date,
+    pauseReason: String,
   }],
-  active: {
-    type: Boolean,
+  // Current or upcoming subscription freeze (hospital stay, travel). While it runs, reminders and
+  // expiry notices stop; when it ends, the expiry moves out by the time it was paused.
+  subscriptionPause: {
+    startsAt: Date,
+    endsAt: Date,
+    reason: String,
+    requestedBy: mongoose.Schema.Types.ObjectId, // Patient or Admin who set it
+    requestedByRole: String,
+    requestedAt: Date,
+  },
+  phoneVerified: {
+    type: Boolean, // Confirmed with an SMS code; needed to sign in by SMS code
     default: false,
   },
-  verified: {
-    type: Boolean,
-    default: false,
+  phoneVerifiedAt: {
+    type: Date,
   },
   deactivatedAt: {
     type: Date,
@@ -115,12 +136,36 @@ const PatientSchema = new mongoose.Schema({
   lastReminderSent: {
     type: Date,
   },
+  lastReminderNotification: {
+    type: mongoose.Schema.Types.ObjectId, // Notification log entry of the last reminder SMS, for delivery tracking
+    ref: "Notification",
+    default: null,
+  },
   
   // New SMS Logic Fields
   hasLoggedFirstDose: {
     type: Boolean,
     default: false,
   },
+  reminderPolicy: {
+    type: mongoose.Schema.Types.ObjectId, // Assigned reminder policy (null = the default policy)
+    ref: "ReminderPolicy",
+    default: null,
+  },
+  timeZone: {
+    type: String, // IANA time zone, e.g. "Europe/London" (null = DEFAULT_TIME_ZONE)
+    default: null,
+    validate: {
+      validator: (value) => value === null || isValidTimeZone(value),
+      message: "Time zone must be an IANA time zone name such as Africa/Accra",
+    },
+  },
+  quietHours: {
+    // Reminders and subscription notices due in this window wait until it ends
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: "22:00", match: TIME_OF_DAY }, // HH:MM in the patient's time zone
+    end: { type: String, default: "07:00", match: TIME_OF_DAY },
+  },
   smsReminderCycle: {
     type: String,
     enum: ['new_user', 'active_user', 'inactive_user', 'admin_notified'],
@@ -138,10 +183,8 @@ const PatientSchema = new mongoose.Schema({
   welcomeSmsSentAt: {
     type: Date,
   },
-
-  date: {
-    type: Date,
-    default: Date.now,
+  skippedDoseTime: {
+    type: Date, // Expected time of the last dose the patient skipped by SMS reply
   },
 });
 
@@ -150,8 +193,9 @@ PatientSchema.index({ active: 1, role: 1 }); // Compound index for admin queries
 PatientSchema.index({ verified: 1, role: 1 }); // Compound index for verification status queries
 PatientSchema.index({ subscriptionExpiry: 1, active: 1 }); // Compound index for expiry queries
 PatientSchema.index({ date: -1 }); // Index for sorting by creation date (use 'date' not 'createdAt')
-PatientSchema.index({ name: "text", email: "text" }); // Text search index for admin search
+PatientSchema.index({ "profile.name": "text", email: "text" }); // Text search index for admin search
 PatientSchema.index({ isActive: 1 }); // Index for soft delete filtering
+PatientSchema.index({ plan: 1 }); // Patients per subscription plan
 PatientSchema.index({ email: 1, isActive: 1 }); // Compound index for finding by email with active status
 
 // New indexes for SMS and reminder functionality
@@ -162,4 +206,4 @@ PatientSchema.index({ hasLoggedFirstDose: 1, smsReminderCycle: 1 }); // Compound
 PatientSchema.index({ lastActivationDate: 1 }); // Index for reactivation tracking
 PatientSchema.index({ adminNotifiedDate: 1 }); // Index for admin notification tracking
 
-module.exports = mongoose.model("Patient", PatientSchema);
+module.exports = Account.discriminator("Patient", PatientSchema);
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A subscription payment: created as a pending intent, then confirmed or failed by the gateway's webhook
+const PaymentSchema = new Schema(
+  {
+    patient: {
+      type: Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+    reference: {
+      type: String, // Our reference, sent to the gateway and echoed back in its webhooks
+      required: true,
+      unique: true,
+    },
+    gateway: {
+      type: String, // Gateway key from PAYMENT_GATEWAY (e.g. "mobilemoney", "fake")
+      required: true,
+    },
+    gatewayReference: {
+      type: String, // The gateway's own transaction ID
+    },
+    plan: {
+      type: Schema.Types.ObjectId, // Plan being paid for
+      ref: "Plan",
+      required: true,
+    },
+    subscriptionType: {
+      type: String, // Plan name at the time of payment
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    phone: {
+      type: String, // Normalised mobile-money number charged
+      required: true,
+    },
+    network: {
+      type: String, // Mobile-money network, e.g. mtn, telecel, airteltigo
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    failureReason: {
+      type: String,
+    },
+    initiatedBy: {
+      type: Schema.Types.ObjectId, // Patient or admin who started the payment
+    },
+    initiatedByRole: {
+      type: String,
+      enum: ["patient", "admin", "superadmin"],
+    },
+    confirmedAt: {
+      type: Date,
+    },
+    failedAt: {
+      type: Date,
+    },
+    // Subscription change made when the payment was confirmed
+    previousExpiry: {
+      type: Date,
+    },
+    newExpiry: {
+      type: Date,
+    },
+    lastWebhookPayload: {
+      type: Schema.Types.Mixed, // Latest webhook body from the gateway, for troubleshooting
+    },
+  },
+  { timestamps: true }
+);
+
+// Add database indexes for better query performance
+PaymentSchema.index({ patient: 1, createdAt: -1 }); // Payment history per patient
+PaymentSchema.index({ status: 1, createdAt: -1 }); // Pending and failed payments
+PaymentSchema.index({ gateway: 1, gatewayReference: 1 }, { sparse: true });
+
+module.exports = mongoose.model("Payment", PaymentSchema);
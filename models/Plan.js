@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A subscription plan patients can sign up to, renew and pay for
+const PlanSchema = new Schema(
+  {
+    name: {
+      type: String, // Shown to patients and stored on them as subscriptionType (e.g. "Monthly")
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Calendar length of one period (e.g. 1 month), counted in the patient's time zone
+    duration: {
+      value: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 3650,
+      },
+      unit: {
+        type: String,
+        enum: ["day", "week", "month", "year"],
+        required: true,
+      },
+    },
+    price: {
+      type: Number, // Price of one period
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "GHS",
+      uppercase: true,
+      trim: true,
+    },
+    gracePeriodDays: {
+      type: Number, // Days after expiry before the account becomes read-only
+      default: 7,
+      min: 0,
+      max: 90,
+    },
+    features: {
+      type: [String], // Selling points listed on the plan
+      default: [],
+    },
+    active: {
+      type: Boolean, // Inactive plans can't be chosen for sign-up or payment; existing patients keep them
+      default: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  { timestamps: true }
+);
+
+PlanSchema.index({ active: 1, sortOrder: 1 }); // Plans offered at sign-up
+
+module.exports = mongoose.model("Plan", PlanSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Request and send counts for rate limits, shared by every server instance. One document per
+// limit and client (e.g. "login:ip:203.0.113.5", "provider:fishafrica"), counting in a fixed window.
+const RateLimitSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date, // End of the current window
+    required: true,
+  },
+});
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 }); // Remove counts once their window is over
+
+module.exports = mongoose.model("RateLimit", RateLimitSchema);
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Target times are stored as 24-hour "HH:MM" strings
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Basal spacing used when none is prescribed: twice-daily doses are 12 hours apart
+const DEFAULT_BASAL_SPACING_HOURS = { once_daily: 20, twice_daily: 12 };
+
+const RegimenSchema = new Schema(
+  {
+    patient: {
+      type: Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+      unique: true, // One prescription per patient
+    },
+    basal: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      frequency: {
+        type: String,
+        enum: ["once_daily", "twice_daily"],
+        default: "once_daily",
+      },
+      units: {
+        type: Number,
+        min: 0.1,
+        max: 100,
+      },
+      insulinProduct: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+      },
+      targetTimes: [
+        {
+          type: String,
+          match: TIME_OF_DAY,
+        },
+      ],
+      minSpacingHours: {
+        type: Number, // Minimum hours between two basal doses
+        min: 0,
+        max: 24,
+        default: function () {
+          return DEFAULT_BASAL_SPACING_HOURS[this.get("basal.frequency")] ?? 20;
+        },
+        validate: {
+          validator: function (value) {
+            return this.get("basal.frequency") !== "twice_daily" || value <= 12;
+          },
+          message: "Basal minimum spacing cannot exceed 12 hours for a twice-daily regimen",
+        },
+      },
+    },
+    bolus: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      withMeals: {
+        type: Boolean,
+        default: true,
+      },
+      mealsPerDay: {
+        type: Number,
+        min: 1,
+        max: 6,
+        default: 3,
+      },
+      units: {
+        type: Number,
+        min: 0.1,
+        max: 100,
+      },
+      insulinProduct: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+      },
+      targetTimes: [
+        {
+          type: String,
+          match: TIME_OF_DAY,
+        },
+      ],
+      minSpacingHours: {
+        type: Number, // Minimum hours between two bolus doses
+        min: 0,
+        max: 24,
+        default: 3,
+      },
+    },
+    prescribedBy: {
+      type: Schema.Types.ObjectId, // Admin/SuperAdmin who set the regimen
+      ref: "Admin",
+    },
+    notes: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Basal spacing that goes with a frequency when none is prescribed
+ * @param {string} frequency - "once_daily" or "twice_daily"
+ * @returns {number} - Hours
+ */
+RegimenSchema.statics.getDefaultBasalSpacingHours = (frequency) =>
+  DEFAULT_BASAL_SPACING_HOURS[frequency] ?? 20;
+
+module.exports = mongoose.model("Regimen", RegimenSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One reminder in a policy: when it goes out, how, and what happens after it
+const ReminderStepSchema = new Schema(
+  {
+    offsetMinutes: {
+      type: Number, // Minutes after the phase anchor (negative = before)
+      required: true,
+      min: -1440,
+      max: 10080,
+    },
+    offsetIntervals: {
+      type: Number, // Whole dosing intervals added to the anchor (active phase only)
+      default: 0,
+      min: 0,
+      max: 7,
+    },
+    channel: {
+      type: String,
+      enum: ["sms", "email"],
+      default: "sms",
+    },
+    template: {
+      type: String, // Key in REMINDER_TEMPLATES (utils/reminderPolicyUtils.js)
+      required: true,
+    },
+    escalation: {
+      type: String,
+      // mark_inactive ends the cycle; notify_admins also emails admins about the patient
+      enum: ["none", "mark_inactive", "notify_admins"],
+      default: "none",
+    },
+  },
+  { _id: false }
+);
+
+const ReminderPolicySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    isDefault: {
+      type: Boolean, // Applies to every patient without a policy of their own
+      default: false,
+    },
+    // Before the first dose: offsets count from the welcome (or reactivation) SMS
+    newUserSteps: {
+      type: [ReminderStepSchema],
+      default: [],
+    },
+    // After a dose: offsets count from the next expected dose time in the patient's regimen
+    activeUserSteps: {
+      type: [ReminderStepSchema],
+      default: [],
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  { timestamps: true }
+);
+
+ReminderPolicySchema.index({ isDefault: 1 }); // Default policy lookup
+
+module.exports = mongoose.model("ReminderPolicy", ReminderPolicySchema);
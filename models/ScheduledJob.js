@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Run-time controls for a scheduled job, shared by every server instance
+const ScheduledJobSchema = new Schema(
+  {
+    name: {
+      type: String, // Matches JobRun.job
+      required: true,
+      unique: true,
+    },
+    paused: {
+      type: Boolean, // Paused jobs skip their scheduled runs (manual runs still work)
+      default: false,
+    },
+    pausedAt: {
+      type: Date,
+    },
+    pausedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    pauseReason: {
+      type: String,
+      maxlength: 500,
+    },
+    // Lease lock: only the instance holding it runs the job
+    lockOwner: {
+      type: String, // Instance ID (host:pid:random) of the current holder
+      default: null,
+    },
+    lockAcquiredAt: {
+      type: Date,
+    },
+    lockExpiresAt: {
+      type: Date, // Extended by the holder's heartbeat; another instance may take over once passed
+    },
+    lockHeartbeatAt: {
+      type: Date,
+    },
+    lastTickAt: {
+      type: Date, // Latest scheduled tick claimed, so each tick runs on one instance only
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ScheduledJob", ScheduledJobSchema);
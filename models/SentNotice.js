@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Ledger of the milestone notices each patient has had, so the scheduled jobs send
+// every milestone once and can catch up on ones that fell due while they weren't running
+const SentNoticeSchema = new Schema({
+  patient: {
+    type: Schema.Types.ObjectId,
+    ref: "Patient",
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["subscription", "reminder"],
+    required: true,
+  },
+  milestone: {
+    type: String, // e.g. "expiry_warning_7d", "active_step_2"
+    required: true,
+  },
+  cycleKey: {
+    type: String, // What the milestone counts from: the expiry date or the reminder cycle start
+    required: true,
+  },
+  status: {
+    type: String,
+    // superseded: overdue when a later milestone was sent, so it was never sent on its own
+    enum: ["sent", "superseded"],
+    default: "sent",
+  },
+  notification: {
+    type: Schema.Types.ObjectId, // Notification log entry of the sent message
+    ref: "Notification",
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One entry per patient, milestone and cycle
+SentNoticeSchema.index({ patient: 1, kind: 1, milestone: 1, cycleKey: 1 }, { unique: true });
+SentNoticeSchema.index({ date: -1 });
+
+module.exports = mongoose.model("SentNotice", SentNoticeSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A signed-in device. Access tokens name their session, so revoking it signs the device out
+// at once; its refresh token is rotated on every use and only its hash is stored.
+const SessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    refPath: "userModel",
+  },
+  userModel: {
+    type: String, // The account's kind
+    enum: ["Patient", "Admin"],
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["patient", "admin", "superadmin"],
+    required: true,
+  },
+  refreshTokenHash: {
+    type: String, // SHA-256 of the current refresh token
+    required: true,
+    unique: true,
+  },
+  previousRefreshTokenHash: {
+    type: String, // The token it replaced; presenting it again means the token was stolen
+    default: null,
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String, // e.g. "logout", "account deactivated", "password reset", "refresh token reused"
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 }); // A user's open sessions
+SessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Remove sessions once they expire
+
+module.exports = mongoose.model("Session", SessionSchema);
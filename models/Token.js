@@ -41,7 +41,7 @@ const TokenSchema = new Schema({
   userId: {
     type: Schema.Types.ObjectId,
     required: true,
-    ref: "Patient", // References the Patient model
+    ref: "Account", // References the account, patient or admin
   },
   token: {
     type: String,
@@ -3,9 +3,24 @@
 const express = require("express");
 const router = express.Router();
 const adminController = require("../controllers/adminController");
+const analyticsController = require("../controllers/analyticsController");
+const notificationController = require("../controllers/notificationController");
+const outboxController = require("../controllers/outboxController");
+const reminderPolicyController = require("../controllers/reminderPolicyController");
+const reminderController = require("../controllers/reminderController");
+const jobController = require("../controllers/jobController");
+const planController = require("../controllers/planController");
 const { protect } = require("../middleware/authMiddleware");
 const { authorizeRoles } = require("../middleware/roleMiddleware");
 const { formatPatientDates } = require("../utils/dateUtils");
+const { handleValidationErrors } = require("../middleware/validation/doseValidation");
+const {
+  validateReminderPolicy,
+  validateReminderPolicyUpdate,
+  validateReminderPolicyAssignment,
+  validatePlan,
+  validatePlanUpdate,
+} = require("../middleware/validation/adminValidation");
 
 // @route   GET /api/admin/dashboard-stats
 // @desc    Get optimized dashboard statistics
@@ -17,6 +32,226 @@ router.get(
   adminController.getDashboardStats
 );
 
+// @route   GET /api/admin/analytics/adherence
+// @desc    Get cohort adherence analytics with date range filters
+// @access  Private (Admin, Super Admin)
+router.get(
+  "/analytics/adherence",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  analyticsController.getCohortAdherence
+);
+
+// @route   GET /api/admin/notifications
+// @desc    Search the log of SMS and emails sent (channel, template, status, recipient, patient, dates)
+// @access  Private (Admin, Super Admin)
+router.get(
+  "/notifications",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  notificationController.getAllNotifications
+);
+
+// @route   GET /api/admin/outbox
+// @desc    List queued, sent and dead-lettered outbound SMS and emails
+// @access  Private (Admin, Super Admin)
+router.get(
+  "/outbox",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  outboxController.getOutboxMessages
+);
+
+// @route   POST /api/admin/outbox/:id/retry
+// @desc    Requeue a dead-lettered message
+// @access  Private (Admin, Super Admin)
+router.post(
+  "/outbox/:id/retry",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  outboxController.retryOutboxMessage
+);
+
+// @route   GET /api/admin/jobs
+// @desc    List scheduled jobs with their pause state and latest run
+// @access  Private (Admin, Super Admin)
+router.get(
+  "/jobs",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  jobController.getJobs
+);
+
+// @route   GET /api/admin/jobs/runs
+// @desc    List scheduled job runs (filter by job, status, trigger)
+// @access  Private (Admin, Super Admin)
+router.get(
+  "/jobs/runs",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  jobController.getJobRuns
+);
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Run a scheduled job now
+// @access  Private (Super Admin)
+router.post(
+  "/jobs/:name/run",
+  protect,
+  authorizeRoles(["superadmin"]),
+  jobController.triggerJob
+);
+
+// @route   POST /api/admin/jobs/:name/pause
+// @desc    Pause a scheduled job's runs
+// @access  Private (Super Admin)
+router.post(
+  "/jobs/:name/pause",
+  protect,
+  authorizeRoles(["superadmin"]),
+  jobController.pauseJob
+);
+
+// @route   POST /api/admin/jobs/:name/resume
+// @desc    Resume a paused scheduled job
+// @access  Private (Super Admin)
+router.post(
+  "/jobs/:name/resume",
+  protect,
+  authorizeRoles(["superadmin"]),
+  jobController.resumeJob
+);
+
+// @route   GET /api/admin/reminders/dry-run
+// @desc    Show which reminders the reminder job would send at a given time (?now=), without sending
+// @access  Private (Admin, Super Admin)
+router.get(
+  "/reminders/dry-run",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  reminderController.getReminderDryRun
+);
+
+// @route   GET /api/admin/reminder-policies
+// @desc    List reminder policies and the templates their steps can use
+// @access  Private (Super Admin)
+router.get(
+  "/reminder-policies",
+  protect,
+  authorizeRoles(["superadmin"]),
+  reminderPolicyController.getReminderPolicies
+);
+
+// @route   POST /api/admin/reminder-policies
+// @desc    Create a reminder policy
+// @access  Private (Super Admin)
+router.post(
+  "/reminder-policies",
+  protect,
+  authorizeRoles(["superadmin"]),
+  validateReminderPolicy,
+  handleValidationErrors,
+  reminderPolicyController.createReminderPolicy
+);
+
+// @route   PUT /api/admin/reminder-policies/assignments
+// @desc    Assign a reminder policy to patients (policyId null = default policy)
+// @access  Private (Super Admin)
+router.put(
+  "/reminder-policies/assignments",
+  protect,
+  authorizeRoles(["superadmin"]),
+  validateReminderPolicyAssignment,
+  handleValidationErrors,
+  reminderPolicyController.assignReminderPolicy
+);
+
+// @route   GET /api/admin/reminder-policies/:id
+// @desc    Get a reminder policy
+// @access  Private (Super Admin)
+router.get(
+  "/reminder-policies/:id",
+  protect,
+  authorizeRoles(["superadmin"]),
+  reminderPolicyController.getReminderPolicy
+);
+
+// @route   PUT /api/admin/reminder-policies/:id
+// @desc    Update a reminder policy (set isDefault to make it the default)
+// @access  Private (Super Admin)
+router.put(
+  "/reminder-policies/:id",
+  protect,
+  authorizeRoles(["superadmin"]),
+  validateReminderPolicyUpdate,
+  handleValidationErrors,
+  reminderPolicyController.updateReminderPolicy
+);
+
+// @route   DELETE /api/admin/reminder-policies/:id
+// @desc    Delete a reminder policy; its patients fall back to the default
+// @access  Private (Super Admin)
+router.delete(
+  "/reminder-policies/:id",
+  protect,
+  authorizeRoles(["superadmin"]),
+  reminderPolicyController.deleteReminderPolicy
+);
+
+// @route   GET /api/admin/plans
+// @desc    List subscription plans (including inactive ones) with subscriber counts
+// @access  Private (Super Admin)
+router.get(
+  "/plans",
+  protect,
+  authorizeRoles(["superadmin"]),
+  planController.getPlans
+);
+
+// @route   POST /api/admin/plans
+// @desc    Create a subscription plan
+// @access  Private (Super Admin)
+router.post(
+  "/plans",
+  protect,
+  authorizeRoles(["superadmin"]),
+  validatePlan,
+  handleValidationErrors,
+  planController.createPlan
+);
+
+// @route   GET /api/admin/plans/:id
+// @desc    Get a subscription plan
+// @access  Private (Super Admin)
+router.get(
+  "/plans/:id",
+  protect,
+  authorizeRoles(["superadmin"]),
+  planController.getPlan
+);
+
+// @route   PUT /api/admin/plans/:id
+// @desc    Update a subscription plan (set active false to stop offering it)
+// @access  Private (Super Admin)
+router.put(
+  "/plans/:id",
+  protect,
+  authorizeRoles(["superadmin"]),
+  validatePlanUpdate,
+  handleValidationErrors,
+  planController.updatePlan
+);
+
+// @route   DELETE /api/admin/plans/:id
+// @desc    Delete a subscription plan nobody is on
+// @access  Private (Super Admin)
+router.delete(
+  "/plans/:id",
+  protect,
+  authorizeRoles(["superadmin"]),
+  planController.deletePlan
+);
+
 // @route   GET /api/admin/patients
 // @desc    Get paginated patients list with search and filters
 // @access  Private (Admin, Super Admin)
@@ -3,10 +3,22 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController"); // Import the auth controller
+const twoFactorController = require("../controllers/twoFactorController");
 const { protect } = require("../middleware/authMiddleware"); // Import the protect middleware
+const { authorizeRoles } = require("../middleware/roleMiddleware");
+const {
+  loginLimiter,
+  authMessageLimiter,
+  accountMessageLimiter,
+} = require("../middleware/rateLimiter");
 const { 
   validateUserRegistration, 
   validateUserLogin, 
+  validateOtpRequest,
+  validateOtpLogin,
+  validatePhoneVerification,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
   validatePasswordReset, 
   validateNewPassword,
   handleValidationErrors 
@@ -15,12 +27,88 @@ const {
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post("/register", validateUserRegistration, handleValidationErrors, authController.registerUser);
+router.post("/register", authMessageLimiter, validateUserRegistration, handleValidationErrors, authController.registerUser);
 
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post("/login", authController.loginUser);
+router.post("/login", loginLimiter, authController.loginUser);
+
+// @route   POST /api/auth/2fa/challenge
+// @desc    Second sign-in step for admins: authenticator or recovery code for a session
+// @access  Public (challenge token)
+router.post("/2fa/challenge", loginLimiter, validateTwoFactorChallenge, handleValidationErrors, authController.completeTwoFactorLogin);
+
+// @route   POST /api/auth/2fa/challenge/setup
+// @desc    Get an authenticator secret during sign-in (superadmins without 2FA)
+// @access  Public (challenge token)
+router.post("/2fa/challenge/setup", loginLimiter, authController.startChallengeTwoFactorSetup);
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status of the current admin
+// @access  Private (Admin, Super Admin)
+router.get("/2fa", protect, authorizeRoles(["admin", "superadmin"]), twoFactorController.getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Get a new authenticator secret to confirm with /2fa/enable
+// @access  Private (Admin, Super Admin)
+router.post("/2fa/setup", protect, authorizeRoles(["admin", "superadmin"]), twoFactorController.setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Turn on two-factor authentication with a code from the new secret
+// @access  Private (Admin, Super Admin)
+router.post(
+  "/2fa/enable",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  validateTwoFactorCode,
+  handleValidationErrors,
+  twoFactorController.confirmTwoFactor
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the current admin's recovery codes
+// @access  Private (Admin, Super Admin)
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  validateTwoFactorCode,
+  handleValidationErrors,
+  twoFactorController.replaceRecoveryCodes
+);
+
+// @route   DELETE /api/auth/2fa
+// @desc    Turn off two-factor authentication (not allowed for superadmins)
+// @access  Private (Admin)
+router.delete(
+  "/2fa",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  validateTwoFactorCode,
+  handleValidationErrors,
+  twoFactorController.disableTwoFactor
+);
+
+// @route   POST /api/auth/otp/request
+// @desc    Text a sign-in code to a verified phone number
+// @access  Public
+router.post("/otp/request", authMessageLimiter, validateOtpRequest, handleValidationErrors, authController.requestLoginOtp);
+
+// @route   POST /api/auth/otp/login
+// @desc    Sign in with a phone number and SMS code
+// @access  Public
+router.post("/otp/login", loginLimiter, validateOtpLogin, handleValidationErrors, authController.loginWithOtp);
+
+// @route   POST /api/auth/verify-phone
+// @desc    Verify a patient's phone number with the SMS code sent at registration
+// @access  Public
+router.post("/verify-phone", loginLimiter, validatePhoneVerification, handleValidationErrors, authController.verifyPhone);
+
+// @route   POST /api/auth/verify-phone/resend
+// @desc    Text a new phone verification code
+// @access  Public
+router.post("/verify-phone/resend", authMessageLimiter, validatePasswordReset, handleValidationErrors, authController.requestPhoneVerification);
 
 // @route   GET /api/auth/verify-email/:token
 // @desc    Verify user's email address
@@ -30,18 +118,43 @@ router.get("/verify-email/:token", authController.verifyEmail);
 // @route   POST /api/auth/resend-verification
 // @desc    Resend email verification link
 // @access  Public
-router.post("/resend-verification", authController.resendVerificationEmail);
+router.post("/resend-verification", authMessageLimiter, accountMessageLimiter, authController.resendVerificationEmail);
 
 // @route   POST /api/auth/forgot-password
 // @desc    Request password reset link
 // @access  Public
-router.post("/forgot-password", validatePasswordReset, handleValidationErrors, authController.forgotPassword);
+router.post("/forgot-password", authMessageLimiter, validatePasswordReset, handleValidationErrors, accountMessageLimiter, authController.forgotPassword);
 
 // @route   PUT /api/auth/reset-password/:token
 // @desc    Reset user's password
 // @access  Public
 router.put("/reset-password/:token", validateNewPassword, handleValidationErrors, authController.resetPassword);
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @access  Public (refresh token)
+router.post("/refresh", authController.refreshAccessToken);
+
+// @route   POST /api/auth/logout
+// @desc    Sign out this device
+// @access  Private (Requires JWT)
+router.post("/logout", protect, authController.logoutUser);
+
+// @route   GET /api/auth/sessions
+// @desc    List the signed-in devices of the current user
+// @access  Private (Requires JWT)
+router.get("/sessions", protect, authController.getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device
+// @access  Private (Requires JWT)
+router.delete("/sessions", protect, authController.revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one device
+// @access  Private (Requires JWT)
+router.delete("/sessions/:sessionId", protect, authController.revokeSessionById);
+
 // @route   GET /api/auth/me
 // @desc    Get current authenticated user's profile
 // @access  Private (Requires JWT)
@@ -7,6 +7,7 @@ const { protect } = require("../middleware/authMiddleware");
 const { authorizeRoles } = require("../middleware/roleMiddleware");
 const { 
   validateDoseLogging, 
+  validateDoseUpdate,
   handleValidationErrors, 
   checkDuplicateDose, 
   checkSubscriptionStatus 
@@ -35,6 +36,16 @@ router.get(
   doseController.getMyDoses
 );
 
+// @route   GET /api/doses/me/export
+// @desc    Download authenticated patient's dose history as CSV
+// @access  Private (Patient)
+router.get(
+  "/me/export",
+  protect,
+  authorizeRoles(["patient"]),
+  doseController.exportMyDoses
+);
+
 // @route   GET /api/doses/all
 // @desc    Get all doses (for Admin/Super Admin) with filters
 // @access  Private (Admin, Super Admin)
@@ -62,6 +73,8 @@ router.put(
   "/:id",
   protect,
   authorizeRoles(["patient", "admin", "superadmin"]),
+  validateDoseUpdate,
+  handleValidationErrors,
   doseController.updateDose
 );
 
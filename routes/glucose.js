@@ -0,0 +1,78 @@
+// backend/routes/glucose.js
+
+const express = require("express");
+const router = express.Router();
+const glucoseController = require("../controllers/glucoseController");
+const { protect } = require("../middleware/authMiddleware");
+const { authorizeRoles } = require("../middleware/roleMiddleware");
+const { handleValidationErrors } = require("../middleware/validation/doseValidation");
+const {
+  validateGlucoseReading,
+  validateGlucoseUpdate,
+} = require("../middleware/validation/glucoseValidation");
+
+// @route   POST /api/glucose
+// @desc    Log a new blood glucose reading
+// @access  Private (Patient)
+router.post(
+  "/",
+  protect,
+  authorizeRoles(["patient"]),
+  validateGlucoseReading,
+  handleValidationErrors,
+  glucoseController.logReading
+);
+
+// @route   GET /api/glucose/me
+// @desc    Get authenticated patient's glucose readings
+// @access  Private (Patient)
+router.get(
+  "/me",
+  protect,
+  authorizeRoles(["patient"]),
+  glucoseController.getMyReadings
+);
+
+// @route   GET /api/glucose/all
+// @desc    Get all glucose readings (for Admin/Super Admin) with filters
+// @access  Private (Admin, Super Admin)
+router.get(
+  "/all",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  glucoseController.getAllReadings
+);
+
+// @route   GET /api/glucose/patient/:patientId
+// @desc    Get glucose readings for a specific patient (for Admin/Super Admin)
+// @access  Private (Admin, Super Admin)
+router.get(
+  "/patient/:patientId",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  glucoseController.getPatientReadings
+);
+
+// @route   PUT /api/glucose/:id
+// @desc    Update a glucose reading
+// @access  Private (Patient - own reading, Admin/Super Admin - any reading)
+router.put(
+  "/:id",
+  protect,
+  authorizeRoles(["patient", "admin", "superadmin"]),
+  validateGlucoseUpdate,
+  handleValidationErrors,
+  glucoseController.updateReading
+);
+
+// @route   DELETE /api/glucose/:id
+// @desc    Delete a glucose reading
+// @access  Private (Patient - own reading, Admin/Super Admin - any reading)
+router.delete(
+  "/:id",
+  protect,
+  authorizeRoles(["patient", "admin", "superadmin"]),
+  glucoseController.deleteReading
+);
+
+module.exports = router;
@@ -1,11 +1,41 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
+const Account = require("../models/Account");
 const Patient = require("../models/Patient");
 const { protect } = require("../middleware/authMiddleware");
 const { authorizeRoles } = require("../middleware/roleMiddleware");
 const { formatPatientDates } = require("../utils/dateUtils");
+const { getPatientRegimen } = require("../utils/regimenUtils");
+const { getPatientReminderPolicy } = require("../utils/reminderPolicyUtils");
+const {
+  getReminderCycleStart,
+  getNextReminderTime,
+} = require("../jobs/comprehensiveReminderJob");
 const { sendWelcomeSMS } = require("../utils/smsService");
+const {
+  getPatientPlan,
+  findSelectablePlan,
+  startSubscription,
+  extendSubscription,
+  formatPlanDuration,
+} = require("../utils/subscriptionUtils");
+const { recordRenewalInvoice } = require("../utils/invoiceUtils");
+const { revokeUserSessions } = require("../utils/sessionUtils");
+const regimenController = require("../controllers/regimenController");
+const analyticsController = require("../controllers/analyticsController");
+const notificationController = require("../controllers/notificationController");
+const paymentController = require("../controllers/paymentController");
+const invoiceController = require("../controllers/invoiceController");
+const subscriptionController = require("../controllers/subscriptionController");
+const {
+  validateRegimen,
+  validatePatientPreferences,
+  validatePaymentIntent,
+  validateManualPayment,
+  validateSubscriptionPause,
+} = require("../middleware/validation/patientValidation");
+const { handleValidationErrors } = require("../middleware/validation/doseValidation");
 
 // @route   GET /api/patients/
 // @desc    Get all patients - Admin/Super Admin only
@@ -51,6 +81,207 @@ router.get(
   }
 );
 
+// @route   PUT /api/patients/:id/preferences
+// @desc    Set a patient's time zone and quiet hours for reminders and notices
+// @access  Private (Patient (own), Admin, Super Admin)
+router.put(
+  "/:id/preferences",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"], { allowReadOnly: true }),
+  validatePatientPreferences,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (req.user.role === "patient" && req.user.id !== req.params.id) {
+        return res.status(403).json({ msg: "Access denied" });
+      }
+
+      const patient = await Patient.findById(req.params.id).select("-password");
+      if (!patient) {
+        return res.status(404).json({ msg: "Patient not found" });
+      }
+
+      const { timeZone, quietHours } = req.body;
+      if (timeZone !== undefined) patient.timeZone = timeZone;
+      if (quietHours) {
+        for (const field of ["enabled", "start", "end"]) {
+          if (quietHours[field] !== undefined) patient.quietHours[field] = quietHours[field];
+        }
+        if (patient.quietHours.start === patient.quietHours.end) {
+          return res
+            .status(400)
+            .json({ msg: "Quiet hours start and end cannot be the same" });
+        }
+      }
+
+      // The next reminder moves with the patient's time zone and quiet hours
+      if (patient.smsReminderCycle === "active_user" && patient.lastDoseTime) {
+        const [regimen, policy] = await Promise.all([
+          getPatientRegimen(patient._id),
+          getPatientReminderPolicy(patient),
+        ]);
+        patient.nextReminderTime = getNextReminderTime(
+          patient,
+          policy,
+          getReminderCycleStart(patient),
+          regimen
+        );
+      }
+
+      await patient.save();
+
+      console.log(
+        `Preferences updated for ${patient.profile.name} by ${req.user.role} (${req.user.id}): ` +
+          `time zone ${patient.timeZone || "default"}, quiet hours ${
+            patient.quietHours.enabled
+              ? `${patient.quietHours.start}-${patient.quietHours.end}`
+              : "off"
+          }`
+      );
+
+      res.json({
+        msg: "Preferences updated successfully.",
+        patient: formatPatientDates(patient),
+      });
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === "ObjectId") {
+        return res.status(400).json({ msg: "Invalid patient ID format." });
+      }
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ msg: err.message });
+      }
+      res.status(500).send("Server Error");
+    }
+  }
+);
+
+// @route   GET /api/patients/:id/regimen
+// @desc    Get a patient's prescribed insulin regimen
+// @access  Private (Patient (own), Admin, Super Admin)
+router.get(
+  "/:id/regimen",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  regimenController.getRegimen
+);
+
+// @route   POST /api/patients/:id/regimen
+// @desc    Prescribe an insulin regimen for a patient
+// @access  Private (Admin, Super Admin)
+router.post(
+  "/:id/regimen",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  validateRegimen,
+  handleValidationErrors,
+  regimenController.createRegimen
+);
+
+// @route   PUT /api/patients/:id/regimen
+// @desc    Update a patient's insulin regimen
+// @access  Private (Admin, Super Admin)
+router.put(
+  "/:id/regimen",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  validateRegimen,
+  handleValidationErrors,
+  regimenController.updateRegimen
+);
+
+// @route   DELETE /api/patients/:id/regimen
+// @desc    Remove a patient's regimen (falls back to the default)
+// @access  Private (Admin, Super Admin)
+router.delete(
+  "/:id/regimen",
+  protect,
+  authorizeRoles(["admin", "superadmin"]),
+  regimenController.deleteRegimen
+);
+
+// @route   GET /api/patients/:id/adherence
+// @desc    Get a patient's dose adherence analytics (optional startDate/endDate)
+// @access  Private (Patient (own), Admin, Super Admin)
+router.get(
+  "/:id/adherence",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  analyticsController.getPatientAdherence
+);
+
+// @route   GET /api/patients/:id/notifications
+// @desc    Get the SMS and emails sent to a patient
+// @access  Private (Patient (own), Admin, Super Admin)
+router.get(
+  "/:id/notifications",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  notificationController.getPatientNotifications
+);
+
+// @route   POST /api/patients/:id/payments
+// @desc    Start a mobile-money payment to renew a patient's subscription
+// @access  Private (Patient (own), Admin, Super Admin)
+router.post(
+  "/:id/payments",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"], { allowReadOnly: true }),
+  validatePaymentIntent,
+  handleValidationErrors,
+  paymentController.createPaymentIntent
+);
+
+// @route   GET /api/patients/:id/payments
+// @desc    List a patient's subscription payments
+// @access  Private (Patient (own), Admin, Super Admin)
+router.get(
+  "/:id/payments",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  paymentController.getPatientPayments
+);
+
+// @route   GET /api/patients/:id/payments/:paymentId
+// @desc    Get one payment (poll its status after starting it)
+// @access  Private (Patient (own), Admin, Super Admin)
+router.get(
+  "/:id/payments/:paymentId",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  paymentController.getPayment
+);
+
+// @route   GET /api/patients/:id/invoices
+// @desc    List a patient's subscription invoices
+// @access  Private (Patient (own), Admin, Super Admin)
+router.get(
+  "/:id/invoices",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  invoiceController.getPatientInvoices
+);
+
+// @route   GET /api/patients/:id/invoices/:invoiceId.pdf
+// @desc    Download an invoice's PDF receipt
+// @access  Private (Patient (own), Admin, Super Admin)
+router.get(
+  "/:id/invoices/:invoiceId.pdf",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  invoiceController.downloadInvoicePdf
+);
+
+// @route   GET /api/patients/:id/invoices/:invoiceId
+// @desc    Get one invoice
+// @access  Private (Patient (own), Admin, Super Admin)
+router.get(
+  "/:id/invoices/:invoiceId",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  invoiceController.getInvoice
+);
+
 // @route   POST /api/patients
 // @desc    Create a new patient - Admin/Super Admin only
 // @access  Private (Admin, Super Admin)
@@ -66,14 +297,15 @@ router.post(
         phone,
         gender,
         password,
+        planId,
         subscriptionType,
         subscriptionExpiry,
         active,
         verified,
       } = req.body;
 
-      // Check if patient already exists
-      let patient = await Patient.findOne({ email });
+      // Check if an account (patient or admin) already uses the email
+      let patient = await Account.findOne({ email });
       if (patient) {
         return res.status(400).json({ msg: "Patient already exists" });
       }
@@ -82,32 +314,47 @@ router.post(
       const salt = await bcrypt.genSalt(10);
       const hashedPassword = await bcrypt.hash(password, salt);
 
+      // Find the plan, if one was chosen (by ID, or by name)
+      let plan = null;
+      if (planId || subscriptionType) {
+        plan = await findSelectablePlan({ planId, name: subscriptionType });
+        if (!plan) {
+          return res.status(400).json({ msg: "Subscription plan not found" });
+        }
+      }
+
       // Create new patient
       patient = new Patient({
-        name,
+        profile: { name, phone, gender },
         email,
-        phone,
-        gender,
         password: hashedPassword,
         role: "patient",
-        subscriptionType: subscriptionType || null,
         subscriptionExpiry: subscriptionExpiry || null,
         active: active !== undefined ? active : false,
         verified: verified !== undefined ? verified : false,
       });
+      if (plan) {
+        // An expiry given by the admin wins over the plan's first period
+        if (subscriptionExpiry) {
+          patient.plan = plan._id || null;
+          patient.subscriptionType = plan.name;
+        } else {
+          startSubscription(patient, plan);
+        }
+      }
 
       await patient.save();
       console.log(
-        `Manual patient created by admin: ${patient.name} (${patient.email}) at ${patient.date}`
+        `Manual patient created by admin: ${patient.profile.name} (${patient.email}) at ${patient.date}`
       );
 
       // Send welcome SMS to the patient
       try {
-        await sendWelcomeSMS(patient.phone, patient.name);
-        console.log(`Welcome SMS sent to ${patient.name} (${patient.phone})`);
+        await sendWelcomeSMS(patient.profile.phone, patient.profile.name);
+        console.log(`Welcome SMS sent to ${patient.profile.name} (${patient.profile.phone})`);
       } catch (smsError) {
         console.error(
-          `Failed to send welcome SMS to ${patient.name}:`,
+          `Failed to send welcome SMS to ${patient.profile.name}:`,
           smsError.message
         );
         // Don't fail the patient creation if SMS fails
@@ -117,10 +364,10 @@ router.post(
         msg: "Patient created successfully",
         patient: {
           _id: patient._id,
-          name: patient.name,
+          name: patient.profile.name,
           email: patient.email,
-          phone: patient.phone,
-          gender: patient.gender,
+          phone: patient.profile.phone,
+          gender: patient.profile.gender,
           role: patient.role,
           subscriptionType: patient.subscriptionType,
           subscriptionExpiry: patient.subscriptionExpiry,
@@ -137,40 +384,43 @@ router.post(
 );
 
 // @route   POST /api/patients/:id/renew-subscription
-// @desc    Renew a patient's subscription
-// @access  Private (Patient (own), Admin, Super Admin)
+// @desc    Renew a patient's subscription (patients renew by paying through /payments).
+//          Send amountPaid (and paymentReference) for a payment taken in person to issue its receipt.
+// @access  Private (Admin, Super Admin)
 router.post(
   "/:id/renew-subscription",
   protect,
-  authorizeRoles(["admin", "superadmin", "patient"]),
+  authorizeRoles(["admin", "superadmin"]),
+  validateManualPayment,
+  handleValidationErrors,
   async (req, res) => {
     try {
       const patient = await Patient.findById(req.params.id);
       if (!patient) {
         return res.status(404).json({ msg: "Patient not found" });
       }
-      if (req.user.role === "patient" && req.user.id !== req.params.id) {
-        return res.status(403).json({ msg: "Access denied" });
-      }
-      // Determine renewal period
-      let days = 30;
-      if (patient.subscriptionType === "Yearly") {
-        days = 365;
+      const plan = await getPatientPlan(patient);
+      if (!plan) {
+        return res.status(400).json({ msg: "Patient has no subscription plan" });
       }
-      // Calculate new expiry
-      const now = new Date();
-      let baseDate = now;
-      if (patient.subscriptionExpiry && patient.subscriptionExpiry > now) {
-        baseDate = new Date(patient.subscriptionExpiry);
-      }
-      const newExpiry = new Date(
-        baseDate.getTime() + days * 24 * 60 * 60 * 1000
-      );
-      patient.subscriptionExpiry = newExpiry;
+      const { renewal } = extendSubscription(patient, { renewedBy: req.user.role, plan });
       await patient.save();
+
+      if (req.body.amountPaid !== undefined) {
+        try {
+          await recordRenewalInvoice(patient, renewal, {
+            plan,
+            manualPayment: { amount: Number(req.body.amountPaid), reference: req.body.paymentReference },
+          });
+        } catch (invoiceError) {
+          console.error(`Failed to issue invoice for ${patient.profile.name}'s renewal:`, invoiceError.message);
+        }
+      }
+
       res.json({
-        msg: `Subscription renewed for ${days} days.`,
+        msg: `Subscription renewed for ${formatPlanDuration(plan.duration)}.`,
         subscriptionExpiry: patient.subscriptionExpiry,
+        subscriptionStatus: patient.subscriptionStatus,
       });
     } catch (err) {
       console.error("Renewal error:", err.message);
@@ -179,13 +429,38 @@ router.post(
   }
 );
 
+// @route   POST /api/patients/:id/subscription-pause
+// @desc    Pause a patient's subscription for a date range (hospital stay, travel)
+// @access  Private (Patient (own), Admin, Super Admin)
+router.post(
+  "/:id/subscription-pause",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  validateSubscriptionPause,
+  handleValidationErrors,
+  subscriptionController.pauseSubscription
+);
+
+// @route   DELETE /api/patients/:id/subscription-pause
+// @desc    End a subscription pause now, or cancel one that hasn't started
+// @access  Private (Patient (own), Admin, Super Admin)
+router.delete(
+  "/:id/subscription-pause",
+  protect,
+  authorizeRoles(["admin", "superadmin", "patient"]),
+  subscriptionController.resumeSubscription
+);
+
 // @route   PATCH /api/patients/:id/toggle-active
-// @desc    Toggle patient active status with deactivation reasons - Admin/Super Admin only
+// @desc    Toggle patient active status with deactivation reasons - Admin/Super Admin only.
+//          On reactivation, send amountPaid (and paymentReference) for the payment taken to issue its receipt.
 // @access  Private (Admin, Super Admin)
 router.patch(
   "/:id/toggle-active",
   protect,
   authorizeRoles(["admin", "superadmin"]),
+  validateManualPayment,
+  handleValidationErrors,
   async (req, res) => {
     try {
       const patient = await Patient.findById(req.params.id);
@@ -195,16 +470,10 @@ router.patch(
         return res.status(404).json({ msg: "Patient not found" });
       }
 
-      // Prevent Admins from deactivating Super Admins
-      if (req.user.role === "admin" && patient.role === "superadmin") {
-        return res.status(403).json({
-          msg: "Access denied. Admins cannot modify Super Admin status.",
-        });
-      }
-
       const previousActiveState = patient.active;
       const isDeactivating = previousActiveState && !patient.active;
       const isReactivating = !previousActiveState && patient.active;
+      let invoiceRenewal = null;
       
       patient.active = !patient.active; // Toggle the active status
       
@@ -214,51 +483,22 @@ router.patch(
         patient.previousActiveState = previousActiveState;
         
         // 🔧 FIX: Update subscription expiry when admin activates user after payment
-        if (patient.subscriptionExpiry) {
-          const now = new Date();
-          let baseDate = now;
-          
-          // If current expiry is in the future, extend from that date
-          if (patient.subscriptionExpiry > now) {
-            baseDate = new Date(patient.subscriptionExpiry);
-          }
-          
-          // Determine renewal period based on subscription type
-          let days = 30; // Default to monthly
-          if (patient.subscriptionType === "Yearly") {
-            days = 365;
-          }
-          
-          // Calculate new expiry date
-          const newExpiry = new Date(baseDate.getTime() + days * 24 * 60 * 60 * 1000);
-          const previousExpiry = patient.subscriptionExpiry;
-          patient.subscriptionExpiry = newExpiry;
-          
-          // Track renewal history
-          patient.subscriptionRenewalCount = (patient.subscriptionRenewalCount || 0) + 1;
-          patient.lastSubscriptionRenewal = new Date();
-          
-          // Add to renewal history
-          if (!patient.subscriptionRenewalHistory) {
-            patient.subscriptionRenewalHistory = [];
-          }
-          
-          patient.subscriptionRenewalHistory.push({
-            renewedAt: new Date(),
+        const plan = patient.subscriptionExpiry && (await getPatientPlan(patient));
+        if (plan) {
+          const { previousExpiry, newExpiry, renewal } = extendSubscription(patient, {
             renewedBy: req.user.role, // 'admin' or 'superadmin'
-            previousExpiry: previousExpiry,
-            newExpiry: newExpiry,
-            subscriptionType: patient.subscriptionType,
+            plan,
           });
-          
-          console.log(`🔄 Subscription renewed for ${patient.name}: ${days} days from ${baseDate.toISOString()} to ${newExpiry.toISOString()}`);
+          invoiceRenewal = { renewal, plan };
+
+          console.log(`🔄 Subscription renewed for ${patient.profile.name}: ${formatPlanDuration(plan.duration)} (${plan.name}) from ${previousExpiry.toISOString()} to ${newExpiry.toISOString()}`);
           console.log(`📊 Renewal count: ${patient.subscriptionRenewalCount}, renewed by: ${req.user.role}`);
         }
         
         // Handle smart reactivation immediately
         try {
           const { sendSmartReactivationSMS } = require("../utils/smsService");
-          const sendEmailFixed = require("../utils/sendEmailFixed");
+          const { queueEmail } = require("../utils/outbox");
           
           // Check if subscription has expired
           const now = new Date();
@@ -266,17 +506,17 @@ router.patch(
           
           // Send smart reactivation SMS based on subscription status
           const smsResult = await sendSmartReactivationSMS(
-            patient.phone, 
-            patient.name, 
+            patient.profile.phone, 
+            patient.profile.name, 
             subscriptionExpired, 
             patient.deactivationReason,
             patient
           );
           
           if (smsResult.success) {
-            console.log(`Smart reactivation SMS sent to ${patient.name} (${patient.phone}) - Subscription expired: ${subscriptionExpired}`);
+            console.log(`Smart reactivation SMS sent to ${patient.profile.name} (${patient.profile.phone}) - Subscription expired: ${subscriptionExpired}`);
           } else {
-            console.error(`Failed to send reactivation SMS to ${patient.phone}:`, smsResult.error);
+            console.error(`Failed to send reactivation SMS to ${patient.profile.phone}:`, smsResult.error);
           }
           
           // Send reactivation email
@@ -284,9 +524,11 @@ router.patch(
             const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
             const loginUrl = `${frontendUrl}/login`;
             
-            await sendEmailFixed({
+            await queueEmail({
               to: patient.email,
               subject: "🎉 InsulinLog: Account Reactivated - Welcome Back!",
+              template: "reactivation",
+              patient: patient._id,
               html: `
                 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                   <div style="background-color: #10b981; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
@@ -295,7 +537,7 @@ router.patch(
                   </div>
                   
                   <div style="padding: 30px; background-color: white;">
-                    <p>Hello ${patient.name},</p>
+                    <p>Hello ${patient.profile.name},</p>
                     
                     <div style="background-color: #d1fae5; border-left: 4px solid #10b981; padding: 16px; margin: 20px 0;">
                       <p style="margin: 0; font-weight: bold; color: #065f46; font-size: 16px;">
@@ -392,25 +634,41 @@ router.patch(
           const { sendManualDeactivationNotificationSMS } = require("../utils/smsService");
           
           const smsResult = await sendManualDeactivationNotificationSMS(
-            patient.phone, 
-            patient.name, 
+            patient.profile.phone, 
+            patient.profile.name, 
             deactivationReason
           );
           
           if (smsResult.success) {
-            console.log(`Manual deactivation notification SMS sent to ${patient.name} (${patient.phone})`);
+            console.log(`Manual deactivation notification SMS sent to ${patient.profile.name} (${patient.profile.phone})`);
           } else {
-            console.error(`Failed to send deactivation SMS to ${patient.phone}:`, smsResult.error);
+            console.error(`Failed to send deactivation SMS to ${patient.profile.phone}:`, smsResult.error);
           }
         } catch (error) {
           console.error("Error sending deactivation notification:", error);
         }
         
-        console.log(`User ${patient.name} manually deactivated by ${req.user.role} (${req.user.id}) - Reason: ${deactivationReason}`);
+        console.log(`User ${patient.profile.name} manually deactivated by ${req.user.role} (${req.user.id}) - Reason: ${deactivationReason}`);
       }
       
       await patient.save();
 
+      // A deactivated account is signed out everywhere at once
+      if (previousActiveState && !patient.active) {
+        await revokeUserSessions(patient._id, "account deactivated");
+      }
+
+      if (invoiceRenewal && req.body.amountPaid !== undefined) {
+        try {
+          await recordRenewalInvoice(patient, invoiceRenewal.renewal, {
+            plan: invoiceRenewal.plan,
+            manualPayment: { amount: Number(req.body.amountPaid), reference: req.body.paymentReference },
+          });
+        } catch (invoiceError) {
+          console.error(`Failed to issue invoice for ${patient.profile.name}'s renewal:`, invoiceError.message);
+        }
+      }
+
       res.json({
         msg: `Patient status updated to ${
           patient.active ? "active" : "inactive"
@@ -445,11 +703,11 @@ router.post(
       // Here you would integrate with your email/SMS service
       // For now, just log the reminder
       console.log(
-        `Manual reminder sent to: ${patient.name} (${patient.email})`
+        `Manual reminder sent to: ${patient.profile.name} (${patient.email})`
       );
 
       res.json({
-        msg: `Manual reminder sent to ${patient.name} (${patient.email}).`,
+        msg: `Manual reminder sent to ${patient.profile.name} (${patient.email}).`,
       });
     } catch (err) {
       console.error(err.message);
@@ -476,21 +734,15 @@ router.delete(
         return res.status(404).json({ msg: "Patient not found" });
       }
 
-      // Prevent Admins from deleting Super Admins
-      if (req.user.role === "admin" && patient.role === "superadmin") {
-        return res.status(403).json({
-          msg: "Access denied. Admins cannot delete Super Admin accounts.",
-        });
-      }
-
       // Soft delete the patient instead of hard delete
       await Patient.findByIdAndUpdate(req.params.id, {
         isActive: false,
         deletedAt: new Date(),
       });
+      await revokeUserSessions(patient._id, "account deleted");
 
       res.status(200).json({
-        msg: `Patient ${patient.name} has been successfully soft-deleted.`,
+        msg: `Patient ${patient.profile.name} has been successfully soft-deleted.`,
       });
     } catch (err) {
       console.error("Delete patient error:", err.message);
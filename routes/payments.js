@@ -0,0 +1,12 @@
+// backend/routes/payments.js
+
+const express = require("express");
+const router = express.Router();
+const paymentController = require("../controllers/paymentController");
+
+// @route   POST /api/payments/webhook
+// @desc    Receive payment outcomes (succeeded/failed) from the payment gateway
+// @access  Public (payment gateway webhook, signed)
+router.post("/webhook", paymentController.handlePaymentWebhook);
+
+module.exports = router;
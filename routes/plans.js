@@ -0,0 +1,12 @@
+// backend/routes/plans.js
+
+const express = require("express");
+const router = express.Router();
+const planController = require("../controllers/planController");
+
+// @route   GET /api/plans
+// @desc    List the subscription plans patients can sign up to or pay for
+// @access  Public
+router.get("/", planController.getAvailablePlans);
+
+module.exports = router;
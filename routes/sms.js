@@ -0,0 +1,20 @@
+// backend/routes/sms.js
+
+const express = require("express");
+const router = express.Router();
+const smsController = require("../controllers/smsController");
+
+// Some SMS providers post webhooks as form data rather than JSON
+router.use(express.urlencoded({ extended: false }));
+
+// @route   POST /api/sms/inbound
+// @desc    Receive a patient's SMS reply (TAKEN / SKIP) from the SMS provider
+// @access  Public (SMS provider webhook, shared secret)
+router.post("/inbound", smsController.handleInboundSms);
+
+// @route   POST /api/sms/delivery-report
+// @desc    Receive SMS delivery reports (queued/sent/delivered/failed/expired) from the SMS provider
+// @access  Public (SMS provider webhook, shared secret)
+router.post("/delivery-report", smsController.handleDeliveryReport);
+
+module.exports = router;
@@ -22,7 +22,7 @@ async function cleanupOrphanedDoses() {
     const orphanedDoses = await Dose.aggregate([
       {
         $lookup: {
-          from: "patients", // Collection name for Patient model
+          from: "accounts", // Collection name for Patient (and Admin) accounts
           localField: "patient",
           foreignField: "_id",
           as: "patientData",
@@ -0,0 +1,213 @@
+// Script to merge the patients and admins collections into the single accounts collection
+// Usage: node scripts/migrateAccounts.js [--dry-run]
+// Every document keeps its _id, so doses, tokens, custom messages, sessions and everything else
+// that references a patient or admin still points at the same account. Patients saved with an
+// admin role (from before admins had their own collection) become Admin accounts. Nothing is
+// copied if an email is used by two different documents: resolve those first. The old
+// collections are left in place; drop them once the app is running on accounts. Name, phone and
+// gender move into the account's profile, also for accounts copied before profiles existed.
+// Safe to run again.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Account = require("../models/Account");
+
+const BATCH_SIZE = 500;
+const ADMIN_ROLES = ["admin", "superadmin"];
+const OLD_SEARCH_INDEX = "name_text_email_text";
+
+// References to check once the accounts exist: [collection, field]
+const REFERENCES = [
+  ["doses", "patient"],
+  ["tokens", "userId"],
+  ["custommessages", "patientId"],
+  ["custommessages", "adminId"],
+  ["sessions", "user"],
+];
+
+/**
+ * Find emails used by more than one patient or admin document
+ * @param {object} db - Native database handle
+ * @returns {Promise<Array<object>>} - [{ email, ids: [{ collection, _id }] }]
+ */
+async function findEmailConflicts(db) {
+  const byEmail = new Map();
+  for (const collection of ["patients", "admins"]) {
+    const docs = await db.collection(collection).find({}, { projection: { email: 1 } }).toArray();
+    for (const doc of docs) {
+      const email = String(doc.email).toLowerCase();
+      if (!byEmail.has(email)) byEmail.set(email, []);
+      byEmail.get(email).push({ collection, _id: doc._id });
+    }
+  }
+
+  return [...byEmail.entries()]
+    .filter(([, ids]) => new Set(ids.map(({ _id }) => String(_id))).size > 1)
+    .map(([email, ids]) => ({ email, ids }));
+}
+
+/**
+ * Copy one collection into accounts, skipping documents already copied
+ * @param {object} db - Native database handle
+ * @param {string} collection - "patients" or "admins"
+ * @param {boolean} dryRun - Only count
+ * @returns {Promise<object>} - { copied, alreadyCopied, adminIds: IDs copied as Admin from patients }
+ */
+async function copyCollection(db, collection, dryRun) {
+  const accounts = db.collection(Account.collection.name);
+  const stats = { copied: 0, alreadyCopied: 0, adminIds: [] };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    if (!dryRun) {
+      const result = await accounts.bulkWrite(batch, { ordered: false });
+      stats.copied += result.upsertedCount;
+      stats.alreadyCopied += batch.length - result.upsertedCount;
+    }
+    batch = [];
+  };
+
+  for await (const doc of db.collection(collection).find()) {
+    const { _id, name, phone, gender, ...fields } = doc;
+    const kind = collection === "admins" || ADMIN_ROLES.includes(doc.role) ? "Admin" : "Patient";
+    if (collection === "patients" && kind === "Admin") stats.adminIds.push(_id);
+
+    if (dryRun) {
+      const exists = await accounts.countDocuments({ _id }, { limit: 1 });
+      stats[exists ? "alreadyCopied" : "copied"] += 1;
+      continue;
+    }
+
+    batch.push({
+      updateOne: {
+        filter: { _id },
+        update: {
+          $setOnInsert: {
+            ...fields,
+            profile: { name, phone, gender },
+            kind,
+            role: doc.role || (kind === "Admin" ? "admin" : "patient"),
+          },
+        },
+        upsert: true,
+      },
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return stats;
+}
+
+/**
+ * Move name, phone and gender of accounts copied before profiles existed into their profile
+ * @param {object} db - Native database handle
+ * @param {boolean} dryRun - Only count
+ * @returns {Promise<number>} - Accounts moved (or to move)
+ */
+async function moveProfileFields(db, dryRun) {
+  const accounts = db.collection(Account.collection.name);
+  const filter = { profile: { $exists: false } };
+  if (dryRun) return await accounts.countDocuments(filter);
+
+  const result = await accounts.updateMany(filter, [
+    { $set: { profile: { name: "$name", phone: "$phone", gender: "$gender" } } },
+    { $unset: ["name", "phone", "gender"] },
+  ]);
+
+  // A collection has one text index: the admin search index on name makes way for profile.name
+  const indexes = await accounts.indexes();
+  if (indexes.some((index) => index.name === OLD_SEARCH_INDEX)) {
+    await accounts.dropIndex(OLD_SEARCH_INDEX);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Count references that point at no account
+ * @param {object} db - Native database handle
+ * @param {string} collection - Referencing collection
+ * @param {string} field - Reference field
+ * @returns {Promise<number>}
+ */
+async function countMissingReferences(db, collection, field) {
+  const [result] = await db
+    .collection(collection)
+    .aggregate([
+      { $match: { [field]: { $ne: null } } },
+      { $lookup: { from: Account.collection.name, localField: field, foreignField: "_id", as: "account" } },
+      { $match: { account: { $size: 0 } } },
+      { $count: "count" },
+    ])
+    .toArray();
+  return result ? result.count : 0;
+}
+
+/**
+ * Merge patients and admins into accounts, keeping their IDs
+ */
+async function migrateAccounts() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    await connectDB();
+    console.log(dryRun ? "\nDry run: nothing will be changed\n" : "");
+    const db = mongoose.connection.db;
+
+    // 1. Stop if two documents share an email: accounts need unique emails
+    const conflicts = await findEmailConflicts(db);
+    if (conflicts.length > 0) {
+      console.error(`${conflicts.length} email(s) are used by more than one patient or admin:`);
+      for (const { email, ids } of conflicts) {
+        console.error(`  ${email}: ${ids.map(({ collection, _id }) => `${collection}/${_id}`).join(", ")}`);
+      }
+      console.error("\nChange or remove the duplicates, then run this again. Nothing was copied.");
+      process.exitCode = 1;
+      return;
+    }
+
+    // 2. Copy patients, then admins, into accounts under the same IDs
+    const patients = await copyCollection(db, "patients", dryRun);
+    const admins = await copyCollection(db, "admins", dryRun);
+    const verb = dryRun ? "Would copy" : "Copied";
+    console.log(
+      `${verb} ${patients.copied} patient document(s) (${patients.adminIds.length} with an admin role, as Admin) ` +
+        `and ${admins.copied} admin(s); ${patients.alreadyCopied + admins.alreadyCopied} already in accounts`
+    );
+
+    // 3. Accounts copied before profiles existed get one
+    const moved = await moveProfileFields(db, dryRun);
+    if (moved > 0) {
+      console.log(`${dryRun ? "Would move" : "Moved"} name, phone and gender into the profile of ${moved} account(s)`);
+    }
+
+    // 4. Sessions of admins that were stored as patients now belong to Admin accounts
+    if (patients.adminIds.length > 0 && !dryRun) {
+      const sessions = await db
+        .collection("sessions")
+        .updateMany(
+          { user: { $in: patients.adminIds }, userModel: "Patient" },
+          { $set: { userModel: "Admin" } }
+        );
+      console.log(`Moved ${sessions.modifiedCount} session(s) to their Admin accounts`);
+    }
+
+    if (dryRun) return;
+
+    // 5. Check that what referenced a patient or admin still finds its account
+    for (const [collection, field] of REFERENCES) {
+      const missing = await countMissingReferences(db, collection, field);
+      console.log(`${collection}.${field}: ${missing === 0 ? "all references found" : `${missing} reference(s) to no account`}`);
+    }
+
+    console.log("\nAccount migration completed. Drop the patients and admins collections once everything checks out.");
+  } catch (error) {
+    console.error("Error migrating accounts:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateAccounts();
@@ -0,0 +1,57 @@
+// Script to move patients deactivated for an expired subscription into read-only mode
+// Usage: node scripts/migrateExpiredToReadOnly.js [--dry-run]
+// Expired subscriptions used to deactivate the account, which also locked patients out of their
+// dose history. This reactivates those accounts as read-only: the patient can log in, view and
+// export their doses and pay, but not log new doses. The next subscription check moves anyone
+// still inside their plan's grace period back to "grace". Safe to run again.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Patient = require("../models/Patient");
+
+/**
+ * Reactivate patients deactivated for an expired subscription as read-only accounts
+ */
+async function migrateExpiredToReadOnly() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    await connectDB();
+    console.log(dryRun ? "\nDry run: nothing will be changed\n" : "");
+
+    const filter = {
+      role: "patient",
+      active: false,
+      deactivationReason: "Subscription expired",
+      isActive: { $ne: false }, // Leave soft-deleted patients alone
+    };
+
+    if (dryRun) {
+      const count = await Patient.countDocuments(filter);
+      console.log(`Would make ${count} deactivated patient(s) read-only`);
+      return;
+    }
+
+    const result = await Patient.updateMany(filter, [
+      {
+        $set: {
+          active: true,
+          subscriptionStatus: "read_only",
+          readOnlySince: { $ifNull: ["$deactivatedAt", "$$NOW"] },
+          deactivatedAt: null,
+          deactivationReason: null,
+        },
+      },
+    ]);
+    console.log(`Made ${result.modifiedCount} deactivated patient(s) read-only`);
+
+    console.log("\nRead-only migration completed");
+  } catch (error) {
+    console.error("Error migrating expired accounts:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateExpiredToReadOnly();
@@ -0,0 +1,79 @@
+// Script to move existing patients from the old Monthly/Yearly subscription types onto stored plans
+// Usage: node scripts/migrateSubscriptionPlans.js [--dry-run]
+// Creates the Monthly and Yearly plans if they don't exist (price 0: set real prices in /api/admin/plans),
+// then links every patient and payment to the plan named by its subscriptionType. Safe to run again.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Plan = require("../models/Plan");
+const Patient = require("../models/Patient");
+const Payment = require("../models/Payment");
+const { BUILT_IN_PLANS } = require("../utils/subscriptionUtils");
+
+/**
+ * Create missing built-in plans and link patients and payments to their plan
+ */
+async function migrateSubscriptionPlans() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    await connectDB();
+    console.log(dryRun ? "\nDry run: nothing will be changed\n" : "");
+
+    // 1. Make sure a stored plan exists for each built-in plan
+    for (const builtIn of BUILT_IN_PLANS) {
+      const existing = await Plan.findOne({ name: builtIn.name });
+      if (existing) {
+        console.log(`Plan "${builtIn.name}" already exists (${existing._id})`);
+      } else if (dryRun) {
+        console.log(`Would create plan "${builtIn.name}"`);
+      } else {
+        const plan = await Plan.create(builtIn);
+        console.log(`Created plan "${plan.name}" (${plan._id}) with price 0 - set its price before taking payments`);
+      }
+    }
+
+    // 2. Link patients and payments to the plan named by their subscriptionType
+    const plans = await Plan.find().select("name").lean();
+    for (const plan of plans) {
+      const patientFilter = { plan: null, subscriptionType: plan.name };
+      const paymentFilter = { plan: { $exists: false }, subscriptionType: plan.name };
+
+      if (dryRun) {
+        const [patients, payments] = await Promise.all([
+          Patient.countDocuments(patientFilter),
+          Payment.countDocuments(paymentFilter),
+        ]);
+        console.log(`Would move ${patients} patient(s) and ${payments} payment(s) onto "${plan.name}"`);
+        continue;
+      }
+
+      const [patients, payments] = await Promise.all([
+        Patient.updateMany(patientFilter, { plan: plan._id }),
+        Payment.updateMany(paymentFilter, { plan: plan._id }),
+      ]);
+      console.log(
+        `Moved ${patients.modifiedCount} patient(s) and ${payments.modifiedCount} payment(s) onto "${plan.name}"`
+      );
+    }
+
+    // 3. Report patients whose subscription type matches no plan
+    const unmatched = await Patient.countDocuments({
+      role: "patient",
+      plan: null,
+      subscriptionType: { $nin: [null, ...plans.map((p) => p.name)] },
+    });
+    if (unmatched > 0) {
+      console.log(`\n${unmatched} patient(s) have a subscription type with no matching plan; assign them by hand`);
+    }
+
+    console.log("\nSubscription plan migration completed");
+  } catch (error) {
+    console.error("Error migrating subscription plans:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateSubscriptionPlans();
@@ -0,0 +1,62 @@
+// Script to preview which reminders the reminder job would send, without sending anything
+// Usage: node scripts/reminderDryRun.js [now] [patientId]
+// Example: node scripts/reminderDryRun.js 2026-01-31T08:00:00Z
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const {
+  planReminderActions,
+  describeReminderAction,
+} = require("../jobs/comprehensiveReminderJob");
+
+/**
+ * Print one planned action as a line of the report
+ * @param {Object} action - Described action
+ * @returns {string} Report line
+ */
+const formatAction = (action) => {
+  const step = action.stepNumber ? ` step ${action.stepNumber}` : "";
+  const due = action.dueAt ? ` (due ${action.dueAt.toISOString()})` : "";
+  const held = action.deferredUntil ? ` held until ${action.deferredUntil.toISOString()}` : "";
+  const superseded = action.supersededSteps?.length
+    ? `, skipping overdue step(s) ${action.supersededSteps.map((s) => s.stepNumber).join(", ")}`
+    : "";
+  return `- ${action.type}${step}: ${action.template} by ${action.channel} to ${action.patientName} (${action.phone})${due}${held}${superseded}`;
+};
+
+/**
+ * Plan the reminder job's actions for the given time and print them
+ */
+async function reminderDryRun() {
+  const [nowArg, patientId] = process.argv.slice(2);
+  const now = nowArg ? new Date(nowArg) : new Date();
+
+  if (isNaN(now.getTime())) {
+    console.log("Usage: node scripts/reminderDryRun.js [now] [patientId]");
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const plan = await planReminderActions(now, { patientId });
+    const actions = plan.actions.map(describeReminderAction);
+    const deferred = plan.deferred.map(describeReminderAction);
+
+    console.log(`\nReminder dry-run for ${now.toISOString()} (nothing is sent)`);
+    console.log(`\n${actions.length} planned action(s):`);
+    actions.forEach((action) => console.log(formatAction(action)));
+
+    if (deferred.length > 0) {
+      console.log(`\n${deferred.length} held back for quiet hours:`);
+      deferred.forEach((action) => console.log(formatAction(action)));
+    }
+  } catch (error) {
+    console.error("Error running reminder dry-run:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+reminderDryRun();
@@ -0,0 +1,47 @@
+// Script to simulate the SMS provider posting a patient's reply to the inbound webhook
+// Usage: node scripts/simulateInboundSms.js <phone> "<message>"
+// Example: node scripts/simulateInboundSms.js 0553018172 "TAKEN BASAL 7:30"
+// SMS_WEBHOOK_SECRET must be set to the server's value; the webhook rejects requests without it
+require("dotenv").config();
+const axios = require("axios");
+
+/**
+ * Post a stand-in inbound SMS payload to the locally running server
+ */
+async function simulateInboundSms() {
+  const [from, ...messageParts] = process.argv.slice(2);
+  const message = messageParts.join(" ");
+
+  if (!from || !message) {
+    console.log('Usage: node scripts/simulateInboundSms.js <phone> "<message>"');
+    process.exit(1);
+  }
+
+  const baseUrl =
+    process.env.SMS_WEBHOOK_BASE_URL ||
+    `http://127.0.0.1:${process.env.PORT || 5000}`;
+
+  const payload = {
+    from,
+    message,
+    reference: `local-${Date.now()}`,
+  };
+
+  try {
+    console.log(`Posting inbound SMS to ${baseUrl}/api/sms/inbound:`, payload);
+    const response = await axios.post(`${baseUrl}/api/sms/inbound`, payload, {
+      headers: { "x-webhook-secret": process.env.SMS_WEBHOOK_SECRET || "" },
+      timeout: 30000,
+    });
+    console.log(`Response (${response.status}):`, response.data);
+  } catch (error) {
+    console.error(
+      "Error:",
+      error.response ? error.response.data : error.message
+    );
+    process.exit(1);
+  }
+}
+
+// Run the simulation
+simulateInboundSms();
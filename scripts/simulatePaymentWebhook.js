@@ -0,0 +1,60 @@
+// Script to simulate the payment gateway confirming (or failing) a payment
+// Usage: node scripts/simulatePaymentWebhook.js <reference> [succeeded|failed] [amount]
+// Example: node scripts/simulatePaymentWebhook.js PAY-LZ3K9Q-8F2A1C9D succeeded 50
+// A succeeded webhook needs the amount paid; the server fails payments confirmed without one
+require("dotenv").config();
+const axios = require("axios");
+const { SIGNATURE_HEADER, signWebhookPayload } = require("../utils/paymentGateways");
+
+/**
+ * Post a signed stand-in payment webhook to the locally running server
+ */
+async function simulatePaymentWebhook() {
+  const [reference, status = "succeeded", amount] = process.argv.slice(2);
+
+  if (!reference || (status === "succeeded" && !amount)) {
+    console.log("Usage: node scripts/simulatePaymentWebhook.js <reference> [succeeded|failed] [amount]");
+    console.log("The amount is required for a succeeded payment");
+    process.exit(1);
+  }
+
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    console.log("PAYMENT_WEBHOOK_SECRET must be set (the server rejects unsigned payment webhooks)");
+    process.exit(1);
+  }
+
+  const baseUrl =
+    process.env.PAYMENT_WEBHOOK_BASE_URL ||
+    `http://127.0.0.1:${process.env.PORT || 5000}`;
+
+  const payload = {
+    reference,
+    status,
+    transaction_id: `local-${Date.now()}`,
+    ...(amount && { amount: parseFloat(amount) }),
+    ...(status === "failed" && { reason: "Simulated failure" }),
+  };
+  const body = JSON.stringify(payload);
+
+  try {
+    console.log(`Posting payment webhook to ${baseUrl}/api/payments/webhook:`, payload);
+    const response = await axios.post(`${baseUrl}/api/payments/webhook`, body, {
+      headers: {
+        "Content-Type": "application/json",
+        [SIGNATURE_HEADER]: signWebhookPayload(body, secret),
+      },
+      timeout: 30000,
+    });
+    console.log(`Response (${response.status}):`, response.data);
+  } catch (error) {
+    console.error(
+      "Error:",
+      error.response ? error.response.data : error.message
+    );
+    process.exit(1);
+  }
+}
+
+// Run the simulation
+simulatePaymentWebhook();
@@ -0,0 +1,122 @@
+// Script to check that a scheduled job runs on only one server instance per tick
+// Usage: node scripts/testJobLock.js [instances] [seconds]
+// Example: MONGO_URI=mongodb://127.0.0.1:27017/insulinlog-locktest node scripts/testJobLock.js 2 20
+// Starts several worker processes that all schedule the same every-second test job,
+// kills the lease holder halfway through to exercise takeover, then checks the JobRun history.
+require("dotenv").config();
+const { fork } = require("child_process");
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const JobRun = require("../models/JobRun");
+const ScheduledJob = require("../models/ScheduledJob");
+
+const TEST_JOB = "job_lock_test";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Worker mode: schedule the test job like server.js schedules the real ones
+ */
+async function runWorker() {
+  const { scheduleTrackedJob } = require("../utils/jobRunner");
+  await connectDB();
+
+  scheduleTrackedJob({
+    name: TEST_JOB,
+    schedule: "* * * * * *",
+    run: async (stats) => {
+      stats.patientsScanned = 1;
+      await sleep(200 + Math.random() * 600);
+    },
+  });
+
+  process.on("SIGTERM", async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  });
+}
+
+/**
+ * Parent mode: start the workers, kill the lease holder halfway, then check every tick ran at most once
+ */
+async function checkJobLock() {
+  const instances = parseInt(process.argv[2]) || 2;
+  const seconds = parseInt(process.argv[3]) || 20;
+
+  await connectDB();
+  await Promise.all([
+    JobRun.deleteMany({ job: TEST_JOB }),
+    ScheduledJob.deleteMany({ name: TEST_JOB }),
+  ]);
+
+  console.log(`Starting ${instances} workers for ${seconds} seconds...`);
+  const workers = Array.from({ length: instances }, () =>
+    fork(__filename, ["worker"], {
+      env: { ...process.env, JOB_LOCK_TTL_MS: "3000" },
+      stdio: "ignore",
+    })
+  );
+
+  await sleep((seconds / 2) * 1000);
+
+  // Kill whichever worker holds the lease right now (instance IDs are host:pid:random)
+  const control = await ScheduledJob.findOne({ name: TEST_JOB }).lean();
+  const holderPid = control?.lockOwner && Number(control.lockOwner.split(":")[1]);
+  const holder = workers.find((worker) => worker.pid === holderPid);
+  const killedAt = new Date();
+  if (holder) {
+    console.log(`Killing lease holder ${control.lockOwner} mid-run`);
+    holder.kill("SIGKILL");
+  } else {
+    console.log("No worker held the lease at the halfway point; skipping takeover check");
+  }
+
+  await sleep((seconds / 2) * 1000);
+  workers.forEach((worker) => worker.kill("SIGTERM"));
+  await sleep(2000);
+
+  const runs = await JobRun.find({ job: TEST_JOB }).sort({ scheduledFor: 1 }).lean();
+  const runsPerTick = new Map();
+  const runsPerInstance = new Map();
+  for (const run of runs) {
+    const tick = run.scheduledFor.toISOString();
+    runsPerTick.set(tick, (runsPerTick.get(tick) || 0) + 1);
+    runsPerInstance.set(run.instance, (runsPerInstance.get(run.instance) || 0) + 1);
+  }
+
+  const duplicateTicks = [...runsPerTick].filter(([, count]) => count > 1);
+  const failures = [];
+  if (duplicateTicks.length > 0) {
+    failures.push(`${duplicateTicks.length} tick(s) ran more than once: ${duplicateTicks.map(([tick]) => tick).join(", ")}`);
+  }
+
+  console.log(`\n${runs.length} runs over ${runsPerTick.size} ticks`);
+  runsPerInstance.forEach((count, instance) => console.log(`- ${instance}: ${count} runs`));
+
+  if (holder) {
+    const abandoned = runs.filter((run) => run.instance === control.lockOwner && run.status === "failed");
+    const takenOver = runs.filter((run) => run.instance !== control.lockOwner && run.startedAt > killedAt);
+    console.log(`Killed holder's runs marked failed: ${abandoned.length}; runs by other instances after the kill: ${takenOver.length}`);
+    if (abandoned.length === 0) failures.push("the killed holder's run was not marked failed");
+    if (takenOver.length === 0) failures.push("no other instance took over after the holder was killed");
+  }
+
+  if (failures.length > 0) {
+    console.error(`\nFAIL: ${failures.join("; ")}`);
+  } else {
+    console.log("\nPASS: every tick ran on exactly one instance");
+  }
+
+  await Promise.all([
+    JobRun.deleteMany({ job: TEST_JOB }),
+    ScheduledJob.deleteMany({ name: TEST_JOB }),
+  ]);
+  await mongoose.disconnect();
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+if (process.argv[2] === "worker") {
+  runWorker();
+} else {
+  checkJobLock();
+}
@@ -12,8 +12,17 @@ const authRoutes = require("./routes/auth");
 const doseRoutes = require("./routes/doses");
 // Import the admin routes
 const adminRoutes = require("./routes/admin");
+// Import the glucose reading routes
+const glucoseRoutes = require("./routes/glucose");
+// Import the SMS webhook routes
+const smsRoutes = require("./routes/sms");
+// Import the payment webhook routes
+const paymentRoutes = require("./routes/payments");
+// Import the subscription plan routes
+const planRoutes = require("./routes/plans");
 // Import the scheduled jobs
 const { scheduleSubscriptionJob } = require("./jobs/subscriptionJob"); // Subscription notifications
+const { scheduleOutboxWorker } = require("./jobs/outboxWorker"); // Sends queued SMS and emails
 
 // MONITORING SETUP - Monitoring endpoints are registered below
 
@@ -21,6 +30,13 @@ const { scheduleSubscriptionJob } = require("./jobs/subscriptionJob"); // Subscr
 const app = express();
 
 // --- Middleware ---
+// Behind a proxy (Railway, nginx) req.ip is the proxy's address unless it is trusted to pass on
+// the client's; rate limits are per IP, so set TRUST_PROXY to the number of proxies in front
+const trustProxy = parseInt(process.env.TRUST_PROXY);
+if (!isNaN(trustProxy)) {
+  app.set("trust proxy", trustProxy);
+}
+
 // CORS configuration based on environment
 const corsOptions = {
   origin: function (origin, callback) {
@@ -95,7 +111,15 @@ app.use((req, res, next) => {
 });
 
 // Enable parsing of JSON request bodies
-app.use(express.json({ limit: "1mb" }));
+// (the raw body is kept for webhooks that sign it, e.g. payment confirmations)
+app.use(
+  express.json({
+    limit: "1mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Add request logging
 app.use((req, res, next) => {
@@ -123,6 +147,8 @@ const startServer = async () => {
     scheduleComprehensiveReminderJob(); // Enable comprehensive SMS reminders
     // Start the subscription management job
     scheduleSubscriptionJob(); // Check subscriptions daily and send notifications
+    // Start the outbox worker that sends every queued SMS and email
+    scheduleOutboxWorker();
 
     // Define the port the server will run on.
     const PORT = process.env.PORT || 5000;
@@ -141,6 +167,10 @@ const startServer = async () => {
     // --- API Routes ---
     app.use("/api/auth", authRoutes); // Authentication routes (register, login, etc.)
     app.use("/api/doses", doseRoutes); // Dose management routes
+    app.use("/api/glucose", glucoseRoutes); // Blood glucose reading routes
+    app.use("/api/sms", smsRoutes); // SMS provider webhooks (patient replies, delivery reports)
+    app.use("/api/payments", paymentRoutes); // Payment gateway webhooks
+    app.use("/api/plans", planRoutes); // Subscription plans on offer
     app.use("/api/admin", adminRoutes); // Admin-specific routes
     app.use("/api/patients", require("./routes/patients")); // Patient management routes
     app.use("/api/users", require("./routes/users")); // User management routes
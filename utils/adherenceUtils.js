@@ -0,0 +1,190 @@
+// backend/utils/adherenceUtils.js
+
+const { calculateNextReminderTime } = require("../jobs/comprehensiveReminderJob");
+const { DEFAULT_REGIMEN } = require("./regimenUtils");
+const { formatDate } = require("./dateUtils");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// A dose more than this many minutes after it was due counts as late
+const LATE_THRESHOLD_MINUTES = 60;
+
+/**
+ * Get midnight (server local time) of the day containing a date
+ * @param {Date|string} date - Any moment in the day
+ * @returns {Date} - Start of that day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Parse an adherence date range from query parameters.
+ * Defaults to the last 30 days and never extends past today.
+ * @param {object} query - Request query ({ startDate, endDate })
+ * @returns {object} - { start, end } or { error } if the range is invalid
+ */
+const parseAdherenceRange = ({ startDate, endDate } = {}) => {
+  const today = startOfDay(new Date());
+  const end = endDate ? startOfDay(endDate) : today;
+  const start = startDate
+    ? startOfDay(startDate)
+    : new Date(end.getTime() - 29 * DAY_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: "startDate and endDate must be valid dates." };
+  }
+  if (start > end) {
+    return { error: "startDate must be before endDate." };
+  }
+  if (end - start > 366 * DAY_MS) {
+    return { error: "Date range cannot exceed one year." };
+  }
+
+  return { start, end: end > today ? today : end };
+};
+
+/**
+ * Decide which dose type adherence is measured against and how often it is due.
+ * Basal is tracked whenever the regimen prescribes it; otherwise bolus with meals.
+ * @param {object} regimen - Patient regimen
+ * @returns {object} - { doseType, expectedPerDay, intervalHours }
+ */
+const getTrackedSchedule = (regimen = DEFAULT_REGIMEN) => {
+  if (regimen.basal?.enabled !== false) {
+    const expectedPerDay = regimen.basal?.frequency === "twice_daily" ? 2 : 1;
+    return { doseType: "Basal", expectedPerDay, intervalHours: 24 / expectedPerDay };
+  }
+
+  const expectedPerDay = regimen.bolus?.mealsPerDay || 3;
+  return { doseType: "Bolus", expectedPerDay, intervalHours: 24 / expectedPerDay };
+};
+
+/**
+ * Compute adherence statistics for one patient
+ * @param {object} options
+ * @param {Array} options.doses - The patient's doses, any type, sorted by timestamp ascending.
+ *   Should start at least two dosing intervals before `start` so lateness of the first dose can be measured.
+ * @param {object} options.regimen - The patient's regimen
+ * @param {Date} options.start - First day of the range (midnight)
+ * @param {Date} options.end - Last day of the range (midnight)
+ * @param {Date} [options.since] - Days before this (e.g. registration) are not counted
+ * @returns {object} - Summary and per-day breakdown
+ */
+const computeAdherence = ({ doses, regimen = DEFAULT_REGIMEN, start, end, since }) => {
+  const { doseType, expectedPerDay, intervalHours } = getTrackedSchedule(regimen);
+  const today = startOfDay(new Date());
+  const firstDay = since && startOfDay(since) > start ? startOfDay(since) : start;
+  const rangeEnd = new Date(end.getTime() + DAY_MS);
+
+  const trackedDoses = doses.filter((dose) => dose.type === doseType);
+
+  // Count tracked doses per day
+  const countsByDay = new Map();
+  for (const dose of trackedDoses) {
+    const time = new Date(dose.timestamp);
+    if (time < firstDay || time >= rangeEnd) continue;
+    const key = startOfDay(time).getTime();
+    countsByDay.set(key, (countsByDay.get(key) || 0) + 1);
+  }
+
+  // Daily adherence and missed-day streaks
+  const daily = [];
+  let expectedDoses = 0;
+  let takenDoses = 0;
+  let missedDays = 0;
+  let currentMissedStreak = 0;
+  let longestMissedStreak = 0;
+
+  for (let day = new Date(firstDay); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    const taken = countsByDay.get(day.getTime()) || 0;
+    const inProgress = day.getTime() === today.getTime();
+
+    daily.push({
+      date: formatDate(day),
+      expected: expectedPerDay,
+      taken,
+      adherencePercent: Math.round((Math.min(taken, expectedPerDay) / expectedPerDay) * 1000) / 10,
+      inProgress,
+    });
+
+    // Today is still running, so only count it once a dose has been logged
+    if (inProgress && taken === 0) continue;
+
+    expectedDoses += expectedPerDay;
+    takenDoses += Math.min(taken, expectedPerDay);
+
+    if (taken === 0) {
+      missedDays++;
+      currentMissedStreak++;
+      longestMissedStreak = Math.max(longestMissedStreak, currentMissedStreak);
+    } else {
+      currentMissedStreak = 0;
+    }
+  }
+
+  // Lateness against the expected dosing cycle. Gaps longer than one and a half
+  // intervals mean a dose was skipped (counted above), not that it was late.
+  let latenessTotalMinutes = 0;
+  let measuredIntervals = 0;
+  let lateDoses = 0;
+  for (let i = 1; i < trackedDoses.length; i++) {
+    const time = new Date(trackedDoses[i].timestamp);
+    if (time < firstDay || time >= rangeEnd) continue;
+
+    const gapHours = (time - new Date(trackedDoses[i - 1].timestamp)) / HOUR_MS;
+    if (gapHours > intervalHours * 1.5) continue;
+
+    const latenessMinutes = Math.max(0, (gapHours - intervalHours) * 60);
+    latenessTotalMinutes += latenessMinutes;
+    measuredIntervals++;
+    if (latenessMinutes > LATE_THRESHOLD_MINUTES) lateDoses++;
+  }
+
+  // Doses logged after the first reminder would have gone out. The reminder job
+  // anchors on the previous dose of any type, so do the same here.
+  let dosesAfterReminder = 0;
+  let dosesInRange = 0;
+  for (let i = 0; i < doses.length; i++) {
+    const time = new Date(doses[i].timestamp);
+    if (time < firstDay || time >= rangeEnd) continue;
+    dosesInRange++;
+
+    if (i === 0) continue;
+    const reminderTime = calculateNextReminderTime(doses[i - 1].timestamp, regimen);
+    if (time >= reminderTime) dosesAfterReminder++;
+  }
+
+  return {
+    trackedDoseType: doseType,
+    expectedPerDay,
+    startDate: formatDate(firstDay),
+    endDate: formatDate(end),
+    expectedDoses,
+    takenDoses,
+    adherencePercent:
+      expectedDoses > 0 ? Math.round((takenDoses / expectedDoses) * 1000) / 10 : null,
+    missedDays,
+    currentMissedStreak,
+    longestMissedStreak,
+    averageLatenessMinutes:
+      measuredIntervals > 0 ? Math.round(latenessTotalMinutes / measuredIntervals) : null,
+    lateDoses,
+    totalDoses: dosesInRange,
+    dosesAfterReminder,
+    dosesAfterReminderPercent:
+      dosesInRange > 0 ? Math.round((dosesAfterReminder / dosesInRange) * 1000) / 10 : null,
+    daily,
+  };
+};
+
+module.exports = {
+  LATE_THRESHOLD_MINUTES,
+  startOfDay,
+  parseAdherenceRange,
+  getTrackedSchedule,
+  computeAdherence,
+};
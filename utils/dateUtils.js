@@ -1,62 +1,221 @@
 // Date utility functions for consistent date formatting
 
+// Time zone used for patients who have not set one (falls back to the server's own zone)
+const DEFAULT_TIME_ZONE =
+  process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Cache of Intl formatters, one per time zone
+const zonedFormatters = new Map();
+
+/**
+ * Check whether a string is an IANA time zone name (e.g. "Africa/Accra")
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} - Whether the time zone is recognised
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the time zone a patient's dates and reminders use
+ * @param {object} patient - Patient object (may be null)
+ * @returns {string} - IANA time zone name
+ */
+const getPatientTimeZone = (patient) =>
+  isValidTimeZone(patient?.timeZone) ? patient.timeZone : DEFAULT_TIME_ZONE;
+
+/**
+ * Get the wall-clock parts of a moment in a time zone
+ * @param {Date|string} date - The moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {object} - { year, month (1-12), day, hours, minutes, seconds }
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of zonedFormatters.get(timeZone).formatToParts(new Date(date))) {
+    parts[type] = Number(value);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+  };
+};
+
+/**
+ * Get the moment for a wall-clock time in a time zone.
+ * Out-of-range days (e.g. day 32) roll over like Date.UTC.
+ * @param {object} wallTime - { year, month (1-12), day, hours, minutes }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - The matching moment
+ */
+const zonedTimeToDate = ({ year, month, day, hours = 0, minutes = 0 }, timeZone) => {
+  const wallClockMs = Date.UTC(year, month - 1, day, hours, minutes);
+  const offsetAt = (ms) => {
+    const parts = getZonedParts(new Date(ms), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds) - ms;
+  };
+
+  // Check the offset again at the result in case it crosses a daylight saving change
+  const firstGuess = wallClockMs - offsetAt(wallClockMs);
+  return new Date(wallClockMs - offsetAt(firstGuess));
+};
+
+/**
+ * Get the parts of a date to format, in a time zone if one is given
+ * @param {Date|string} date - The date
+ * @param {string} [timeZone] - IANA time zone name (server local time if omitted)
+ * @returns {object|null} - Date parts, or null if the date is invalid
+ */
+const getDateParts = (date, timeZone) => {
+  if (!date) return null;
+
+  const dateObj = new Date(date);
+  if (isNaN(dateObj.getTime())) return null;
+
+  if (timeZone) return getZonedParts(dateObj, timeZone);
+
+  return {
+    year: dateObj.getFullYear(),
+    month: dateObj.getMonth() + 1,
+    day: dateObj.getDate(),
+    hours: dateObj.getHours(),
+    minutes: dateObj.getMinutes(),
+    seconds: dateObj.getSeconds(),
+  };
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
 /**
  * Format a date to DD/MM/YYYY format
  * @param {Date|string} date - The date to format
+ * @param {string} [timeZone] - IANA time zone to show the date in (server local time if omitted)
  * @returns {string} - Formatted date string (DD/MM/YYYY)
  */
-const formatDate = (date) => {
-  if (!date) return '';
-  
-  const dateObj = new Date(date);
-  if (isNaN(dateObj.getTime())) return '';
-  
-  const day = dateObj.getDate().toString().padStart(2, '0');
-  const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
-  const year = dateObj.getFullYear();
-  
-  return `${day}/${month}/${year}`;
+const formatDate = (date, timeZone) => {
+  const parts = getDateParts(date, timeZone);
+  if (!parts) return '';
+
+  return `${pad(parts.day)}/${pad(parts.month)}/${parts.year}`;
 };
 
 /**
  * Format a date to DD/MM/YYYY HH:MM format
  * @param {Date|string} date - The date to format
+ * @param {string} [timeZone] - IANA time zone to show the date in (server local time if omitted)
  * @returns {string} - Formatted date string (DD/MM/YYYY HH:MM)
  */
-const formatDateTime = (date) => {
-  if (!date) return '';
-  
-  const dateObj = new Date(date);
-  if (isNaN(dateObj.getTime())) return '';
-  
-  const day = dateObj.getDate().toString().padStart(2, '0');
-  const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
-  const year = dateObj.getFullYear();
-  const hours = dateObj.getHours().toString().padStart(2, '0');
-  const minutes = dateObj.getMinutes().toString().padStart(2, '0');
-  
-  return `${day}/${month}/${year} ${hours}:${minutes}`;
+const formatDateTime = (date, timeZone) => {
+  const parts = getDateParts(date, timeZone);
+  if (!parts) return '';
+
+  return `${pad(parts.day)}/${pad(parts.month)}/${parts.year} ${pad(parts.hours)}:${pad(parts.minutes)}`;
 };
 
 /**
  * Format a date to DD/MM/YYYY HH:MM:SS format
  * @param {Date|string} date - The date to format
+ * @param {string} [timeZone] - IANA time zone to show the date in (server local time if omitted)
  * @returns {string} - Formatted date string (DD/MM/YYYY HH:MM:SS)
  */
-const formatDateTimeFull = (date) => {
-  if (!date) return '';
-  
-  const dateObj = new Date(date);
-  if (isNaN(dateObj.getTime())) return '';
-  
-  const day = dateObj.getDate().toString().padStart(2, '0');
-  const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
-  const year = dateObj.getFullYear();
-  const hours = dateObj.getHours().toString().padStart(2, '0');
-  const minutes = dateObj.getMinutes().toString().padStart(2, '0');
-  const seconds = dateObj.getSeconds().toString().padStart(2, '0');
-  
-  return `${day}/${month}/${year} ${hours}:${minutes}:${seconds}`;
+const formatDateTimeFull = (date, timeZone) => {
+  const parts = getDateParts(date, timeZone);
+  if (!parts) return '';
+
+  return `${formatDateTime(date, timeZone)}:${pad(parts.seconds)}`;
+};
+
+/**
+ * Convert an "HH:MM" time of day to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} - Minutes after midnight, or null if not a valid time
+ */
+const parseTimeOfDay = (time) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Get a patient's quiet-hours window, if they have one switched on
+ * @param {object} patient - Patient object
+ * @returns {object|null} - { start, end } in minutes after midnight, or null
+ */
+const getQuietHoursWindow = (patient) => {
+  const quietHours = patient?.quietHours;
+  if (!quietHours?.enabled) return null;
+
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  if (start === null || end === null || start === end) return null;
+
+  return { start, end };
+};
+
+/**
+ * Check whether a moment falls in a patient's quiet hours (in their time zone).
+ * Windows may wrap past midnight, e.g. 22:00-07:00.
+ * @param {Date|string} date - The moment
+ * @param {object} patient - Patient object
+ * @returns {boolean} - Whether messages should be held back
+ */
+const isInQuietHours = (date, patient) => {
+  const window = getQuietHoursWindow(patient);
+  if (!window) return false;
+
+  const { hours, minutes } = getZonedParts(date, getPatientTimeZone(patient));
+  const minuteOfDay = hours * 60 + minutes;
+
+  return window.start < window.end
+    ? minuteOfDay >= window.start && minuteOfDay < window.end
+    : minuteOfDay >= window.start || minuteOfDay < window.end;
+};
+
+/**
+ * Get the first moment at or after a date that is outside the patient's quiet hours
+ * @param {Date|string} date - When the message would normally go out
+ * @param {object} patient - Patient object
+ * @returns {Date} - The date itself, or the end of the quiet-hours window it falls in
+ */
+const getNextAllowedTime = (date, patient) => {
+  const moment = new Date(date);
+  if (!isInQuietHours(moment, patient)) return moment;
+
+  const { end } = getQuietHoursWindow(patient);
+  const timeZone = getPatientTimeZone(patient);
+  const parts = getZonedParts(moment, timeZone);
+  const minuteOfDay = parts.hours * 60 + parts.minutes;
+
+  return zonedTimeToDate({
+    year: parts.year,
+    month: parts.month,
+    day: parts.day + (minuteOfDay >= end ? 1 : 0),
+    hours: Math.floor(end / 60),
+    minutes: end % 60,
+  }, timeZone);
 };
 
 /**
@@ -119,7 +278,7 @@ const getSubscriptionStatus = (expiryDate) => {
 };
 
 /**
- * Format patient data with DD/MM/YYYY dates
+ * Format patient data with DD/MM/YYYY dates in the patient's time zone
  * @param {object} patient - Patient object
  * @returns {object} - Patient object with formatted dates
  */
@@ -127,45 +286,47 @@ const formatPatientDates = (patient) => {
   if (!patient) return patient;
   
   const formatted = { ...patient.toObject ? patient.toObject() : patient };
+  const timeZone = getPatientTimeZone(formatted);
+  formatted.timeZone = timeZone;
   
   // Format subscription expiry
   if (formatted.subscriptionExpiry) {
-    formatted.subscriptionExpiryFormatted = formatDate(formatted.subscriptionExpiry);
+    formatted.subscriptionExpiryFormatted = formatDate(formatted.subscriptionExpiry, timeZone);
   }
   
   // Format last dose time
   if (formatted.lastDoseTime) {
-    formatted.lastDoseTimeFormatted = formatDateTime(formatted.lastDoseTime);
+    formatted.lastDoseTimeFormatted = formatDateTime(formatted.lastDoseTime, timeZone);
   }
   
   // Format last reminder sent
   if (formatted.lastReminderSent) {
-    formatted.lastReminderSentFormatted = formatDateTime(formatted.lastReminderSent);
+    formatted.lastReminderSentFormatted = formatDateTime(formatted.lastReminderSent, timeZone);
   }
   
   // Format next reminder time
   if (formatted.nextReminderTime) {
-    formatted.nextReminderTimeFormatted = formatDateTime(formatted.nextReminderTime);
+    formatted.nextReminderTimeFormatted = formatDateTime(formatted.nextReminderTime, timeZone);
   }
   
   // Format last activation date
   if (formatted.lastActivationDate) {
-    formatted.lastActivationDateFormatted = formatDate(formatted.lastActivationDate);
+    formatted.lastActivationDateFormatted = formatDate(formatted.lastActivationDate, timeZone);
   }
   
   // Format last subscription renewal
   if (formatted.lastSubscriptionRenewal) {
-    formatted.lastSubscriptionRenewalFormatted = formatDate(formatted.lastSubscriptionRenewal);
+    formatted.lastSubscriptionRenewalFormatted = formatDate(formatted.lastSubscriptionRenewal, timeZone);
   }
   
   // Format deactivated at
   if (formatted.deactivatedAt) {
-    formatted.deactivatedAtFormatted = formatDateTime(formatted.deactivatedAt);
+    formatted.deactivatedAtFormatted = formatDateTime(formatted.deactivatedAt, timeZone);
   }
   
   // Format created date
   if (formatted.date) {
-    formatted.dateFormatted = formatDate(formatted.date);
+    formatted.dateFormatted = formatDate(formatted.date, timeZone);
   }
   
   // Add subscription status
@@ -179,32 +340,65 @@ const formatPatientDates = (patient) => {
 /**
  * Format dose data with DD/MM/YYYY dates
  * @param {object} dose - Dose object
+ * @param {string} [timeZone] - Patient's time zone (server local time if omitted)
  * @returns {object} - Dose object with formatted dates
  */
-const formatDoseDates = (dose) => {
+const formatDoseDates = (dose, timeZone) => {
   if (!dose) return dose;
   
   const formatted = { ...dose.toObject ? dose.toObject() : dose };
   
   // Format timestamp
   if (formatted.timestamp) {
-    formatted.timestampFormatted = formatDateTime(formatted.timestamp);
+    formatted.timestampFormatted = formatDateTime(formatted.timestamp, timeZone);
+  }
+  
+  // Format created date
+  if (formatted.date) {
+    formatted.dateFormatted = formatDate(formatted.date, timeZone);
+  }
+  
+  return formatted;
+};
+
+/**
+ * Format glucose reading data with DD/MM/YYYY dates
+ * @param {object} reading - Glucose reading object
+ * @param {string} [timeZone] - Patient's time zone (server local time if omitted)
+ * @returns {object} - Reading object with formatted dates
+ */
+const formatReadingDates = (reading, timeZone) => {
+  if (!reading) return reading;
+  
+  const formatted = { ...reading.toObject ? reading.toObject() : reading };
+  
+  // Format timestamp
+  if (formatted.timestamp) {
+    formatted.timestampFormatted = formatDateTime(formatted.timestamp, timeZone);
   }
   
   // Format created date
   if (formatted.date) {
-    formatted.dateFormatted = formatDate(formatted.date);
+    formatted.dateFormatted = formatDate(formatted.date, timeZone);
   }
   
   return formatted;
 };
 
 module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getPatientTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  isInQuietHours,
+  getNextAllowedTime,
   formatDate,
   formatDateTime,
   formatDateTimeFull,
   getDaysUntilExpiry,
   getSubscriptionStatus,
   formatPatientDates,
-  formatDoseDates
+  formatDoseDates,
+  formatReadingDates
 };
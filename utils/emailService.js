@@ -1,4 +1,4 @@
-const sendEmailFixed = require("./sendEmailFixed");
+const { queueEmail } = require("./outbox");
 
 /**
  * @function sendVerificationEmail
@@ -27,9 +27,10 @@ exports.sendVerificationEmail = async (email, token, req = null) => {
   console.log(`Verification link: ${verificationLink}`);
 
   try {
-    const result = await sendEmailFixed({
+    const result = await queueEmail({
       to: email,
       subject: "InsulinLog: Verify Your Email Address",
+      template: "email_verification",
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 24px; background-color: #ffffff; border: 1px solid #e5e7eb; border-radius: 8px;">
   <p style="color: #374151; font-size: 16px;">
@@ -72,10 +73,10 @@ exports.sendVerificationEmail = async (email, token, req = null) => {
 
       `,
     });
-    console.log("Verification email sent successfully:", result.messageId);
+    console.log("Verification email queued successfully:", result.outboxId);
     return result;
   } catch (error) {
-    console.error("Failed to send verification email:", error.message);
+    console.error("Failed to queue verification email:", error.message);
     throw error;
   }
 };
@@ -88,9 +89,10 @@ exports.sendVerificationEmail = async (email, token, req = null) => {
  */
 exports.sendPasswordResetEmail = async (email, token) => {
   const resetLink = `${process.env.FRONTEND_URL}/reset-password/${token}`;
-  await sendEmailFixed({
+  await queueEmail({
     to: email,
     subject: "InsulinLog: Password Reset Request",
+    template: "password_reset",
     html: `
       <p>Hello,</p>
       <p>You have requested to reset your password for your InsulinLog account. Please click the link below to reset your password:</p>
@@ -103,6 +105,36 @@ exports.sendPasswordResetEmail = async (email, token) => {
   });
 };
 
+/**
+ * @function sendAccountLockedEmail
+ * @description Tells the owner of an account it was locked after repeated failed sign-ins
+ * @param {string} email - Account email address
+ * @param {string} name - Account holder's name
+ * @param {Date} lockedUntil - When sign-in works again
+ * @param {Object} [options] - { patient: patient ID for the notification log }
+ * @returns {Promise<Object>} - Queue result
+ */
+exports.sendAccountLockedEmail = async (email, name, lockedUntil, options = {}) => {
+  const minutes = Math.ceil((new Date(lockedUntil) - Date.now()) / 60000);
+  const resetLink = `${process.env.FRONTEND_URL}/forgot-password`;
+
+  return await queueEmail({
+    to: email,
+    subject: "InsulinLog: Account Temporarily Locked",
+    template: "account_locked",
+    patient: options.patient,
+    html: `
+      <p>Hello ${name},</p>
+      <p>There were several failed attempts to sign in to your InsulinLog account, so we have locked it for ${minutes} minutes.</p>
+      <p>If this was you, you can try again after that, or reset your password to unlock it now:</p>
+      <p><a href="${resetLink}">${resetLink}</a></p>
+      <p>If it wasn't you, someone may be trying to guess your password. We recommend resetting it.</p>
+      <p>Best regards,</p>
+      <p>The Metabolic Health Revival Team</p>
+    `,
+  });
+};
+
 /**
  * @function sendCustomReminderEmail
  * @description Sends a custom reminder email to a patient
@@ -111,9 +143,10 @@ exports.sendPasswordResetEmail = async (email, token) => {
  * @param {string} message - The custom message to send.
  */
 exports.sendCustomReminderEmail = async (email, name, message) => {
-  await sendEmailFixed({
+  await queueEmail({
     to: email,
     subject: "InsulinLog: Custom Reminder",
+    template: "custom_reminder",
     html: `
       <p>Hello ${name},</p>
       <p>You have received a custom reminder from the InsulinLog team:</p>
@@ -127,6 +160,39 @@ exports.sendCustomReminderEmail = async (email, name, message) => {
   });
 };
 
+/**
+ * @function sendDoseReminderEmail
+ * @description Sends a dose reminder by email (a reminder policy email step, or when the reminder SMS could not be delivered)
+ * @param {string} email - The patient's email address
+ * @param {string} name - The patient's name
+ * @param {string} patientId - The patient's ID (for the notification log)
+ * @param {Object} [options] - { template, idempotencyKey, smsUndelivered }
+ * @returns {Promise<Object>} - Queue result
+ */
+exports.sendDoseReminderEmail = async (email, name, patientId, options = {}) => {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const loginUrl = `${frontendUrl}/login`;
+
+  return await queueEmail({
+    to: email,
+    subject: "InsulinLog: Insulin Dose Reminder",
+    template: options.template || "dose_reminder_email",
+    patient: patientId,
+    idempotencyKey: options.idempotencyKey,
+    html: `
+      <p>Hello ${name},</p>
+      ${options.smsUndelivered ? "<p>We tried to send you a dose reminder by SMS but it could not be delivered to your phone.</p>" : ""}
+      <div style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid #2563eb; margin: 20px 0;">
+        It's time for your insulin dose. Please take it and log it in the InsulinLog app.
+      </div>
+      <p><a href="${loginUrl}" style="background-color: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 6px;">Log your dose</a></p>
+      ${options.smsUndelivered ? "<p>If your phone number has changed, please contact us so we can update it.</p>" : ""}
+      <p>Best regards,</p>
+      <p>The Metabolic Health Revival Team</p>
+    `,
+  });
+};
+
 /**
  * @function sendSubscriptionExpiryWarning
  * @description Sends a warning email when subscription expires in 7 days
@@ -134,22 +200,30 @@ exports.sendCustomReminderEmail = async (email, name, message) => {
  * @param {string} name - The recipient's name.
  * @param {string} subscriptionType - The subscription type.
  * @param {Date} expiryDate - The expiry date.
+ * @param {Object} [options] - { timeZone to show the date in, sendAt to hold the email until }
+ * @returns {Promise<Object>} Queue result ({ success, duplicate, ... })
  */
 exports.sendSubscriptionExpiryWarning = async (
   email,
   name,
   subscriptionType,
-  expiryDate
+  expiryDate,
+  options = {}
 ) => {
   const formattedDate = new Date(expiryDate).toLocaleDateString("en-GB", {
     day: "2-digit",
     month: "long",
     year: "numeric",
+    timeZone: options.timeZone,
   });
 
-  await sendEmailFixed({
+  return await queueEmail({
     to: email,
     subject: "InsulinLog: Subscription Expires in 7 Days - Renew Now",
+    template: "subscription_expiry_warning",
+    // One notice per patient per expiry date, however many times the check runs
+    idempotencyKey: `subscription_expiry_warning:${email}:${new Date(expiryDate).toISOString()}`,
+    sendAt: options.sendAt,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <div style="background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
@@ -195,22 +269,30 @@ exports.sendSubscriptionExpiryWarning = async (
  * @param {string} name - The recipient's name.
  * @param {string} subscriptionType - The subscription type.
  * @param {Date} expiryDate - The expiry date.
+ * @param {Object} [options] - { timeZone to show the date in, sendAt to hold the email until }
+ * @returns {Promise<Object>} Queue result ({ success, duplicate, ... })
  */
 exports.sendSubscriptionExpiryUrgent = async (
   email,
   name,
   subscriptionType,
-  expiryDate
+  expiryDate,
+  options = {}
 ) => {
   const formattedDate = new Date(expiryDate).toLocaleDateString("en-GB", {
     day: "2-digit",
     month: "long",
     year: "numeric",
+    timeZone: options.timeZone,
   });
 
-  await sendEmailFixed({
+  return await queueEmail({
     to: email,
     subject: "⚠️ URGENT: InsulinLog Subscription Expires Tomorrow!",
+    template: "subscription_expiry_urgent",
+    // One notice per patient per expiry date, however many times the check runs
+    idempotencyKey: `subscription_expiry_urgent:${email}:${new Date(expiryDate).toISOString()}`,
+    sendAt: options.sendAt,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <div style="background-color: #dc2626; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
@@ -238,7 +320,7 @@ exports.sendSubscriptionExpiryUrgent = async (
           
           <div style="background-color: #fef3c7; padding: 16px; border-radius: 8px; margin: 20px 0;">
             <p style="margin: 0; color: #92400e;">
-              <strong>Important:</strong> If not renewed by tomorrow, your account will be temporarily suspended until renewal is completed.
+              <strong>Important:</strong> If not renewed, your account will become read-only after a short grace period: you'll still be able to log in, view your history and renew, but not log new doses.
             </p>
           </div>
           
@@ -262,22 +344,39 @@ exports.sendSubscriptionExpiryUrgent = async (
  * @param {string} name - The recipient's name.
  * @param {string} subscriptionType - The subscription type.
  * @param {Date} expiryDate - The expiry date.
+ * @param {Object} [options] - { timeZone to show dates in, sendAt to hold the email until,
+ *   graceEndsAt: when the account becomes read-only }
+ * @returns {Promise<Object>} Queue result ({ success, duplicate, ... })
  */
 exports.sendSubscriptionExpiredNotification = async (
   email,
   name,
   subscriptionType,
-  expiryDate
+  expiryDate,
+  options = {}
 ) => {
   const formattedDate = new Date(expiryDate).toLocaleDateString("en-GB", {
     day: "2-digit",
     month: "long",
     year: "numeric",
+    timeZone: options.timeZone,
+  });
+  const graceEndsAt = options.graceEndsAt ? new Date(options.graceEndsAt) : new Date(expiryDate);
+  const inGracePeriod = graceEndsAt > new Date();
+  const formattedGraceEnd = graceEndsAt.toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "long",
+    year: "numeric",
+    timeZone: options.timeZone,
   });
 
-  await sendEmailFixed({
+  return await queueEmail({
     to: email,
     subject: "InsulinLog: Subscription Expired - Renew to Restore Access",
+    template: "subscription_expired",
+    // One notice per patient per expiry date, however many times the check runs
+    idempotencyKey: `subscription_expired:${email}:${new Date(expiryDate).toISOString()}`,
+    sendAt: options.sendAt,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <div style="background-color: #7f1d1d; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
@@ -296,7 +395,11 @@ exports.sendSubscriptionExpiredNotification = async (
           
           <div style="background-color: #fef3c7; padding: 16px; border-radius: 8px; margin: 20px 0;">
             <p style="margin: 0; color: #92400e;">
-              <strong>Account Status:</strong> Your account has been temporarily suspended. You can no longer log doses or access premium features until your subscription is renewed.
+              <strong>Account Status:</strong> ${
+                inGracePeriod
+                  ? `You can keep using InsulinLog until ${formattedGraceEnd}. After that your account becomes read-only: you can still log in, view and export your dose history and renew, but you can't log new doses.`
+                  : "Your account is now read-only. You can still log in, view and export your dose history and renew, but you can't log new doses until your subscription is renewed."
+              }
             </p>
           </div>
           
@@ -321,7 +424,66 @@ exports.sendSubscriptionExpiredNotification = async (
         </div>
         
         <div style="background-color: #fee2e2; padding: 15px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px; color: #991b1b;">
-          Account suspended due to expired subscription. Contact support to restore access.
+          Subscription expired. Renew to keep logging your doses.
+        </div>
+      </div>
+    `,
+  });
+};
+
+/**
+ * @function sendInvoiceReceiptEmail
+ * @description Sends the receipt for a subscription renewal, with the PDF attached
+ * @param {string} email - The recipient's email address.
+ * @param {string} name - The recipient's name.
+ * @param {Object} invoice - The renewal's invoice.
+ * @param {Buffer} pdf - The PDF receipt.
+ * @param {Object} [options] - { timeZone to show dates in }
+ * @returns {Promise<Object>} Queue result ({ success, duplicate, ... })
+ */
+exports.sendInvoiceReceiptEmail = async (email, name, invoice, pdf, options = {}) => {
+  const formatReceiptDate = (date) =>
+    new Date(date).toLocaleDateString("en-GB", {
+      day: "2-digit",
+      month: "long",
+      year: "numeric",
+      timeZone: options.timeZone,
+    });
+  const amount = `${invoice.currency} ${Number(invoice.amount).toFixed(2)}`;
+
+  return await queueEmail({
+    to: email,
+    subject: `InsulinLog: Receipt ${invoice.number} for your ${invoice.planName} subscription`,
+    template: "invoice_receipt",
+    // One receipt per invoice, however many times the renewal is retried
+    idempotencyKey: `invoice_receipt:${invoice.number}`,
+    patient: invoice.patient,
+    attachments: [
+      { filename: `${invoice.number}.pdf`, contentType: "application/pdf", content: pdf },
+    ],
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: #2563eb; margin: 0;">InsulinLog</h1>
+          <h2 style="color: #059669; margin: 10px 0 0 0;">✅ Subscription Renewed</h2>
+        </div>
+        
+        <div style="padding: 30px; background-color: white;">
+          <p>Hello ${name},</p>
+          
+          <p>Thank you! Your ${invoice.planName} subscription has been renewed. Your receipt is attached.</p>
+          
+          <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p style="margin: 0 0 10px 0;"><strong>Invoice number:</strong> ${invoice.number}</p>
+            <p style="margin: 0 0 10px 0;"><strong>Period covered:</strong> ${formatReceiptDate(invoice.periodStart)} to ${formatReceiptDate(invoice.periodEnd)}</p>
+            <p style="margin: 0;"><strong>Amount paid:</strong> ${amount}</p>
+          </div>
+          
+          <p>Best regards,<br>The Metabolic Health Revival Team</p>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 15px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px; color: #6b7280;">
+          This is an automated receipt. Please do not reply to this email.
         </div>
       </div>
     `,
@@ -357,9 +519,10 @@ exports.sendNewRegistrationNotificationToAdmins = async (
   // Send email to each admin
   for (const adminEmail of adminEmails) {
     try {
-      await sendEmailFixed({
+      await queueEmail({
         to: adminEmail,
         subject: "🔔 InsulinLog: New Patient Registration",
+        template: "admin_new_registration", // Not linked to the patient: admin alerts stay out of their feed
         html: `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <div style="background-color: #2563eb; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
@@ -448,7 +611,7 @@ exports.sendInactiveUserNotificationToAdmins = async (
 
   // Format last doses
   const dosesList = lastDoses.map(dose => 
-    `• ${dose.type} - ${new Date(dose.timestamp).toLocaleDateString("en-GB", {
+    `• ${dose.type}${dose.units ? ` (${dose.units} units)` : ''} - ${new Date(dose.timestamp).toLocaleDateString("en-GB", {
       day: "2-digit",
       month: "short",
       year: "numeric",
@@ -471,9 +634,10 @@ exports.sendInactiveUserNotificationToAdmins = async (
   // Send email to each admin
   for (const adminEmail of adminEmails) {
     try {
-      await sendEmailFixed({
+      await queueEmail({
         to: adminEmail,
         subject: "⚠️ InsulinLog: User Inactive - No Dose Logging",
+        template: "admin_inactive_user", // Not linked to the patient: admin alerts stay out of their feed
         html: `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <div style="background-color: #dc2626; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
@@ -0,0 +1,53 @@
+// Blood glucose unit helpers
+
+// 1 mmol/L of glucose is 18.0182 mg/dL
+const MGDL_PER_MMOL = 18.0182;
+
+// Plausible meter ranges for each unit
+const GLUCOSE_RANGES = {
+  "mg/dL": { min: 20, max: 600 },
+  "mmol/L": { min: 1.1, max: 33.3 },
+};
+
+/**
+ * Convert a glucose value to mg/dL
+ * @param {number} value - Glucose value
+ * @param {string} unit - Unit of `value` ("mg/dL" or "mmol/L")
+ * @returns {number} - Value in mg/dL, rounded to a whole number
+ */
+const toMgdl = (value, unit) => {
+  const mgdl = unit === "mmol/L" ? value * MGDL_PER_MMOL : value;
+  return Math.round(mgdl);
+};
+
+/**
+ * Convert a glucose value to mmol/L
+ * @param {number} value - Glucose value
+ * @param {string} unit - Unit of `value` ("mg/dL" or "mmol/L")
+ * @returns {number} - Value in mmol/L, rounded to one decimal place
+ */
+const toMmol = (value, unit) => {
+  const mmol = unit === "mg/dL" ? value / MGDL_PER_MMOL : value;
+  return Math.round(mmol * 10) / 10;
+};
+
+/**
+ * Check a glucose value is within the meter range for its unit
+ * @param {number} value - Glucose value
+ * @param {string} unit - Unit of `value` ("mg/dL" or "mmol/L")
+ * @returns {string|null} - Error message, or null if in range
+ */
+const getGlucoseRangeError = (value, unit) => {
+  const range = GLUCOSE_RANGES[unit];
+  if (range && (Number(value) < range.min || Number(value) > range.max)) {
+    return `Glucose value must be between ${range.min} and ${range.max} ${unit}`;
+  }
+  return null;
+};
+
+module.exports = {
+  MGDL_PER_MMOL,
+  getGlucoseRangeError,
+  toMgdl,
+  toMmol,
+};
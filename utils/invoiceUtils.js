@@ -0,0 +1,177 @@
+// backend/utils/invoiceUtils.js
+
+const PDFDocument = require("pdfkit");
+const Counter = require("../models/Counter");
+const Invoice = require("../models/Invoice");
+const { formatDate, getPatientTimeZone } = require("./dateUtils");
+const { sendInvoiceReceiptEmail } = require("./emailService");
+
+/**
+ * Take the next number in a named sequence. Atomic, so concurrent renewals never share a number.
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} - Next value (1 for a new sequence)
+ */
+const getNextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Invoice number shown to patients
+ * @param {number} sequence - Sequence value
+ * @returns {string} - e.g. "INV-000042"
+ */
+const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(6, "0")}`;
+
+/**
+ * Format an amount of money
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} - e.g. "GHS 50.00"
+ */
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toFixed(2)}`;
+
+/**
+ * Render an invoice as a PDF receipt
+ * @param {object} invoice - Invoice document or lean object
+ * @param {object} [options] - { timeZone } to show dates in (the patient's)
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+const generateReceiptPdf = (invoice, { timeZone } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const row = (label, value) => {
+      doc.font("Helvetica-Bold").text(label, { continued: true });
+      doc.font("Helvetica").text(` ${value}`);
+    };
+
+    doc.info.Title = `InsulinLog receipt ${invoice.number}`;
+
+    doc.fontSize(22).font("Helvetica-Bold").text("InsulinLog");
+    doc.fontSize(10).font("Helvetica").fillColor("#6b7280").text("CimonsTech");
+    doc.moveDown(1.5);
+
+    doc.fillColor("#111827").fontSize(16).font("Helvetica-Bold").text("Receipt");
+    doc.moveDown(0.5);
+    doc.fontSize(11);
+    row("Invoice number:", invoice.number);
+    row("Date issued:", formatDate(invoice.issuedAt, timeZone));
+    doc.moveDown();
+
+    doc.font("Helvetica-Bold").text("Billed to");
+    doc.font("Helvetica").text(invoice.payer?.name || "");
+    if (invoice.payer?.email) doc.text(invoice.payer.email);
+    if (invoice.payer?.phone) doc.text(invoice.payer.phone);
+    doc.moveDown();
+
+    row("Plan:", invoice.planName);
+    row(
+      "Period covered:",
+      `${formatDate(invoice.periodStart, timeZone)} to ${formatDate(invoice.periodEnd, timeZone)}`
+    );
+    row(
+      "Payment method:",
+      invoice.paymentMethod === "mobile_money" ? "Mobile money" : "Recorded by InsulinLog staff"
+    );
+    if (invoice.paymentReference) row("Payment reference:", invoice.paymentReference);
+    doc.moveDown();
+
+    doc.fontSize(14);
+    row("Amount paid:", formatAmount(invoice.amount, invoice.currency));
+    doc.moveDown(2);
+
+    doc
+      .fontSize(10)
+      .font("Helvetica")
+      .fillColor("#6b7280")
+      .text("Thank you for staying on track with InsulinLog.");
+
+    doc.end();
+  });
+
+/**
+ * Create the invoice for a paid subscription renewal and email its receipt to the patient.
+ * Only renewals paid online or with a payment an admin recorded get one: a receipt always
+ * shows money that changed hands. Safe to call again for the same renewal: the existing invoice
+ * is returned and no email is sent. A failed email is logged, not thrown, so it never undoes the renewal.
+ * @param {object} patient - Patient document, saved with the renewal
+ * @param {object} renewal - The renewal's subscriptionRenewalHistory entry
+ * @param {object} options
+ * @param {object} options.plan - Plan renewed on
+ * @param {object} [options.payment] - Online payment that paid for the renewal
+ * @param {object} [options.manualPayment] - Payment an admin took: { amount, reference }
+ * @param {boolean} [options.sendEmail] - Email the receipt (default true)
+ * @returns {Promise<object|null>} - Invoice document, or null if the renewal was not paid for
+ */
+const recordRenewalInvoice = async (patient, renewal, { plan, payment, manualPayment, sendEmail = true }) => {
+  if (!payment && !(manualPayment?.amount > 0)) {
+    console.log(`No payment recorded for ${patient.profile.name}'s renewal; no invoice issued`);
+    return null;
+  }
+
+  const existing = await Invoice.findOne({ patient: patient._id, renewal: renewal._id });
+  if (existing) return existing;
+
+  const sequence = await getNextSequence("invoice");
+  const renewedAt = renewal.renewedAt || new Date();
+  let invoice;
+  try {
+    invoice = await Invoice.create({
+      number: formatInvoiceNumber(sequence),
+      sequence,
+      patient: patient._id,
+      renewal: renewal._id,
+      plan: plan?._id,
+      planName: renewal.subscriptionType || plan?.name || patient.subscriptionType,
+      amount: payment ? payment.amount : manualPayment.amount,
+      currency: payment ? payment.currency : plan?.currency || "GHS",
+      periodStart:
+        renewal.previousExpiry && renewal.previousExpiry > renewedAt
+          ? renewal.previousExpiry
+          : renewedAt,
+      periodEnd: renewal.newExpiry,
+      payer: { name: patient.profile.name, email: patient.email, phone: patient.profile.phone },
+      paymentMethod: payment ? "mobile_money" : "manual",
+      payment: payment?._id,
+      paymentReference: payment ? payment.reference : manualPayment.reference,
+      recordedBy: renewal.renewedBy,
+      issuedAt: renewedAt,
+    });
+  } catch (error) {
+    // Recorded by a concurrent call for the same renewal
+    if (error.code === 11000) return Invoice.findOne({ patient: patient._id, renewal: renewal._id });
+    throw error;
+  }
+
+  console.log(`Invoice ${invoice.number} issued to ${patient.profile.name} for ${formatAmount(invoice.amount, invoice.currency)}`);
+
+  if (sendEmail && patient.email) {
+    try {
+      const timeZone = getPatientTimeZone(patient);
+      const pdf = await generateReceiptPdf(invoice, { timeZone });
+      await sendInvoiceReceiptEmail(patient.email, patient.profile.name, invoice, pdf, { timeZone });
+      invoice.emailedAt = new Date();
+      await invoice.save();
+    } catch (error) {
+      console.error(`Failed to email receipt ${invoice.number} to ${patient.email}:`, error.message);
+    }
+  }
+
+  return invoice;
+};
+
+module.exports = {
+  formatInvoiceNumber,
+  formatAmount,
+  generateReceiptPdf,
+  recordRenewalInvoice,
+};
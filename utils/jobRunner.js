@@ -0,0 +1,302 @@
+// backend/utils/jobRunner.js
+
+const os = require("os");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const JobRun = require("../models/JobRun");
+const ScheduledJob = require("../models/ScheduledJob");
+
+// Errors kept on a JobRun record; the count covers all of them
+const MAX_ERROR_MESSAGES = 50;
+
+// Identifies this server process as a lock holder
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+// Jobs currently running in this process
+const runningJobs = new Set();
+
+/**
+ * How long a job lease lasts without a heartbeat before another instance may take over
+ * @returns {number} - Lease length in milliseconds (JOB_LOCK_TTL_MS, 60 seconds by default)
+ */
+const getLockTtlMs = () => parseInt(process.env.JOB_LOCK_TTL_MS) || 60 * 1000;
+
+/**
+ * Check whether a job is running in this process
+ * @param {string} name - Job name
+ * @returns {boolean} - Whether a run is in progress
+ */
+const isJobRunning = (name) => runningJobs.has(name);
+
+/**
+ * Get a job's run-time controls, creating them on first use
+ * @param {string} name - Job name
+ * @returns {Promise<object>} - ScheduledJob document
+ */
+const getJobControl = async (name) => {
+  try {
+    return await ScheduledJob.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another instance created it at the same moment
+    if (error.code === 11000) return ScheduledJob.findOne({ name });
+    throw error;
+  }
+};
+
+/**
+ * The tick a cron firing belongs to: its time rounded down to the schedule's
+ * smallest unit (seconds for 6-field schedules, minutes otherwise), so every
+ * instance names the same tick even if their clocks differ slightly
+ * @param {string} schedule - Cron expression
+ * @param {Date} firedAt - When node-cron fired
+ * @returns {Date} - Tick time
+ */
+const getTickTime = (schedule, firedAt) => {
+  const unitMs = schedule.trim().split(/\s+/).length === 6 ? 1000 : 60 * 1000;
+  const time = firedAt instanceof Date ? firedAt.getTime() : Date.now();
+  return new Date(Math.floor(time / unitMs) * unitMs);
+};
+
+/**
+ * Take a job's lease lock. Succeeds if nobody holds it or the holder's lease has run out
+ * (the holder died or hung). For scheduled runs the tick is claimed too, so an instance
+ * that fires after the holder has already finished the same tick does not run it again.
+ * Runs left "running" by a holder whose lease ran out are marked failed.
+ * @param {string} name - Job name
+ * @param {Date} [tick] - Scheduled tick (omit for manual runs)
+ * @returns {Promise<boolean>} - Whether this instance now holds the lease
+ */
+const acquireJobLease = async (name, tick) => {
+  await getJobControl(name);
+
+  const now = new Date();
+  const conditions = [
+    { $or: [{ lockOwner: null }, { lockExpiresAt: { $lte: now } }] },
+  ];
+  if (tick) {
+    conditions.push({ $or: [{ lastTickAt: null }, { lastTickAt: { $lt: tick } }] });
+  }
+
+  const previous = await ScheduledJob.findOneAndUpdate(
+    { name, $and: conditions },
+    {
+      $set: {
+        lockOwner: INSTANCE_ID,
+        lockAcquiredAt: now,
+        lockExpiresAt: new Date(now.getTime() + getLockTtlMs()),
+        lockHeartbeatAt: now,
+        ...(tick && { lastTickAt: tick }),
+      },
+    },
+    { new: false }
+  );
+  if (!previous) return false;
+
+  if (previous.lockOwner && previous.lockOwner !== INSTANCE_ID) {
+    console.warn(
+      `Job ${name}: took over lease from ${previous.lockOwner} (expired ${previous.lockExpiresAt?.toISOString()})`
+    );
+    await JobRun.updateMany(
+      { job: name, status: "running", instance: previous.lockOwner },
+      {
+        $set: { status: "failed", finishedAt: now },
+        $push: { errorMessages: "Instance stopped before the run finished (lease expired)" },
+        $inc: { errorCount: 1 },
+      }
+    );
+  }
+  return true;
+};
+
+/**
+ * Keep a held lease alive while a job runs
+ * @param {string} name - Job name
+ * @param {object} stats - Run stats; an error is recorded if the lease is lost
+ * @returns {Function} - Stops the heartbeat
+ */
+const startLeaseHeartbeat = (name, stats) => {
+  const interval = setInterval(async () => {
+    try {
+      const now = new Date();
+      const { matchedCount } = await ScheduledJob.updateOne(
+        { name, lockOwner: INSTANCE_ID },
+        { $set: { lockExpiresAt: new Date(now.getTime() + getLockTtlMs()), lockHeartbeatAt: now } }
+      );
+      if (matchedCount === 0) {
+        console.warn(`Job ${name}: lease lost to another instance while running`);
+        stats.errors.push("Lease lost to another instance while running");
+        clearInterval(interval);
+      }
+    } catch (error) {
+      console.error(`Job ${name}: lease heartbeat failed:`, error.message);
+    }
+  }, Math.max(Math.floor(getLockTtlMs() / 3), 1000));
+  interval.unref();
+
+  return () => clearInterval(interval);
+};
+
+/**
+ * Give up a job's lease so the next tick can run anywhere
+ * @param {string} name - Job name
+ */
+const releaseJobLease = async (name) => {
+  try {
+    await ScheduledJob.updateOne(
+      { name, lockOwner: INSTANCE_ID },
+      { $set: { lockOwner: null, lockExpiresAt: null } }
+    );
+  } catch (error) {
+    // The lease runs out by itself
+    console.error(`Job ${name}: failed to release lease:`, error.message);
+  }
+};
+
+/**
+ * Finish a JobRun record with the run's counts
+ * @param {object} jobRun - JobRun document
+ * @param {object} stats - { patientsScanned, messagesSent, errors }
+ * @param {Error} [error] - Error that stopped the run, if any
+ */
+const finishJobRun = async (jobRun, stats, error) => {
+  if (error) stats.errors.push(error.message);
+
+  const finishedAt = new Date();
+  jobRun.finishedAt = finishedAt;
+  jobRun.durationMs = finishedAt - jobRun.startedAt;
+  jobRun.patientsScanned = stats.patientsScanned;
+  jobRun.messagesSent = stats.messagesSent;
+  jobRun.errorCount = stats.errors.length;
+  jobRun.errorMessages = stats.errors.slice(0, MAX_ERROR_MESSAGES);
+  jobRun.status = error
+    ? "failed"
+    : stats.errors.length > 0
+    ? "completed_with_errors"
+    : "succeeded";
+
+  await jobRun.save();
+};
+
+/**
+ * Start a job run and record it as a JobRun. Only the instance that gets the job's
+ * lease runs it; scheduled runs of a paused job are recorded as skipped.
+ * @param {string} name - Job name
+ * @param {Function} run - async (stats) => {}; adds to stats.patientsScanned, stats.messagesSent
+ *   and pushes error messages onto stats.errors
+ * @param {object} [options] - { trigger: "schedule"|"manual", triggeredBy, tick }
+ * @returns {Promise<object|null>} - { jobRun, done } where done resolves when the run ends,
+ *   or null if the job is already running here or on another instance
+ */
+const startTrackedJob = async (name, run, { trigger = "schedule", triggeredBy = null, tick } = {}) => {
+  if (runningJobs.has(name)) {
+    console.log(`Job ${name} is already running, skipping this ${trigger} run`);
+    return null;
+  }
+  runningJobs.add(name);
+
+  try {
+    if (!(await acquireJobLease(name, tick))) {
+      runningJobs.delete(name);
+      console.log(`Job ${name} is running or ran this tick on another instance, skipping this ${trigger} run`);
+      return null;
+    }
+
+    const control = await ScheduledJob.findOne({ name }).lean();
+    if (control?.paused && trigger === "schedule") {
+      runningJobs.delete(name);
+      const now = new Date();
+      const jobRun = await JobRun.create({
+        job: name,
+        trigger,
+        scheduledFor: tick,
+        instance: INSTANCE_ID,
+        status: "skipped",
+        skipReason: "paused",
+        startedAt: now,
+        finishedAt: now,
+        durationMs: 0,
+      });
+      await releaseJobLease(name);
+      console.log(`Job ${name} is paused, skipping scheduled run`);
+      return { jobRun, done: Promise.resolve(jobRun) };
+    }
+
+    const jobRun = await JobRun.create({
+      job: name,
+      trigger,
+      triggeredBy,
+      scheduledFor: tick,
+      instance: INSTANCE_ID,
+    });
+    const stats = { patientsScanned: 0, messagesSent: 0, errors: [] };
+    const stopHeartbeat = startLeaseHeartbeat(name, stats);
+
+    const done = (async () => {
+      let runError;
+      try {
+        await run(stats);
+      } catch (error) {
+        console.error(`Error in job ${name}:`, error);
+        runError = error;
+      } finally {
+        stopHeartbeat();
+        await releaseJobLease(name);
+        runningJobs.delete(name);
+      }
+
+      try {
+        await finishJobRun(jobRun, stats, runError);
+      } catch (error) {
+        console.error(`Error saving run record for job ${name}:`, error.message);
+      }
+      return jobRun;
+    })();
+
+    return { jobRun, done };
+  } catch (error) {
+    runningJobs.delete(name);
+    await releaseJobLease(name);
+    throw error;
+  }
+};
+
+/**
+ * Run a job to completion and record it as a JobRun
+ * @param {string} name - Job name
+ * @param {Function} run - See startTrackedJob
+ * @param {object} [options] - See startTrackedJob
+ * @returns {Promise<object|null>} - Finished JobRun, or null if the job did not run here
+ */
+const runTrackedJob = async (name, run, options) => {
+  const started = await startTrackedJob(name, run, options);
+  return started && started.done;
+};
+
+/**
+ * Schedule a job with node-cron on this instance. Every instance may schedule the
+ * same job; the lease lock makes sure each tick runs on only one of them.
+ * @param {object} job - { name, schedule, run }
+ * @returns {object} - node-cron task
+ */
+const scheduleTrackedJob = (job) =>
+  cron.schedule(job.schedule, async (firedAt) => {
+    try {
+      await runTrackedJob(job.name, job.run, { tick: getTickTime(job.schedule, firedAt) });
+    } catch (error) {
+      console.error(`Error in scheduled job ${job.name}:`, error);
+    }
+  });
+
+module.exports = {
+  INSTANCE_ID,
+  isJobRunning,
+  getJobControl,
+  getTickTime,
+  startTrackedJob,
+  runTrackedJob,
+  scheduleTrackedJob,
+};
@@ -0,0 +1,88 @@
+// backend/utils/noticeLedger.js
+
+const SentNotice = require("../models/SentNotice");
+
+/**
+ * Key of a ledger entry within one patient's notices
+ * @param {string} milestone - Milestone name
+ * @param {string} cycleKey - Cycle the milestone belongs to
+ * @returns {string} - Lookup key
+ */
+const noticeKey = (milestone, cycleKey) => `${milestone}|${cycleKey}`;
+
+/**
+ * Load the ledger for many patients in one query
+ * @param {Array} patientIds - Patient IDs
+ * @param {string} kind - "subscription" or "reminder"
+ * @returns {Promise<Map>} - Patient ID string to a Set of noticeKey values (sent or superseded)
+ */
+const getSentNotices = async (patientIds, kind) => {
+  const notices = await SentNotice.find({ patient: { $in: patientIds }, kind })
+    .select("patient milestone cycleKey")
+    .lean();
+
+  const byPatient = new Map();
+  for (const notice of notices) {
+    const id = notice.patient.toString();
+    if (!byPatient.has(id)) byPatient.set(id, new Set());
+    byPatient.get(id).add(noticeKey(notice.milestone, notice.cycleKey));
+  }
+  return byPatient;
+};
+
+/**
+ * Check a loaded ledger for a milestone
+ * @param {Map} ledger - Result of getSentNotices
+ * @param {string} patientId - Patient ID
+ * @param {string} milestone - Milestone name
+ * @param {string} cycleKey - Cycle the milestone belongs to
+ * @returns {boolean} - Whether the milestone was already sent or superseded
+ */
+const hasNotice = (ledger, patientId, milestone, cycleKey) =>
+  Boolean(ledger.get(patientId.toString())?.has(noticeKey(milestone, cycleKey)));
+
+/**
+ * Claim a milestone before sending it. Only one caller can claim each milestone.
+ * @param {object} entry - { patient, kind, milestone, cycleKey }
+ * @returns {Promise<object|null>} - The ledger entry, or null if it was already claimed
+ */
+const claimNotice = async (entry) => {
+  try {
+    return await SentNotice.create({ ...entry, status: "sent" });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Give back a claimed milestone whose message could not be queued, so a later run retries it
+ * @param {object} notice - Ledger entry from claimNotice
+ */
+const releaseNotice = async (notice) => {
+  await SentNotice.deleteOne({ _id: notice._id });
+};
+
+/**
+ * Record milestones that were sent or superseded, ignoring ones already in the ledger
+ * @param {Array<object>} entries - [{ patient, kind, milestone, cycleKey, status, notification }]
+ */
+const recordNotices = async (entries) => {
+  if (entries.length === 0) return;
+  try {
+    await SentNotice.insertMany(entries, { ordered: false });
+  } catch (error) {
+    // Duplicate entries are expected when another run recorded them first
+    if (error.code !== 11000 && !error.writeErrors?.every((e) => e.code === 11000)) {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  getSentNotices,
+  hasNotice,
+  claimNotice,
+  releaseNotice,
+  recordNotices,
+};
@@ -0,0 +1,210 @@
+// backend/utils/notificationLog.js
+
+const Notification = require("../models/Notification");
+const Patient = require("../models/Patient");
+
+// SMS segments are billed per 160 characters (153 when a message is split)
+const SMS_SEGMENT_LENGTH = 160;
+const SMS_MULTIPART_SEGMENT_LENGTH = 153;
+
+/**
+ * Count the SMS segments a message will be billed as
+ * @param {string} message - SMS text
+ * @returns {number} - Number of segments
+ */
+const countSmsSegments = (message = "") => {
+  if (message.length <= SMS_SEGMENT_LENGTH) return 1;
+  return Math.ceil(message.length / SMS_MULTIPART_SEGMENT_LENGTH);
+};
+
+/**
+ * Estimate the cost of a send from SMS_COST_PER_SEGMENT / EMAIL_COST_PER_MESSAGE
+ * @param {string} channel - "sms" or "email"
+ * @param {string} message - SMS text
+ * @returns {number} - Estimated cost
+ */
+const estimateCost = (channel, message) => {
+  if (channel === "sms") {
+    const perSegment = parseFloat(process.env.SMS_COST_PER_SEGMENT) || 0;
+    return Math.round(countSmsSegments(message) * perSegment * 10000) / 10000;
+  }
+  return parseFloat(process.env.EMAIL_COST_PER_MESSAGE) || 0;
+};
+
+/**
+ * Find the patient a message belongs to when the caller did not say
+ * @param {object} lookup - { phoneNumbers, email }
+ * @returns {Promise<ObjectId|null>} - Patient ID
+ */
+const findPatientId = async ({ phoneNumbers, email }) => {
+  const query = phoneNumbers
+    ? { "profile.phone": { $in: phoneNumbers } }
+    : { email: String(email).toLowerCase() };
+  const patient = await Patient.findOne(query).select("_id").lean();
+  return patient ? patient._id : null;
+};
+
+/**
+ * Record a sent, failed or skipped notification.
+ * Never throws: a logging failure must not stop a message going out.
+ * @param {object} entry
+ * @param {string} entry.channel - "sms" or "email"
+ * @param {string} [entry.template] - Message template name
+ * @param {string} entry.recipient - Phone number or email address
+ * @param {string} [entry.patient] - Patient ID, if known
+ * @param {Array<string>} [entry.patientPhoneNumbers] - Phone formats to match a patient by, if ID unknown
+ * @param {string} [entry.patientEmail] - Email to match a patient by, if ID unknown
+ * @param {string} entry.status - "queued", "sent", "failed" or "skipped"
+ * @param {string} [entry.subject] - Email subject
+ * @param {string} [entry.message] - SMS text
+ * @param {string} [entry.provider] - Provider name
+ * @param {string} [entry.providerMessageId] - Provider reference
+ * @param {string} [entry.error] - Error message
+ * @param {string} [entry.retryOf] - Notification this send retries
+ * @returns {Promise<object|null>} - The saved notification
+ */
+const logNotification = async ({
+  channel,
+  template = "custom",
+  recipient,
+  patient = null,
+  patientPhoneNumbers,
+  patientEmail,
+  status,
+  subject,
+  message,
+  provider,
+  providerMessageId,
+  error,
+  retryOf = null,
+}) => {
+  try {
+    let patientId = patient;
+    if (!patientId && (patientPhoneNumbers || patientEmail)) {
+      patientId = await findPatientId({ phoneNumbers: patientPhoneNumbers, email: patientEmail });
+    }
+
+    return await Notification.create({
+      channel,
+      template,
+      recipient,
+      patient: patientId,
+      subject,
+      message: channel === "sms" ? message : undefined,
+      status,
+      provider,
+      providerMessageId,
+      error,
+      retryOf,
+      cost: status === "sent" ? estimateCost(channel, message) : 0,
+      currency: process.env.NOTIFICATION_COST_CURRENCY || "GHS",
+    });
+  } catch (err) {
+    console.error("Error logging notification:", err.message);
+    return null;
+  }
+};
+
+/**
+ * Record the outcome of sending a queued notification
+ * @param {string} notificationId - Notification log entry
+ * @param {object} result
+ * @param {string} result.status - "sent", "failed" or "skipped"
+ * @param {string} [result.provider] - Provider that took the message
+ * @param {string} [result.providerMessageId] - Provider reference
+ * @param {string} [result.error] - Error message
+ * @returns {Promise<void>}
+ */
+const recordSendResult = async (notificationId, { status, provider, providerMessageId, error }) => {
+  if (!notificationId) return;
+
+  try {
+    const notification = await Notification.findById(notificationId);
+    if (!notification) return;
+
+    notification.status = status;
+    notification.statusUpdatedAt = new Date();
+    if (provider) notification.provider = provider;
+    if (providerMessageId) notification.providerMessageId = providerMessageId;
+    if (error) notification.error = error;
+    if (status === "sent") {
+      notification.cost = estimateCost(notification.channel, notification.message);
+    }
+
+    await notification.save();
+  } catch (err) {
+    console.error("Error updating notification log:", err.message);
+  }
+};
+
+// Provider delivery report statuses mapped to our notification statuses
+const DELIVERY_STATUS_MAP = {
+  queued: "queued",
+  accepted: "queued",
+  pending: "queued",
+  submitted: "queued",
+  enroute: "queued",
+  sent: "sent",
+  sent_to_carrier: "sent",
+  delivered: "delivered",
+  delivrd: "delivered",
+  success: "delivered",
+  failed: "failed",
+  undelivered: "failed",
+  undeliv: "failed",
+  rejected: "failed",
+  rejectd: "failed",
+  error: "failed",
+  expired: "expired",
+};
+
+// Delivery progress; a report never moves a message backwards
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, failed: 2, expired: 2 };
+
+/**
+ * Map a provider's delivery status to a notification status
+ * @param {string} providerStatus - e.g. "DELIVRD", "Delivered", "UNDELIV"
+ * @returns {string|null} - queued/sent/delivered/failed/expired, or null if unknown
+ */
+const normalizeDeliveryStatus = (providerStatus) => {
+  const key = String(providerStatus || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return DELIVERY_STATUS_MAP[key] || null;
+};
+
+/**
+ * Apply a delivery report to the SMS with the given provider reference
+ * @param {string} providerMessageId - Provider reference returned when the SMS was sent
+ * @param {string} status - Normalised status from normalizeDeliveryStatus
+ * @param {string} [error] - Failure reason from the provider
+ * @returns {Promise<object|null>} - Updated notification, or null if no SMS has that reference
+ */
+const updateDeliveryStatus = async (providerMessageId, status, error) => {
+  const notification = await Notification.findOne({
+    channel: "sms",
+    providerMessageId,
+  }).sort({ date: -1 });
+  if (!notification) return null;
+
+  // Ignore late or out-of-order reports (e.g. "queued" arriving after "delivered")
+  if ((STATUS_RANK[notification.status] ?? -1) > STATUS_RANK[status]) {
+    return notification;
+  }
+
+  const now = new Date();
+  notification.status = status;
+  notification.statusUpdatedAt = now;
+  if (status === "delivered") notification.deliveredAt = now;
+  if (error) notification.error = error;
+
+  await notification.save();
+  return notification;
+};
+
+module.exports = {
+  countSmsSegments,
+  estimateCost,
+  logNotification,
+  recordSendResult,
+  normalizeDeliveryStatus,
+  updateDeliveryStatus,
+};
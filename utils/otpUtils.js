@@ -0,0 +1,184 @@
+// backend/utils/otpUtils.js
+
+const crypto = require("crypto");
+const OtpCode = require("../models/OtpCode");
+const Patient = require("../models/Patient");
+const {
+  normalizePhoneNumber,
+  getPhoneNumberVariants,
+  sendOtpSMS,
+} = require("./smsService");
+
+const HOUR_MS = 1000 * 60 * 60;
+const CODE_LENGTH = 6;
+
+/**
+ * OTP limits from the environment
+ * @returns {object} - { ttlMinutes, maxAttempts, resendCooldownSeconds, maxSendsPerHour }
+ */
+const getOtpSettings = () => ({
+  ttlMinutes: parseInt(process.env.OTP_TTL_MINUTES) || 10,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+  maxSendsPerHour: parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5,
+});
+
+/**
+ * HMAC of a code, tied to the patient, purpose and phone number it was sent for
+ * @param {object} otp - { patient, purpose, phone }
+ * @param {string} code - The code
+ * @returns {string}
+ */
+const hashOtp = ({ patient, purpose, phone }, code) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${patient}:${purpose}:${phone}:${code}`)
+    .digest("hex");
+
+/**
+ * Random numeric code, e.g. "042917"
+ * @returns {string}
+ */
+const generateOtp = () =>
+  String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, "0");
+
+/**
+ * Find the patient who verified a phone number, for sign-in by SMS code
+ * @param {string} phone - Phone number in any format
+ * @returns {Promise<object|null>} - Patient document
+ */
+const findPatientByVerifiedPhone = (phone) =>
+  Patient.findOne({
+    "profile.phone": { $in: getPhoneNumberVariants(phone) },
+    phoneVerified: true,
+    isActive: { $ne: false },
+  });
+
+/**
+ * Send a patient a new code by SMS, replacing any earlier one for the same purpose.
+ * Codes can't be resent within the cooldown, and only so many go out per hour.
+ * @param {object} patient - Patient document
+ * @param {string} purpose - "login" or "phoneVerification"
+ * @returns {Promise<object>} - { sent: true, expiresAt }, { error, retryAfterSeconds } where
+ *   error is "cooldown" or "too_many", or { error: "send_failed" } if the SMS could not be queued
+ */
+const issueOtp = async (patient, purpose) => {
+  const settings = getOtpSettings();
+  const now = new Date();
+  const existing = await OtpCode.findOne({ patient: patient._id, purpose });
+
+  let windowStartedAt = now;
+  let sendCount = 1;
+  if (existing) {
+    const cooldownEndsAt = existing.lastSentAt.getTime() + settings.resendCooldownSeconds * 1000;
+    if (cooldownEndsAt > now.getTime()) {
+      return { error: "cooldown", retryAfterSeconds: Math.ceil((cooldownEndsAt - now) / 1000) };
+    }
+
+    const windowEndsAt = existing.windowStartedAt.getTime() + HOUR_MS;
+    if (windowEndsAt > now.getTime()) {
+      if (existing.sendCount >= settings.maxSendsPerHour) {
+        return { error: "too_many", retryAfterSeconds: Math.ceil((windowEndsAt - now) / 1000) };
+      }
+      windowStartedAt = existing.windowStartedAt;
+      sendCount = existing.sendCount + 1;
+    }
+  }
+
+  const code = generateOtp();
+  const phone = normalizePhoneNumber(patient.profile.phone);
+  const codeExpiresAt = new Date(now.getTime() + settings.ttlMinutes * 60 * 1000);
+  const windowEndsAt = new Date(windowStartedAt.getTime() + HOUR_MS);
+
+  try {
+    // Only one of two simultaneous requests gets to send a code
+    await OtpCode.findOneAndUpdate(
+      {
+        patient: patient._id,
+        purpose,
+        lastSentAt: existing ? existing.lastSentAt : { $exists: false },
+      },
+      {
+        phone,
+        codeHash: hashOtp({ patient: patient._id, purpose, phone }, code),
+        codeExpiresAt,
+        attempts: 0,
+        lastSentAt: now,
+        windowStartedAt,
+        sendCount,
+        // Keep the record until both the code and the hourly send window are over
+        expiresAt: codeExpiresAt > windowEndsAt ? codeExpiresAt : windowEndsAt,
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: "cooldown", retryAfterSeconds: settings.resendCooldownSeconds };
+    }
+    throw error;
+  }
+
+  const result = await sendOtpSMS(patient, code, purpose, settings.ttlMinutes);
+  if (!result.success) {
+    // Nothing went out: put back the earlier record so the failed send neither starts a
+    // cooldown nor counts towards the hourly limit
+    const sentNow = { patient: patient._id, purpose, lastSentAt: now };
+    if (existing) {
+      await OtpCode.replaceOne(sentNow, existing.toObject());
+    } else {
+      await OtpCode.deleteOne(sentNow);
+    }
+    console.error(`OTP (${purpose}) for patient ${patient._id} not sent:`, result.error);
+    return { error: "send_failed" };
+  }
+  console.log(`OTP (${purpose}) sent to patient ${patient._id}`);
+
+  return { sent: true, expiresAt: codeExpiresAt };
+};
+
+/**
+ * Check a code a patient entered. Each check counts as an attempt; a code stops working
+ * after too many wrong attempts, once it is used, or if the patient's phone number changed.
+ * @param {object} patient - Patient document
+ * @param {string} purpose - "login" or "phoneVerification"
+ * @param {string} code - Code as entered
+ * @returns {Promise<object>} - { valid: true }, or { valid: false, attemptsLeft }
+ */
+const verifyOtp = async (patient, purpose, code) => {
+  const { maxAttempts } = getOtpSettings();
+  const phone = normalizePhoneNumber(patient.profile.phone);
+
+  const otp = await OtpCode.findOneAndUpdate(
+    {
+      patient: patient._id,
+      purpose,
+      phone,
+      codeHash: { $ne: null },
+      codeExpiresAt: { $gt: new Date() },
+      attempts: { $lt: maxAttempts },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) return { valid: false, attemptsLeft: 0 };
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const actual = Buffer.from(hashOtp({ patient: patient._id, purpose, phone }, String(code)), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, attemptsLeft: maxAttempts - otp.attempts };
+  }
+
+  // A code works once, even if it is sent twice at the same moment
+  const used = await OtpCode.updateOne(
+    { _id: otp._id, codeHash: otp.codeHash },
+    { codeHash: null, codeExpiresAt: null }
+  );
+  return used.modifiedCount > 0 ? { valid: true } : { valid: false, attemptsLeft: 0 };
+};
+
+module.exports = {
+  getOtpSettings,
+  findPatientByVerifiedPhone,
+  issueOtp,
+  verifyOtp,
+};
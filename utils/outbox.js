@@ -0,0 +1,138 @@
+// backend/utils/outbox.js
+
+const OutboxMessage = require("../models/OutboxMessage");
+const Notification = require("../models/Notification");
+const { logNotification } = require("./notificationLog");
+
+/**
+ * Queue an SMS or email for the outbox worker (jobs/outboxWorker.js) to send.
+ * A Notification log entry is created straight away with status "queued".
+ * @param {object} options
+ * @param {string} options.channel - "sms" or "email"
+ * @param {string} options.to - Normalised phone number or email address
+ * @param {string} [options.message] - SMS text
+ * @param {string} [options.logMessage] - SMS text for the notification log, when `message` holds a secret such as a one-time code.
+ *   The outbox keeps the secret only until the message is sent or dead-lettered.
+ * @param {string} [options.subject] - Email subject
+ * @param {string} [options.html] - Email body
+ * @param {Array<object>} [options.attachments] - Email attachments: [{ filename, contentType, content (Buffer) }]
+ * @param {string} [options.template] - Template name for the notification log
+ * @param {string} [options.patient] - Patient ID, if known
+ * @param {Array<string>} [options.patientPhoneNumbers] - Phone formats to match a patient by, if ID unknown
+ * @param {string} [options.patientEmail] - Email to match a patient by, if ID unknown
+ * @param {string} [options.retryOf] - Notification this message resends
+ * @param {string} [options.idempotencyKey] - Messages with the same key are only queued once
+ * @param {number} [options.maxAttempts] - Send attempts before dead-lettering
+ * @param {Date} [options.sendAt] - Hold the message until this time (e.g. the end of quiet hours)
+ * @returns {Promise<object>} - { success, queued, duplicate, outboxId, notificationId }
+ */
+const enqueueMessage = async ({
+  channel,
+  to,
+  message,
+  logMessage,
+  subject,
+  html,
+  attachments,
+  template = "custom",
+  patient,
+  patientPhoneNumbers,
+  patientEmail,
+  retryOf,
+  idempotencyKey,
+  maxAttempts,
+  sendAt,
+}) => {
+  const duplicateResult = (existing) => {
+    console.log(`Message with idempotency key ${idempotencyKey} already queued, skipping`);
+    return {
+      success: true,
+      queued: true,
+      duplicate: true,
+      outboxId: existing._id,
+      notificationId: existing.notification,
+    };
+  };
+
+  if (idempotencyKey) {
+    const existing = await OutboxMessage.findOne({ idempotencyKey });
+    if (existing) return duplicateResult(existing);
+  }
+
+  const notification = await logNotification({
+    channel,
+    template,
+    recipient: to,
+    patient,
+    patientPhoneNumbers,
+    patientEmail,
+    status: "queued",
+    subject,
+    message: logMessage ?? message,
+    retryOf,
+  });
+
+  try {
+    const outboxMessage = await OutboxMessage.create({
+      channel,
+      to,
+      message,
+      maskedMessage: logMessage,
+      subject,
+      html,
+      attachments,
+      template,
+      notification: notification?._id,
+      idempotencyKey,
+      maxAttempts: maxAttempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5,
+      ...(sendAt && { nextAttemptAt: sendAt }),
+    });
+
+    console.log(
+      `Queued ${channel} ${template} to ${to} (${outboxMessage._id})` +
+        (sendAt > new Date() ? `, held until ${new Date(sendAt).toISOString()}` : "")
+    );
+
+    return {
+      success: true,
+      queued: true,
+      duplicate: false,
+      outboxId: outboxMessage._id,
+      notificationId: notification?._id,
+    };
+  } catch (error) {
+    // Another process queued the same key between our check and insert
+    if (error.code === 11000 && idempotencyKey) {
+      if (notification) await Notification.deleteOne({ _id: notification._id });
+      const existing = await OutboxMessage.findOne({ idempotencyKey });
+      if (existing) return duplicateResult(existing);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queue an SMS
+ * @param {object} options - See enqueueMessage; `to` and `message` are required
+ * @returns {Promise<object>} - Queue result
+ */
+const queueSMS = (options) => enqueueMessage({ ...options, channel: "sms" });
+
+/**
+ * Queue an email
+ * @param {object} options - See enqueueMessage; `to`, `subject` and `html` are required.
+ *   The patient is matched by `patientEmail`, or by `to` if neither it nor `patient` is given.
+ * @returns {Promise<object>} - Queue result
+ */
+const queueEmail = (options) =>
+  enqueueMessage({
+    ...options,
+    channel: "email",
+    patientEmail: options.patientEmail || options.to,
+  });
+
+module.exports = {
+  enqueueMessage,
+  queueSMS,
+  queueEmail,
+};
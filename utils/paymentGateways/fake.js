@@ -0,0 +1,57 @@
+// backend/utils/paymentGateways/fake.js
+
+const name = "Fake";
+
+// Collections "started" in this process, newest last
+const collections = [];
+let collectionCounter = 0;
+
+/**
+ * @function isConfigured
+ * @description The fake gateway needs no credentials
+ * @returns {boolean}
+ */
+const isConfigured = () => true;
+
+/**
+ * @function initiate
+ * @description Records the collection in memory instead of charging anyone.
+ * Confirm or fail it with scripts/simulatePaymentWebhook.js.
+ * Set PAYMENT_FAKE_FAIL=true to make it fail, e.g. to exercise error handling locally.
+ * @param {Object} intent - { reference, amount, currency, phone, network }
+ * @returns {Promise<Object>} - { success, gatewayReference, message, error }
+ */
+const initiate = async ({ reference, amount, currency, phone, network }) => {
+  if (process.env.PAYMENT_FAKE_FAIL === "true") {
+    return { success: false, error: "Fake payment gateway configured to fail" };
+  }
+
+  collectionCounter += 1;
+  const record = {
+    gatewayReference: `fake-pay-${Date.now()}-${collectionCounter}`,
+    reference,
+    amount,
+    currency,
+    phone,
+    network,
+    startedAt: new Date(),
+  };
+  collections.push(record);
+
+  console.log(`Fake payment recorded: ${reference} for ${amount} ${currency} from ${phone}`);
+
+  return {
+    success: true,
+    gatewayReference: record.gatewayReference,
+    message: `Fake payment started. Confirm it with: node scripts/simulatePaymentWebhook.js ${reference}`,
+  };
+};
+
+/**
+ * @function getCollections
+ * @description Collections recorded so far
+ * @returns {Array<Object>}
+ */
+const getCollections = () => [...collections];
+
+module.exports = { name, isConfigured, initiate, getCollections };
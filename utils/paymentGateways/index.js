@@ -0,0 +1,118 @@
+// backend/utils/paymentGateways/index.js
+
+const crypto = require("crypto");
+const mobileMoney = require("./mobileMoney");
+const fake = require("./fake");
+
+// Gateway keys accepted in PAYMENT_GATEWAY
+const gateways = {
+  mobilemoney: mobileMoney,
+  fake,
+};
+
+// Mobile-money networks a payment can be charged to
+const PAYMENT_NETWORKS = ["mtn", "telecel", "airteltigo"];
+
+// Header carrying the webhook signature: "sha256=<hex HMAC of the raw body>"
+const SIGNATURE_HEADER = "x-payment-signature";
+
+/**
+ * @function getGatewayKey
+ * @description Gateway key from PAYMENT_GATEWAY. Defaults to the mobile-money gateway in
+ * production and to the fake gateway elsewhere, so local development never charges anyone.
+ * @returns {string}
+ */
+const getGatewayKey = () => {
+  const key = (process.env.PAYMENT_GATEWAY || "").trim().toLowerCase();
+  if (gateways[key]) return key;
+  if (key) console.warn(`Unknown payment gateway "${key}" in PAYMENT_GATEWAY ignored`);
+  return process.env.NODE_ENV === "production" ? "mobilemoney" : "fake";
+};
+
+/**
+ * @function getPaymentGateway
+ * @description The configured payment gateway adapter
+ * @returns {Object} - { key, name, isConfigured, initiate }
+ */
+const getPaymentGateway = () => {
+  const key = getGatewayKey();
+  return { key, ...gateways[key] };
+};
+
+/**
+ * @function signWebhookPayload
+ * @description Signature value for a webhook body, as the gateway computes it
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} secret - PAYMENT_WEBHOOK_SECRET
+ * @returns {string} "sha256=<hex>"
+ */
+const signWebhookPayload = (rawBody, secret) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+
+/**
+ * @function verifyWebhookSignature
+ * @description Checks a webhook's signature against PAYMENT_WEBHOOK_SECRET.
+ * Webhooks are always rejected when no secret is configured, since an accepted webhook renews
+ * a subscription.
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} signature - Value of the x-payment-signature header
+ * @returns {boolean} Whether the webhook is authentic
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret || !rawBody || !signature) return false;
+
+  const expectedBuffer = Buffer.from(signWebhookPayload(rawBody, secret));
+  const providedBuffer = Buffer.from(String(signature));
+
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+};
+
+/**
+ * @function normalizePaymentStatus
+ * @description Maps a gateway status to pending, succeeded or failed
+ * @param {string} status - Status from the webhook
+ * @returns {string}
+ */
+const normalizePaymentStatus = (status) => {
+  const value = String(status || "").toLowerCase();
+  if (["success", "successful", "succeeded", "completed", "paid"].includes(value)) return "succeeded";
+  if (["failed", "failure", "declined", "rejected", "cancelled", "canceled", "expired"].includes(value)) {
+    return "failed";
+  }
+  return "pending";
+};
+
+/**
+ * @function parseWebhookPayload
+ * @description Normalises a payment webhook body. Accepts common gateway field names as well as
+ * the format posted by scripts/simulatePaymentWebhook.js.
+ * @param {Object} body - Webhook request body
+ * @returns {Object} { reference, gatewayReference, status, amount, currency, reason }
+ */
+const parseWebhookPayload = (body = {}) => {
+  const data = body.data || body;
+  const amount = parseFloat(data.amount);
+  return {
+    reference: data.reference || data.external_reference || data.client_reference || null,
+    gatewayReference: data.transaction_id || data.gateway_reference || data.id || null,
+    status: normalizePaymentStatus(data.status),
+    amount: isNaN(amount) ? null : amount,
+    currency: data.currency || null,
+    reason: data.reason || data.message || null,
+  };
+};
+
+module.exports = {
+  gateways,
+  PAYMENT_NETWORKS,
+  SIGNATURE_HEADER,
+  getGatewayKey,
+  getPaymentGateway,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parseWebhookPayload,
+};
@@ -0,0 +1,74 @@
+// backend/utils/paymentGateways/mobileMoney.js
+
+const axios = require("axios");
+
+const name = "Mobile Money";
+
+/**
+ * @function isConfigured
+ * @description Whether the mobile-money collection API URL and key are set
+ * @returns {boolean}
+ */
+const isConfigured = () =>
+  Boolean(process.env.PAYMENT_MOMO_API_URL && process.env.PAYMENT_MOMO_API_KEY);
+
+/**
+ * @function initiate
+ * @description Asks the mobile-money provider to collect a payment. The provider sends the
+ * patient an approval prompt on their phone and reports the outcome to our webhook.
+ * @param {Object} intent - { reference, amount, currency, phone, network, description, callbackUrl }
+ * @returns {Promise<Object>} - { success, gatewayReference, message, error }
+ */
+const initiate = async ({ reference, amount, currency, phone, network, description, callbackUrl }) => {
+  try {
+    if (!isConfigured()) {
+      throw new Error("Mobile-money gateway not configured");
+    }
+
+    const payload = {
+      reference,
+      amount,
+      currency,
+      phone,
+      network,
+      description,
+      callback_url: callbackUrl,
+    };
+
+    console.log("Mobile-money collection request:", { reference, amount, currency, network });
+
+    const timeout = parseInt(process.env.PAYMENT_MOMO_TIMEOUT) || 30000; // Default 30 seconds
+    const response = await axios.post(
+      `${process.env.PAYMENT_MOMO_API_URL.replace(/\/$/, "")}/collections`,
+      payload,
+      {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.PAYMENT_MOMO_API_KEY}`,
+        },
+        timeout,
+      }
+    );
+
+    console.log("Mobile-money collection response:", response.data);
+
+    return {
+      success: true,
+      gatewayReference:
+        response.data?.transaction_id || response.data?.id || response.data?.data?.id || null,
+      message: response.data?.message || "Approve the payment prompt on your phone",
+    };
+  } catch (error) {
+    console.error("Error starting mobile-money collection:", error.message);
+    if (error.response) {
+      console.error("Response status:", error.response.status);
+      console.error("Response data:", error.response.data);
+    }
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+module.exports = { name, isConfigured, initiate };
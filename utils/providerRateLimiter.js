@@ -0,0 +1,57 @@
+// backend/utils/providerRateLimiter.js
+
+const { hitRateLimit } = require("./rateLimitStore");
+
+const WINDOW_MS = 60 * 1000;
+
+// Default messages per minute for each provider key; 0 means unlimited
+const DEFAULT_LIMITS = {
+  fishafrica: 100,
+  http: 60,
+  fake: 0,
+  email: 20, // Gmail SMTP
+};
+
+/**
+ * Messages per minute allowed for a provider.
+ * Overridden by OUTBOX_RATE_LIMITS, e.g. "fishafrica:100,http:30,email:20".
+ * @param {string} key - Provider key
+ * @returns {number} - Limit per minute (0 = unlimited)
+ */
+const getRateLimit = (key) => {
+  const overrides = (process.env.OUTBOX_RATE_LIMITS || "")
+    .split(",")
+    .map((entry) => entry.split(":").map((part) => part.trim()));
+
+  const override = overrides.find(([name]) => name && name.toLowerCase() === key);
+  if (override && !isNaN(parseInt(override[1]))) {
+    return parseInt(override[1]);
+  }
+  return DEFAULT_LIMITS[key] || 0;
+};
+
+/**
+ * Take a send slot for a provider if it is under its rate limit. Sends are counted in Mongo,
+ * so the limit holds across every server instance. If the count can't be reached the
+ * message is sent anyway rather than holding up the whole outbox.
+ * @param {string} key - Provider key
+ * @returns {Promise<object>} - { acquired, retryAfterMs: wait before the next slot when not acquired }
+ */
+const tryAcquire = async (key) => {
+  const limit = getRateLimit(key);
+  if (!limit) return { acquired: true, retryAfterMs: 0 };
+
+  try {
+    const { count, resetAt } = await hitRateLimit(`provider:${key}`, WINDOW_MS);
+    if (count <= limit) return { acquired: true, retryAfterMs: 0 };
+    return { acquired: false, retryAfterMs: Math.max(0, resetAt - Date.now()) };
+  } catch (error) {
+    console.error(`Provider rate limit for ${key} failed, sending anyway:`, error.message);
+    return { acquired: true, retryAfterMs: 0 };
+  }
+};
+
+module.exports = {
+  getRateLimit,
+  tryAcquire,
+};
@@ -0,0 +1,40 @@
+// backend/utils/rateLimitStore.js
+
+const RateLimit = require("../models/RateLimit");
+
+/**
+ * Count a hit against a limit. Counts live in Mongo so every server instance shares them.
+ * @param {string} key - Limit and client, e.g. "login:ip:203.0.113.5"
+ * @param {number} windowMs - Window length
+ * @returns {Promise<object>} - { count, resetAt } for the current window
+ */
+const hitRateLimit = async (key, windowMs) => {
+  const now = new Date();
+  const inWindow = { $gt: ["$resetAt", now] };
+
+  const update = () =>
+    RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [inWindow, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [inWindow, "$resetAt", new Date(now.getTime() + windowMs)] },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+
+  try {
+    return await update();
+  } catch (error) {
+    // Two first hits raced to create the count; the other one won
+    if (error.code === 11000) return await update();
+    throw error;
+  }
+};
+
+module.exports = {
+  hitRateLimit,
+};
@@ -0,0 +1,152 @@
+// backend/utils/regimenUtils.js
+
+const Regimen = require("../models/Regimen");
+const { getZonedParts, zonedTimeToDate } = require("./dateUtils");
+
+/**
+ * Regimen applied to patients who have no prescription on file.
+ * Mirrors the original behaviour: one basal dose a day, 20 hours apart, and no wait between bolus doses.
+ */
+const DEFAULT_REGIMEN = {
+  isDefault: true,
+  basal: {
+    enabled: true,
+    frequency: "once_daily",
+    targetTimes: [],
+    minSpacingHours: 20,
+  },
+  bolus: {
+    enabled: true,
+    withMeals: true,
+    mealsPerDay: 3,
+    targetTimes: [],
+    minSpacingHours: 0,
+  },
+};
+
+/**
+ * Get a patient's regimen, falling back to the default regimen
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<object>} - Regimen document (lean) or DEFAULT_REGIMEN
+ */
+const getPatientRegimen = async (patientId) => {
+  const regimen = await Regimen.findOne({ patient: patientId }).lean();
+  return regimen || DEFAULT_REGIMEN;
+};
+
+/**
+ * Get regimens for many patients in a single query
+ * @param {Array} patientIds - Patient IDs
+ * @returns {Promise<Map>} - Map of patient ID string to regimen (missing IDs get DEFAULT_REGIMEN)
+ */
+const getPatientRegimens = async (patientIds) => {
+  const regimens = await Regimen.find({ patient: { $in: patientIds } }).lean();
+  const byPatient = new Map(
+    regimens.map((regimen) => [regimen.patient.toString(), regimen])
+  );
+
+  return new Map(
+    patientIds.map((id) => [
+      id.toString(),
+      byPatient.get(id.toString()) || DEFAULT_REGIMEN,
+    ])
+  );
+};
+
+/**
+ * Hours between two prescribed basal doses (24 for once daily, 12 for twice daily)
+ * @param {object} regimen - Patient regimen
+ * @returns {number} - Dosing interval in hours
+ */
+const getDosingIntervalHours = (regimen = DEFAULT_REGIMEN) => {
+  return regimen.basal?.frequency === "twice_daily" ? 12 : 24;
+};
+
+/**
+ * Dose types that start a new reminder cycle. Reminders follow the basal schedule, so a bolus
+ * doesn't count unless no basal is prescribed.
+ * @param {object} regimen - Patient regimen
+ * @returns {Array<string>} - "Basal", and "Bolus" when basal is disabled
+ */
+const getReminderDoseTypes = (regimen = DEFAULT_REGIMEN) => {
+  return regimen.basal?.enabled === false ? ["Basal", "Bolus"] : ["Basal"];
+};
+
+/**
+ * Get the prescription section for a dose type
+ * @param {object} regimen - Patient regimen
+ * @param {string} doseType - "Basal" or "Bolus"
+ * @returns {object|undefined} - The basal or bolus section
+ */
+const getDoseRules = (regimen, doseType) => {
+  return doseType === "Basal" ? regimen.basal : regimen.bolus;
+};
+
+/**
+ * Find the first "HH:MM" target time at or after a given moment
+ * @param {Array<string>} targetTimes - Target times of day
+ * @param {Date} notBefore - Earliest acceptable moment
+ * @param {string} [timeZone] - Patient's time zone the target times are in (server local time if omitted)
+ * @returns {Date|null} - Next target time, or null if none configured
+ */
+const getNextTargetTime = (targetTimes, notBefore, timeZone) => {
+  if (!targetTimes || targetTimes.length === 0) return null;
+
+  const today = timeZone ? getZonedParts(notBefore, timeZone) : null;
+  const candidates = [];
+  for (const dayOffset of [0, 1, 2]) {
+    for (const time of targetTimes) {
+      const [hours, minutes] = time.split(":").map(Number);
+      let candidate;
+      if (today) {
+        candidate = zonedTimeToDate(
+          { year: today.year, month: today.month, day: today.day + dayOffset, hours, minutes },
+          timeZone
+        );
+      } else {
+        candidate = new Date(notBefore);
+        candidate.setDate(candidate.getDate() + dayOffset);
+        candidate.setHours(hours, minutes, 0, 0);
+      }
+      if (candidate >= notBefore) candidates.push(candidate);
+    }
+  }
+
+  candidates.sort((a, b) => a - b);
+  return candidates[0] || null;
+};
+
+/**
+ * Calculate when the next basal dose is expected after the last logged dose.
+ * Uses the prescribed target times when set, otherwise the dosing interval.
+ * @param {Date} lastDoseTime - Time of last logged dose
+ * @param {object} regimen - Patient regimen
+ * @param {string} [timeZone] - Patient's time zone
+ * @returns {Date} - Expected time of the next dose
+ */
+const calculateExpectedDoseTime = (lastDoseTime, regimen = DEFAULT_REGIMEN, timeZone) => {
+  const lastDose = new Date(lastDoseTime);
+  const minSpacingMs = (regimen.basal?.minSpacingHours || 0) * 60 * 60 * 1000;
+
+  const targetTime = getNextTargetTime(
+    regimen.basal?.targetTimes,
+    new Date(lastDose.getTime() + minSpacingMs),
+    timeZone
+  );
+  if (targetTime) return targetTime;
+
+  return new Date(
+    lastDose.getTime() + getDosingIntervalHours(regimen) * 60 * 60 * 1000
+  );
+};
+
+module.exports = {
+  DEFAULT_REGIMEN,
+  getPatientRegimen,
+  getPatientRegimens,
+  getDosingIntervalHours,
+  getDoseRules,
+  getReminderDoseTypes,
+  getNextTargetTime,
+  calculateExpectedDoseTime,
+};
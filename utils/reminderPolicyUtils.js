@@ -0,0 +1,190 @@
+// backend/utils/reminderPolicyUtils.js
+
+const ReminderPolicy = require("../models/ReminderPolicy");
+const {
+  sendNewUserReminderSMS,
+  sendDoseReminderSMS,
+  sendThirdReminderSMS,
+} = require("./smsService");
+const { sendDoseReminderEmail } = require("./emailService");
+const { calculateExpectedDoseTime, getDosingIntervalHours } = require("./regimenUtils");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// Shortest (six bolus doses a day) and longest (once-daily) dosing intervals
+const MIN_INTERVAL_HOURS = 4;
+const MAX_INTERVAL_HOURS = 24;
+
+// Reminder messages a policy step can use, and how to send each on each channel.
+// Senders take (patient, options) and resolve to { success, notificationId }.
+const REMINDER_TEMPLATES = {
+  new_user_reminder_1: {
+    description: "Nudge to log the first dose",
+    sms: (patient, options) => sendNewUserReminderSMS(patient.profile.phone, patient.profile.name, 1, options),
+  },
+  new_user_reminder_2: {
+    description: "Second nudge to log the first dose",
+    sms: (patient, options) => sendNewUserReminderSMS(patient.profile.phone, patient.profile.name, 2, options),
+  },
+  dose_reminder_1: {
+    description: "Dose is due",
+    sms: (patient, options) => sendDoseReminderSMS(patient.profile.phone, patient.profile.name, 1, options),
+    email: (patient, options) =>
+      sendDoseReminderEmail(patient.email, patient.profile.name, patient._id, { ...options, template: "dose_reminder_1" }),
+  },
+  dose_reminder_2: {
+    description: "Dose not logged yet",
+    sms: (patient, options) => sendDoseReminderSMS(patient.profile.phone, patient.profile.name, 2, options),
+    email: (patient, options) =>
+      sendDoseReminderEmail(patient.email, patient.profile.name, patient._id, { ...options, template: "dose_reminder_2" }),
+  },
+  dose_reminder_3: {
+    description: "Final reminder",
+    sms: (patient, options) => sendThirdReminderSMS(patient.profile.phone, patient.profile.name, options),
+    email: (patient, options) =>
+      sendDoseReminderEmail(patient.email, patient.profile.name, patient._id, { ...options, template: "dose_reminder_3" }),
+  },
+};
+
+// Built-in policy matching the original fixed reminder cycle. Used when no default is stored.
+const DEFAULT_REMINDER_POLICY = {
+  name: "Standard",
+  description: "6h and 24h first-dose nudges; reminders 30 minutes before and after each dose, and one interval later",
+  isDefault: true,
+  isBuiltIn: true,
+  newUserSteps: [
+    { offsetMinutes: 6 * 60, offsetIntervals: 0, channel: "sms", template: "new_user_reminder_1", escalation: "none" },
+    { offsetMinutes: 24 * 60, offsetIntervals: 0, channel: "sms", template: "new_user_reminder_2", escalation: "mark_inactive" },
+  ],
+  activeUserSteps: [
+    { offsetMinutes: -30, offsetIntervals: 0, channel: "sms", template: "dose_reminder_1", escalation: "none" },
+    { offsetMinutes: 30, offsetIntervals: 0, channel: "sms", template: "dose_reminder_2", escalation: "none" },
+    { offsetMinutes: 30, offsetIntervals: 1, channel: "sms", template: "dose_reminder_3", escalation: "notify_admins" },
+  ],
+};
+
+/**
+ * Get the policy that applies to patients without one of their own
+ * @returns {Promise<object>} - Stored default policy, or the built-in one
+ */
+const getDefaultReminderPolicy = async () => {
+  const policy = await ReminderPolicy.findOne({ isDefault: true }).lean();
+  return policy || DEFAULT_REMINDER_POLICY;
+};
+
+/**
+ * Get the policy for each of many patients in one query
+ * @param {Array<object>} patients - Patients with their `reminderPolicy` field
+ * @returns {Promise<Map>} - Map of patient ID string -> policy
+ */
+const getPatientReminderPolicies = async (patients) => {
+  const assignedIds = [
+    ...new Set(patients.filter((p) => p.reminderPolicy).map((p) => p.reminderPolicy.toString())),
+  ];
+
+  const [defaultPolicy, assigned] = await Promise.all([
+    getDefaultReminderPolicy(),
+    ReminderPolicy.find({ _id: { $in: assignedIds } }).lean(),
+  ]);
+  const byId = new Map(assigned.map((policy) => [policy._id.toString(), policy]));
+
+  const policies = new Map();
+  for (const patient of patients) {
+    const assignedPolicy = patient.reminderPolicy && byId.get(patient.reminderPolicy.toString());
+    policies.set(patient._id.toString(), assignedPolicy || defaultPolicy);
+  }
+  return policies;
+};
+
+/**
+ * Get the policy for one patient
+ * @param {object} patient - Patient with its `reminderPolicy` field
+ * @returns {Promise<object>} - Reminder policy
+ */
+const getPatientReminderPolicy = async (patient) => {
+  const policies = await getPatientReminderPolicies([patient]);
+  return policies.get(patient._id.toString());
+};
+
+/**
+ * When a new-user step is due
+ * @param {object} step - Policy step
+ * @param {Date} welcomeTime - When the welcome (or reactivation) SMS went out
+ * @returns {Date} - Step time
+ */
+const getNewUserStepTime = (step, welcomeTime) =>
+  new Date(new Date(welcomeTime).getTime() + step.offsetMinutes * MINUTE_MS);
+
+/**
+ * When an active-user step is due
+ * @param {object} step - Policy step
+ * @param {Date} cycleStart - Last dose (or skipped dose) the cycle counts from
+ * @param {object} regimen - Patient regimen
+ * @param {string} [timeZone] - Patient's time zone
+ * @returns {Date} - Step time
+ */
+const getActiveUserStepTime = (step, cycleStart, regimen, timeZone) => {
+  const expectedDoseTime = calculateExpectedDoseTime(cycleStart, regimen, timeZone);
+  return new Date(
+    expectedDoseTime.getTime() +
+      (step.offsetIntervals || 0) * getDosingIntervalHours(regimen) * HOUR_MS +
+      step.offsetMinutes * MINUTE_MS
+  );
+};
+
+/**
+ * When the first reminder of the next dose cycle goes out under a policy
+ * @param {object} policy - Reminder policy
+ * @param {Date} cycleStart - Last dose (or skipped dose)
+ * @param {object} regimen - Patient regimen
+ * @param {string} [timeZone] - Patient's time zone
+ * @returns {Date|null} - First reminder time, or null if the policy has no active-user steps
+ */
+const getFirstActiveReminderTime = (policy, cycleStart, regimen, timeZone) => {
+  const [firstStep] = policy.activeUserSteps || [];
+  return firstStep ? getActiveUserStepTime(firstStep, cycleStart, regimen, timeZone) : null;
+};
+
+/**
+ * Check a step list against the template catalogue
+ * @param {Array<object>} steps - Policy steps
+ * @param {boolean} allowIntervals - Whether offsetIntervals may be used (active-user steps only)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validatePolicySteps = (steps = [], allowIntervals) => {
+  for (const [index, step] of steps.entries()) {
+    const template = REMINDER_TEMPLATES[step.template];
+    if (!template) {
+      return `Step ${index + 1}: unknown template "${step.template}".`;
+    }
+    if (!template[step.channel || "sms"]) {
+      return `Step ${index + 1}: template "${step.template}" cannot be sent by ${step.channel}.`;
+    }
+    if (!allowIntervals && step.offsetIntervals) {
+      return `Step ${index + 1}: offsetIntervals can only be used for active-user steps.`;
+    }
+  }
+
+  // Steps run in order, so each must be due no earlier than the one before.
+  // Step times are linear in the interval length, so checking the shortest
+  // and longest possible intervals covers every regimen.
+  for (const intervalHours of [MIN_INTERVAL_HOURS, MAX_INTERVAL_HOURS]) {
+    const times = steps.map((step) => (step.offsetIntervals || 0) * intervalHours * 60 + step.offsetMinutes);
+    if (times.some((time, i) => i > 0 && time < times[i - 1])) {
+      return "Steps must be in chronological order.";
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  REMINDER_TEMPLATES,
+  DEFAULT_REMINDER_POLICY,
+  getDefaultReminderPolicy,
+  getPatientReminderPolicies,
+  getPatientReminderPolicy,
+  getNewUserStepTime,
+  getActiveUserStepTime,
+  getFirstActiveReminderTime,
+  validatePolicySteps,
+};
@@ -1,14 +1,16 @@
 const nodemailer = require("nodemailer");
 
 /**
- * Send email using nodemailer with Gmail SMTP
+ * Send email using nodemailer with Gmail SMTP.
+ * Sends immediately; used by the outbox worker. Queue emails with utils/outbox.queueEmail instead.
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML content
+ * @param {Array<Object>} [options.attachments] - Attachments: [{ filename, contentType, content }]
  * @returns {Promise} - Nodemailer result
  */
-async function sendEmailFixed({ to, subject, html }) {
+async function sendEmailFixed({ to, subject, html, attachments = [] }) {
   try {
     console.log("Attempting to send email...");
     console.log("Email config check:");
@@ -36,6 +38,11 @@ async function sendEmailFixed({ to, subject, html }) {
       to,
       subject,
       html,
+      attachments: attachments.map(({ filename, contentType, content }) => ({
+        filename,
+        contentType,
+        content,
+      })),
     };
 
     console.log(`Sending email to: ${to}`);
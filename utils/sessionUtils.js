@@ -0,0 +1,151 @@
+// backend/utils/sessionUtils.js
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * How long refresh tokens (and so sessions) last without being used
+ * @returns {number} - Days (REFRESH_TOKEN_DAYS, 30 by default)
+ */
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * SHA-256 of a refresh token, the only form it is stored in
+ * @param {string} token - Refresh token
+ * @returns {string}
+ */
+const hashRefreshToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * New random refresh token
+ * @returns {string}
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+/**
+ * Sign a short-lived access token for a session
+ * @param {object} user - Account document
+ * @param {object} session - Session document
+ * @returns {string} - JWT naming the user, role and session
+ */
+const generateAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, role: user.role, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_LIFETIME || "15m",
+  });
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {object} user - Account document (Patient or Admin)
+ * @param {object} req - Express request (for the device's user agent and IP)
+ * @returns {Promise<object>} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    userModel: user.kind,
+    role: user.role,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    userAgent: req.headers["user-agent"]?.slice(0, 300),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY_MS),
+  });
+
+  return { session, accessToken: generateAccessToken(user, session), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one. The old token stops working; presenting it again
+ * revokes the session, since only a copied token could be used twice.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<object>} - { session, refreshToken } on success, or { error } ("invalid" or "reused")
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashRefreshToken(refreshToken);
+  const now = new Date();
+  const newRefreshToken = generateRefreshToken();
+
+  // Only one request can rotate a given token
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: hashRefreshToken(newRefreshToken),
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + getRefreshTokenDays() * DAY_MS),
+    },
+    { new: true }
+  );
+  if (session) return { session, refreshToken: newRefreshToken };
+
+  const reused = await Session.findOneAndUpdate(
+    { previousRefreshTokenHash: tokenHash, revokedAt: null },
+    { revokedAt: now, revokedReason: "refresh token reused" },
+    { new: true }
+  );
+  if (reused) {
+    console.warn(`Refresh token reused for session ${reused._id} (user ${reused.user}); session revoked`);
+    return { error: "reused" };
+  }
+  return { error: "invalid" };
+};
+
+/**
+ * Whether a session can still be used
+ * @param {string} sessionId - Session ID from an access token
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId) =>
+  Boolean(
+    await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } })
+  );
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why, e.g. "logout"
+ * @param {object} [filter] - Extra conditions, e.g. { user } so users only revoke their own
+ * @returns {Promise<boolean>} - Whether an open session was revoked
+ */
+const revokeSession = async (sessionId, reason, filter = {}) => {
+  const result = await Session.updateOne(
+    { ...filter, _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Sign users out everywhere, e.g. when their account is deactivated or their password reset
+ * @param {string|Array<string>} userIds - User ID or IDs
+ * @param {string} reason - Why, e.g. "account deactivated"
+ * @param {object} [options] - { exceptSessionId: keep this session open }
+ * @returns {Promise<number>} - Sessions revoked
+ */
+const revokeUserSessions = async (userIds, reason, { exceptSessionId } = {}) => {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  const result = await Session.updateMany(
+    {
+      user: { $in: ids },
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } }),
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Revoked ${result.modifiedCount} session(s) for ${ids.length} user(s): ${reason}`);
+  }
+  return result.modifiedCount;
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,107 @@
+// backend/utils/smsCommandParser.js
+
+const { getZonedParts, zonedTimeToDate } = require("./dateUtils");
+
+// Accepted spellings of each reply keyword
+const TAKEN_WORDS = ["TAKEN", "TAKE", "TOOK", "DONE"];
+const SKIP_WORDS = ["SKIP", "SKIPPED"];
+const DOSE_TYPES = { BASAL: "Basal", BOLUS: "Bolus" };
+
+/**
+ * Parse a time such as "7:30", "07.30", "730", "19:15" or "7:30PM"
+ * @param {string} text - Time text
+ * @returns {object|null} - { hours, minutes } or null if not a valid time
+ */
+const parseTimeOfDay = (text) => {
+  const match = text.match(/^(\d{1,2})(?:[:.]?(\d{2}))?\s*(AM|PM)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === "PM" && hours !== 12) hours += 12;
+    if (meridiem === "AM" && hours === 12) hours = 0;
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+};
+
+/**
+ * Parse a patient's reply to a dose reminder.
+ * Understands "TAKEN", "TAKEN BASAL", "TAKEN BASAL 7:30", "TAKEN 7:30PM" and "SKIP".
+ * @param {string} text - Raw SMS body
+ * @returns {object} - { action: "taken"|"skip"|"unknown", type, time }
+ */
+const parseDoseReply = (text) => {
+  const words = String(text || "")
+    .toUpperCase()
+    .replace(/[^\w:. ]/g, " ")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const [keyword, ...rest] = words;
+
+  if (SKIP_WORDS.includes(keyword)) {
+    return { action: "skip", type: null, time: null };
+  }
+
+  if (!TAKEN_WORDS.includes(keyword)) {
+    return { action: "unknown", type: null, time: null };
+  }
+
+  let type = null;
+  if (rest.length > 0 && DOSE_TYPES[rest[0]]) {
+    type = DOSE_TYPES[rest.shift()];
+  }
+
+  let time = null;
+  if (rest.length > 0) {
+    // Allow "7:30 PM" as well as "7:30PM"
+    time = parseTimeOfDay(rest.join(""));
+    if (!time) {
+      return { action: "unknown", type: null, time: null };
+    }
+  }
+
+  return { action: "taken", type, time };
+};
+
+/**
+ * Resolve a reported time of day to the most recent matching moment.
+ * Times up to an hour ahead are treated as today (clock drift), later ones as yesterday.
+ * @param {object|null} time - { hours, minutes } from parseDoseReply
+ * @param {Date} now - Reference time
+ * @param {string} [timeZone] - Patient's time zone the reply is in (server local time if omitted)
+ * @returns {Date} - Dose timestamp (now if no time was given)
+ */
+const resolveReplyTimestamp = (time, now = new Date(), timeZone) => {
+  if (!time) return new Date(now);
+
+  const atDayOffset = (dayOffset) => {
+    if (timeZone) {
+      const today = getZonedParts(now, timeZone);
+      return zonedTimeToDate({ ...today, day: today.day + dayOffset, ...time }, timeZone);
+    }
+    const timestamp = new Date(now);
+    timestamp.setDate(timestamp.getDate() + dayOffset);
+    timestamp.setHours(time.hours, time.minutes, 0, 0);
+    return timestamp;
+  };
+
+  const timestamp = atDayOffset(0);
+  if (timestamp.getTime() > now.getTime() + 60 * 60 * 1000) {
+    return atDayOffset(-1);
+  }
+  return timestamp;
+};
+
+module.exports = {
+  parseTimeOfDay,
+  parseDoseReply,
+  resolveReplyTimestamp,
+};
@@ -0,0 +1,64 @@
+// backend/utils/smsProviders/fake.js
+
+const name = "Fake";
+
+// Messages "sent" in this process, newest last
+const sentMessages = [];
+let messageCounter = 0;
+
+/**
+ * @function isConfigured
+ * @description The fake provider needs no credentials
+ * @returns {boolean}
+ */
+const isConfigured = () => true;
+
+/**
+ * @function send
+ * @description Records the message in memory instead of sending it.
+ * Set SMS_FAKE_FAIL=true to make it fail, e.g. to exercise failover locally.
+ * @param {string} phoneNumber - Normalised recipient number
+ * @param {string} message - The SMS message content
+ * @returns {Promise<Object>} - { success, messageId, response, error }
+ */
+const send = async (phoneNumber, message) => {
+  if (process.env.SMS_FAKE_FAIL === "true") {
+    return { success: false, error: "Fake provider configured to fail" };
+  }
+
+  messageCounter += 1;
+  const record = {
+    messageId: `fake-${Date.now()}-${messageCounter}`,
+    to: phoneNumber,
+    message,
+    sentAt: new Date(),
+  };
+  sentMessages.push(record);
+
+  console.log(`Fake SMS recorded for ${phoneNumber}: ${message}`);
+
+  return {
+    success: true,
+    messageId: record.messageId,
+    response: { message: "Recorded by fake SMS provider" },
+  };
+};
+
+/**
+ * @function getSentMessages
+ * @description Messages recorded so far, optionally only those to one number
+ * @param {string} [phoneNumber] - Normalised recipient number
+ * @returns {Array<Object>}
+ */
+const getSentMessages = (phoneNumber) =>
+  phoneNumber ? sentMessages.filter((m) => m.to === phoneNumber) : [...sentMessages];
+
+/**
+ * @function clearSentMessages
+ * @description Forget all recorded messages
+ */
+const clearSentMessages = () => {
+  sentMessages.length = 0;
+};
+
+module.exports = { name, isConfigured, send, getSentMessages, clearSentMessages };
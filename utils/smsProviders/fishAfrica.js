@@ -0,0 +1,91 @@
+// backend/utils/smsProviders/fishAfrica.js
+
+const axios = require("axios");
+
+const name = "Fish Africa";
+
+/**
+ * @function isConfigured
+ * @description Whether the Fish Africa credentials are set
+ * @returns {boolean}
+ */
+const isConfigured = () =>
+  Boolean(process.env.FISH_AFRICA_APP_ID && process.env.FISH_AFRICA_APP_SECRET);
+
+/**
+ * @function send
+ * @description Sends an SMS through the Fish Africa API
+ * @param {string} phoneNumber - Normalised recipient number (e.g. "233553018172")
+ * @param {string} message - The SMS message content
+ * @returns {Promise<Object>} - { success, messageId, response, error }
+ */
+const send = async (phoneNumber, message) => {
+  try {
+    // Fish Africa API configuration
+    const fishAfricaApiUrl = process.env.FISH_AFRICA_API_URL || "https://api.letsfish.africa/v1/sms";
+    const appId = process.env.FISH_AFRICA_APP_ID;
+    const appSecret = process.env.FISH_AFRICA_APP_SECRET;
+    const senderId = process.env.FISH_AFRICA_SENDER_ID || "CimonsTech";
+
+    if (!appId || !appSecret) {
+      throw new Error("Fish Africa API credentials not configured");
+    }
+
+    // Create Bearer token for authentication
+    const bearerToken = `${appId}.${appSecret}`;
+
+    // Prepare request payload
+    const payload = {
+      sender_id: senderId,
+      message: message,
+      recipients: [phoneNumber]
+    };
+
+    console.log("Fish Africa API Request:", {
+      url: fishAfricaApiUrl,
+      sender_id: senderId,
+      recipients: [phoneNumber],
+      message_length: message.length
+    });
+
+    // Make API request
+    const timeout = parseInt(process.env.FISH_AFRICA_TIMEOUT) || 30000; // Default 30 seconds
+    const response = await axios.post(fishAfricaApiUrl, payload, {
+      headers: {
+        'Authorization': `Bearer ${bearerToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: timeout
+    });
+
+    console.log("Fish Africa API Response:", response.data);
+
+    // Fish Africa API returns 202 (Accepted) for successful requests
+    if (response.status === 200 || response.status === 201 || response.status === 202) {
+      return {
+        success: true,
+        messageId: response.data.data?.[0]?.reference || response.data.message_id || response.data.id || "unknown",
+        response: response.data,
+      };
+    }
+
+    return {
+      success: false,
+      error: response.data?.message || response.data?.error || "Unknown error",
+      response: response.data,
+    };
+  } catch (error) {
+    console.error("Error sending SMS via Fish Africa:", error.message);
+    if (error.response) {
+      console.error("Response status:", error.response.status);
+      console.error("Response data:", error.response.data);
+    }
+    return {
+      success: false,
+      error: error.message,
+      apiResponse: error.response?.data,
+    };
+  }
+};
+
+module.exports = { name, isConfigured, send };
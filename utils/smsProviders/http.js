@@ -0,0 +1,81 @@
+// backend/utils/smsProviders/http.js
+
+const axios = require("axios");
+
+const name = "HTTP";
+
+/**
+ * @function isConfigured
+ * @description Whether a generic HTTP SMS gateway URL is set
+ * @returns {boolean}
+ */
+const isConfigured = () => Boolean(process.env.SMS_HTTP_API_URL);
+
+/**
+ * @function send
+ * @description Sends an SMS by posting JSON to a generic HTTP SMS gateway.
+ * Field names are configurable so most gateways can be used without code changes:
+ * SMS_HTTP_TO_FIELD (default "to"), SMS_HTTP_MESSAGE_FIELD ("message"), SMS_HTTP_SENDER_FIELD ("from").
+ * @param {string} phoneNumber - Normalised recipient number (e.g. "233553018172")
+ * @param {string} message - The SMS message content
+ * @returns {Promise<Object>} - { success, messageId, response, error }
+ */
+const send = async (phoneNumber, message) => {
+  try {
+    const apiUrl = process.env.SMS_HTTP_API_URL;
+    if (!apiUrl) {
+      throw new Error("HTTP SMS gateway URL not configured");
+    }
+
+    const payload = {
+      [process.env.SMS_HTTP_TO_FIELD || "to"]: phoneNumber,
+      [process.env.SMS_HTTP_MESSAGE_FIELD || "message"]: message,
+    };
+    if (process.env.SMS_HTTP_SENDER_ID) {
+      payload[process.env.SMS_HTTP_SENDER_FIELD || "from"] = process.env.SMS_HTTP_SENDER_ID;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.SMS_HTTP_API_KEY) {
+      headers['Authorization'] = `Bearer ${process.env.SMS_HTTP_API_KEY}`;
+    }
+
+    console.log("HTTP SMS Gateway Request:", {
+      url: apiUrl,
+      recipient: phoneNumber,
+      message_length: message.length
+    });
+
+    const timeout = parseInt(process.env.SMS_HTTP_TIMEOUT) || 30000; // Default 30 seconds
+    const response = await axios.post(apiUrl, payload, { headers, timeout });
+
+    console.log("HTTP SMS Gateway Response:", response.data);
+
+    if (response.status >= 200 && response.status < 300) {
+      return {
+        success: true,
+        messageId: response.data?.message_id || response.data?.messageId || response.data?.id || response.data?.data?.id || "unknown",
+        response: response.data,
+      };
+    }
+
+    return {
+      success: false,
+      error: response.data?.message || response.data?.error || "Unknown error",
+      response: response.data,
+    };
+  } catch (error) {
+    console.error("Error sending SMS via HTTP gateway:", error.message);
+    if (error.response) {
+      console.error("Response status:", error.response.status);
+      console.error("Response data:", error.response.data);
+    }
+    return {
+      success: false,
+      error: error.message,
+      apiResponse: error.response?.data,
+    };
+  }
+};
+
+module.exports = { name, isConfigured, send };
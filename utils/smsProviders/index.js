@@ -0,0 +1,51 @@
+// backend/utils/smsProviders/index.js
+
+const fishAfrica = require("./fishAfrica");
+const http = require("./http");
+const fake = require("./fake");
+
+// Provider keys accepted in SMS_PROVIDERS
+const providers = {
+  fishafrica: fishAfrica,
+  http,
+  fake,
+};
+
+const DEFAULT_PROVIDER_ORDER = ["fishafrica"];
+
+/**
+ * @function getProviderOrder
+ * @description Provider keys to try, in order, from SMS_PROVIDERS (e.g. "fishafrica,http").
+ * Unknown keys are ignored with a warning.
+ * @returns {Array<string>}
+ */
+const getProviderOrder = () => {
+  if (!process.env.SMS_PROVIDERS) return DEFAULT_PROVIDER_ORDER;
+
+  const order = process.env.SMS_PROVIDERS.split(",")
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean)
+    .filter((key) => {
+      if (!providers[key]) {
+        console.warn(`Unknown SMS provider "${key}" in SMS_PROVIDERS ignored`);
+        return false;
+      }
+      return true;
+    });
+
+  return order.length > 0 ? [...new Set(order)] : DEFAULT_PROVIDER_ORDER;
+};
+
+/**
+ * @function getProviders
+ * @description Provider adapters in failover order
+ * @returns {Array<Object>} - [{ key, name, isConfigured, send }]
+ */
+const getProviders = () =>
+  getProviderOrder().map((key) => ({ key, ...providers[key] }));
+
+module.exports = {
+  providers,
+  getProviderOrder,
+  getProviders,
+};
@@ -1,115 +1,162 @@
 // backend/utils/smsService.js
 
-const axios = require("axios");
+const { getProviders } = require("./smsProviders");
+const { queueSMS } = require("./outbox");
+const { tryAcquire } = require("./providerRateLimiter");
+const { getPatientTimeZone } = require("./dateUtils");
 
 /**
- * @function sendSMS
- * @description Sends SMS using Fish Africa API
+ * @function getCountryCode
+ * @description Country calling code used to normalise local numbers (SMS_COUNTRY_CODE, Ghana by default)
+ * @returns {string} - e.g. "233"
+ */
+const getCountryCode = () =>
+  String(process.env.SMS_COUNTRY_CODE || "233").replace(/\D/g, "");
+
+/**
+ * @function normalizePhoneNumber
+ * @description Converts a phone number to international format without the plus sign
+ * @param {string} phoneNumber - Phone number, e.g. "0553018172" or "+233 55 301 8172"
+ * @returns {string} - Normalised number, e.g. "233553018172"
+ */
+exports.normalizePhoneNumber = (phoneNumber) => {
+  const countryCode = getCountryCode();
+
+  // Format phone number (remove any spaces, dashes, or plus signs)
+  const formattedPhone = String(phoneNumber).replace(/[\s\-\+]/g, "");
+
+  // Ensure phone number starts with the country code
+  if (formattedPhone.startsWith("0")) {
+    return countryCode + formattedPhone.substring(1);
+  } else if (!formattedPhone.startsWith(countryCode)) {
+    return countryCode + formattedPhone;
+  }
+  return formattedPhone;
+};
+
+/**
+ * @function getPhoneNumberVariants
+ * @description Lists the formats a phone number may have been stored in (local and international)
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {Array<string>} - e.g. ["233553018172", "+233553018172", "0553018172"]
+ */
+exports.getPhoneNumberVariants = (phoneNumber) => {
+  const normalized = exports.normalizePhoneNumber(phoneNumber);
+  const localNumber = "0" + normalized.substring(getCountryCode().length);
+  return [normalized, `+${normalized}`, localNumber];
+};
+
+/**
+ * @function deliverSMS
+ * @description Sends an SMS right away through the configured providers (SMS_PROVIDERS),
+ * falling over to the next provider in order when one returns an error or is at its
+ * rate limit. Used by the outbox worker; everything else should call sendSMS.
  * @param {string} phoneNumber - The recipient's phone number
  * @param {string} message - The SMS message content
- * @returns {Promise<Object>} - SMS sending result
+ * @param {string} [logMessage] - Text to log instead of the message, e.g. with a one-time code masked
+ * @returns {Promise<Object>} - SMS sending result, including the provider used and every attempt made.
+ * `rateLimited` is set (with `retryAfterMs`) when every usable provider was at its rate limit.
  */
-exports.sendSMS = async (phoneNumber, message) => {
-  try {
-    // Check if SMS is enabled
-    if (process.env.SMS_ENABLED === "false") {
-      console.log(
-        "SMS is disabled in environment. Would have sent:",
-        message,
-        "to:",
-        phoneNumber
-      );
-      return {
-        success: true,
-        messageId: "disabled",
-        response: { message: "SMS disabled in environment" },
-      };
-    }
+exports.deliverSMS = async (phoneNumber, message, logMessage = message) => {
+  // Check if SMS is enabled
+  if (process.env.SMS_ENABLED === "false") {
+    console.log(
+      "SMS is disabled in environment. Would have sent:",
+      logMessage,
+      "to:",
+      phoneNumber
+    );
+    return {
+      success: true,
+      skipped: true,
+      messageId: "disabled",
+      response: { message: "SMS disabled in environment" },
+    };
+  }
+
+  const finalPhone = exports.normalizePhoneNumber(phoneNumber);
 
-    // Format phone number (remove any spaces, dashes, or plus signs)
-    const formattedPhone = phoneNumber.replace(/[\s\-\+]/g, "");
+  console.log(`Sending SMS to: ${finalPhone}`);
+  console.log(`Message: ${logMessage}`);
 
-    // Ensure phone number starts with country code (Ghana: 233)
-    let finalPhone = formattedPhone;
-    if (formattedPhone.startsWith("0")) {
-      finalPhone = "233" + formattedPhone.substring(1);
-    } else if (!formattedPhone.startsWith("233")) {
-      finalPhone = "233" + formattedPhone;
+  const attempts = [];
+  const retryAfterMs = [];
+
+  for (const provider of getProviders()) {
+    if (!provider.isConfigured()) {
+      console.warn(`SMS provider ${provider.name} is not configured, skipping`);
+      attempts.push({ provider: provider.name, success: false, error: "Not configured" });
+      continue;
     }
 
-    console.log(`Sending SMS to: ${finalPhone}`);
-    console.log(`Message: ${message}`);
+    const slot = await tryAcquire(provider.key);
+    if (!slot.acquired) {
+      console.warn(`SMS provider ${provider.name} is at its rate limit, skipping`);
+      attempts.push({ provider: provider.name, success: false, error: "Rate limited", rateLimited: true });
+      retryAfterMs.push(slot.retryAfterMs);
+      continue;
+    }
 
-    // Fish Africa API configuration
-    const fishAfricaApiUrl = process.env.FISH_AFRICA_API_URL || "https://api.letsfish.africa/v1/sms";
-    const appId = process.env.FISH_AFRICA_APP_ID;
-    const appSecret = process.env.FISH_AFRICA_APP_SECRET;
-    const senderId = process.env.FISH_AFRICA_SENDER_ID || "CimonsTech";
+    const result = await provider.send(finalPhone, message);
+    attempts.push({ provider: provider.name, success: result.success, error: result.error });
 
-    if (!appId || !appSecret) {
-      throw new Error("Fish Africa API credentials not configured");
+    if (result.success) {
+      console.log(`SMS sent successfully via ${provider.name}`);
+      return { ...result, provider: provider.name, attempts };
     }
 
-    // Create Bearer token for authentication
-    const bearerToken = `${appId}.${appSecret}`;
+    console.error(`SMS sending failed via ${provider.name}:`, result.error);
+  }
 
-    // Prepare request payload
-    const payload = {
-      sender_id: senderId,
-      message: message,
-      recipients: [finalPhone]
-    };
+  const lastAttempt = attempts[attempts.length - 1];
+  return {
+    success: false,
+    error: attempts.map((a) => `${a.provider}: ${a.error}`).join("; ") || "No SMS providers configured",
+    provider: lastAttempt ? lastAttempt.provider : null,
+    attempts,
+    // Only rate limits stood in the way, so this is not a real failed attempt
+    rateLimited: retryAfterMs.length > 0 && attempts.every((a) => a.rateLimited || a.error === "Not configured"),
+    retryAfterMs: retryAfterMs.length > 0 ? Math.min(...retryAfterMs) : 0,
+  };
+};
 
-    console.log("Fish Africa API Request:", {
-      url: fishAfricaApiUrl,
-      sender_id: senderId,
-      recipients: [finalPhone],
-      message_length: message.length
-    });
+/**
+ * @function sendSMS
+ * @description Queues an SMS in the outbox; the outbox worker sends it with retries
+ * @param {string} phoneNumber - The recipient's phone number
+ * @param {string} message - The SMS message content
+ * @param {Object} [options] - Queue and notification log details
+ * @param {string} [options.template] - Message template name, e.g. "dose_reminder_1"
+ * @param {string} [options.patient] - Patient ID (looked up by phone number if omitted)
+ * @param {string} [options.retryOf] - Notification ID when resending an undelivered message
+ * @param {string} [options.idempotencyKey] - Messages with the same key are only queued once
+ * @param {string} [options.logMessage] - Text for the notification log if the message holds a secret
+ * @returns {Promise<Object>} - Queue result, including the notification log ID (used to track delivery reports).
+ * `success` is false, with an `error`, when the message could not be queued or could never be sent.
+ */
+exports.sendSMS = async (phoneNumber, message, options = {}) => {
+  if (!phoneNumber) {
+    return { success: false, queued: false, error: "No phone number" };
+  }
+  if (process.env.SMS_ENABLED !== "false" && !getProviders().some((provider) => provider.isConfigured())) {
+    console.error(`SMS ${options.template || "custom"} not queued: no SMS provider is configured`);
+    return { success: false, queued: false, error: "No SMS providers configured" };
+  }
 
-    // Make API request
-    const timeout = parseInt(process.env.FISH_AFRICA_TIMEOUT) || 30000; // Default 30 seconds
-    const response = await axios.post(fishAfricaApiUrl, payload, {
-      headers: {
-        'Authorization': `Bearer ${bearerToken}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: timeout
+  try {
+    return await queueSMS({
+      to: exports.normalizePhoneNumber(phoneNumber),
+      message,
+      template: options.template,
+      patient: options.patient,
+      patientPhoneNumbers: exports.getPhoneNumberVariants(phoneNumber),
+      retryOf: options.retryOf,
+      idempotencyKey: options.idempotencyKey,
+      logMessage: options.logMessage,
     });
-
-    console.log("Fish Africa API Response:", response.data);
-
-    // Check if SMS was sent successfully
-    // Fish Africa API returns 202 (Accepted) for successful requests
-    if (response.status === 200 || response.status === 201 || response.status === 202) {
-      console.log("SMS sent successfully via Fish Africa");
-      return {
-        success: true,
-        messageId: response.data.data?.[0]?.reference || response.data.message_id || response.data.id || "unknown",
-        response: response.data,
-        provider: "Fish Africa"
-      };
-    } else {
-      console.error("SMS sending failed:", response.data);
-      return {
-        success: false,
-        error: response.data?.message || response.data?.error || "Unknown error",
-        response: response.data,
-        provider: "Fish Africa"
-      };
-    }
   } catch (error) {
-    console.error("Error sending SMS via Fish Africa:", error.message);
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error("Response data:", error.response.data);
-    }
-    return {
-      success: false,
-      error: error.message,
-      apiResponse: error.response?.data,
-      provider: "Fish Africa"
-    };
+    console.error(`Error queueing SMS ${options.template || "custom"}:`, error.message);
+    return { success: false, queued: false, error: error.message };
   }
 };
 
@@ -123,7 +170,7 @@ exports.sendSMS = async (phoneNumber, message) => {
 exports.sendWelcomeSMS = async (phoneNumber, patientName) => {
   const welcomeMessage = `Welcome to InsulinLog, ${patientName}! 🎉\nYour account has been created successfully.\nYou'll now receive timely reminders to help you stay on track with your insulin doses.\n\nTogether, let's make diabetes management easier.\n\n– CimonsTech`;
 
-  return await exports.sendSMS(phoneNumber, welcomeMessage);
+  return await exports.sendSMS(phoneNumber, welcomeMessage, { template: "welcome" });
 };
 
 /**
@@ -132,12 +179,14 @@ exports.sendWelcomeSMS = async (phoneNumber, patientName) => {
  * @param {string} phoneNumber - Patient's phone number
  * @param {string} patientName - Patient's name
  * @param {number} attemptNumber - Reminder attempt number (1 or 2)
+ * @param {Object} [options] - Extra sendSMS options, e.g. { retryOf, idempotencyKey }
  * @returns {Promise<Object>} - SMS sending result
  */
 exports.sendDoseReminderSMS = async (
   phoneNumber,
   patientName,
-  attemptNumber = 1
+  attemptNumber = 1,
+  options = {}
 ) => {
   // Get the frontend URL from environment variables
   const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
@@ -146,12 +195,15 @@ exports.sendDoseReminderSMS = async (
   let reminderMessage;
 
   if (attemptNumber === 1) {
-    reminderMessage = `Hi ${patientName}, it's time for your insulin dose reminder! 💊\n\nPlease log your dose in the InsulinLog app to maintain your health routine.\n\n🔗 Quick Login: ${loginUrl}\n\nStay healthy! 🌟\n- CimonsTech`;
+    reminderMessage = `Hi ${patientName}, it's time for your insulin dose reminder! 💊\n\nPlease log your dose in the InsulinLog app to maintain your health routine, or reply TAKEN once you've had it (SKIP if you're skipping it).\n\n🔗 Quick Login: ${loginUrl}\n\nStay healthy! 🌟\n- CimonsTech`;
   } else {
-    reminderMessage = `Hi ${patientName}, this is your second reminder! ⚠️\n\nYou haven't logged your insulin dose yet. Please take your dose and log it immediately.\n\n🔗 Login here: ${loginUrl}\n\nYour health matters! 💙\n- CimonsTech`;
+    reminderMessage = `Hi ${patientName}, this is your second reminder! ⚠️\n\nYou haven't logged your insulin dose yet. Please take your dose and log it immediately, or reply TAKEN.\n\n🔗 Login here: ${loginUrl}\n\nYour health matters! 💙\n- CimonsTech`;
   }
 
-  return await exports.sendSMS(phoneNumber, reminderMessage);
+  return await exports.sendSMS(phoneNumber, reminderMessage, {
+    ...options,
+    template: `dose_reminder_${attemptNumber}`,
+  });
 };
 
 /**
@@ -160,19 +212,24 @@ exports.sendDoseReminderSMS = async (
  * @param {string} phoneNumber - Patient's phone number
  * @param {string} patientName - Patient's name
  * @param {number} attemptNumber - Reminder attempt number (1 or 2)
+ * @param {Object} [options] - Extra sendSMS options, e.g. { retryOf, idempotencyKey }
  * @returns {Promise<Object>} - SMS sending result
  */
 exports.sendNewUserReminderSMS = async (
   phoneNumber,
   patientName,
-  attemptNumber = 1
+  attemptNumber = 1,
+  options = {}
 ) => {
   const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
   const loginUrl = `${frontendUrl}/login`;
 
   const reminderMessage = `Hello ${patientName}, you have not logged a dose yet, kindly log in at ${loginUrl} and log your first dose.\n\nStart your health journey with InsulinLog today!\n\n– CimonsTech`;
 
-  return await exports.sendSMS(phoneNumber, reminderMessage);
+  return await exports.sendSMS(phoneNumber, reminderMessage, {
+    ...options,
+    template: `new_user_reminder_${attemptNumber}`,
+  });
 };
 
 /**
@@ -188,7 +245,7 @@ exports.sendReactivationSMS = async (phoneNumber, patientName) => {
 
   const reactivationMessage = `Welcome back to InsulinLog, ${patientName}! 🎉\nYour account has been reactivated.\n\nPlease log in and take your first dose: ${loginUrl}\n\nWe're here to support your health journey!\n\n– CimonsTech`;
 
-  return await exports.sendSMS(phoneNumber, reactivationMessage);
+  return await exports.sendSMS(phoneNumber, reactivationMessage, { template: "reactivation" });
 };
 
 /**
@@ -196,15 +253,19 @@ exports.sendReactivationSMS = async (phoneNumber, patientName) => {
  * @description Sends third and final reminder SMS to active users
  * @param {string} phoneNumber - Patient's phone number
  * @param {string} patientName - Patient's name
+ * @param {Object} [options] - Extra sendSMS options, e.g. { retryOf, idempotencyKey }
  * @returns {Promise<Object>} - SMS sending result
  */
-exports.sendThirdReminderSMS = async (phoneNumber, patientName) => {
+exports.sendThirdReminderSMS = async (phoneNumber, patientName, options = {}) => {
   const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
   const loginUrl = `${frontendUrl}/login`;
 
   const reminderMessage = `Hi ${patientName}, this is your final reminder! ⚠️\n\nYou haven't logged your insulin dose yet. Please take your dose and log it immediately.\n\n🔗 Login here: ${loginUrl}\n\nYour health is our priority! 💙\n- CimonsTech`;
 
-  return await exports.sendSMS(phoneNumber, reminderMessage);
+  return await exports.sendSMS(phoneNumber, reminderMessage, {
+    ...options,
+    template: "dose_reminder_3",
+  });
 };
 
 /**
@@ -229,7 +290,8 @@ exports.sendSmartReactivationSMS = async (phoneNumber, patientName, subscription
       new Date(patient.subscriptionExpiry).toLocaleDateString('en-GB', {
         day: '2-digit',
         month: '2-digit', 
-        year: 'numeric'
+        year: 'numeric',
+        timeZone: getPatientTimeZone(patient)
       }) : 'Unknown';
     
     // Subscription expired - need to renew
@@ -240,14 +302,18 @@ exports.sendSmartReactivationSMS = async (phoneNumber, patientName, subscription
       new Date(patient.subscriptionExpiry).toLocaleDateString('en-GB', {
         day: '2-digit',
         month: '2-digit', 
-        year: 'numeric'
+        year: 'numeric',
+        timeZone: getPatientTimeZone(patient)
       }) : 'Unknown';
     
     // Subscription still active - normal welcome with expiry info
     reactivationMessage = `Welcome back to InsulinLog, ${patientName}! 🎉\n\nYour account has been reactivated and your subscription is active until ${expiryDate}.\n\nPlease log in and take your first dose: ${loginUrl}\n\nWe're here to support your health journey!\n\n– CimonsTech`;
   }
 
-  return await exports.sendSMS(phoneNumber, reactivationMessage);
+  return await exports.sendSMS(phoneNumber, reactivationMessage, {
+    template: "smart_reactivation",
+    patient: patient?._id,
+  });
 };
 
 /**
@@ -278,5 +344,105 @@ exports.sendManualDeactivationNotificationSMS = async (phoneNumber, patientName,
       notificationMessage = `Hello ${patientName},\n\nYour InsulinLog account has been temporarily deactivated.\n\nIf you have any questions, please contact us: ${contactUrl}\n\nWe're here to support your health journey.\n\n– CimonsTech`;
   }
 
-  return await exports.sendSMS(phoneNumber, notificationMessage);
+  return await exports.sendSMS(phoneNumber, notificationMessage, {
+    template: "manual_deactivation",
+  });
+};
+
+/**
+ * @function sendDoseConfirmationSMS
+ * @description Confirms a dose logged by SMS reply
+ * @param {string} phoneNumber - Patient's phone number
+ * @param {string} patientName - Patient's name
+ * @param {Object} dose - The logged dose
+ * @param {string} [timeZone] - Patient's time zone to show the dose time in
+ * @returns {Promise<Object>} - SMS sending result
+ */
+exports.sendDoseConfirmationSMS = async (phoneNumber, patientName, dose, timeZone) => {
+  const doseTime = new Date(dose.timestamp).toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone,
+  });
+  const unitsText = dose.units ? ` (${dose.units} units)` : "";
+
+  const confirmationMessage = `Thanks ${patientName}! ✅\nYour ${dose.type.toLowerCase()} dose${unitsText} at ${doseTime} has been logged.\n\n– CimonsTech`;
+
+  return await exports.sendSMS(phoneNumber, confirmationMessage, {
+    template: "dose_reply_confirmation",
+    patient: dose.patient,
+  });
+};
+
+/**
+ * @function sendDoseSkippedConfirmationSMS
+ * @description Acknowledges a skipped dose reported by SMS reply
+ * @param {string} phoneNumber - Patient's phone number
+ * @param {string} patientName - Patient's name
+ * @returns {Promise<Object>} - SMS sending result
+ */
+exports.sendDoseSkippedConfirmationSMS = async (phoneNumber, patientName) => {
+  const skippedMessage = `Thanks ${patientName}, we've noted that you skipped this dose. We won't send more reminders for it.\n\nIf you're unsure about skipping doses, please speak to your care team.\n\n– CimonsTech`;
+
+  return await exports.sendSMS(phoneNumber, skippedMessage, { template: "dose_reply_skipped" });
+};
+
+/**
+ * @function sendReplyErrorSMS
+ * @description Tells the patient why their SMS reply could not be processed
+ * @param {string} phoneNumber - Patient's phone number
+ * @param {string} reason - Explanation of the problem
+ * @returns {Promise<Object>} - SMS sending result
+ */
+exports.sendReplyErrorSMS = async (phoneNumber, reason) => {
+  const errorMessage = `${reason}\n\nReply TAKEN (e.g. TAKEN BASAL 7:30) to log a dose, or SKIP if you are skipping it.\n\n– CimonsTech`;
+
+  return await exports.sendSMS(phoneNumber, errorMessage, { template: "dose_reply_error" });
+};
+
+/**
+ * @function sendPaymentConfirmationSMS
+ * @description Confirms a subscription payment and the new expiry date
+ * @param {Object} patient - Patient document (after the renewal)
+ * @param {Object} payment - The confirmed payment
+ * @returns {Promise<Object>} - SMS sending result
+ */
+exports.sendPaymentConfirmationSMS = async (patient, payment) => {
+  const expiryDate = new Date(patient.subscriptionExpiry).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    timeZone: getPatientTimeZone(patient),
+  });
+
+  const confirmationMessage = `Thanks ${patient.profile.name}! ✅\nWe received your payment of ${payment.currency} ${payment.amount.toFixed(2)} (ref ${payment.reference}).\n\nYour ${payment.subscriptionType} subscription is active until ${expiryDate}.\n\n– CimonsTech`;
+
+  return await exports.sendSMS(patient.profile.phone, confirmationMessage, {
+    template: "payment_confirmation",
+    patient: patient._id,
+    idempotencyKey: `payment_confirmation:${payment.reference}`,
+  });
+};
+
+/**
+ * @function sendOtpSMS
+ * @description Sends a one-time sign-in or phone verification code. The notification log
+ * keeps the message with the code masked.
+ * @param {Object} patient - Patient document
+ * @param {string} code - The one-time code
+ * @param {string} purpose - "login" or "phoneVerification"
+ * @param {number} expiryMinutes - How long the code works
+ * @returns {Promise<Object>} - SMS sending result
+ */
+exports.sendOtpSMS = async (patient, code, purpose, expiryMinutes) => {
+  const buildMessage = (shownCode) =>
+    purpose === "login"
+      ? `Your InsulinLog sign-in code is ${shownCode}. It expires in ${expiryMinutes} minutes.\nNever share this code. If you didn't ask for it, you can ignore this message.\n\n– CimonsTech`
+      : `Your InsulinLog phone verification code is ${shownCode}. It expires in ${expiryMinutes} minutes.\n\n– CimonsTech`;
+
+  return await exports.sendSMS(patient.profile.phone, buildMessage(code), {
+    template: purpose === "login" ? "otp_login" : "otp_phone_verification",
+    patient: patient._id,
+    logMessage: buildMessage("*".repeat(code.length)),
+  });
 };
@@ -0,0 +1,319 @@
+// backend/utils/subscriptionUtils.js
+
+const Plan = require("../models/Plan");
+const Patient = require("../models/Patient");
+const {
+  getPatientTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+} = require("./dateUtils");
+
+// Plans patients were on before plans were stored. Used for patients not yet migrated
+// onto a stored plan, and by scripts/migrateSubscriptionPlans.js to create the stored ones.
+const BUILT_IN_PLANS = [
+  {
+    name: "Monthly",
+    description: "Billed every month",
+    duration: { value: 1, unit: "month" },
+    price: 0,
+    currency: "GHS",
+    gracePeriodDays: 7,
+    features: [],
+    sortOrder: 1,
+  },
+  {
+    name: "Yearly",
+    description: "Billed every year",
+    duration: { value: 1, unit: "year" },
+    price: 0,
+    currency: "GHS",
+    gracePeriodDays: 7,
+    features: [],
+    sortOrder: 2,
+  },
+];
+
+/**
+ * Days in a calendar month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} - Days
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Add a plan's duration to a date using calendar math in a time zone.
+ * Months and years keep the day of the month, clamped to the month's last day
+ * (31 January + 1 month = 28/29 February).
+ * @param {Date} date - Start of the period
+ * @param {object} duration - { value, unit: "day" | "week" | "month" | "year" }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - End of the period
+ */
+const addPlanDuration = (date, { value, unit }, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  let { year, month, day } = parts;
+
+  if (unit === "day" || unit === "week") {
+    const days = unit === "week" ? value * 7 : value;
+    const shifted = new Date(Date.UTC(year, month - 1, day + days));
+    year = shifted.getUTCFullYear();
+    month = shifted.getUTCMonth() + 1;
+    day = shifted.getUTCDate();
+  } else {
+    const months = unit === "year" ? value * 12 : value;
+    const monthIndex = month - 1 + months;
+    year += Math.floor(monthIndex / 12);
+    month = (monthIndex % 12) + 1;
+    day = Math.min(day, daysInMonth(year, month));
+  }
+
+  return zonedTimeToDate({ year, month, day, hours: parts.hours, minutes: parts.minutes }, timeZone);
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * When a subscription's grace period ends and the account becomes read-only
+ * @param {Date} expiryDate - Subscription expiry
+ * @param {object} [plan] - The patient's plan (gracePeriodDays)
+ * @returns {Date}
+ */
+const getGracePeriodEnd = (expiryDate, plan) =>
+  new Date(new Date(expiryDate).getTime() + (plan?.gracePeriodDays || 0) * DAY_MS);
+
+/**
+ * Subscription status at a given time: "active" until expiry, "grace" until the plan's
+ * grace period ends, then "read_only"
+ * @param {Date} expiryDate - Subscription expiry
+ * @param {object} [plan] - The patient's plan
+ * @param {Date} [now] - Time to check at
+ * @returns {string} - "active", "grace" or "read_only"
+ */
+const getSubscriptionStatus = (expiryDate, plan, now = new Date()) => {
+  if (!expiryDate || now < new Date(expiryDate)) return "active";
+  return now < getGracePeriodEnd(expiryDate, plan) ? "grace" : "read_only";
+};
+
+/**
+ * Describe a plan duration, e.g. "1 month" or "3 months"
+ * @param {object} duration - { value, unit }
+ * @returns {string}
+ */
+const formatPlanDuration = ({ value, unit }) => `${value} ${unit}${value === 1 ? "" : "s"}`;
+
+/**
+ * Built-in plan with a given name, if any
+ * @param {string} name - Plan name, e.g. "Monthly"
+ * @returns {object|null}
+ */
+const getBuiltInPlan = (name) => BUILT_IN_PLANS.find((plan) => plan.name === name) || null;
+
+/**
+ * Get a patient's subscription plan: their stored plan, else a stored plan named after their
+ * subscriptionType, else the matching built-in plan
+ * @param {object} patient - Patient document
+ * @returns {Promise<object|null>} - Plan, or null if the patient has none
+ */
+const getPatientPlan = async (patient) => {
+  if (patient.plan) {
+    const plan = await Plan.findById(patient.plan).lean();
+    if (plan) return plan;
+  }
+  if (!patient.subscriptionType) return null;
+
+  const plan = await Plan.findOne({ name: patient.subscriptionType }).lean();
+  return plan || getBuiltInPlan(patient.subscriptionType);
+};
+
+/**
+ * Get the subscription plans of many patients in one query
+ * @param {Array<object>} patients - Patient documents
+ * @returns {Promise<Map>} - Patient ID string to plan (or null)
+ */
+const getPatientPlans = async (patients) => {
+  const planIds = patients.map((p) => p.plan).filter(Boolean);
+  const names = patients.map((p) => p.subscriptionType).filter(Boolean);
+  const plans = await Plan.find({
+    $or: [{ _id: { $in: planIds } }, { name: { $in: names } }],
+  }).lean();
+
+  const byId = new Map(plans.map((plan) => [plan._id.toString(), plan]));
+  const byName = new Map(plans.map((plan) => [plan.name, plan]));
+
+  return new Map(
+    patients.map((patient) => [
+      patient._id.toString(),
+      (patient.plan && byId.get(patient.plan.toString())) ||
+        byName.get(patient.subscriptionType) ||
+        getBuiltInPlan(patient.subscriptionType),
+    ])
+  );
+};
+
+/**
+ * Find a plan a patient may choose (sign-up, payment): by ID, or by name for older clients
+ * @param {object} selection - { planId, name }
+ * @returns {Promise<object|null>} - Active plan, or null if there is none
+ */
+const findSelectablePlan = async ({ planId, name }) => {
+  if (planId) return Plan.findOne({ _id: planId, active: true }).lean();
+  if (!name) return null;
+
+  const plan = await Plan.findOne({ name, active: true }).lean();
+  if (plan) return plan;
+  // Before plans are migrated, the built-in plans are the ones on offer
+  const anyStored = await Plan.exists({});
+  return anyStored ? null : getBuiltInPlan(name);
+};
+
+/**
+ * Start a new patient's subscription on a plan. Changes the patient document only.
+ * @param {object} patient - Patient document
+ * @param {object} plan - Plan
+ * @param {Date} [now] - Start time
+ */
+const startSubscription = (patient, plan, now = new Date()) => {
+  patient.plan = plan._id || null;
+  patient.subscriptionType = plan.name;
+  patient.subscriptionExpiry = addPlanDuration(now, plan.duration, getPatientTimeZone(patient));
+  patient.subscriptionStatus = "active";
+  patient.readOnlySince = null;
+};
+
+/**
+ * Extend a patient's subscription by one period of their plan and record it in their renewal history.
+ * Time left on an unexpired subscription is kept; an expired one restarts from now,
+ * and a patient in their grace period or read-only gets full access back.
+ * Changes the patient document only; the caller saves it.
+ * @param {object} patient - Patient document
+ * @param {object} options
+ * @param {string} options.renewedBy - "patient", "admin", "superadmin" or "system"
+ * @param {object} options.plan - Plan to renew on (may differ from the current one)
+ * @param {Date} [options.now] - Renewal time
+ * @returns {object} - { previousExpiry, newExpiry, renewal: the history entry added }
+ */
+const extendSubscription = (patient, { renewedBy, plan, now = new Date() }) => {
+  patient.plan = plan._id || null;
+  patient.subscriptionType = plan.name;
+
+  const previousExpiry = patient.subscriptionExpiry;
+  const baseDate =
+    previousExpiry && previousExpiry > now ? new Date(previousExpiry) : now;
+  const newExpiry = addPlanDuration(baseDate, plan.duration, getPatientTimeZone(patient));
+
+  patient.subscriptionExpiry = newExpiry;
+  patient.subscriptionStatus = "active";
+  patient.readOnlySince = null;
+  patient.subscriptionRenewalCount = (patient.subscriptionRenewalCount || 0) + 1;
+  patient.lastSubscriptionRenewal = now;
+  patient.subscriptionRenewalHistory.push({
+    renewedAt: now,
+    renewedBy,
+    plan: plan._id,
+    previousExpiry,
+    newExpiry,
+    subscriptionType: plan.name,
+  });
+  const renewal = patient.subscriptionRenewalHistory[patient.subscriptionRenewalHistory.length - 1];
+
+  return { previousExpiry, newExpiry, renewal };
+};
+
+/**
+ * Whether a patient's subscription is frozen at a given time
+ * @param {object} patient - Patient document
+ * @param {Date} [now] - Time to check at
+ * @returns {boolean}
+ */
+const isSubscriptionPaused = (patient, now = new Date()) => {
+  const pause = patient.subscriptionPause;
+  return Boolean(pause?.startsAt && pause.startsAt <= now && now < pause.endsAt);
+};
+
+/**
+ * Days a patient's subscription has been paused since it was last renewed
+ * @param {object} patient - Patient document
+ * @returns {number} - Paused days in the current subscription period
+ */
+const getPausedDaysInPeriod = (patient) => {
+  const history = patient.subscriptionRenewalHistory || [];
+  const lastRenewal = [...history].reverse().find((entry) => entry.type !== "pause");
+  const periodStart = lastRenewal?.renewedAt || patient.date || new Date(0);
+
+  const pausedMs = history
+    .filter((entry) => entry.type === "pause" && entry.pausedFrom >= periodStart)
+    .reduce((total, entry) => total + (entry.pausedUntil - entry.pausedFrom), 0);
+  return pausedMs / DAY_MS;
+};
+
+/**
+ * End a patient's subscription pause: when it was due to end, or early on request.
+ * The expiry moves out by the time the subscription was actually paused, recorded in the
+ * renewal history as a "pause" entry. A pause that hasn't started yet is just cancelled.
+ * Writes to the database directly, and only if the pause is still there, so a pause
+ * ended by the job and by a request at the same time extends the expiry once.
+ * @param {object} patient - Patient document
+ * @param {object} options
+ * @param {string} options.endedBy - "patient", "admin", "superadmin" or "system"
+ * @param {Date} [options.now] - Time the pause ends
+ * @returns {Promise<object|null>} - { cancelled } for a pause that hadn't started, else
+ *   { previousExpiry, newExpiry, pausedFrom, pausedUntil }; null if there was no pause to end
+ */
+const endSubscriptionPause = async (patient, { endedBy, now = new Date() }) => {
+  const pause = patient.subscriptionPause;
+  if (!pause?.startsAt) return null;
+
+  const stillPaused = { _id: patient._id, "subscriptionPause.startsAt": pause.startsAt };
+
+  if (now < pause.startsAt) {
+    const result = await Patient.updateOne(stillPaused, { $unset: { subscriptionPause: 1 } });
+    return result.modifiedCount > 0 ? { cancelled: true } : null;
+  }
+
+  const pausedFrom = pause.startsAt;
+  const pausedUntil = now < pause.endsAt ? now : pause.endsAt;
+  const previousExpiry = patient.subscriptionExpiry;
+  const newExpiry = new Date(
+    new Date(previousExpiry).getTime() + (pausedUntil.getTime() - pausedFrom.getTime())
+  );
+
+  const result = await Patient.updateOne(stillPaused, {
+    $set: { subscriptionExpiry: newExpiry },
+    $unset: { subscriptionPause: 1 },
+    $push: {
+      subscriptionRenewalHistory: {
+        type: "pause",
+        renewedAt: now,
+        renewedBy: endedBy,
+        plan: patient.plan,
+        previousExpiry,
+        newExpiry,
+        subscriptionType: patient.subscriptionType,
+        pausedFrom,
+        pausedUntil,
+        pauseReason: pause.reason,
+      },
+    },
+  });
+  if (result.modifiedCount === 0) return null;
+
+  return { cancelled: false, previousExpiry, newExpiry, pausedFrom, pausedUntil };
+};
+
+module.exports = {
+  BUILT_IN_PLANS,
+  addPlanDuration,
+  getGracePeriodEnd,
+  getSubscriptionStatus,
+  formatPlanDuration,
+  getBuiltInPlan,
+  getPatientPlan,
+  getPatientPlans,
+  findSelectablePlan,
+  startSubscription,
+  extendSubscription,
+  isSubscriptionPaused,
+  getPausedDaysInPeriod,
+  endSubscriptionPause,
+};
@@ -0,0 +1,279 @@
+// backend/utils/twoFactorUtils.js
+
+const crypto = require("crypto");
+const Admin = require("../models/Admin");
+const LoginChallenge = require("../models/LoginChallenge");
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Steps either side of now, for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Fields hidden by default that 2FA checks need
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodeHashes";
+
+/**
+ * Whether an admin must pass a second step to sign in
+ * @param {object} admin - Admin document
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (admin) => admin.role === "superadmin";
+
+/**
+ * Base32 (RFC 4648, no padding), the format authenticator apps take secrets in
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+/**
+ * @param {string} encoded - Base32 string
+ * @returns {Buffer}
+ */
+const base32Decode = (encoded) => {
+  let bits = "";
+  for (const char of encoded.replace(/=+$/, "").toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+/**
+ * TOTP code (RFC 6238, HMAC-SHA1) for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since the epoch / 30)
+ * @returns {string} - e.g. "492039"
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Find the time step a code belongs to, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code as entered
+ * @param {number} [now] - Time in ms
+ * @returns {number|null} - Matching step, or null
+ */
+const findTotpStep = (secret, code, now = Date.now()) => {
+  const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    const expected = Buffer.from(generateTotp(secret, step));
+    const actual = Buffer.from(String(code));
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) return step;
+  }
+  return null;
+};
+
+/**
+ * AES-256-GCM key for stored secrets (TWO_FACTOR_ENCRYPTION_KEY, else derived from JWT_SECRET)
+ * @returns {Buffer}
+ */
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+/**
+ * @param {string} secret - Base32 secret
+ * @returns {string} - "iv:tag:ciphertext" in hex
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("hex")).join(":");
+};
+
+/**
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} - Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split(":").map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
+
+/**
+ * SHA-256 of a recovery code, ignoring case, spaces and dashes
+ * @param {string} code - Recovery code as entered
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ""))
+    .digest("hex");
+
+/**
+ * New set of single-use recovery codes
+ * @returns {Array<string>} - e.g. ["3f9a1-c07d2", ...]
+ */
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+/**
+ * Start setting up 2FA: store a new secret until the admin confirms it with a code
+ * @param {object} admin - Admin document
+ * @returns {Promise<object>} - { secret, otpauthUrl } to show as text or a QR code
+ */
+const startTwoFactorSetup = async (admin) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await Admin.updateOne(
+    { _id: admin._id },
+    { "twoFactor.pendingSecret": encryptSecret(secret) }
+  );
+
+  const issuer = process.env.TWO_FACTOR_ISSUER || "InsulinLog";
+  const label = encodeURIComponent(`${issuer}:${admin.email}`);
+  return {
+    secret,
+    otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`,
+  };
+};
+
+/**
+ * Check an authenticator code. A code is only accepted once.
+ * @param {object} admin - Admin document loaded with TWO_FACTOR_FIELDS
+ * @param {string} code - Code as entered
+ * @param {object} [options] - { pending: check against the secret being set up }
+ * @returns {Promise<boolean>}
+ */
+const verifyTotpCode = async (admin, code, { pending = false } = {}) => {
+  const stored = pending ? admin.twoFactor?.pendingSecret : admin.twoFactor?.secret;
+  if (!stored || !code) return false;
+
+  const step = findTotpStep(decryptSecret(stored), code);
+  if (step === null) return false;
+
+  const result = await Admin.updateOne(
+    { _id: admin._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+    { "twoFactor.lastUsedStep": step }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Use up a recovery code
+ * @param {object} admin - Admin document
+ * @param {string} code - Recovery code as entered
+ * @returns {Promise<boolean>} - Whether it was an unused code
+ */
+const useRecoveryCode = async (admin, code) => {
+  if (!code) return false;
+  const codeHash = hashRecoveryCode(code);
+  const result = await Admin.updateOne(
+    { _id: admin._id, "twoFactor.recoveryCodeHashes": codeHash },
+    { $pull: { "twoFactor.recoveryCodeHashes": codeHash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Switch 2FA on with the secret being set up, once a code from it has been checked
+ * @param {object} admin - Admin document loaded with TWO_FACTOR_FIELDS
+ * @returns {Promise<Array<string>|null>} - Recovery codes to show once, or null if the setup changed meanwhile
+ */
+const enableTwoFactor = async (admin) => {
+  const recoveryCodes = generateRecoveryCodes();
+  const result = await Admin.updateOne(
+    { _id: admin._id, "twoFactor.pendingSecret": admin.twoFactor.pendingSecret },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": admin.twoFactor.pendingSecret,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.recoveryCodeHashes": recoveryCodes.map(hashRecoveryCode),
+      },
+      $unset: { "twoFactor.pendingSecret": "" },
+    }
+  );
+  return result.modifiedCount > 0 ? recoveryCodes : null;
+};
+
+/**
+ * Replace an admin's recovery codes
+ * @param {object} admin - Admin document
+ * @returns {Promise<Array<string>>} - New recovery codes to show once
+ */
+const regenerateRecoveryCodes = async (admin) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await Admin.updateOne(
+    { _id: admin._id },
+    { "twoFactor.recoveryCodeHashes": recoveryCodes.map(hashRecoveryCode) }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Issue the second step of a sign-in
+ * @param {object} admin - Admin document whose password was just checked
+ * @param {string} purpose - "verify", or "setup" for a superadmin without 2FA
+ * @returns {Promise<object>} - { challengeToken, expiresAt }
+ */
+const createLoginChallenge = async (admin, purpose) => {
+  const challengeToken = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + CHALLENGE_MINUTES * 60 * 1000);
+  await LoginChallenge.create({
+    admin: admin._id,
+    tokenHash: crypto.createHash("sha256").update(challengeToken).digest("hex"),
+    purpose,
+    expiresAt,
+  });
+  return { challengeToken, expiresAt };
+};
+
+/**
+ * Look up an unexpired challenge. Counting an attempt stops working after a few tries, so
+ * codes can't be guessed against one challenge.
+ * @param {string} challengeToken - Token from the client
+ * @param {object} [options] - { countAttempt }
+ * @returns {Promise<object|null>} - LoginChallenge document
+ */
+const findLoginChallenge = (challengeToken, { countAttempt = false } = {}) => {
+  const filter = {
+    tokenHash: crypto.createHash("sha256").update(String(challengeToken)).digest("hex"),
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: CHALLENGE_MAX_ATTEMPTS },
+  };
+  return countAttempt
+    ? LoginChallenge.findOneAndUpdate(filter, { $inc: { attempts: 1 } }, { new: true })
+    : LoginChallenge.findOne(filter);
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  verifyTotpCode,
+  useRecoveryCode,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  findLoginChallenge,
+};